@@ -8,6 +8,26 @@ const dynamodb = new AWS.DynamoDB.DocumentClient({
 
 const TABLE_NAME = process.env.TABLE_NAME || 'wire-game-scores';
 
+// Preset difficulties plus 'custom' (one leaderboard per difficulty profile hash)
+const VALID_DIFFICULTIES = ['easy', 'medium', 'hard', 'super-hard', 'custom'];
+
+// Profile hash as produced by LevelGenerator.getProfileHash()
+const PROFILE_HASH_PATTERN = /^[0-9a-f]{8}$/;
+
+// Game modes - each mode has its own leaderboard
+const VALID_MODES = ['classic', 'lives', 'endless', 'powerups'];
+
+// Movement models - each one has its own leaderboards
+const VALID_MOVEMENTS = ['direct', 'inertia'];
+
+// What the score of each mode measures: times rank lowest first, distances highest first
+const SCORE_TYPES = {
+  classic: 'time',
+  lives: 'time',
+  endless: 'distance',
+  powerups: 'time'
+};
+
 /**
  * Validate query parameters for leaderboard request
  * @param {Object} queryParams - Query parameters from API Gateway event
@@ -15,12 +35,20 @@ const TABLE_NAME = process.env.TABLE_NAME || 'wire-game-scores';
  * @throws {Error} - If validation fails
  */
 function validateQueryParams(queryParams) {
-  const { difficulty, limit } = queryParams || {};
+  const { difficulty, limit, mode = 'classic', movement = 'direct', profile } = queryParams || {};
   
   // Validate difficulty (required)
-  const validDifficulties = ['easy', 'medium', 'hard', 'super-hard'];
-  if (!difficulty || !validDifficulties.includes(difficulty)) {
-    throw new Error(`Difficulty parameter is required and must be one of: ${validDifficulties.join(', ')}`);
+  if (!difficulty || !VALID_DIFFICULTIES.includes(difficulty)) {
+    throw new Error(`Difficulty parameter is required and must be one of: ${VALID_DIFFICULTIES.join(', ')}`);
+  }
+  
+  // Validate profile hash (required for custom difficulty, not allowed for the presets)
+  if (difficulty === 'custom') {
+    if (!profile || !PROFILE_HASH_PATTERN.test(profile)) {
+      throw new Error('Profile parameter must be 8 lowercase hex digits for custom difficulty');
+    }
+  } else if (profile !== undefined) {
+    throw new Error('Profile parameter must only be sent for custom difficulty');
   }
   
   // Validate limit (optional, default to 10)
@@ -32,12 +60,98 @@ function validateQueryParams(queryParams) {
     }
   }
   
+  // Validate mode (optional, default to classic)
+  if (!VALID_MODES.includes(mode)) {
+    throw new Error(`Mode must be one of: ${VALID_MODES.join(', ')}`);
+  }
+  
+  // Validate movement model (optional, default to direct)
+  if (!VALID_MOVEMENTS.includes(movement)) {
+    throw new Error(`Movement must be one of: ${VALID_MOVEMENTS.join(', ')}`);
+  }
+  
   return {
     difficulty,
-    limit: parsedLimit
+    limit: parsedLimit,
+    mode,
+    movement,
+    profileHash: difficulty === 'custom' ? profile : null
+  };
+}
+
+/**
+ * Build the filter that keeps only scores of one game mode
+ * Scores stored before game modes existed have no mode and count as classic.
+ * @param {string} mode - Game mode
+ * @returns {Object} - FilterExpression and its attribute names/values
+ */
+function buildModeFilter(mode) {
+  return {
+    FilterExpression: mode === 'classic' ?
+      'attribute_not_exists(#mode) OR #mode = :mode' :
+      '#mode = :mode',
+    ExpressionAttributeNames: { '#mode': 'mode' },
+    ExpressionAttributeValues: { ':mode': mode }
   };
 }
 
+/**
+ * Build the filter that keeps only scores of one movement model
+ * Scores stored before movement models existed have no movement and count as direct.
+ * @param {string} movement - Movement model
+ * @returns {Object} - FilterExpression and its attribute names/values
+ */
+function buildMovementFilter(movement) {
+  return {
+    FilterExpression: movement === 'direct' ?
+      'attribute_not_exists(#movement) OR #movement = :movement' :
+      '#movement = :movement',
+    ExpressionAttributeNames: { '#movement': 'movement' },
+    ExpressionAttributeValues: { ':movement': movement }
+  };
+}
+
+/**
+ * Build the filter that keeps only scores of one custom difficulty profile
+ * @param {string|null} profileHash - Profile hash (null for the preset difficulties)
+ * @returns {Object|null} - FilterExpression and its attribute names/values, or null for presets
+ */
+function buildProfileFilter(profileHash) {
+  if (!profileHash) {
+    return null;
+  }
+  
+  return {
+    FilterExpression: '#profileHash = :profileHash',
+    ExpressionAttributeNames: { '#profileHash': 'profileHash' },
+    ExpressionAttributeValues: { ':profileHash': profileHash }
+  };
+}
+
+/**
+ * Query scores page by page until enough of them pass the filter
+ * DynamoDB applies Limit before FilterExpression, so one page of a difficulty full of
+ * classic scores can hold few or none of the requested mode, movement model or profile.
+ * @param {Object} params - Query parameters (Limit is the page size)
+ * @param {number} count - Number of matching scores wanted
+ * @returns {Promise<Array<Object>>} - Matching scores in query order (at least `count` unless the difficulty runs out)
+ */
+async function queryScores(params, count) {
+  const items = [];
+  let exclusiveStartKey;
+  
+  do {
+    const result = await dynamodb.query({
+      ...params,
+      ...(exclusiveStartKey && { ExclusiveStartKey: exclusiveStartKey })
+    }).promise();
+    items.push(...result.Items);
+    exclusiveStartKey = result.LastEvaluatedKey;
+  } while (items.length < count && exclusiveStartKey);
+  
+  return items;
+}
+
 /**
  * Get leaderboard Lambda handler
  * @param {Object} event - API Gateway event
@@ -56,32 +170,57 @@ exports.handler = async (event) => {
     
     console.log('Querying leaderboard:', JSON.stringify({
       difficulty: validatedParams.difficulty,
+      mode: validatedParams.mode,
+      movement: validatedParams.movement,
+      profileHash: validatedParams.profileHash,
       limit: validatedParams.limit
     }));
     
-    // Query DynamoDB for scores by difficulty
+    // Query DynamoDB for scores by difficulty, keeping only the requested mode and movement (and custom profile)
+    const modeFilter = buildModeFilter(validatedParams.mode);
+    const movementFilter = buildMovementFilter(validatedParams.movement);
+    const profileFilter = buildProfileFilter(validatedParams.profileHash);
+    const filterExpression = `(${modeFilter.FilterExpression}) AND (${movementFilter.FilterExpression})`;
     const params = {
       TableName: TABLE_NAME,
       KeyConditionExpression: 'difficulty = :difficulty',
+      FilterExpression: profileFilter ?
+        `${filterExpression} AND ${profileFilter.FilterExpression}` :
+        filterExpression,
+      ExpressionAttributeNames: {
+        ...modeFilter.ExpressionAttributeNames,
+        ...movementFilter.ExpressionAttributeNames,
+        ...(profileFilter && profileFilter.ExpressionAttributeNames)
+      },
       ExpressionAttributeValues: {
-        ':difficulty': validatedParams.difficulty
+        ':difficulty': validatedParams.difficulty,
+        ...modeFilter.ExpressionAttributeValues,
+        ...movementFilter.ExpressionAttributeValues,
+        ...(profileFilter && profileFilter.ExpressionAttributeValues)
       },
       ScanIndexForward: true, // Sort by timestamp ascending (oldest first)
       Limit: validatedParams.limit * 10 // Get more items to sort by score
     };
     
-    const result = await dynamodb.query(params).promise();
+    const items = await queryScores(params, params.Limit);
     
-    console.log(`Found ${result.Items.length} scores for difficulty ${validatedParams.difficulty}`);
+    console.log(`Found ${items.length} scores for difficulty ${validatedParams.difficulty}`);
     
-    // Sort by score (ascending - lower scores are better) and limit to top scores
-    const topScores = result.Items
-      .sort((a, b) => a.score - b.score) // Sort by score ascending (best times first)
+    // Sort by score (times ascending, distances descending) and limit to top scores
+    const scoreType = SCORE_TYPES[validatedParams.mode];
+    const topScores = items
+      .sort((a, b) => scoreType === 'distance' ? b.score - a.score : a.score - b.score)
       .slice(0, validatedParams.limit) // Take only the requested number of top scores
       .map(item => ({
         playerName: item.playerName,
         score: item.score,
         difficulty: item.difficulty,
+        seed: item.seed,
+        mode: item.mode || 'classic',
+        movement: item.movement || 'direct',
+        profileHash: item.profileHash || null,
+        profile: item.profile || null,
+        replay: item.replay,
         timestamp: item.timestamp
       }));
     
@@ -101,6 +240,10 @@ exports.handler = async (event) => {
         data: topScores,
         meta: {
           difficulty: validatedParams.difficulty,
+          mode: validatedParams.mode,
+          movement: validatedParams.movement,
+          profileHash: validatedParams.profileHash,
+          scoreType,
           count: topScores.length,
           limit: validatedParams.limit
         }
@@ -116,6 +259,7 @@ exports.handler = async (event) => {
     
     if (error.message.includes('Difficulty parameter is required') || 
         error.message.includes('must be one of') ||
+        error.message.includes('Profile parameter must') ||
         error.message.includes('Limit must be')) {
       statusCode = 400;
       errorMessage = error.message;
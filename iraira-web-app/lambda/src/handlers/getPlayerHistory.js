@@ -99,6 +99,9 @@ exports.handler = async (event) => {
     const playerHistory = result.Items.map(item => ({
       score: item.score,
       difficulty: item.difficulty,
+      seed: item.seed,
+      mode: item.mode || 'classic',
+      movement: item.movement || 'direct',
       timestamp: item.timestamp
     }));
     
@@ -0,0 +1,247 @@
+/**
+ * Run verifier - re-simulates a submitted run to check the claimed score
+ *
+ * The game simulation is deterministic (seeded level + fixed timestep), so the
+ * server can play the recorded direction changes again with the headless
+ * GameManager the browser game runs on and compare the outcome with what the
+ * client claims.
+ */
+
+/**
+ * Load the game through its headless entry
+ * The deploy script copies the browser modules into ./game so they are part of
+ * the Lambda package; when running from the repository (tests, local tools)
+ * they are loaded straight from the web app sources.
+ * @returns {Object} - Game classes ({ GameManager, Replay, LevelGenerator, Character })
+ */
+function loadGame() {
+  try {
+    return require('./game/headless.cjs');
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') {
+      throw error;
+    }
+    return require('../../../src/headless.cjs');
+  }
+}
+
+const { GameManager, Replay, LevelGenerator, Character } = loadGame();
+
+// Tick rate ranked runs are played at (GameManager's default)
+const TICK_RATE = 60;
+const MODES = ['classic', 'lives', 'endless', 'powerups'];
+
+// Limits that keep the re-simulation cheap
+const MAX_RUN_TICKS = TICK_RATE * 60 * 10; // 10 minutes
+const MAX_REPLAY_LENGTH = 100000; // characters of the encoded replay
+const MIN_CANVAS_SIZE = 200;
+const MAX_CANVAS_SIZE = 4096;
+
+/**
+ * Create a verification error
+ * @param {string} reason - Why the run was rejected
+ * @returns {Error} - Error with a message the handler maps to 400
+ */
+function verificationError(reason) {
+  return new Error(`Run verification failed: ${reason}`);
+}
+
+/**
+ * Decode a submitted replay string
+ * @param {string} encodedReplay - Replay produced by Replay.serialize()
+ * @returns {Replay} - Decoded replay
+ * @throws {Error} - If the replay is missing or malformed
+ */
+function decodeReplay(encodedReplay) {
+  if (typeof encodedReplay !== 'string' || encodedReplay.length === 0) {
+    throw new Error('Replay is required and must be a string');
+  }
+
+  if (encodedReplay.length > MAX_REPLAY_LENGTH) {
+    throw new Error(`Replay must be at most ${MAX_REPLAY_LENGTH} characters`);
+  }
+
+  return Replay.deserialize(encodedReplay);
+}
+
+/**
+ * Check that the replay describes a run the server is willing to simulate
+ * @param {Replay} replay - Decoded replay
+ * @throws {Error} - If a field is out of range
+ */
+function validateReplay(replay) {
+  if (!Number.isInteger(replay.seed) || replay.seed < 0 || replay.seed > 0xFFFFFFFF) {
+    throw verificationError('invalid level seed');
+  }
+
+  if (replay.layout) {
+    throw verificationError('hand-authored levels are not ranked');
+  }
+
+  if (replay.resumed) {
+    throw verificationError('resumed runs are not ranked');
+  }
+
+  // Custom difficulties must carry a usable profile, the presets none at all
+  if (replay.difficulty === LevelGenerator.CUSTOM_DIFFICULTY ?
+    !LevelGenerator.isValidProfile(replay.profile) :
+    replay.profile !== null) {
+    throw verificationError('invalid difficulty profile');
+  }
+
+  if (MODES.indexOf(replay.mode) === -1) {
+    throw verificationError('unsupported game mode');
+  }
+
+  if (Character.MOVEMENTS.indexOf(replay.movement) === -1) {
+    throw verificationError('unsupported movement model');
+  }
+
+  if (replay.tickRate !== TICK_RATE) {
+    throw verificationError(`tick rate must be ${TICK_RATE}`);
+  }
+
+  [replay.width, replay.height].forEach(size => {
+    if (!Number.isInteger(size) || size < MIN_CANVAS_SIZE || size > MAX_CANVAS_SIZE) {
+      throw verificationError('invalid canvas size');
+    }
+  });
+
+  // Endless runs have no goal - they always end at a wall
+  if (replay.mode === 'endless' ? replay.result !== 'gameover' : replay.result !== 'victory') {
+    throw verificationError(replay.mode === 'endless' ? 'endless run did not end' : 'run did not reach the goal');
+  }
+
+  if (!Number.isInteger(replay.endTick) || replay.endTick < 1 || replay.endTick > MAX_RUN_TICKS) {
+    throw verificationError('invalid run length');
+  }
+}
+
+/**
+ * Re-simulate a run and check it against the claimed result
+ * @param {Object} claim - Submitted run
+ * @param {string} claim.replay - Encoded replay of the run
+ * @param {number} claim.score - Claimed completion time in milliseconds (distance in meters for endless runs)
+ * @param {string} claim.difficulty - Claimed difficulty
+ * @param {number|null} claim.seed - Claimed level seed (optional)
+ * @param {string|null} claim.profileHash - Claimed custom difficulty profile hash (required for custom runs)
+ * @returns {Object} - Verified run ({ seed, mode, movement, profileHash, profile, tick, time, replay })
+ * @throws {Error} - If the replay is malformed or the run does not check out
+ */
+function verifyRun({ replay: encodedReplay, score, difficulty, seed = null, profileHash = null }) {
+  const replay = decodeReplay(encodedReplay);
+  validateReplay(replay);
+
+  if (replay.difficulty !== difficulty) {
+    throw verificationError('difficulty does not match the replay');
+  }
+
+  if (seed !== null && seed !== replay.seed) {
+    throw verificationError('seed does not match the replay');
+  }
+
+  if (profileHash !== LevelGenerator.getProfileHash(replay.profile)) {
+    throw verificationError('difficulty profile does not match the replay');
+  }
+
+  const verified = replay.mode === 'endless' ?
+    verifyEndlessRun(replay, score, encodedReplay) :
+    verifyTimedRun(replay, score, encodedReplay);
+
+  return {
+    ...verified,
+    movement: replay.movement,
+    profileHash,
+    profile: replay.profile
+  };
+}
+
+/**
+ * Play a replay's inputs again on a headless game
+ * @param {Replay} replay - Decoded and validated replay
+ * @returns {{result: string, tick: number, score: number}} - Outcome of GameManager.run()
+ */
+function simulateRun(replay) {
+  const gameManager = new GameManager(null, replay.difficulty, {
+    headless: true,
+    width: replay.width,
+    height: replay.height,
+    tickRate: replay.tickRate,
+    seed: replay.seed,
+    mode: replay.mode,
+    movement: replay.movement,
+    profile: replay.profile
+  });
+  gameManager.startGame();
+  const outcome = gameManager.run(replay.inputs, replay.endTick);
+  gameManager.destroy();
+  return outcome;
+}
+
+/**
+ * Re-simulate a run that ends at the goal and check the claimed time
+ * @param {Replay} replay - Decoded and validated replay
+ * @param {number} score - Claimed completion time in milliseconds
+ * @param {string} encodedReplay - Replay as submitted
+ * @returns {Object} - Verified run ({ seed, mode, tick, time, replay })
+ * @throws {Error} - If the run does not check out
+ */
+function verifyTimedRun(replay, score, encodedReplay) {
+  const { result, tick, score: time } = simulateRun(replay);
+
+  if (result === 'gameover') {
+    throw verificationError(`hit a wall at tick ${tick}`);
+  }
+
+  if (result !== 'victory') {
+    throw verificationError('never reached the goal');
+  }
+
+  if (tick !== replay.endTick || time !== score) {
+    throw verificationError(`claimed time ${score}ms does not match simulated time ${time}ms`);
+  }
+
+  return {
+    seed: replay.seed,
+    mode: replay.mode,
+    tick,
+    time,
+    replay: encodedReplay
+  };
+}
+
+/**
+ * Re-simulate an endless run and check the claimed distance
+ * @param {Replay} replay - Decoded and validated replay
+ * @param {number} score - Claimed distance in meters
+ * @param {string} encodedReplay - Replay as submitted
+ * @returns {Object} - Verified run ({ seed, mode, tick, distance, replay })
+ * @throws {Error} - If the run does not check out
+ */
+function verifyEndlessRun(replay, score, encodedReplay) {
+  const { result, tick, score: distance } = simulateRun(replay);
+
+  if (result !== 'gameover' || tick !== replay.endTick) {
+    throw verificationError('endless run did not end at a wall at the claimed tick');
+  }
+
+  if (distance !== score) {
+    throw verificationError(`claimed distance ${score}m does not match simulated distance ${distance}m`);
+  }
+
+  return {
+    seed: replay.seed,
+    mode: replay.mode,
+    tick,
+    distance,
+    replay: encodedReplay
+  };
+}
+
+module.exports = {
+  verifyRun,
+  decodeReplay,
+  TICK_RATE,
+  MODES,
+  MAX_RUN_TICKS
+};
@@ -1,4 +1,5 @@
 const AWS = require('aws-sdk');
+const { verifyRun } = require('./runVerifier');
 
 // DynamoDB client configuration
 const dynamodb = new AWS.DynamoDB.DocumentClient({
@@ -8,6 +9,12 @@ const dynamodb = new AWS.DynamoDB.DocumentClient({
 
 const TABLE_NAME = process.env.TABLE_NAME || 'wire-game-scores';
 
+// Preset difficulties plus 'custom' (user-defined profile, ranked per profile hash)
+const VALID_DIFFICULTIES = ['easy', 'medium', 'hard', 'super-hard', 'custom'];
+
+// Profile hash as produced by LevelGenerator.getProfileHash()
+const PROFILE_HASH_PATTERN = /^[0-9a-f]{8}$/;
+
 /**
  * Name sanitization function - removes all characters except alphanumeric, space, hyphen, underscore
  * @param {string} name - Input name to sanitize
@@ -40,7 +47,7 @@ function sanitizeName(name) {
  * @throws {Error} - If validation fails
  */
 function validateInput(data) {
-  const { playerName, score, difficulty } = data;
+  const { playerName, score, difficulty, seed, profileHash } = data;
   
   // Validate required fields
   if (playerName === undefined || playerName === null || 
@@ -55,9 +62,24 @@ function validateInput(data) {
   }
   
   // Validate difficulty
-  const validDifficulties = ['easy', 'medium', 'hard', 'super-hard'];
-  if (!validDifficulties.includes(difficulty)) {
-    throw new Error(`Difficulty must be one of: ${validDifficulties.join(', ')}`);
+  if (!VALID_DIFFICULTIES.includes(difficulty)) {
+    throw new Error(`Difficulty must be one of: ${VALID_DIFFICULTIES.join(', ')}`);
+  }
+  
+  // Validate profile hash - custom runs are ranked per profile, preset runs never carry one
+  const hasProfileHash = profileHash !== undefined && profileHash !== null;
+  if (difficulty === 'custom') {
+    if (typeof profileHash !== 'string' || !PROFILE_HASH_PATTERN.test(profileHash)) {
+      throw new Error('Profile hash must be 8 lowercase hex digits for custom difficulty');
+    }
+  } else if (hasProfileHash) {
+    throw new Error('Profile hash must only be sent for custom difficulty');
+  }
+  
+  // Validate seed (optional) - ties the score to the level it was played on
+  if (seed !== undefined && seed !== null &&
+      (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF)) {
+    throw new Error('Seed must be an unsigned 32-bit integer');
   }
   
   // Sanitize and validate name
@@ -66,7 +88,9 @@ function validateInput(data) {
   return {
     playerName: sanitizedName,
     score: Math.round(score), // Ensure integer score
-    difficulty
+    difficulty,
+    seed: seed !== undefined && seed !== null ? seed : null,
+    profileHash: hasProfileHash ? profileHash : null
   };
 }
 
@@ -108,6 +132,15 @@ exports.handler = async (event) => {
     // Validate and sanitize input
     const validatedData = validateInput(requestBody);
     
+    // Re-simulate the run so only scores actually achieved in the game are stored
+    const verifiedRun = verifyRun({
+      replay: requestBody.replay,
+      score: validatedData.score,
+      difficulty: validatedData.difficulty,
+      seed: validatedData.seed,
+      profileHash: validatedData.profileHash
+    });
+    
     // Generate timestamp
     const timestamp = Date.now();
     
@@ -116,13 +149,31 @@ exports.handler = async (event) => {
       difficulty: validatedData.difficulty,
       timestamp: timestamp,
       playerName: validatedData.playerName,
-      score: validatedData.score
+      score: validatedData.score,
+      seed: verifiedRun.seed,
+      mode: verifiedRun.mode,
+      replay: verifiedRun.replay
     };
     
+    // Runs with another movement model than direct are ranked on their own leaderboards
+    if (verifiedRun.movement !== 'direct') {
+      item.movement = verifiedRun.movement;
+    }
+    
+    // Custom runs keep their profile so the leaderboard can show and filter by it
+    if (verifiedRun.profileHash) {
+      item.profileHash = verifiedRun.profileHash;
+      item.profile = verifiedRun.profile;
+    }
+    
     console.log('Storing score:', JSON.stringify({
       playerName: item.playerName,
       score: item.score,
       difficulty: item.difficulty,
+      seed: item.seed,
+      mode: item.mode,
+      movement: item.movement,
+      profileHash: item.profileHash,
       timestamp: item.timestamp
     }));
     
@@ -151,6 +202,10 @@ exports.handler = async (event) => {
           playerName: item.playerName,
           score: item.score,
           difficulty: item.difficulty,
+          seed: item.seed,
+          mode: item.mode,
+          movement: item.movement || 'direct',
+          profileHash: item.profileHash || null,
           timestamp: item.timestamp
         }
       })
@@ -165,7 +220,11 @@ exports.handler = async (event) => {
     
     if (error.message.includes('Missing required fields') || 
         error.message.includes('must be') ||
+        error.message.includes('Run verification failed') ||
+        error.message.includes('Invalid replay data') ||
+        error.message.includes('Unsupported replay format') ||
         error.message.includes('Difficulty must be') ||
+        error.message.includes('Profile hash must') ||
         error.message.includes('Name must be')) {
       statusCode = 400;
       errorMessage = error.message;
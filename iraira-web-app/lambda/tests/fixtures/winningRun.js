@@ -0,0 +1,82 @@
+const Replay = require('../../../src/Replay');
+
+// A winning run on easy, seed 7, 800x600: down around the first bend, then up and right along the corridor into the goal
+const WINNING_INPUTS = [
+  { tick: 0, direction: 'right' },
+  { tick: 25, direction: 'down' },
+  { tick: 80, direction: 'right' },
+  { tick: 189, direction: 'up' },
+  { tick: 238, direction: 'right' },
+  { tick: 357, direction: 'up' },
+  { tick: 404, direction: 'right' },
+  { tick: 489, direction: 'up' }
+];
+const WINNING_END_TICK = 495;
+const WINNING_TIME = Math.round(WINNING_END_TICK * 1000 / 60);
+
+/**
+ * Create the replay of the winning run
+ * @param {Object} overrides - Replay fields to replace (to build invalid runs)
+ * @returns {Replay} - Replay instance
+ */
+function createWinningReplay(overrides = {}) {
+  return new Replay({
+    seed: 7,
+    difficulty: 'easy',
+    tickRate: 60,
+    width: 800,
+    height: 600,
+    inputs: WINNING_INPUTS,
+    endTick: WINNING_END_TICK,
+    result: 'victory',
+    score: WINNING_TIME,
+    ...overrides
+  });
+}
+
+// A winning run on a custom difficulty profile (wide path, a single waypoint), seed 11:
+// right along the path, then zig-zag down into the goal
+const CUSTOM_PROFILE = { pathWidth: 120, characterSpeed: 4, waypointCount: 1, curveJitter: 0, wallThickness: 20 };
+const CUSTOM_PROFILE_HASH = '106585f5';
+const CUSTOM_INPUTS = [
+  { tick: 0, direction: 'right' },
+  { tick: 79, direction: 'down' },
+  { tick: 80, direction: 'right' },
+  { tick: 167, direction: 'down' },
+  { tick: 168, direction: 'right' },
+  { tick: 169, direction: 'down' },
+  { tick: 170, direction: 'right' },
+  { tick: 171, direction: 'down' },
+  { tick: 172, direction: 'right' },
+  { tick: 173, direction: 'down' }
+];
+const CUSTOM_END_TICK = 175;
+const CUSTOM_TIME = Math.round(CUSTOM_END_TICK * 1000 / 60);
+
+/**
+ * Create the replay of the winning custom difficulty run
+ * @param {Object} overrides - Replay fields to replace (to build invalid runs)
+ * @returns {Replay} - Replay instance
+ */
+function createCustomReplay(overrides = {}) {
+  return createWinningReplay({
+    seed: 11,
+    difficulty: 'custom',
+    profile: CUSTOM_PROFILE,
+    inputs: CUSTOM_INPUTS,
+    endTick: CUSTOM_END_TICK,
+    score: CUSTOM_TIME,
+    ...overrides
+  });
+}
+
+module.exports = {
+  createWinningReplay,
+  WINNING_END_TICK,
+  WINNING_TIME,
+  createCustomReplay,
+  CUSTOM_PROFILE,
+  CUSTOM_PROFILE_HASH,
+  CUSTOM_END_TICK,
+  CUSTOM_TIME
+};
@@ -217,6 +217,236 @@ describe('Get Leaderboard Lambda Function', () => {
     expect(responseBody.meta.limit).toBe(10); // Default limit
   });
 
+  test('should include the verified replay so runs can be raced as ghosts', async () => {
+    mockQuery.mockReturnValue({
+      promise: jest.fn().mockResolvedValue({
+        Items: [
+          { playerName: 'Fast', score: 7650, difficulty: 'easy', seed: 7, replay: 'eyJ2IjoxfQ==', timestamp: 1 },
+          { playerName: 'Legacy', score: 9000, difficulty: 'easy', timestamp: 2 }
+        ]
+      })
+    });
+
+    const response = await handler({
+      httpMethod: 'GET',
+      path: '/leaderboard',
+      queryStringParameters: { difficulty: 'easy' }
+    });
+
+    const responseBody = JSON.parse(response.body);
+    expect(responseBody.data[0].replay).toBe('eyJ2IjoxfQ==');
+    expect(responseBody.data[1]).not.toHaveProperty('replay');
+  });
+
+  test('should keep classic direct scores (including ones stored before modes and movement models existed) by default', async () => {
+    mockQuery.mockReturnValue({
+      promise: jest.fn().mockResolvedValue({
+        Items: [{ playerName: 'Legacy', score: 9000, difficulty: 'easy', timestamp: 2 }]
+      })
+    });
+
+    const response = await handler({
+      httpMethod: 'GET',
+      path: '/leaderboard',
+      queryStringParameters: { difficulty: 'easy' }
+    });
+
+    const queryCall = mockQuery.mock.calls[0][0];
+    expect(queryCall.FilterExpression).toBe(
+      '(attribute_not_exists(#mode) OR #mode = :mode) AND (attribute_not_exists(#movement) OR #movement = :movement)'
+    );
+    expect(queryCall.ExpressionAttributeNames).toEqual({ '#mode': 'mode', '#movement': 'movement' });
+    expect(queryCall.ExpressionAttributeValues[':mode']).toBe('classic');
+    expect(queryCall.ExpressionAttributeValues[':movement']).toBe('direct');
+
+    const responseBody = JSON.parse(response.body);
+    expect(responseBody.meta.mode).toBe('classic');
+    expect(responseBody.meta.movement).toBe('direct');
+    expect(responseBody.meta.scoreType).toBe('time');
+    expect(responseBody.data[0].mode).toBe('classic');
+    expect(responseBody.data[0].movement).toBe('direct');
+  });
+
+  test('should return a separate leaderboard for the lives mode', async () => {
+    mockQuery.mockReturnValue({
+      promise: jest.fn().mockResolvedValue({ Items: [] })
+    });
+
+    const response = await handler({
+      httpMethod: 'GET',
+      path: '/leaderboard',
+      queryStringParameters: { difficulty: 'easy', mode: 'lives' }
+    });
+
+    expect(response.statusCode).toBe(200);
+    const queryCall = mockQuery.mock.calls[0][0];
+    expect(queryCall.FilterExpression).toBe('(#mode = :mode) AND (attribute_not_exists(#movement) OR #movement = :movement)');
+    expect(queryCall.ExpressionAttributeValues).toEqual({ ':difficulty': 'easy', ':mode': 'lives', ':movement': 'direct' });
+    expect(JSON.parse(response.body).meta.mode).toBe('lives');
+  });
+
+  test('should return a separate leaderboard for the inertia movement model', async () => {
+    mockQuery.mockReturnValue({
+      promise: jest.fn().mockResolvedValue({
+        Items: [{ playerName: 'Drifter', score: 8100, difficulty: 'hard', mode: 'powerups', movement: 'inertia', timestamp: 1 }]
+      })
+    });
+
+    const response = await handler({
+      httpMethod: 'GET',
+      path: '/leaderboard',
+      queryStringParameters: { difficulty: 'hard', mode: 'powerups', movement: 'inertia' }
+    });
+
+    expect(response.statusCode).toBe(200);
+    const queryCall = mockQuery.mock.calls[0][0];
+    expect(queryCall.FilterExpression).toBe('(#mode = :mode) AND (#movement = :movement)');
+    expect(queryCall.ExpressionAttributeValues).toEqual({ ':difficulty': 'hard', ':mode': 'powerups', ':movement': 'inertia' });
+
+    const responseBody = JSON.parse(response.body);
+    expect(responseBody.meta.movement).toBe('inertia');
+    expect(responseBody.data[0].movement).toBe('inertia');
+  });
+
+  test('should return a separate leaderboard for each custom difficulty profile', async () => {
+    mockQuery.mockReturnValue({
+      promise: jest.fn().mockResolvedValue({
+        Items: [{ playerName: 'Tinkerer', score: 2900, difficulty: 'custom', profileHash: '106585f5', timestamp: 1 }]
+      })
+    });
+
+    const response = await handler({
+      httpMethod: 'GET',
+      path: '/leaderboard',
+      queryStringParameters: { difficulty: 'custom', profile: '106585f5' }
+    });
+
+    expect(response.statusCode).toBe(200);
+    const queryCall = mockQuery.mock.calls[0][0];
+    expect(queryCall.FilterExpression).toBe(
+      '(attribute_not_exists(#mode) OR #mode = :mode) AND (attribute_not_exists(#movement) OR #movement = :movement) ' +
+      'AND #profileHash = :profileHash'
+    );
+    expect(queryCall.ExpressionAttributeNames).toEqual({ '#mode': 'mode', '#movement': 'movement', '#profileHash': 'profileHash' });
+    expect(queryCall.ExpressionAttributeValues).toEqual({
+      ':difficulty': 'custom',
+      ':mode': 'classic',
+      ':movement': 'direct',
+      ':profileHash': '106585f5'
+    });
+
+    const responseBody = JSON.parse(response.body);
+    expect(responseBody.meta.profileHash).toBe('106585f5');
+    expect(responseBody.data[0].profileHash).toBe('106585f5');
+  });
+
+  test('should require a profile for the custom difficulty only', async () => {
+    for (const queryStringParameters of [
+      { difficulty: 'custom' },
+      { difficulty: 'custom', profile: 'not-a-hash' },
+      { difficulty: 'easy', profile: '106585f5' }
+    ]) {
+      const response = await handler({ httpMethod: 'GET', path: '/leaderboard', queryStringParameters });
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).message).toMatch(/^Profile parameter must/);
+    }
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  test('should reject an unknown mode', async () => {
+    const response = await handler({
+      httpMethod: 'GET',
+      path: '/leaderboard',
+      queryStringParameters: { difficulty: 'easy', mode: 'zen' }
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(mockQuery).not.toHaveBeenCalled();
+    expect(JSON.parse(response.body).message).toBe('Mode must be one of: classic, lives, endless, powerups');
+  });
+
+  test('should reject an unknown movement model', async () => {
+    const response = await handler({
+      httpMethod: 'GET',
+      path: '/leaderboard',
+      queryStringParameters: { difficulty: 'easy', movement: 'hover' }
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(mockQuery).not.toHaveBeenCalled();
+    expect(JSON.parse(response.body).message).toBe('Movement must be one of: direct, inertia');
+  });
+
+  test('should rank endless scores by the longest distance', async () => {
+    mockQuery.mockReturnValue({
+      promise: jest.fn().mockResolvedValue({
+        Items: [
+          { playerName: 'Short', score: 120, difficulty: 'easy', mode: 'endless', timestamp: 1 },
+          { playerName: 'Far', score: 860, difficulty: 'easy', mode: 'endless', timestamp: 2 },
+          { playerName: 'Middle', score: 455, difficulty: 'easy', mode: 'endless', timestamp: 3 }
+        ]
+      })
+    });
+
+    const response = await handler({
+      httpMethod: 'GET',
+      path: '/leaderboard',
+      queryStringParameters: { difficulty: 'easy', mode: 'endless' }
+    });
+
+    const responseBody = JSON.parse(response.body);
+    expect(mockQuery.mock.calls[0][0].ExpressionAttributeValues[':mode']).toBe('endless');
+    expect(responseBody.data.map(entry => entry.playerName)).toEqual(['Far', 'Middle', 'Short']);
+    expect(responseBody.meta.scoreType).toBe('distance');
+  });
+
+  test('should keep paging while the filter leaves fewer scores than the limit asks for', async () => {
+    // DynamoDB counts Limit before the filter: pages full of other modes come back empty
+    const endless = (playerName, score) => ({ playerName, score, difficulty: 'easy', mode: 'endless', timestamp: score });
+    const pages = [
+      { Items: [], LastEvaluatedKey: { difficulty: 'easy', timestamp: 20 } },
+      { Items: [endless('First', 300)], LastEvaluatedKey: { difficulty: 'easy', timestamp: 40 } },
+      { Items: [endless('Second', 500), endless('Third', 100)], LastEvaluatedKey: { difficulty: 'easy', timestamp: 60 } },
+      { Items: [endless('Furthest', 900)] }
+    ];
+    pages.forEach(page => {
+      mockQuery.mockReturnValueOnce({ promise: jest.fn().mockResolvedValue(page) });
+    });
+
+    const response = await handler({
+      httpMethod: 'GET',
+      path: '/leaderboard',
+      queryStringParameters: { difficulty: 'easy', mode: 'endless', limit: '1' }
+    });
+
+    // Fewer than limit * 10 scores match, so every page of the difficulty is read
+    expect(mockQuery).toHaveBeenCalledTimes(4);
+    expect(mockQuery.mock.calls[0][0]).not.toHaveProperty('ExclusiveStartKey');
+    expect(mockQuery.mock.calls[1][0].ExclusiveStartKey).toEqual({ difficulty: 'easy', timestamp: 20 });
+    expect(mockQuery.mock.calls[3][0].ExclusiveStartKey).toEqual({ difficulty: 'easy', timestamp: 60 });
+    expect(mockQuery.mock.calls.every(([params]) => params.Limit === 10)).toBe(true);
+    expect(JSON.parse(response.body).data.map(entry => entry.playerName)).toEqual(['Furthest']);
+  });
+
+  test('should stop paging once enough scores matched', async () => {
+    const classic = score => ({ playerName: `P${score}`, score, difficulty: 'easy', timestamp: score });
+    mockQuery.mockReturnValueOnce({
+      promise: jest.fn().mockResolvedValue({
+        Items: Array.from({ length: 10 }, (_, i) => classic(1000 + i)),
+        LastEvaluatedKey: { difficulty: 'easy', timestamp: 1009 }
+      })
+    });
+
+    const response = await handler({
+      httpMethod: 'GET',
+      path: '/leaderboard',
+      queryStringParameters: { difficulty: 'easy', limit: '1' }
+    });
+
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(response.body).data.map(entry => entry.score)).toEqual([1000]);
+  });
+
   test('should handle DynamoDB errors', async () => {
     mockQuery.mockReturnValue({
       promise: jest.fn().mockRejectedValue(new Error('DynamoDB error'))
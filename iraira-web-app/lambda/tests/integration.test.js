@@ -1,10 +1,18 @@
 const https = require('https');
 const { URL } = require('url');
+const { createWinningReplay, WINNING_TIME } = require('./fixtures/winningRun');
 
 // Configuration for integration tests
 const API_BASE_URL = process.env.API_ENDPOINT || 'https://rpxmv6a1kb.execute-api.ap-northeast-1.amazonaws.com/dev';
 const TEST_TIMEOUT = 30000; // 30 seconds
 
+// Scores are only accepted together with a replay that re-simulates to the same time
+const VERIFIED_RUN = {
+  score: WINNING_TIME,
+  difficulty: 'easy',
+  replay: createWinningReplay().serialize()
+};
+
 // Helper function to make HTTP requests
 function makeRequest(method, path, body = null) {
   return new Promise((resolve, reject) => {
@@ -65,8 +73,7 @@ describe('Backend API Integration Tests', () => {
     test('should successfully submit a valid score', async () => {
       const testScore = {
         playerName: 'IntegrationTest',
-        score: 12345,
-        difficulty: 'easy'
+        ...VERIFIED_RUN
       };
 
       const response = await makeRequest('POST', '/scores', testScore);
@@ -77,6 +84,19 @@ describe('Backend API Integration Tests', () => {
       expect(response.body.message).toMatch(/success/i);
     });
 
+    test('should reject a score that does not match its replay', async () => {
+      const forgedScore = {
+        playerName: 'IntegrationTest',
+        ...VERIFIED_RUN,
+        score: 1
+      };
+
+      const response = await makeRequest('POST', '/scores', forgedScore);
+      
+      expect(response.statusCode).toBe(400);
+      expect(response.body.message).toMatch(/Run verification failed/);
+    });
+
     test('should reject invalid score data', async () => {
       const invalidScore = {
         playerName: '', // Invalid: empty name
@@ -94,8 +114,7 @@ describe('Backend API Integration Tests', () => {
     test('should sanitize player names', async () => {
       const testScore = {
         playerName: 'Test<script>alert("xss")</script>User',
-        score: 5000,
-        difficulty: 'medium'
+        ...VERIFIED_RUN
       };
 
       const response = await makeRequest('POST', '/scores', testScore);
@@ -173,8 +192,7 @@ describe('Backend API Integration Tests', () => {
       // First submit a score to ensure there's data
       const testScore = {
         playerName: 'HistoryTestPlayer',
-        score: 7500,
-        difficulty: 'medium'
+        ...VERIFIED_RUN
       };
       
       await makeRequest('POST', '/scores', testScore);
@@ -265,9 +283,9 @@ describe('Backend API Integration Tests', () => {
     test('should complete full score submission and retrieval flow', async () => {
       const uniquePlayer = `E2ETest_${Date.now()}`;
       const testScores = [
-        { playerName: uniquePlayer, score: 1000, difficulty: 'easy' },
-        { playerName: uniquePlayer, score: 2000, difficulty: 'medium' },
-        { playerName: uniquePlayer, score: 1500, difficulty: 'easy' }
+        { playerName: uniquePlayer, ...VERIFIED_RUN },
+        { playerName: uniquePlayer, ...VERIFIED_RUN },
+        { playerName: uniquePlayer, ...VERIFIED_RUN }
       ];
 
       // Submit multiple scores
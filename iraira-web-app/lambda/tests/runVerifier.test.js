@@ -0,0 +1,354 @@
+const fc = require('fast-check');
+const { verifyRun, decodeReplay, MAX_RUN_TICKS } = require('../src/handlers/runVerifier');
+const {
+  createWinningReplay,
+  WINNING_END_TICK,
+  WINNING_TIME,
+  createCustomReplay,
+  CUSTOM_PROFILE,
+  CUSTOM_PROFILE_HASH,
+  CUSTOM_END_TICK
+} = require('./fixtures/winningRun');
+
+function claim(replay, overrides = {}) {
+  return {
+    replay: replay.serialize(),
+    score: replay.score,
+    difficulty: replay.difficulty,
+    seed: replay.seed,
+    ...overrides
+  };
+}
+
+describe('Run Verifier', () => {
+  test('should accept a run that reaches the goal in the claimed time', () => {
+    const replay = createWinningReplay();
+    const result = verifyRun(claim(replay));
+
+    expect(result.seed).toBe(7);
+    expect(result.tick).toBe(WINNING_END_TICK);
+    expect(result.time).toBe(WINNING_TIME);
+    expect(result.replay).toBe(replay.serialize());
+    expect(result.profileHash).toBe(null);
+  });
+
+  test('should take the seed from the replay when none is claimed', () => {
+    const result = verifyRun(claim(createWinningReplay(), { seed: null }));
+    expect(result.seed).toBe(7);
+  });
+
+  test('should reject a claimed time that differs from the simulated time', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 999999 }).filter(score => score !== WINNING_TIME),
+        (score) => {
+          expect(() => verifyRun(claim(createWinningReplay(), { score })))
+            .toThrow(`claimed time ${score}ms does not match simulated time ${WINNING_TIME}ms`);
+        }
+      ),
+      { numRuns: 20 }
+    );
+  });
+
+  test('should reject a run whose end tick is not where the goal was reached', () => {
+    const replay = createWinningReplay({ endTick: WINNING_END_TICK + 30 });
+    expect(() => verifyRun(claim(replay))).toThrow('does not match simulated time');
+  });
+
+  test('should reject a run that hits a wall', () => {
+    const replay = createWinningReplay({ inputs: [{ tick: 0, direction: 'left' }] });
+    expect(() => verifyRun(claim(replay))).toThrow('Run verification failed: hit a wall at tick 1');
+  });
+
+  test('should reject a run that never reaches the goal', () => {
+    const replay = createWinningReplay({ endTick: 200 });
+    expect(() => verifyRun(claim(replay))).toThrow('Run verification failed: never reached the goal');
+  });
+
+  describe('Lives mode', () => {
+    // Crashes into the left wall on the first tick, respawns at the start, then runs the winning route
+    const LIVES_INPUTS = [
+      { tick: 0, direction: 'left' },
+      { tick: 1, direction: 'right' },
+      { tick: 26, direction: 'down' },
+      { tick: 81, direction: 'right' },
+      { tick: 190, direction: 'up' },
+      { tick: 239, direction: 'right' },
+      { tick: 358, direction: 'up' },
+      { tick: 405, direction: 'right' },
+      { tick: 490, direction: 'up' }
+    ];
+    const LIVES_END_TICK = 496;
+    const LIVES_TIME = Math.round(LIVES_END_TICK * 1000 / 60) + 3000;
+
+    test('should accept a run that respawned and add the time penalty', () => {
+      const replay = createWinningReplay({
+        mode: 'lives',
+        inputs: LIVES_INPUTS,
+        endTick: LIVES_END_TICK,
+        score: LIVES_TIME
+      });
+      const result = verifyRun(claim(replay));
+
+      expect(result.mode).toBe('lives');
+      expect(result.tick).toBe(LIVES_END_TICK);
+      expect(result.time).toBe(LIVES_TIME);
+    });
+
+    test('should reject a lives run claiming the time without the penalty', () => {
+      const replay = createWinningReplay({
+        mode: 'lives',
+        inputs: LIVES_INPUTS,
+        endTick: LIVES_END_TICK,
+        score: Math.round(LIVES_END_TICK * 1000 / 60)
+      });
+      expect(() => verifyRun(claim(replay))).toThrow(`does not match simulated time ${LIVES_TIME}ms`);
+    });
+
+    test('should reject a lives run once the last life is lost', () => {
+      const replay = createWinningReplay({
+        mode: 'lives',
+        inputs: [{ tick: 0, direction: 'left' }, { tick: 1, direction: 'left' }, { tick: 2, direction: 'left' }]
+      });
+      expect(() => verifyRun(claim(replay))).toThrow('Run verification failed: hit a wall at tick 3');
+    });
+
+    test('classic runs should still end at the first wall touch', () => {
+      const replay = createWinningReplay({ inputs: LIVES_INPUTS, endTick: LIVES_END_TICK, score: LIVES_TIME });
+      expect(() => verifyRun(claim(replay))).toThrow('Run verification failed: hit a wall at tick 1');
+      expect(verifyRun(claim(createWinningReplay())).mode).toBe('classic');
+    });
+
+    test('should reject unknown modes', () => {
+      expect(() => verifyRun(claim(createWinningReplay({ mode: 'zen' }))))
+        .toThrow('Run verification failed: unsupported game mode');
+    });
+  });
+
+  describe('Endless mode', () => {
+    // Easy, seed 2: straight right until the corridor bends into the wall
+    const ENDLESS_END_TICK = 276;
+    const ENDLESS_DISTANCE = 55;
+
+    function createEndlessReplay(overrides = {}) {
+      return createWinningReplay({
+        seed: 2,
+        mode: 'endless',
+        inputs: [{ tick: 0, direction: 'right' }],
+        endTick: ENDLESS_END_TICK,
+        result: 'gameover',
+        score: ENDLESS_DISTANCE,
+        ...overrides
+      });
+    }
+
+    test('should accept a run that ends at a wall with the simulated distance', () => {
+      const replay = createEndlessReplay();
+      const result = verifyRun(claim(replay));
+
+      expect(result.mode).toBe('endless');
+      expect(result.tick).toBe(ENDLESS_END_TICK);
+      expect(result.distance).toBe(ENDLESS_DISTANCE);
+      expect(result.replay).toBe(replay.serialize());
+    });
+
+    test('should reject a claimed distance that differs from the simulated distance', () => {
+      const replay = createEndlessReplay({ score: ENDLESS_DISTANCE + 100 });
+      expect(() => verifyRun(claim(replay)))
+        .toThrow(`claimed distance ${ENDLESS_DISTANCE + 100}m does not match simulated distance ${ENDLESS_DISTANCE}m`);
+    });
+
+    test('should reject a run that does not end at a wall at the claimed tick', () => {
+      expect(() => verifyRun(claim(createEndlessReplay({ endTick: ENDLESS_END_TICK + 30 }))))
+        .toThrow('Run verification failed: endless run did not end at a wall at the claimed tick');
+      expect(() => verifyRun(claim(createEndlessReplay({ endTick: ENDLESS_END_TICK - 30 }))))
+        .toThrow('Run verification failed: endless run did not end at a wall at the claimed tick');
+    });
+
+    test('should reject endless runs that claim a victory', () => {
+      expect(() => verifyRun(claim(createEndlessReplay({ result: 'victory' }))))
+        .toThrow('Run verification failed: endless run did not end');
+    });
+  });
+
+  describe('Power-ups mode', () => {
+    // Custom profile, seed 11: right along the path through all four pickups
+    // (slow motion, time bonus, shield, shrink), stepping down twice to reach the lower ones
+    const POWER_UP_INPUTS = [
+      { tick: 0, direction: 'right' },
+      { tick: 144, direction: 'down' },
+      { tick: 151, direction: 'right' },
+      { tick: 221, direction: 'down' },
+      { tick: 224, direction: 'right' }
+    ];
+    const POWER_UP_END_TICK = 266;
+    // 3 s of slow motion only count half, and the time bonus takes 2 s off
+    const POWER_UP_TIME = 933;
+
+    function createPowerUpReplay(overrides = {}) {
+      return createCustomReplay({
+        mode: 'powerups',
+        inputs: POWER_UP_INPUTS,
+        endTick: POWER_UP_END_TICK,
+        score: POWER_UP_TIME,
+        ...overrides
+      });
+    }
+
+    test('should accept a run that collected power-ups with the simulated time', () => {
+      const result = verifyRun(claim(createPowerUpReplay(), { profileHash: CUSTOM_PROFILE_HASH }));
+
+      expect(result.mode).toBe('powerups');
+      expect(result.tick).toBe(POWER_UP_END_TICK);
+      expect(result.time).toBe(POWER_UP_TIME);
+    });
+
+    test('should reject a power-ups run claiming the time without the effects', () => {
+      const score = Math.round(POWER_UP_END_TICK * 1000 / 60);
+      expect(() => verifyRun(claim(createPowerUpReplay({ score }), { profileHash: CUSTOM_PROFILE_HASH })))
+        .toThrow(`does not match simulated time ${POWER_UP_TIME}ms`);
+    });
+
+    test('should score runs without pickups like classic runs', () => {
+      const result = verifyRun(claim(createWinningReplay({ mode: 'powerups' })));
+      expect(result.time).toBe(WINNING_TIME);
+    });
+  });
+
+  test('should verify runs that cut the corners diagonally', () => {
+    // Easy, seed 7: the winning route cutting the bends diagonally finishes earlier than the straight one
+    const inputs = [
+      { tick: 0, direction: 'right' },
+      { tick: 13, direction: 'down-right' },
+      { tick: 136, direction: 'up-right' },
+      { tick: 301, direction: 'right' },
+      { tick: 404, direction: 'up-right' }
+    ];
+    const time = Math.round(429 * 1000 / 60);
+    const result = verifyRun(claim(createWinningReplay({ inputs, endTick: 429, score: time })));
+
+    expect(result.tick).toBe(429);
+    expect(result.time).toBe(time);
+  });
+
+  describe('Inertia movement', () => {
+    // Easy, seed 7: the winning route with its turns shifted, as the character accelerates and drifts
+    const INERTIA_INPUTS = [
+      { tick: 0, direction: 'right' },
+      { tick: 31, direction: 'down' },
+      { tick: 80, direction: 'right' },
+      { tick: 187, direction: 'up' },
+      { tick: 248, direction: 'right' },
+      { tick: 403, direction: 'up' },
+      { tick: 436, direction: 'right' }
+    ];
+    const INERTIA_END_TICK = 478;
+    const INERTIA_TIME = Math.round(INERTIA_END_TICK * 1000 / 60);
+
+    function createInertiaReplay(overrides = {}) {
+      return createWinningReplay({
+        movement: 'inertia',
+        inputs: INERTIA_INPUTS,
+        endTick: INERTIA_END_TICK,
+        score: INERTIA_TIME,
+        ...overrides
+      });
+    }
+
+    test('should simulate the run with the difficulty inertia and tag it with the movement model', () => {
+      const result = verifyRun(claim(createInertiaReplay()));
+
+      expect(result.movement).toBe('inertia');
+      expect(result.tick).toBe(INERTIA_END_TICK);
+      expect(result.time).toBe(INERTIA_TIME);
+      expect(verifyRun(claim(createWinningReplay())).movement).toBe('direct');
+    });
+
+    test('should reject runs that only work with the other movement model', () => {
+      expect(() => verifyRun(claim(createInertiaReplay({ movement: 'direct' }))))
+        .toThrow('Run verification failed: hit a wall');
+      expect(() => verifyRun(claim(createWinningReplay({ movement: 'inertia' }))))
+        .toThrow('Run verification failed: hit a wall');
+    });
+
+    test('should reject unknown movement models', () => {
+      expect(() => verifyRun(claim(createInertiaReplay({ movement: 'hover' }))))
+        .toThrow('Run verification failed: unsupported movement model');
+    });
+  });
+
+  describe('Custom difficulty', () => {
+    test('should simulate the run with the profile and tag it with the profile hash', () => {
+      const replay = createCustomReplay();
+      const result = verifyRun(claim(replay, { profileHash: CUSTOM_PROFILE_HASH }));
+
+      expect(result.tick).toBe(CUSTOM_END_TICK);
+      expect(result.profileHash).toBe(CUSTOM_PROFILE_HASH);
+      expect(result.profile).toEqual(CUSTOM_PROFILE);
+    });
+
+    test('should reject a profile hash that does not match the replay', () => {
+      const replay = createCustomReplay();
+      expect(() => verifyRun(claim(replay)))
+        .toThrow('Run verification failed: difficulty profile does not match the replay');
+      expect(() => verifyRun(claim(replay, { profileHash: '00000000' })))
+        .toThrow('Run verification failed: difficulty profile does not match the replay');
+
+      // The same inputs on another profile are a different level
+      const wider = createCustomReplay({ profile: { ...CUSTOM_PROFILE, pathWidth: 121 } });
+      expect(() => verifyRun(claim(wider, { profileHash: CUSTOM_PROFILE_HASH })))
+        .toThrow('Run verification failed: difficulty profile does not match the replay');
+    });
+
+    test('should reject invalid profiles and profiles on preset difficulties', () => {
+      const invalid = createCustomReplay({ profile: { ...CUSTOM_PROFILE, pathWidth: 5 } });
+      expect(() => verifyRun(claim(invalid, { profileHash: CUSTOM_PROFILE_HASH })))
+        .toThrow('Run verification failed: invalid difficulty profile');
+
+      expect(() => verifyRun(claim(createCustomReplay({ profile: null }), { profileHash: CUSTOM_PROFILE_HASH })))
+        .toThrow('Run verification failed: invalid difficulty profile');
+
+      const preset = createWinningReplay({ profile: CUSTOM_PROFILE });
+      expect(() => verifyRun(claim(preset, { profileHash: CUSTOM_PROFILE_HASH })))
+        .toThrow('Run verification failed: invalid difficulty profile');
+    });
+  });
+
+  test('should reject runs on hand-authored levels', () => {
+    const replay = createWinningReplay({ layout: [{ x: 0.0625, y: 0.5 }, { x: 0.9375, y: 0.5 }] });
+    expect(() => verifyRun(claim(replay))).toThrow('Run verification failed: hand-authored levels are not ranked');
+  });
+
+  test('should reject runs continued from a saved state', () => {
+    const replay = createWinningReplay({ resumed: true });
+    expect(() => verifyRun(claim(replay))).toThrow('Run verification failed: resumed runs are not ranked');
+  });
+
+  test('should reject runs that did not end in victory', () => {
+    const replay = createWinningReplay({ result: 'gameover' });
+    expect(() => verifyRun(claim(replay))).toThrow('Run verification failed: run did not reach the goal');
+  });
+
+  test('should reject a seed or difficulty that does not match the replay', () => {
+    const replay = createWinningReplay();
+    expect(() => verifyRun(claim(replay, { seed: 8 })))
+      .toThrow('Run verification failed: seed does not match the replay');
+    expect(() => verifyRun(claim(replay, { difficulty: 'hard' })))
+      .toThrow('Run verification failed: difficulty does not match the replay');
+  });
+
+  test('should reject replays outside the supported limits', () => {
+    expect(() => verifyRun(claim(createWinningReplay({ tickRate: 120 }))))
+      .toThrow('Run verification failed: tick rate must be 60');
+    expect(() => verifyRun(claim(createWinningReplay({ width: 100000 }))))
+      .toThrow('Run verification failed: invalid canvas size');
+    expect(() => verifyRun(claim(createWinningReplay({ endTick: MAX_RUN_TICKS + 1 }))))
+      .toThrow('Run verification failed: invalid run length');
+  });
+
+  test('should reject missing or malformed replays', () => {
+    expect(() => decodeReplay(undefined)).toThrow('Replay is required and must be a string');
+    expect(() => decodeReplay('x'.repeat(100001))).toThrow('Replay must be at most 100000 characters');
+    expect(() => decodeReplay('not a replay')).toThrow('Invalid replay data: cannot decode');
+  });
+});
@@ -7,6 +7,12 @@ AWS.DynamoDB.DocumentClient = jest.fn(() => ({
   put: mockPut
 }));
 
+// Run verification is covered by runVerifier.test.js - here every run is accepted as claimed
+const mockVerifyRun = jest.fn();
+jest.mock('../src/handlers/runVerifier', () => ({
+  verifyRun: (...args) => mockVerifyRun(...args)
+}));
+
 const { handler } = require('../src/handlers/submitScore');
 
 describe('Submit Score Lambda Function', () => {
@@ -15,6 +21,13 @@ describe('Submit Score Lambda Function', () => {
     mockPut.mockReturnValue({
       promise: jest.fn().mockResolvedValue({})
     });
+    mockVerifyRun.mockImplementation(({ replay, score, seed }) => ({
+      seed: seed !== null ? seed : 1,
+      mode: 'classic',
+      tick: Math.round(score * 60 / 1000),
+      time: score,
+      replay
+    }));
     
     // Set environment variables
     process.env.TABLE_NAME = 'test-scores-table';
@@ -195,4 +208,161 @@ describe('Submit Score Lambda Function', () => {
       { numRuns: 100 }
     );
   });
-});
\ No newline at end of file
+
+  test('should store the level seed with the score', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/scores',
+      body: JSON.stringify({ playerName: 'Seeder', score: 1500, difficulty: 'easy', seed: 123456 }),
+      headers: { 'Content-Type': 'application/json' }
+    };
+
+    const response = await handler(event);
+
+    expect(response.statusCode).toBe(200);
+    expect(mockPut.mock.calls[0][0].Item.seed).toBe(123456);
+    expect(JSON.parse(response.body).data.seed).toBe(123456);
+  });
+
+  test('should reject an invalid level seed', async () => {
+    for (const seed of [-1, 1.5, 0x100000000, 'abc']) {
+      jest.clearAllMocks();
+
+      const event = {
+        httpMethod: 'POST',
+        path: '/scores',
+        body: JSON.stringify({ playerName: 'Seeder', score: 1500, difficulty: 'easy', seed }),
+        headers: { 'Content-Type': 'application/json' }
+      };
+
+      const response = await handler(event);
+
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).message).toBe('Seed must be an unsigned 32-bit integer');
+      expect(mockPut).not.toHaveBeenCalled();
+    }
+  });
+
+  test('should require a profile hash for the custom difficulty only', async () => {
+    const submitWith = body => handler({
+      httpMethod: 'POST',
+      path: '/scores',
+      body: JSON.stringify({ playerName: 'Tinkerer', score: 1500, ...body }),
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    for (const profileHash of [undefined, 'abc', '106585F5', 12345678]) {
+      const response = await submitWith({ difficulty: 'custom', profileHash });
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).message)
+        .toBe('Profile hash must be 8 lowercase hex digits for custom difficulty');
+    }
+
+    const presetResponse = await submitWith({ difficulty: 'easy', profileHash: '106585f5' });
+    expect(presetResponse.statusCode).toBe(400);
+    expect(JSON.parse(presetResponse.body).message).toBe('Profile hash must only be sent for custom difficulty');
+    expect(mockPut).not.toHaveBeenCalled();
+  });
+});
+
+describe('Submit Score Run Verification', () => {
+  const { createWinningReplay } = require('./fixtures/winningRun');
+  const { verifyRun } = jest.requireActual('../src/handlers/runVerifier');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPut.mockReturnValue({
+      promise: jest.fn().mockResolvedValue({})
+    });
+    mockVerifyRun.mockImplementation(verifyRun);
+  });
+
+  const replay = createWinningReplay();
+
+  function submit(body) {
+    return handler({
+      httpMethod: 'POST',
+      path: '/scores',
+      body: JSON.stringify(body),
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  test('should store a verified run together with its replay', async () => {
+    const response = await submit({ playerName: 'Runner', score: 8250, difficulty: 'easy', replay: replay.serialize() });
+
+    expect(response.statusCode).toBe(200);
+    const storedItem = mockPut.mock.calls[0][0].Item;
+    expect(storedItem.score).toBe(8250);
+    expect(storedItem.seed).toBe(7);
+    expect(storedItem.replay).toBe(replay.serialize());
+  });
+
+  test('should store a verified custom run with its profile', async () => {
+    const { createCustomReplay, CUSTOM_PROFILE, CUSTOM_PROFILE_HASH, CUSTOM_TIME } = require('./fixtures/winningRun');
+    const response = await submit({
+      playerName: 'Tinkerer',
+      score: CUSTOM_TIME,
+      difficulty: 'custom',
+      profileHash: CUSTOM_PROFILE_HASH,
+      replay: createCustomReplay().serialize()
+    });
+
+    expect(response.statusCode).toBe(200);
+    const storedItem = mockPut.mock.calls[0][0].Item;
+    expect(storedItem.difficulty).toBe('custom');
+    expect(storedItem.profileHash).toBe(CUSTOM_PROFILE_HASH);
+    expect(storedItem.profile).toEqual(CUSTOM_PROFILE);
+    expect(JSON.parse(response.body).data.profileHash).toBe(CUSTOM_PROFILE_HASH);
+
+    // Preset runs are stored exactly as before
+    await submit({ playerName: 'Runner', score: 8250, difficulty: 'easy', replay: replay.serialize() });
+    expect(mockPut.mock.calls[1][0].Item).not.toHaveProperty('profileHash');
+  });
+
+  test('should store the movement model of inertia runs only', async () => {
+    const inertiaReplay = createWinningReplay({
+      movement: 'inertia',
+      inputs: [
+        { tick: 0, direction: 'right' }, { tick: 31, direction: 'down' }, { tick: 80, direction: 'right' },
+        { tick: 187, direction: 'up' }, { tick: 248, direction: 'right' }, { tick: 403, direction: 'up' },
+        { tick: 436, direction: 'right' }
+      ],
+      endTick: 478,
+      score: 7967
+    });
+    const response = await submit({ playerName: 'Drifter', score: 7967, difficulty: 'easy', replay: inertiaReplay.serialize() });
+
+    expect(response.statusCode).toBe(200);
+    expect(mockPut.mock.calls[0][0].Item.movement).toBe('inertia');
+    expect(JSON.parse(response.body).data.movement).toBe('inertia');
+
+    // Direct runs are stored exactly as before
+    await submit({ playerName: 'Runner', score: 8250, difficulty: 'easy', replay: replay.serialize() });
+    expect(mockPut.mock.calls[1][0].Item).not.toHaveProperty('movement');
+  });
+
+  test('should reject a forged score', async () => {
+    const response = await submit({ playerName: 'Cheater', score: 1, difficulty: 'easy', replay: replay.serialize() });
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message)
+      .toBe('Run verification failed: claimed time 1ms does not match simulated time 8250ms');
+    expect(mockPut).not.toHaveBeenCalled();
+  });
+
+  test('should reject a score without a replay', async () => {
+    const response = await submit({ playerName: 'Cheater', score: 1, difficulty: 'easy' });
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toBe('Replay is required and must be a string');
+    expect(mockPut).not.toHaveBeenCalled();
+  });
+
+  test('should reject an undecodable replay', async () => {
+    const response = await submit({ playerName: 'Cheater', score: 1, difficulty: 'easy', replay: '%%%' });
+
+    expect(response.statusCode).toBe(400);
+    expect(mockPut).not.toHaveBeenCalled();
+  });
+});
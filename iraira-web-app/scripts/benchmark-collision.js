@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * 壁との衝突判定のベンチマーク
+ * 大きなレベルでCollisionDetectorの1回の判定にかかる時間を、
+ * グリッドによる広域判定あり（現在）となし（全ての壁を調べる、以前の方式）で比較する
+ *
+ * 使い方: node scripts/benchmark-collision.js [判定回数]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const sourceDir = path.join(__dirname, '..', 'src');
+const CHECKS = Number(process.argv[2]) || 20000;
+
+/**
+ * ブラウザ用のゲームモジュールを読み込む
+ * srcのモジュールはブラウザのグローバルとCommonJSの両方に対応した形式のため、
+ * module/requireを渡して評価する（このパッケージはESMなのでrequireできない）
+ * @param {string} name - モジュール名（例: 'CollisionDetector'）
+ * @returns {Function} モジュールのエクスポート
+ */
+const loaded = {};
+function loadGameModule(name) {
+  if (!loaded[name]) {
+    const module = { exports: {} };
+    const source = fs.readFileSync(path.join(sourceDir, `${name}.js`), 'utf8');
+    new Function('module', 'require', source)(module, request => loadGameModule(path.basename(request, '.js')));
+    loaded[name] = module.exports;
+  }
+  return loaded[name];
+}
+
+const LevelGenerator = loadGameModule('LevelGenerator');
+const CollisionDetector = loadGameModule('CollisionDetector');
+const Character = loadGameModule('Character');
+
+/**
+ * 通路に沿って壁ブロックを並べたレベル（折れ線の壁を使う前の方式、ブロックの数が多い）
+ * @param {LevelGenerator} generator - 生成済みのレベル
+ * @returns {Array<Object>} 壁
+ */
+function createBlockWalls(generator) {
+  const walls = generator.getWalls().filter(wall => !wall.points);
+  const path = generator.getPath();
+  const offset = generator.getPathWidth() / 2 + generator.settings.wallThickness / 2;
+  const size = generator.settings.wallThickness;
+  for (let i = 0; i < path.length - 1; i++) {
+    const dx = path[i + 1].x - path[i].x;
+    const dy = path[i + 1].y - path[i].y;
+    const length = Math.hypot(dx, dy);
+    if (length > 0) {
+      [1, -1].forEach(side => {
+        walls.push({
+          x: path[i].x - dy / length * offset * side - size / 2,
+          y: path[i].y + dx / length * offset * side - size / 2,
+          width: size,
+          height: size
+        });
+      });
+    }
+  }
+  return walls;
+}
+
+/**
+ * ベンチマークするレベル
+ */
+function createLevels() {
+  const levels = [];
+
+  const normal = new LevelGenerator(800, 600, 'hard');
+  normal.generate(7);
+  levels.push({ name: 'hard 800x600', generator: normal, walls: normal.getWalls() });
+
+  const large = new LevelGenerator(4000, 3000, 'custom', {
+    pathWidth: 40, characterSpeed: 4, waypointCount: 8, curveJitter: 120, wallThickness: 10
+  });
+  large.generate(7);
+  levels.push({ name: 'custom 4000x3000', generator: large, walls: large.getWalls() });
+  levels.push({ name: 'custom 4000x3000 (wall blocks)', generator: large, walls: createBlockWalls(large) });
+
+  return levels;
+}
+
+/**
+ * 通路に沿ってキャラクターを動かしながら判定にかかる時間を計測
+ * @param {Object} level - レベル
+ * @param {boolean} broadphase - グリッドを使う場合true
+ * @returns {{microseconds: number, collisions: number}} 1回あたりの時間と衝突した回数
+ */
+function measure(level, broadphase) {
+  const path = level.generator.getPath();
+  const character = new Character(0, 0, 10);
+  const detector = new CollisionDetector(character, level.walls, null);
+  if (!broadphase) {
+    detector.wallGrid = null;
+  }
+
+  let collisions = 0;
+  const run = count => {
+    for (let i = 0; i < count; i++) {
+      const point = path[i % path.length];
+      character.reset(point.x - 5 + (i % 7) - 3, point.y - 5);
+      character.setDirection('right');
+      character.update(4);
+      if (detector.checkWallCollision()) {
+        collisions++;
+      }
+    }
+  };
+
+  // JITのウォームアップ
+  run(Math.min(CHECKS, 2000));
+  collisions = 0;
+
+  const start = process.hrtime.bigint();
+  run(CHECKS);
+  const elapsed = Number(process.hrtime.bigint() - start) / 1000;
+  return { microseconds: elapsed / CHECKS, collisions };
+}
+
+console.log(`⏱️  壁との衝突判定 ${CHECKS}回の平均（μs/回）`);
+createLevels().forEach(level => {
+  const shapes = CollisionDetector.getWallShapes(level.walls);
+  const before = measure(level, false);
+  const after = measure(level, true);
+  if (before.collisions !== after.collisions) {
+    throw new Error(`${level.name}: the broadphase changed the result (${before.collisions} / ${after.collisions} collisions)`);
+  }
+
+  console.log(`\n${level.name}: 壁${level.walls.length}個（線分${shapes.segments.length}本）`);
+  console.log(`  広域判定なし: ${before.microseconds.toFixed(2)} μs`);
+  console.log(`  広域判定あり: ${after.microseconds.toFixed(2)} μs（${(before.microseconds / after.microseconds).toFixed(1)}倍）`);
+});
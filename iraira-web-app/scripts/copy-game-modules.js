@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * ゲームロジックのモジュールをLambdaパッケージにコピーするスクリプト
+ * submitScoreのプレイ検証はブラウザと同じGameManagerをヘッドレスで動かして
+ * リプレイを再生するため、SAMのCodeUri配下に同じソースを配置する
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// プレイ検証で使用するモジュール（Node.js用のエントリーと、ヘッドレスのGameManagerが読み込むモジュール）
+const GAME_MODULES = [
+  'headless.cjs',
+  'GameManager.js',
+  'EventEmitter.js',
+  'SeededRandom.js',
+  'LevelGenerator.js',
+  'Obstacle.js',
+  'Hazard.js',
+  'Character.js',
+  'CollisionDetector.js',
+  'CheckpointTracker.js',
+  'PowerUpTracker.js',
+  'Replay.js'
+];
+
+const sourceDir = path.join(__dirname, '..', 'src');
+const targetDir = path.join(__dirname, '..', 'lambda', 'src', 'handlers', 'game');
+
+/**
+ * ゲームモジュールをコピー
+ */
+function copyGameModules() {
+  fs.rmSync(targetDir, { recursive: true, force: true });
+  fs.mkdirSync(targetDir, { recursive: true });
+
+  GAME_MODULES.forEach(file => {
+    fs.copyFileSync(path.join(sourceDir, file), path.join(targetDir, file));
+  });
+
+  console.log(`📁 ゲームモジュールをコピーしました: ${GAME_MODULES.join(', ')}`);
+}
+
+// 直接実行された場合
+if (import.meta.url === `file://${process.argv[1]}`) {
+  copyGameModules();
+}
+
+export { copyGameModules };
@@ -8,6 +8,7 @@
 import { execSync } from 'child_process';
 import path from 'path';
 import { loadEnv } from './load-env.js';
+import { copyGameModules } from './copy-game-modules.js';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -32,6 +33,9 @@ try {
   // Lambda ディレクトリに移動
   process.chdir(lambdaDir);
   
+  // プレイ検証用のゲームロジックをLambdaパッケージに含める
+  copyGameModules();
+  
   console.log('🔨 SAM build を実行中...');
   execSync('sam build', { stdio: 'inherit' });
   
@@ -2,6 +2,7 @@ import http from 'http';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import RaceRoomServer from './server/RaceRoomServer.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -46,7 +47,12 @@ const server = http.createServer((req, res) => {
   });
 });
 
+// オンライン対戦の部屋サーバー（WebSocket、同じポートの /race）
+// Online race rooms (WebSocket on /race of the same port)
+new RaceRoomServer({ server, path: '/race' });
+
 server.listen(PORT, () => {
   console.log(`開発サーバーが起動しました / Development server running at http://localhost:${PORT}/`);
+  console.log(`オンライン対戦 / Online race rooms at ws://localhost:${PORT}/race`);
   console.log(`Ctrl+C で停止 / Press Ctrl+C to stop`);
 });
@@ -0,0 +1,464 @@
+/**
+ * RaceRoom - オンライン対戦の1部屋分の状態（参加者・カウントダウン・順位）を管理する
+ *
+ * 部屋の状態は 'lobby'（参加受付中）→ 'countdown' → 'racing' → 'results'（結果発表後は再戦を受付）。
+ * 全員に同じシード値とサーバー主導のカウントダウンを送り、各クライアントの
+ * 状態スナップショットを他の参加者に中継する。ゴールタイムはクライアントの
+ * ティック数から計算されるため、通信の遅延で順位が変わることはない。
+ * 報告されたティック数は、サーバーが'go'を送ってから経過した時間と、それまでに
+ * 受け取ったスナップショットのティック数に照らして検証する。
+ * 接続（WebSocket）には依存せず、参加者ごとの送信関数だけを受け取る。
+ */
+
+// ゲームと同じ固定ティックレート（タイム = ティック数 × 1000 / TICK_RATE）
+const TICK_RATE = 60;
+
+// 対戦できる難易度（カスタム難易度・手作りコースは対象外）
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'super-hard'];
+
+// 状態スナップショットで中継できる方向（Character.DIRECTIONSと同じ、斜めを含む8方向）
+const DIRECTIONS = ['up', 'down', 'left', 'right', 'up-left', 'up-right', 'down-left', 'down-right'];
+
+export default class RaceRoom {
+  /**
+   * コンストラクタ
+   * @param {string} code - 部屋コード（RaceRoom.normalizeCode()で正規化済み）
+   * @param {Object} options - オプション
+   * @param {Function} options.setTimeout - タイマー（テスト用、デフォルト: グローバルのsetTimeout）
+   * @param {Function} options.clearTimeout - タイマーの解除（テスト用）
+   * @param {Function} options.random - シード値の生成に使う乱数（0〜1、デフォルト: Math.random）
+   * @param {Function} options.now - 現在時刻（ミリ秒、テスト用、デフォルト: Date.now）
+   */
+  constructor(code, options = {}) {
+    this.code = code;
+    this.setTimeout = options.setTimeout || setTimeout;
+    this.clearTimeout = options.clearTimeout || clearTimeout;
+    this.random = options.random || Math.random;
+    this.now = options.now || Date.now;
+
+    // 参加者（参加順、先頭がホスト）
+    this.players = [];
+    this.state = 'lobby';
+    this.seed = null;
+    this.difficulty = null;
+    this.timer = null;
+    // 'go'を送った時刻（レースの経過時間の基準）
+    this.startedAt = null;
+  }
+
+  /**
+   * 参加者を追加
+   * @param {number} id - 接続ごとのプレイヤーID
+   * @param {string} name - プレイヤー名
+   * @param {Function} send - 参加者にメッセージを送る関数
+   * @throws {Error} 満員またはレース中の場合
+   */
+  addPlayer(id, name, send) {
+    if (this.state === 'countdown' || this.state === 'racing') {
+      throw new Error('Race already in progress');
+    }
+
+    if (this.players.length >= RaceRoom.MAX_PLAYERS) {
+      throw new Error(`Room is full (at most ${RaceRoom.MAX_PLAYERS} players)`);
+    }
+
+    this.players.push({ id, name, send, status: 'waiting', tick: null, time: null, lastTick: 0 });
+    send({ type: 'joined', room: this.code, playerId: id, players: this.getPlayerList() });
+    this._broadcastPlayers();
+  }
+
+  /**
+   * 参加者を削除（切断・退出時）
+   * レース中に抜けた参加者は途中棄権として扱う
+   * @param {number} id - プレイヤーID
+   */
+  removePlayer(id) {
+    const player = this._getPlayer(id);
+    if (!player) {
+      return;
+    }
+
+    this.players = this.players.filter(other => other !== player);
+    if (this.players.length === 0) {
+      this._clearTimer();
+      return;
+    }
+
+    if (this.state === 'countdown' && this.players.length < RaceRoom.MIN_PLAYERS) {
+      // 相手がいなくなったらカウントダウンを中止して受付に戻す
+      this._clearTimer();
+      this.state = 'lobby';
+      this.players.forEach(other => {
+        other.status = 'waiting';
+      });
+    }
+
+    this._broadcastPlayers();
+    if (this.state === 'racing') {
+      this._checkRaceEnd();
+    }
+  }
+
+  /**
+   * 部屋が空かを取得
+   * @returns {boolean} 参加者がいない場合true
+   */
+  isEmpty() {
+    return this.players.length === 0;
+  }
+
+  /**
+   * 参加者からのメッセージを処理
+   * @param {number} id - プレイヤーID
+   * @param {Object} message - 受信したメッセージ（type: 'start'・'state'・'finish'・'crash'）
+   * @throws {Error} 不正なメッセージの場合
+   */
+  handleMessage(id, message) {
+    const player = this._getPlayer(id);
+    if (!player) {
+      throw new Error('Not in this room');
+    }
+
+    switch (message.type) {
+      case 'start':
+        this.startRace(id, message.difficulty);
+        break;
+      case 'state':
+        this._relayState(player, message);
+        break;
+      case 'finish':
+        this._finish(player, message);
+        break;
+      case 'crash':
+        this._crash(player, message);
+        break;
+      default:
+        throw new Error(`Unknown message type: ${message.type}`);
+    }
+  }
+
+  /**
+   * レースを開始（ホストのみ）
+   * 新しいシード値を決めて全員に送り、1秒ごとにカウントダウンしてから'go'を送る
+   * @param {number} id - 開始を要求したプレイヤーID
+   * @param {string} difficulty - 難易度
+   * @throws {Error} ホスト以外・人数不足・レース中・不正な難易度の場合
+   */
+  startRace(id, difficulty) {
+    if (!this.players.length || this.players[0].id !== id) {
+      throw new Error('Only the host can start the race');
+    }
+
+    if (this.state === 'countdown' || this.state === 'racing') {
+      throw new Error('Race already in progress');
+    }
+
+    if (this.players.length < RaceRoom.MIN_PLAYERS) {
+      throw new Error(`At least ${RaceRoom.MIN_PLAYERS} players are needed to race`);
+    }
+
+    if (!DIFFICULTIES.includes(difficulty)) {
+      throw new Error(`Difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+    }
+
+    this.state = 'countdown';
+    this.seed = Math.floor(this.random() * 0x100000000) >>> 0;
+    this.difficulty = difficulty;
+    this.players.forEach(player => {
+      player.status = 'racing';
+      player.tick = null;
+      player.time = null;
+      player.lastTick = 0;
+    });
+
+    this._broadcast({
+      type: 'race',
+      seed: this.seed,
+      difficulty: this.difficulty,
+      countdown: RaceRoom.COUNTDOWN_SECONDS,
+      players: this.getPlayerList()
+    });
+    this._countdown(RaceRoom.COUNTDOWN_SECONDS);
+  }
+
+  /**
+   * 参加者の一覧を取得（送信関数を除く）
+   * @returns {Array<{id: number, name: string, host: boolean, status: string, time: number|null}>}
+   *   参加順の一覧（status: 'waiting'・'racing'・'finished'・'crashed'・'dnf'（時間切れ））
+   */
+  getPlayerList() {
+    return this.players.map((player, index) => ({
+      id: player.id,
+      name: player.name,
+      host: index === 0,
+      status: player.status,
+      time: player.time
+    }));
+  }
+
+  /**
+   * 順位を取得
+   * ゴールした参加者がタイム順、続いて壁に触れた参加者が長く走った順、最後に時間切れの参加者
+   * @returns {Array<{rank: number, id: number, name: string, status: string, time: number|null}>} 順位表
+   */
+  getResults() {
+    const order = { finished: 0, crashed: 1, dnf: 2 };
+    return this.players
+      .slice()
+      .sort((a, b) => {
+        if (a.status !== b.status) {
+          return order[a.status] - order[b.status];
+        }
+        return a.status === 'finished' ? a.time - b.time : (b.tick || 0) - (a.tick || 0);
+      })
+      .map((player, index) => ({
+        rank: index + 1,
+        id: player.id,
+        name: player.name,
+        status: player.status,
+        time: player.time
+      }));
+  }
+
+  /**
+   * 部屋のタイマーを止める（サーバー停止時）
+   */
+  destroy() {
+    this._clearTimer();
+  }
+
+  /**
+   * カウントダウンを1秒ずつ進め、0になったらレースを開始
+   * @private
+   * @param {number} remaining - 残り秒数
+   */
+  _countdown(remaining) {
+    if (remaining === 0) {
+      this.state = 'racing';
+      this.startedAt = this.now();
+      this._broadcast({ type: 'go' });
+      // 誰もゴールも脱落もしないまま部屋が止まらないよう時間切れを設ける
+      this.timer = this.setTimeout(() => this._timeOut(), RaceRoom.MAX_RACE_TIME);
+      return;
+    }
+
+    this._broadcast({ type: 'countdown', remaining });
+    this.timer = this.setTimeout(() => this._countdown(remaining - 1), 1000);
+  }
+
+  /**
+   * 状態スナップショット（位置と方向）を他の参加者に中継
+   * @private
+   * @param {Object} player - 送信した参加者
+   * @param {Object} message - { tick, x, y, direction }
+   */
+  _relayState(player, message) {
+    if (this.state !== 'racing' || player.status !== 'racing') {
+      return;
+    }
+
+    const { tick, x, y, direction } = message;
+    if (!Number.isInteger(tick) || tick < 0 || !Number.isFinite(x) || !Number.isFinite(y) ||
+        (direction !== null && !DIRECTIONS.includes(direction))) {
+      throw new Error('Invalid state snapshot');
+    }
+
+    this._checkTick(player, tick);
+    player.lastTick = tick;
+    this._broadcast({ type: 'state', playerId: player.id, tick, x, y, direction }, player);
+  }
+
+  /**
+   * ゴールを記録
+   * @private
+   * @param {Object} player - ゴールした参加者
+   * @param {Object} message - { tick, time }（timeはティック数から計算した値と一致する必要がある）
+   */
+  _finish(player, message) {
+    if (this.state !== 'racing' || player.status !== 'racing') {
+      return;
+    }
+
+    const { tick, time } = message;
+    if (!Number.isInteger(tick) || tick < 1 || time !== Math.round(tick * 1000 / TICK_RATE)) {
+      throw new Error('Finish time does not match the finish tick');
+    }
+
+    this._checkTick(player, tick);
+    // 実際より早いゴールを後から報告できないよう、ゴールの報告はすぐに届く必要がある
+    if (tick < this._elapsedTicks(-RaceRoom.MAX_FINISH_DELAY)) {
+      throw new Error('Finish tick is behind the race clock');
+    }
+
+    player.status = 'finished';
+    player.tick = tick;
+    player.time = time;
+    this._broadcastPlayers();
+    this._checkRaceEnd();
+  }
+
+  /**
+   * 壁に触れた参加者を記録
+   * @private
+   * @param {Object} player - 壁に触れた参加者
+   * @param {Object} message - { tick }
+   */
+  _crash(player, message) {
+    if (this.state !== 'racing' || player.status !== 'racing') {
+      return;
+    }
+
+    if (!Number.isInteger(message.tick) || message.tick < 0) {
+      throw new Error('Invalid crash tick');
+    }
+
+    this._checkTick(player, message.tick);
+
+    player.status = 'crashed';
+    player.tick = message.tick;
+    this._broadcastPlayers();
+    this._checkRaceEnd();
+  }
+
+  /**
+   * 報告されたティック数をレースの経過時間とスナップショットに照らして検証
+   * クライアントは'go'を受け取ってから走り始めるため、サーバーの経過時間より多く走ることはない
+   * @private
+   * @param {Object} player - 報告した参加者
+   * @param {number} tick - 報告されたティック数
+   * @throws {Error} 経過時間より先のティック数、またはスナップショットより前のティック数の場合
+   */
+  _checkTick(player, tick) {
+    if (tick > this._elapsedTicks(RaceRoom.CLOCK_TOLERANCE)) {
+      throw new Error('Tick is ahead of the race clock');
+    }
+
+    if (tick < player.lastTick) {
+      throw new Error('Tick is behind the last state snapshot');
+    }
+  }
+
+  /**
+   * 'go'を送ってからの経過ティック数
+   * @private
+   * @param {number} margin - 経過時間に加えるミリ秒
+   * @returns {number} ティック数
+   */
+  _elapsedTicks(margin = 0) {
+    return Math.floor((this.now() - this.startedAt + margin) * TICK_RATE / 1000);
+  }
+
+  /**
+   * 全員がゴールまたは脱落したら結果を発表
+   * @private
+   */
+  _checkRaceEnd() {
+    if (this.players.some(player => player.status === 'racing')) {
+      return;
+    }
+
+    this._clearTimer();
+    this.state = 'results';
+    this._broadcast({ type: 'results', results: this.getResults() });
+  }
+
+  /**
+   * 時間切れ - 走行中の参加者を時間切れにして結果を発表
+   * @private
+   */
+  _timeOut() {
+    this.timer = null;
+    this.players.forEach(player => {
+      if (player.status === 'racing') {
+        player.status = 'dnf';
+      }
+    });
+    this._checkRaceEnd();
+  }
+
+  /**
+   * 参加者を取得
+   * @private
+   * @param {number} id - プレイヤーID
+   * @returns {Object|undefined} 参加者
+   */
+  _getPlayer(id) {
+    return this.players.find(player => player.id === id);
+  }
+
+  /**
+   * 参加者一覧の更新を全員に送信
+   * @private
+   */
+  _broadcastPlayers() {
+    this._broadcast({ type: 'players', players: this.getPlayerList() });
+  }
+
+  /**
+   * 全員（exceptを除く）にメッセージを送信
+   * @private
+   * @param {Object} message - 送信するメッセージ
+   * @param {Object} except - 送信しない参加者（オプション）
+   */
+  _broadcast(message, except = null) {
+    this.players.forEach(player => {
+      if (player !== except) {
+        player.send(message);
+      }
+    });
+  }
+
+  /**
+   * カウントダウンまたは時間切れのタイマーを解除
+   * @private
+   */
+  _clearTimer() {
+    if (this.timer !== null) {
+      this.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 部屋コードを正規化（大文字化と前後の空白の除去）
+   * @param {string} code - 入力された部屋コード
+   * @returns {string} 正規化した部屋コード
+   * @throws {Error} 英数字4〜8文字でない場合
+   */
+  static normalizeCode(code) {
+    const normalized = typeof code === 'string' ? code.trim().toUpperCase() : '';
+    if (!/^[A-Z0-9]{4,8}$/.test(normalized)) {
+      throw new Error('Room code must be 4-8 letters or digits');
+    }
+    return normalized;
+  }
+
+  /**
+   * プレイヤー名を検証（スコア送信と同じく英数字・空白・ハイフン・アンダースコアのみ）
+   * @param {string} name - 入力されたプレイヤー名
+   * @returns {string} 使用できない文字を除いたプレイヤー名
+   * @throws {Error} 1〜20文字にならない場合
+   */
+  static sanitizeName(name) {
+    const sanitized = typeof name === 'string' ? name.replace(/[^a-zA-Z0-9 \-_]/g, '').trim() : '';
+    if (sanitized.length < 1 || sanitized.length > 20) {
+      throw new Error('Name must be 1-20 characters after sanitization');
+    }
+    return sanitized;
+  }
+}
+
+RaceRoom.MIN_PLAYERS = 2;
+RaceRoom.MAX_PLAYERS = 8;
+RaceRoom.COUNTDOWN_SECONDS = 3;
+
+// 10分で時間切れ（サーバーのリプレイ検証の上限と同じ）
+RaceRoom.MAX_RACE_TIME = 10 * 60 * 1000;
+
+// タイマーの誤差として、経過時間より先のティック数を許す幅（ミリ秒）
+RaceRoom.CLOCK_TOLERANCE = 500;
+
+// ゴールしてから報告が届くまでに許す遅れ（ミリ秒）
+RaceRoom.MAX_FINISH_DELAY = 5000;
+
+RaceRoom.DIFFICULTIES = DIFFICULTIES;
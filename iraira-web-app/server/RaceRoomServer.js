@@ -0,0 +1,167 @@
+/**
+ * RaceRoomServer - オンライン対戦の部屋をWebSocketで提供する小さなサーバー
+ *
+ * 開発サーバー（server.js）のHTTPサーバーに /race として相乗りする。
+ * メッセージはJSONで、最初に { type: 'join', room, name } を送って部屋に入り、
+ * 以降のメッセージは参加中の部屋（RaceRoom）が処理する。空になった部屋は削除する。
+ */
+
+import { WebSocketServer } from 'ws';
+import RaceRoom from './RaceRoom.js';
+
+// WebSocketの接続状態（ws の WebSocket.OPEN）
+const OPEN = 1;
+
+export default class RaceRoomServer {
+  /**
+   * コンストラクタ
+   * @param {Object} options - オプション
+   * @param {http.Server} options.server - WebSocketを相乗りさせるHTTPサーバー（省略時は接続を受け付けない、テスト用）
+   * @param {string} options.path - WebSocketのパス（デフォルト: '/race'）
+   * @param {Object} options.roomOptions - 各部屋に渡すオプション（RaceRoomを参照）
+   */
+  constructor(options = {}) {
+    this.rooms = new Map();
+    this.roomOptions = options.roomOptions || {};
+    this.nextPlayerId = 1;
+    this.wss = null;
+
+    if (options.server) {
+      this.wss = new WebSocketServer({
+        server: options.server,
+        path: options.path || '/race',
+        maxPayload: RaceRoomServer.MAX_MESSAGE_SIZE
+      });
+      this.wss.on('connection', socket => this.handleConnection(socket));
+    }
+  }
+
+  /**
+   * 新しい接続を受け付ける
+   * @param {WebSocket} socket - 接続（'message'・'close'イベントとsend()を持つもの）
+   */
+  handleConnection(socket) {
+    const connection = { id: this.nextPlayerId++, socket, room: null };
+
+    socket.on('message', data => {
+      try {
+        this._handleMessage(connection, data);
+      } catch (error) {
+        this._send(connection, { type: 'error', message: error.message });
+      }
+    });
+
+    socket.on('close', () => {
+      this._leave(connection);
+    });
+  }
+
+  /**
+   * 部屋を取得
+   * @param {string} code - 部屋コード
+   * @returns {RaceRoom|null} 部屋（存在しない場合null）
+   */
+  getRoom(code) {
+    return this.rooms.get(code) || null;
+  }
+
+  /**
+   * サーバーを停止（すべての部屋のタイマーと接続を閉じる）
+   */
+  close() {
+    this.rooms.forEach(room => room.destroy());
+    this.rooms.clear();
+    if (this.wss) {
+      // 外部のHTTPサーバーに相乗りしている場合、wss.close()だけでは既存の接続は閉じない
+      this.wss.clients.forEach(socket => socket.terminate());
+      this.wss.close();
+    }
+  }
+
+  /**
+   * 受信したメッセージを処理
+   * @private
+   * @param {Object} connection - 接続
+   * @param {string|Buffer} data - 受信したデータ
+   * @throws {Error} 不正なメッセージの場合
+   */
+  _handleMessage(connection, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      throw new Error('Message must be valid JSON');
+    }
+
+    if (!message || typeof message !== 'object') {
+      throw new Error('Message must be an object');
+    }
+
+    if (message.type === 'join') {
+      this._join(connection, message);
+      return;
+    }
+
+    if (message.type === 'leave') {
+      this._leave(connection);
+      return;
+    }
+
+    if (!connection.room) {
+      throw new Error('Join a room first');
+    }
+    connection.room.handleMessage(connection.id, message);
+  }
+
+  /**
+   * 部屋に参加（部屋がなければ作成し、別の部屋に参加中なら先に退出する）
+   * @private
+   * @param {Object} connection - 接続
+   * @param {Object} message - { room, name }
+   */
+  _join(connection, message) {
+    const code = RaceRoom.normalizeCode(message.room);
+    const name = RaceRoom.sanitizeName(message.name);
+
+    this._leave(connection);
+
+    const room = this.rooms.get(code) || new RaceRoom(code, this.roomOptions);
+    room.addPlayer(connection.id, name, response => this._send(connection, response));
+    this.rooms.set(code, room);
+    connection.room = room;
+  }
+
+  /**
+   * 参加中の部屋から退出（空になった部屋は削除）
+   * @private
+   * @param {Object} connection - 接続
+   */
+  _leave(connection) {
+    const room = connection.room;
+    if (!room) {
+      return;
+    }
+
+    connection.room = null;
+    room.removePlayer(connection.id);
+    if (room.isEmpty()) {
+      room.destroy();
+      this.rooms.delete(room.code);
+    }
+  }
+
+  /**
+   * 接続にメッセージを送信（切断済みの場合は何もしない）
+   * @private
+   * @param {Object} connection - 接続
+   * @param {Object} message - 送信するメッセージ
+   */
+  _send(connection, message) {
+    if (connection.socket.readyState === OPEN) {
+      connection.socket.send(JSON.stringify(message));
+    }
+  }
+}
+
+// 1メッセージの最大サイズ（バイト、状態スナップショットは100バイト程度）
+RaceRoomServer.MAX_MESSAGE_SIZE = 4096;
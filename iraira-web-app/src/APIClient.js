@@ -19,9 +19,12 @@ class APIClient {
    * @param {string} playerName - プレイヤー名
    * @param {number} score - スコア（完了時間）
    * @param {string} difficulty - 難易度
+   * @param {number} seed - プレイしたレベルのシード値（オプション）
+   * @param {string} replay - シリアライズ済みリプレイ（サーバー側でプレイを再検証するために必須）
+   * @param {string} profileHash - カスタム難易度のプロファイルのハッシュ（カスタム難易度の場合は必須）
    * @returns {Promise<Object>} 送信結果
    */
-  async submitScore(playerName, score, difficulty) {
+  async submitScore(playerName, score, difficulty, seed = null, replay = null, profileHash = null) {
     const endpoint = `${this.apiEndpoint}/scores`;
     const payload = {
       playerName,
@@ -30,6 +33,21 @@ class APIClient {
       timestamp: Date.now()
     };
 
+    // スコアとレベルを紐付けるためにシード値を含める
+    if (seed !== null && seed !== undefined) {
+      payload.seed = seed;
+    }
+
+    // サーバーはリプレイを再シミュレーションしてスコアを検証する
+    if (replay !== null && replay !== undefined) {
+      payload.replay = replay;
+    }
+
+    // カスタム難易度の記録はプロファイルごとのリーダーボードに登録される
+    if (profileHash !== null && profileHash !== undefined) {
+      payload.profileHash = profileHash;
+    }
+
     this._logRequest('POST', endpoint, payload);
 
     try {
@@ -46,10 +64,22 @@ class APIClient {
    * 指定された難易度のリーダーボードを取得
    * @param {string} difficulty - 難易度
    * @param {number} limit - 取得する件数（デフォルト: 10）
+   * @param {string} mode - ゲームモード（デフォルト: 'classic'、モードごとに別のリーダーボード）
+   * @param {string} profileHash - カスタム難易度のプロファイルのハッシュ（カスタム難易度の場合は必須、プロファイルごとに別のリーダーボード）
+   * @param {string} movement - 移動モデル（デフォルト: 'direct'、移動モデルごとに別のリーダーボード）
    * @returns {Promise<Array>} リーダーボードデータ
    */
-  async getLeaderboard(difficulty, limit = 10) {
-    const endpoint = `${this.apiEndpoint}/leaderboard?difficulty=${encodeURIComponent(difficulty)}&limit=${limit}`;
+  async getLeaderboard(difficulty, limit = 10, mode = 'classic', profileHash = null, movement = 'direct') {
+    let endpoint = `${this.apiEndpoint}/leaderboard?difficulty=${encodeURIComponent(difficulty)}&limit=${limit}`;
+    if (mode !== 'classic') {
+      endpoint += `&mode=${encodeURIComponent(mode)}`;
+    }
+    if (movement !== 'direct') {
+      endpoint += `&movement=${encodeURIComponent(movement)}`;
+    }
+    if (profileHash !== null && profileHash !== undefined) {
+      endpoint += `&profile=${encodeURIComponent(profileHash)}`;
+    }
 
     this._logRequest('GET', endpoint);
 
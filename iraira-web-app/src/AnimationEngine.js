@@ -18,6 +18,9 @@ class AnimationEngine {
     this.animationStartTime = 0;
     this.animationDuration = 0;
     this.animationCallback = null;
+    
+    // パワーアップ取得時のエフェクト（ゲームを止めずにキャラクターの上に重ねて描画）
+    this.effects = [];
   }
 
   /**
@@ -102,6 +105,84 @@ class AnimationEngine {
     }
   }
 
+  /**
+   * パワーアップ取得時のエフェクトを再生
+   * 爆発・勝利と違って入力やシミュレーションを止めない（drawEffects()で毎フレーム描画する）
+   * @param {number} x - エフェクトの中心X座標
+   * @param {number} y - エフェクトの中心Y座標
+   * @param {string} color - エフェクトの色（CSS色文字列）
+   * @param {string} label - 浮かび上がるラベル（省略可）
+   */
+  playPowerUp(x, y, color, label = '') {
+    const particles = [];
+    const particleCount = 12;
+    for (let i = 0; i < particleCount; i++) {
+      const angle = (Math.PI * 2 * i) / particleCount;
+      particles.push({
+        x: x,
+        y: y,
+        vx: Math.cos(angle) * 1.5,
+        vy: Math.sin(angle) * 1.5,
+        size: 2 + Math.random() * 2
+      });
+    }
+
+    this.effects.push({
+      x: x,
+      y: y,
+      color: color,
+      label: label,
+      particles: particles,
+      startTime: Date.now(),
+      duration: 800
+    });
+  }
+
+  /**
+   * パワーアップのエフェクトを進めて描画（終わったエフェクトは削除）
+   */
+  drawEffects() {
+    const now = Date.now();
+    this.effects = this.effects.filter(effect => now - effect.startTime < effect.duration);
+    if (this.effects.length === 0) {
+      return;
+    }
+
+    this.ctx.save();
+    
+    for (const effect of this.effects) {
+      const progress = (now - effect.startTime) / effect.duration;
+      this.ctx.globalAlpha = 1 - progress;
+      this.ctx.fillStyle = effect.color;
+      this.ctx.strokeStyle = effect.color;
+      
+      // 広がる輪
+      this.ctx.lineWidth = 2;
+      this.ctx.beginPath();
+      this.ctx.arc(effect.x, effect.y, 8 + progress * 24, 0, Math.PI * 2);
+      this.ctx.stroke();
+      
+      // 飛び散る粒
+      for (const particle of effect.particles) {
+        particle.x += particle.vx;
+        particle.y += particle.vy;
+        this.ctx.beginPath();
+        this.ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+        this.ctx.fill();
+      }
+      
+      // 浮かび上がるラベル
+      if (effect.label) {
+        this.ctx.font = 'bold 14px Arial, sans-serif';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText(effect.label, effect.x, effect.y - 12 - progress * 20);
+      }
+    }
+    
+    this.ctx.restore();
+  }
+
   /**
    * アニメーションフレームを更新
    * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
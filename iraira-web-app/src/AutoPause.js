@@ -0,0 +1,122 @@
+/**
+ * AutoPause class - Pauses the run when the player cannot see or control the game
+ * タブが非表示になった・ウィンドウのフォーカスが外れた・キャンバスが画面外に
+ * スクロールしたときにプレイを自動で一時停止する
+ *
+ * The character keeps moving on its own, so without this a notification or an
+ * alt-tab usually ends the run. Pausing goes through GameManager.pauseGame();
+ * resuming is left to the player (SPACE), which starts the resume countdown.
+ */
+class AutoPause {
+  /**
+   * Constructor
+   * @param {GameManager} gameManager - Game to pause
+   * @param {HTMLCanvasElement} canvas - Game canvas (watched for scrolling off screen)
+   */
+  constructor(gameManager, canvas) {
+    this.gameManager = gameManager;
+    this.canvas = canvas;
+    this.enabled = false;
+    this.observer = null;
+
+    // Bind event handlers to maintain 'this' context
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    this.handleBlur = this.handleBlur.bind(this);
+    this.handleIntersection = this.handleIntersection.bind(this);
+  }
+
+  /**
+   * Start watching visibility, focus and the canvas position
+   * 監視を開始
+   */
+  enable() {
+    if (this.enabled) {
+      return;
+    }
+
+    if (typeof document !== 'undefined') {
+      document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+    if (typeof window !== 'undefined') {
+      window.addEventListener('blur', this.handleBlur);
+    }
+
+    // IntersectionObserver is missing in some older browsers (and jsdom) - the other triggers still work
+    if (typeof IntersectionObserver !== 'undefined' && this.canvas && typeof this.canvas.getBoundingClientRect === 'function') {
+      this.observer = new IntersectionObserver(this.handleIntersection, {
+        threshold: [AutoPause.MIN_VISIBLE_RATIO]
+      });
+      this.observer.observe(this.canvas);
+    }
+
+    this.enabled = true;
+  }
+
+  /**
+   * Stop watching
+   * 監視を終了
+   */
+  disable() {
+    if (!this.enabled) {
+      return;
+    }
+
+    if (typeof document !== 'undefined') {
+      document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('blur', this.handleBlur);
+    }
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+
+    this.enabled = false;
+  }
+
+  /**
+   * Pause when the tab is hidden
+   */
+  handleVisibilityChange() {
+    if (document.hidden) {
+      this.pause('hidden');
+    }
+  }
+
+  /**
+   * Pause when the window loses focus (alt-tab, notifications, devtools)
+   */
+  handleBlur() {
+    this.pause('blur');
+  }
+
+  /**
+   * Pause when most of the canvas scrolls off screen
+   * @param {Array<IntersectionObserverEntry>} entries - Observed canvas entries
+   */
+  handleIntersection(entries) {
+    const entry = entries[entries.length - 1];
+    if (entry && entry.intersectionRatio < AutoPause.MIN_VISIBLE_RATIO) {
+      this.pause('offscreen');
+    }
+  }
+
+  /**
+   * Pause the game (does nothing unless a run is in progress)
+   * @param {string} reason - Why the game is paused ('hidden', 'blur' or 'offscreen')
+   */
+  pause(reason) {
+    if (this.gameManager) {
+      this.gameManager.pauseGame(reason);
+    }
+  }
+}
+
+// Share of the canvas that must stay on screen while playing
+AutoPause.MIN_VISIBLE_RATIO = 0.5;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AutoPause;
+}
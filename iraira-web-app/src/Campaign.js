@@ -0,0 +1,236 @@
+/**
+ * Campaign class - Ordered stages played back to back with a cumulative timer
+ * ステージを順番にプレイし、合計タイムを競うキャンペーン
+ *
+ * Each stage is a fixed course: a difficulty plus a seed, and optionally a
+ * hand-authored layout. The campaign only tracks progress through a run
+ * (current stage and per-stage splits); playing a stage is left to GameManager.
+ */
+class Campaign {
+  /**
+   * Constructor
+   * @param {Array<Object>} stages - Stage definitions in play order (defaults to Campaign.STAGES)
+   * @param {string} stages[].id - Unique stage id (used for saved progress)
+   * @param {string} stages[].name - Display name
+   * @param {string} stages[].difficulty - Difficulty level
+   * @param {number} stages[].seed - Level seed
+   * @param {Array<{x: number, y: number}>} stages[].layout - Hand-authored waypoints (optional)
+   * @throws {Error} If the stage list is empty or a stage is incomplete
+   */
+  constructor(stages = Campaign.STAGES) {
+    if (!Array.isArray(stages) || stages.length === 0) {
+      throw new Error('Campaign requires at least one stage');
+    }
+
+    const ids = new Set();
+    stages.forEach((stage, index) => {
+      if (!stage || typeof stage.id !== 'string' || ids.has(stage.id)) {
+        throw new Error(`Invalid campaign stage at index ${index}: missing or duplicate id`);
+      }
+      if (typeof stage.difficulty !== 'string' || !Number.isInteger(stage.seed)) {
+        throw new Error(`Invalid campaign stage ${stage.id}: difficulty and seed are required`);
+      }
+      ids.add(stage.id);
+    });
+
+    this.stages = stages;
+    this.start(0);
+  }
+
+  /**
+   * Start a run at a stage
+   * 指定ステージからキャンペーンを開始
+   * @param {number} stageIndex - Index of the first stage to play
+   */
+  start(stageIndex = 0) {
+    if (!Number.isInteger(stageIndex) || stageIndex < 0 || stageIndex >= this.stages.length) {
+      throw new Error(`Invalid stage index: ${stageIndex}`);
+    }
+
+    this.firstStageIndex = stageIndex;
+    this.currentStageIndex = stageIndex;
+    this.splits = [];
+    this.finished = false;
+  }
+
+  /**
+   * Record the time of the current stage and move on to the next one
+   * 現在のステージのタイムを記録して次のステージへ進む
+   * @param {number} time - Stage time in milliseconds
+   * @returns {boolean} True if there is a next stage, false if the campaign is finished
+   */
+  completeStage(time) {
+    if (this.finished) {
+      return false;
+    }
+
+    this.splits.push({ stageId: this.getCurrentStage().id, time });
+
+    if (this.currentStageIndex === this.stages.length - 1) {
+      this.finished = true;
+      return false;
+    }
+
+    this.currentStageIndex++;
+    return true;
+  }
+
+  /**
+   * Get the stage being played
+   * @returns {Object} Stage definition
+   */
+  getCurrentStage() {
+    return this.stages[this.currentStageIndex];
+  }
+
+  /**
+   * Get the index of the stage being played
+   * @returns {number} Stage index
+   */
+  getCurrentStageIndex() {
+    return this.currentStageIndex;
+  }
+
+  /**
+   * Get all stage definitions
+   * @returns {Array<Object>} Stages in play order
+   */
+  getStages() {
+    return this.stages;
+  }
+
+  /**
+   * Get the number of stages
+   * @returns {number} Stage count
+   */
+  getStageCount() {
+    return this.stages.length;
+  }
+
+  /**
+   * Get the split times of the stages cleared in this run
+   * @returns {Array<{stageId: string, time: number}>} Splits in play order
+   */
+  getSplits() {
+    return this.splits;
+  }
+
+  /**
+   * Get the cumulative time of the run
+   * キャンペーンの合計タイムを取得
+   * @param {number} currentStageTime - Elapsed time of the stage being played (milliseconds)
+   * @returns {number} Total time in milliseconds
+   */
+  getTotalTime(currentStageTime = 0) {
+    return this.splits.reduce((total, split) => total + split.time, 0) + currentStageTime;
+  }
+
+  /**
+   * Check whether the last stage has been cleared
+   * @returns {boolean} True once the campaign is finished
+   */
+  isFinished() {
+    return this.finished;
+  }
+
+  /**
+   * Check whether this run started from the first stage (only those count for the best total)
+   * @returns {boolean} True if the run covers every stage
+   */
+  isFullRun() {
+    return this.firstStageIndex === 0;
+  }
+
+  /**
+   * Convert the progress of the run to a plain object (for saving an unfinished run)
+   * 途中のキャンペーンの進行状況を保存用のオブジェクトに変換
+   * @returns {Object} Progress ({ firstStageIndex, currentStageIndex, splits })
+   */
+  toJSON() {
+    return {
+      firstStageIndex: this.firstStageIndex,
+      currentStageIndex: this.currentStageIndex,
+      splits: this.splits.map(split => ({ stageId: split.stageId, time: split.time }))
+    };
+  }
+
+  /**
+   * Restore an unfinished run from the object produced by toJSON()
+   * 保存した進行状況からキャンペーンを復元
+   * @param {Object} data - Saved progress
+   * @param {Array<Object>} stages - Stage definitions the run was played on (defaults to Campaign.STAGES)
+   * @returns {Campaign} Campaign at the saved stage with the saved splits
+   * @throws {Error} If the progress does not fit the stages
+   */
+  static fromJSON(data, stages = Campaign.STAGES) {
+    const campaign = new Campaign(stages);
+    const { firstStageIndex, currentStageIndex, splits } = data || {};
+
+    if (!Number.isInteger(firstStageIndex) || !Number.isInteger(currentStageIndex) ||
+        firstStageIndex < 0 || currentStageIndex < firstStageIndex || currentStageIndex >= stages.length ||
+        !Array.isArray(splits) || splits.length !== currentStageIndex - firstStageIndex ||
+        !splits.every((split, i) => split && split.stageId === stages[firstStageIndex + i].id &&
+          typeof split.time === 'number' && split.time >= 0)) {
+      throw new Error('Invalid campaign progress');
+    }
+
+    campaign.start(firstStageIndex);
+    campaign.currentStageIndex = currentStageIndex;
+    campaign.splits = splits.map(split => ({ stageId: split.stageId, time: split.time }));
+    return campaign;
+  }
+
+  /**
+   * Get GameManager options for a stage
+   * ステージのコースを生成するためのGameManagerオプションを取得
+   * @param {Object} stage - Stage definition
+   * @returns {Object} Options ({ seed, layout })
+   */
+  static getGameOptions(stage) {
+    const options = { seed: stage.seed };
+    if (stage.layout) {
+      options.layout = stage.layout;
+    }
+    return options;
+  }
+}
+
+// Default campaign (layouts are fractions of the canvas size)
+Campaign.STAGES = [
+  { id: 'first-steps', name: 'はじまりの道 / First Steps', difficulty: 'easy', seed: 1 },
+  {
+    id: 'zigzag',
+    name: 'ジグザグ / Zigzag',
+    difficulty: 'easy',
+    seed: 1,
+    layout: [
+      { x: 0.0625, y: 0.5 },
+      { x: 0.25, y: 0.25 },
+      { x: 0.45, y: 0.75 },
+      { x: 0.65, y: 0.25 },
+      { x: 0.8, y: 0.7 },
+      { x: 0.9375, y: 0.5 }
+    ]
+  },
+  { id: 'narrow-road', name: '細い道 / Narrow Road', difficulty: 'medium', seed: 2 },
+  {
+    id: 's-curve',
+    name: 'S字カーブ / S-Curve',
+    difficulty: 'medium',
+    seed: 1,
+    layout: [
+      { x: 0.0625, y: 0.5 },
+      { x: 0.3, y: 0.3 },
+      { x: 0.5, y: 0.5 },
+      { x: 0.7, y: 0.7 },
+      { x: 0.9375, y: 0.5 }
+    ]
+  },
+  { id: 'tightrope', name: '綱渡り / Tightrope', difficulty: 'hard', seed: 22 },
+  { id: 'final', name: '最終関門 / Final Gate', difficulty: 'super-hard', seed: 13 }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Campaign;
+}
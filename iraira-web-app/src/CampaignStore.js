@@ -0,0 +1,147 @@
+/**
+ * CampaignStore class - Keeps campaign unlock progress and best times in local storage
+ * キャンペーンの解放状況とベストタイムをローカルストレージに保存する
+ *
+ * A stage is unlocked once the stage before it has been cleared. Best split
+ * times are kept per stage id, and the best total only for runs that started
+ * from the first stage.
+ */
+class CampaignStore {
+  /**
+   * Constructor
+   * @param {Storage} storage - Storage backend (defaults to window.localStorage when available)
+   */
+  constructor(storage) {
+    if (storage !== undefined) {
+      this.storage = storage;
+    } else {
+      this.storage = typeof localStorage !== 'undefined' ? localStorage : null;
+    }
+  }
+
+  /**
+   * Get how many stages are unlocked
+   * 解放済みのステージ数を取得
+   * @returns {number} Unlocked stage count (the first stage is always unlocked)
+   */
+  getUnlockedCount() {
+    const { unlocked } = this._load();
+    return Number.isInteger(unlocked) && unlocked > 1 ? unlocked : 1;
+  }
+
+  /**
+   * Check whether a stage can be played
+   * @param {number} stageIndex - Stage index
+   * @returns {boolean} True if the stage is unlocked
+   */
+  isUnlocked(stageIndex) {
+    return stageIndex < this.getUnlockedCount();
+  }
+
+  /**
+   * Record a cleared stage: unlock the next one and keep the best split
+   * ステージクリアを記録（次のステージを解放し、ベストタイムを更新）
+   * @param {number} stageIndex - Index of the cleared stage
+   * @param {string} stageId - Id of the cleared stage
+   * @param {number} time - Stage time in milliseconds
+   * @returns {boolean} True if the time is a new best for the stage
+   */
+  recordStage(stageIndex, stageId, time) {
+    const progress = this._load();
+    progress.unlocked = Math.max(this.getUnlockedCount(), stageIndex + 2);
+    progress.bestSplits = progress.bestSplits || {};
+
+    const best = progress.bestSplits[stageId];
+    const isBest = typeof best !== 'number' || time < best;
+    if (isBest) {
+      progress.bestSplits[stageId] = time;
+    }
+
+    this._save(progress);
+    return isBest;
+  }
+
+  /**
+   * Record a finished campaign run
+   * 完走したキャンペーンを記録
+   * @param {Campaign} campaign - Campaign whose run just finished
+   * @returns {boolean} True if the run is a new best total
+   */
+  recordRun(campaign) {
+    if (!campaign.isFinished() || !campaign.isFullRun()) {
+      return false;
+    }
+
+    const progress = this._load();
+    const total = campaign.getTotalTime();
+    if (typeof progress.bestTotal === 'number' && progress.bestTotal <= total) {
+      return false;
+    }
+
+    progress.bestTotal = total;
+    this._save(progress);
+    return true;
+  }
+
+  /**
+   * Get the best time of a stage
+   * @param {string} stageId - Stage id
+   * @returns {number|null} Best time in milliseconds, or null if never cleared
+   */
+  getBestSplit(stageId) {
+    const { bestSplits } = this._load();
+    return bestSplits && typeof bestSplits[stageId] === 'number' ? bestSplits[stageId] : null;
+  }
+
+  /**
+   * Get the best total time of a full campaign run
+   * @returns {number|null} Best total in milliseconds, or null if never finished
+   */
+  getBestTotal() {
+    const { bestTotal } = this._load();
+    return typeof bestTotal === 'number' ? bestTotal : null;
+  }
+
+  /**
+   * Load the stored progress
+   * @private
+   * @returns {Object} Progress ({ unlocked, bestSplits, bestTotal })
+   */
+  _load() {
+    if (!this.storage) {
+      return {};
+    }
+
+    try {
+      const progress = JSON.parse(this.storage.getItem(CampaignStore.STORAGE_KEY));
+      return progress && typeof progress === 'object' ? progress : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Save progress
+   * @private
+   * @param {Object} progress - Progress to store
+   */
+  _save(progress) {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.setItem(CampaignStore.STORAGE_KEY, JSON.stringify(progress));
+    } catch (error) {
+      // Quota exceeded or storage disabled - progress is only kept for this session
+      console.warn('Failed to save campaign progress:', error.message);
+    }
+  }
+}
+
+CampaignStore.STORAGE_KEY = 'iraira-campaign-progress';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CampaignStore;
+}
@@ -1,6 +1,14 @@
 /**
  * Character class - Represents the player-controlled character in the game
  * プレイヤーが操作するゲーム内のキャラクター
+ *
+ * Moves in eight directions: the four arrow directions and the diagonals
+ * between them ('up-left', ...), which cover the same distance per tick.
+ *
+ * Two movement models (see Character.MOVEMENTS):
+ * - direct: moves a fixed distance per tick in the current direction, turns instantly
+ * - inertia: the direction applies thrust; the velocity builds up, drifts and
+ *   is slowed by friction, so the character has to be steered ahead of the curves
  */
 class Character {
   /**
@@ -13,45 +21,106 @@ class Character {
     this.x = x;
     this.y = y;
     this.size = size;
-    this.direction = null; // 'up', 'down', 'left', 'right', or null
+    this.direction = null; // One of Character.DIRECTIONS, or null
     this.initialX = x;
     this.initialY = y;
+    // Position at the previous simulation tick (used for render interpolation)
+    this.previousX = x;
+    this.previousY = y;
+    // Inertia model settings (null = direct movement) and velocity in pixels per tick
+    this.inertia = null;
+    this.velocityX = 0;
+    this.velocityY = 0;
+  }
+
+  /**
+   * Select the movement model
+   * 移動モデルを選択（nullで方向キーどおりに一定速度で動くdirect、設定を渡すと慣性のあるinertia）
+   * @param {Object|null} inertia - Inertia settings per tick, or null for direct movement
+   * @param {number} inertia.acceleration - Velocity gained per tick of thrust, as a fraction of the top speed
+   * @param {number} inertia.friction - Fraction of the velocity lost every tick (0-1)
+   */
+  setInertia(inertia) {
+    this.inertia = inertia ? { acceleration: inertia.acceleration, friction: inertia.friction } : null;
+    this.velocityX = 0;
+    this.velocityY = 0;
+  }
+
+  /**
+   * Get the current velocity
+   * @returns {{x: number, y: number}} Pixels per tick (always 0 with direct movement)
+   */
+  getVelocity() {
+    return { x: this.velocityX, y: this.velocityY };
   }
 
   /**
    * Set the movement direction
-   * @param {string} direction - Direction to move ('up', 'down', 'left', 'right')
+   * @param {string} direction - Direction to move ('up', 'down', 'left', 'right' or a diagonal such as 'up-left')
    */
   setDirection(direction) {
-    const validDirections = ['up', 'down', 'left', 'right'];
-    if (validDirections.includes(direction)) {
+    if (Character.DIRECTIONS.includes(direction)) {
       this.direction = direction;
     }
   }
 
   /**
    * Update character position based on current direction and speed
-   * @param {number} speed - Movement speed in pixels per frame
+   * @param {number} speed - Movement speed in pixels per simulation tick (the top speed with inertia)
    */
   update(speed) {
+    this.previousX = this.x;
+    this.previousY = this.y;
+
+    if (this.inertia) {
+      this._updateInertia(speed);
+      return;
+    }
+
     if (!this.direction) {
       return;
     }
 
-    switch (this.direction) {
-      case 'up':
-        this.y -= speed;
-        break;
-      case 'down':
-        this.y += speed;
-        break;
-      case 'left':
-        this.x -= speed;
-        break;
-      case 'right':
-        this.x += speed;
-        break;
+    const vector = Character.DIRECTION_VECTORS[this.direction];
+    this.x += vector.x * speed;
+    this.y += vector.y * speed;
+  }
+
+  /**
+   * Apply thrust and friction, then move by the velocity
+   * 方向キーの向きに加速し、摩擦で減速してから速度の分だけ移動
+   * @private
+   * @param {number} speed - Top speed in pixels per simulation tick
+   */
+  _updateInertia(speed) {
+    if (this.direction) {
+      const thrust = this.inertia.acceleration * speed;
+      const vector = Character.DIRECTION_VECTORS[this.direction];
+      this.velocityX += vector.x * thrust;
+      this.velocityY += vector.y * thrust;
     }
+
+    this.velocityX *= 1 - this.inertia.friction;
+    this.velocityY *= 1 - this.inertia.friction;
+
+    const velocity = Math.hypot(this.velocityX, this.velocityY);
+    if (velocity > speed) {
+      this.velocityX *= speed / velocity;
+      this.velocityY *= speed / velocity;
+    }
+
+    this.x += this.velocityX;
+    this.y += this.velocityY;
+  }
+
+  /**
+   * Stop on the spot (e.g. after respawning or being stopped by a shield)
+   * その場で停止（方向と速度をリセット）
+   */
+  stop() {
+    this.direction = null;
+    this.velocityX = 0;
+    this.velocityY = 0;
   }
 
   /**
@@ -62,6 +131,20 @@ class Character {
     return { x: this.x, y: this.y };
   }
 
+  /**
+   * Get position interpolated between the previous and current tick
+   * 前ティックと現ティックの間で補間した位置を取得
+   * @param {number} alpha - Interpolation factor (0 = previous tick, 1 = current tick)
+   * @returns {{x: number, y: number}} Interpolated position
+   */
+  getInterpolatedPosition(alpha) {
+    const t = Math.min(Math.max(alpha, 0), 1);
+    return {
+      x: this.previousX + (this.x - this.previousX) * t,
+      y: this.previousY + (this.y - this.previousY) * t
+    };
+  }
+
   /**
    * Get bounding box for collision detection
    * @returns {{x: number, y: number, width: number, height: number}} Bounding box
@@ -90,10 +173,30 @@ class Character {
       this.x = this.initialX;
       this.y = this.initialY;
     }
-    this.direction = null;
+    this.previousX = this.x;
+    this.previousY = this.y;
+    this.stop();
   }
 }
 
+// Unit vector of each direction (diagonals are normalized so they are not faster)
+Character.DIRECTION_VECTORS = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+  'up-left': { x: -Math.SQRT1_2, y: -Math.SQRT1_2 },
+  'up-right': { x: Math.SQRT1_2, y: -Math.SQRT1_2 },
+  'down-left': { x: -Math.SQRT1_2, y: Math.SQRT1_2 },
+  'down-right': { x: Math.SQRT1_2, y: Math.SQRT1_2 }
+};
+
+// Movement directions (the four arrow directions, then the diagonals)
+Character.DIRECTIONS = Object.keys(Character.DIRECTION_VECTORS);
+
+// Movement models ('direct': fixed speed and instant turns, 'inertia': thrust, drift and friction)
+Character.MOVEMENTS = ['direct', 'inertia'];
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = Character;
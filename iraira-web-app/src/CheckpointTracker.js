@@ -0,0 +1,169 @@
+/**
+ * CheckpointTracker class - Lives and checkpoints for the lives game mode
+ * ライフ制モードのライフとチェックポイントを管理する
+ *
+ * Checkpoints are spread evenly along the level path and must be passed in
+ * order. A wall touch costs a life and a time penalty, and the character
+ * respawns at the last checkpoint passed (or the start). The rules are fixed
+ * so results stay comparable on the lives leaderboard.
+ */
+class CheckpointTracker {
+  /**
+   * Constructor - Place checkpoints along the path
+   * @param {Array<{x: number, y: number}>} path - Level path points
+   * @param {Object} rules - Mode rules (defaults to CheckpointTracker.RULES)
+   * @param {number} rules.lives - Lives at the start of a run
+   * @param {number} rules.checkpoints - Number of checkpoints between start and goal
+   * @param {number} rules.penalty - Time added for each lost life (milliseconds)
+   * @param {number} rules.radius - Distance from a checkpoint that counts as passing it
+   */
+  constructor(path, rules = CheckpointTracker.RULES) {
+    this.rules = { ...CheckpointTracker.RULES, ...rules };
+    this.checkpoints = CheckpointTracker.placeCheckpoints(path || [], this.rules.checkpoints);
+    this.reset();
+  }
+
+  /**
+   * Reset lives, progress and penalties for a new run
+   * 新しいプレイのためにライフ・進行状況・ペナルティをリセット
+   */
+  reset() {
+    this.lives = this.rules.lives;
+    this.lastCheckpoint = -1; // -1 = start position
+    this.penaltyTime = 0;
+  }
+
+  /**
+   * Check whether the character has reached the next checkpoint
+   * キャラクターが次のチェックポイントに到達したかチェック
+   * @param {number} cx - Character centre x
+   * @param {number} cy - Character centre y
+   * @returns {boolean} True if a new checkpoint was reached
+   */
+  update(cx, cy) {
+    const next = this.checkpoints[this.lastCheckpoint + 1];
+    if (!next) {
+      return false;
+    }
+
+    const dx = next.x - cx;
+    const dy = next.y - cy;
+    if (dx * dx + dy * dy > this.rules.radius * this.rules.radius) {
+      return false;
+    }
+
+    this.lastCheckpoint++;
+    return true;
+  }
+
+  /**
+   * Register a wall touch
+   * 壁への接触を記録
+   * @returns {boolean} True if the character respawns, false if the last life was lost
+   */
+  registerCrash() {
+    this.lives = Math.max(0, this.lives - 1);
+    if (this.lives === 0) {
+      return false;
+    }
+
+    this.penaltyTime += this.rules.penalty;
+    return true;
+  }
+
+  /**
+   * Get the point to respawn at (centre of the last checkpoint passed)
+   * 復帰地点を取得（最後に通過したチェックポイントの中心）
+   * @param {{x: number, y: number}} startPosition - Character start position (top-left)
+   * @param {number} size - Character size
+   * @returns {{x: number, y: number}} Respawn position (top-left, like the start position)
+   */
+  getRespawnPosition(startPosition, size) {
+    const checkpoint = this.checkpoints[this.lastCheckpoint];
+    if (!checkpoint) {
+      return { x: startPosition.x, y: startPosition.y };
+    }
+    return { x: checkpoint.x - size / 2, y: checkpoint.y - size / 2 };
+  }
+
+  /**
+   * Move a character back to the respawn position, stopped
+   * キャラクターを復帰地点に停止した状態で戻す
+   * @param {Character} character - Character to move
+   * @param {{x: number, y: number}} startPosition - Character start position (top-left)
+   */
+  respawn(character, startPosition) {
+    const position = this.getRespawnPosition(startPosition, character.size);
+    character.x = position.x;
+    character.y = position.y;
+    character.previousX = position.x;
+    character.previousY = position.y;
+    character.stop();
+  }
+
+  /**
+   * Get checkpoint positions
+   * チェックポイントの位置を取得
+   * @returns {Array<{x: number, y: number}>} Checkpoint centres in order
+   */
+  getCheckpoints() {
+    return this.checkpoints;
+  }
+
+  /**
+   * Get the index of the last checkpoint passed
+   * @returns {number} Index, or -1 if none has been passed yet
+   */
+  getLastCheckpoint() {
+    return this.lastCheckpoint;
+  }
+
+  /**
+   * Get remaining lives
+   * @returns {number} Lives left
+   */
+  getLives() {
+    return this.lives;
+  }
+
+  /**
+   * Get the total time penalty so far
+   * @returns {number} Penalty in milliseconds
+   */
+  getPenaltyTime() {
+    return this.penaltyTime;
+  }
+
+  /**
+   * Pick evenly spaced path points as checkpoints (start and goal excluded)
+   * 通路上に等間隔でチェックポイントを配置（スタートとゴールは除く）
+   * @param {Array<{x: number, y: number}>} path - Level path points
+   * @param {number} count - Number of checkpoints
+   * @returns {Array<{x: number, y: number}>} Checkpoint centres
+   */
+  static placeCheckpoints(path, count) {
+    if (path.length < 2) {
+      return [];
+    }
+
+    const checkpoints = [];
+    for (let i = 1; i <= count; i++) {
+      const point = path[Math.round(i * (path.length - 1) / (count + 1))];
+      checkpoints.push({ x: point.x, y: point.y });
+    }
+    return checkpoints;
+  }
+}
+
+// Rules of the lives mode (changing them invalidates the lives leaderboard)
+CheckpointTracker.RULES = {
+  lives: 3,
+  checkpoints: 4,
+  penalty: 3000,
+  radius: 25
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CheckpointTracker;
+}
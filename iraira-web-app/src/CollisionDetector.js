@@ -1,52 +1,128 @@
 /**
  * CollisionDetector class - Detects collisions between character and walls/goal
  * キャラクターと壁/ゴールとの衝突を検知する
+ *
+ * Walls are either rectangles or polylines with a thickness (the path
+ * boundaries, see LevelGenerator.createPolylineWall()). They are tested
+ * against the character as a circle swept from its previous tick position.
+ *
+ * Broadphase: whenever the walls are set, their shapes are sorted into a uniform
+ * grid (see createWallGrid()), so a check only looks at the walls in the few cells
+ * around the character instead of every wall of the level.
  */
 class CollisionDetector {
   /**
    * Constructor - Initialize collision detector with character, walls, and goal
    * @param {Character} character - The character object to check collisions for
-   * @param {Array} walls - Array of wall objects with x, y, width, height properties
-   * @param {{x: number, y: number}} goal - Goal position object
+   * @param {Array} walls - Rectangles {x, y, width, height} and polyline walls (with points and thickness)
+   * @param {{x: number, y: number}|null} goal - Goal position object (null for levels without a goal)
+   * @param {Array<Obstacle>} obstacles - Moving obstacles, tested in their current shape (optional)
+   * @param {Array<Hazard>} hazards - Timed hazards, only tested while they are on (optional)
    */
-  constructor(character, walls, goal) {
+  constructor(character, walls, goal, obstacles = [], hazards = []) {
     this.character = character;
     this.walls = walls;
+    this.wallShapes = CollisionDetector.getWallShapes(walls);
+    this.wallGrid = CollisionDetector.createWallGrid(this.wallShapes);
+    this.queryStamp = 0;
     this.goal = goal;
+    this.obstacles = obstacles || [];
+    this.hazards = hazards || [];
     this.goalSize = 30; // Goal collision area size
     this.lastCollisionPoint = null;
   }
 
   /**
-   * Check if character collides with any wall using bounding box collision detection
-   * バウンディングボックス衝突検知を使用してキャラクターが壁と衝突するかチェック
+   * Check if character touched any wall on its way from the previous tick (swept collision)
+   * 前ティックからの移動中にキャラクターが壁に触れたかチェック（移動の軌跡で判定）
+   * Walls are tested against the round character (see getCharacterCircle()) over the whole
+   * move, so touches are exact at every speed and a fast character cannot pass through a wall.
    * @returns {boolean} True if collision detected, false otherwise
    */
   checkWallCollision() {
-    const characterBounds = this.character.getBounds();
+    const circle = this.getCharacterCircle();
     
-    for (let i = 0; i < this.walls.length; i++) {
-      const wall = this.walls[i];
-      
-      if (this.boundingBoxCollision(characterBounds, wall)) {
-        // Store collision point for animation purposes
-        this.lastCollisionPoint = {
-          x: characterBounds.x + characterBounds.width / 2,
-          y: characterBounds.y + characterBounds.height / 2
-        };
-        return true;
-      }
+    if (this.getWallDistance(circle.from, circle.to, circle.radius) < circle.radius) {
+      // Store collision point for animation purposes
+      this.lastCollisionPoint = { x: circle.to.x, y: circle.to.y };
+      return true;
+    }
+    
+    // Moving obstacles count as walls in their current shape, hazards only while they are on
+    // (both are tested against the character's box swept over its move since the previous tick)
+    const characterBounds = this.character.getBounds();
+    const previousBounds = {
+      ...characterBounds,
+      x: characterBounds.x + circle.from.x - circle.to.x,
+      y: characterBounds.y + circle.from.y - circle.to.y
+    };
+    if (this.obstacleCollision(characterBounds, previousBounds) || this.hazardCollision(characterBounds, previousBounds)) {
+      this.lastCollisionPoint = {
+        x: characterBounds.x + characterBounds.width / 2,
+        y: characterBounds.y + characterBounds.height / 2
+      };
+      return true;
     }
     
     return false;
   }
 
+  /**
+   * Check if character is within a distance of a wall without touching it
+   * キャラクターが壁に触れずに一定距離以内まで近づいているかチェック
+   * @param {number} distance - Clearance in pixels that counts as close
+   * @returns {boolean} True if a wall is closer than the distance (false while colliding)
+   */
+  checkNearWall(distance) {
+    const circle = this.getCharacterCircle();
+    
+    const clearance = this.getWallDistance(circle.to, circle.to, circle.radius + distance) - circle.radius;
+    if (clearance < 0) {
+      return false;
+    }
+    const near = clearance < distance;
+    
+    const characterBounds = this.character.getBounds();
+    const nearBounds = {
+      x: characterBounds.x - distance,
+      y: characterBounds.y - distance,
+      width: characterBounds.width + distance * 2,
+      height: characterBounds.height + distance * 2
+    };
+    
+    if (this.obstacleCollision(characterBounds)) {
+      return false;
+    }
+    
+    return near || this.obstacleCollision(nearBounds);
+  }
+
+  /**
+   * Get the circle that stands for the character against walls, and its move since the previous tick
+   * 壁との判定に使うキャラクターの円（中心の移動前後の位置と半径）を取得
+   * @returns {{from: {x: number, y: number}, to: {x: number, y: number}, radius: number}} Circle
+   */
+  getCharacterCircle() {
+    const radius = this.character.size / 2;
+    const previousX = this.character.previousX !== undefined ? this.character.previousX : this.character.x;
+    const previousY = this.character.previousY !== undefined ? this.character.previousY : this.character.y;
+    return {
+      from: { x: previousX + radius, y: previousY + radius },
+      to: { x: this.character.x + radius, y: this.character.y + radius },
+      radius
+    };
+  }
+
   /**
    * Check if character collides with the goal
    * キャラクターがゴールと衝突するかチェック
-   * @returns {boolean} True if collision detected, false otherwise
+   * @returns {boolean} True if collision detected, false otherwise (always false without a goal)
    */
   checkGoalCollision() {
+    if (!this.goal) {
+      return false;
+    }
+    
     const characterBounds = this.character.getBounds();
     
     const goalBounds = {
@@ -68,6 +144,86 @@ class CollisionDetector {
     return this.lastCollisionPoint;
   }
 
+  /**
+   * Get the wall closest to the character, with the point and direction of its surface there
+   * キャラクターに最も近い壁の距離・表面上の最近点・法線を取得（ニアミスの演出や爆発の向きなどに使用）
+   * Measured from the edge of the round character (see getCharacterCircle()) at its current
+   * position to rectangle and polyline walls, moving obstacles in their current shape and
+   * hazards while they are on. A character inside a wall gets a negative distance.
+   * @param {number} maxDistance - Only look for walls closer than this (a finite distance only
+   *   searches the nearby grid cells, so keep it small for checks every tick)
+   * @returns {{distance: number, point: {x: number, y: number}, normal: {x: number, y: number}}|null}
+   *   Distance from the character to the wall surface, the closest point on the surface and its unit
+   *   normal there (pointing out of the wall), or null if no wall is within maxDistance
+   */
+  getNearestWallInfo(maxDistance = Infinity) {
+    const circle = this.getCharacterCircle();
+    const center = circle.to;
+    let nearest = null;
+    const searchLimit = maxDistance + circle.radius;
+    let limit = searchLimit;
+    const consider = candidate => {
+      if (candidate && candidate.surface < limit) {
+        nearest = candidate;
+        limit = candidate.surface;
+      }
+    };
+    
+    const groups = this._getNearbyCells(
+      center.x - searchLimit, center.y - searchLimit, center.x + searchLimit, center.y + searchLimit
+    ) || [this.wallShapes];
+    
+    // A centre inside a rectangle is only as deep as its nearest edge
+    for (let g = 0; g < groups.length; g++) {
+      groups[g].rects.forEach(rect => {
+        if (center.x > rect.x && center.x < rect.x + rect.width && center.y > rect.y && center.y < rect.y + rect.height) {
+          consider(CollisionDetector._nearestOnOutline(center, [
+            { x: rect.x, y: rect.y },
+            { x: rect.x + rect.width, y: rect.y },
+            { x: rect.x + rect.width, y: rect.y + rect.height },
+            { x: rect.x, y: rect.y + rect.height }
+          ], true));
+        }
+      });
+    }
+    
+    // Skipped by the search limit rather than the nearest wall so far, so that the result
+    // does not depend on the order the cells are visited in (see _measureSegment())
+    const stamp = ++this.queryStamp;
+    for (let g = 0; g < groups.length; g++) {
+      const segments = groups[g].segments;
+      for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i];
+        if (segment.stamp === stamp) {
+          continue;
+        }
+        segment.stamp = stamp;
+        const reach = searchLimit + segment.radius;
+        if (segment.minX - center.x >= reach || center.x - segment.maxX >= reach ||
+            segment.minY - center.y >= reach || center.y - segment.maxY >= reach) {
+          continue;
+        }
+        consider(CollisionDetector._nearestOnSegment(center, segment.a, segment.b, segment.radius));
+      }
+    }
+    
+    const polygons = [];
+    this.obstacles.forEach(obstacle => polygons.push(...obstacle.getPolygons()));
+    this.hazards.forEach(hazard => {
+      if (hazard.isActive()) {
+        polygons.push(hazard.getPolygon());
+      }
+    });
+    polygons.forEach(polygon => {
+      consider(CollisionDetector._nearestOnOutline(center, polygon, CollisionDetector.polygonContains(polygon, center)));
+    });
+    
+    if (!nearest) {
+      return null;
+    }
+    return { distance: nearest.surface - circle.radius, point: nearest.point, normal: nearest.normal };
+  }
+
   /**
    * Bounding box collision detection algorithm
    * バウンディングボックス衝突検知アルゴリズム
@@ -84,6 +240,89 @@ class CollisionDetector {
     );
   }
 
+  /**
+   * Check if a rectangle overlaps any moving obstacle in its current shape
+   * 矩形が現在の形状の障害物と重なっているかチェック
+   * @param {{x: number, y: number, width: number, height: number}} rect - Rectangle
+   * @param {{x: number, y: number, width: number, height: number}} previousRect - Where the rectangle
+   *   moved from, to test everything it swept over (defaults to the rectangle itself)
+   * @returns {boolean} True if the rectangle overlaps an obstacle
+   */
+  obstacleCollision(rect, previousRect = rect) {
+    for (let i = 0; i < this.obstacles.length; i++) {
+      const polygons = this.obstacles[i].getPolygons();
+      for (let j = 0; j < polygons.length; j++) {
+        if (this.rectPolygonCollision(rect, polygons[j], previousRect)) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check if a rectangle overlaps any hazard that is on
+   * 矩形が危険な状態のハザードと重なっているかチェック
+   * @param {{x: number, y: number, width: number, height: number}} rect - Rectangle
+   * @param {{x: number, y: number, width: number, height: number}} previousRect - Where the rectangle
+   *   moved from, to test everything it swept over (defaults to the rectangle itself)
+   * @returns {boolean} True if the rectangle overlaps a hazard that is on
+   */
+  hazardCollision(rect, previousRect = rect) {
+    for (let i = 0; i < this.hazards.length; i++) {
+      if (this.hazards[i].isActive() && this.rectPolygonCollision(rect, this.hazards[i].getPolygon(), previousRect)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Rectangle / convex polygon collision detection (separating axis theorem)
+   * 矩形と凸多角形の衝突検知（分離軸定理）
+   * Touching edges do not count as a collision, like boundingBoxCollision.
+   * A moving rectangle is tested as the convex hull of where it moved from and to (the area
+   * it swept over), so it cannot pass through a thin polygon between two ticks.
+   * @param {{x: number, y: number, width: number, height: number}} rect - Axis-aligned rectangle
+   * @param {Array<{x: number, y: number}>} polygon - Convex polygon corners in order
+   * @param {{x: number, y: number, width: number, height: number}} previousRect - Where the rectangle
+   *   moved from (same size, defaults to the rectangle itself)
+   * @returns {boolean} True if they overlap, false otherwise
+   */
+  rectPolygonCollision(rect, polygon, previousRect = rect) {
+    if (!polygon || polygon.length < 3) {
+      return false;
+    }
+    
+    const corners = [];
+    [previousRect, rect].forEach(box => corners.push(
+      { x: box.x, y: box.y },
+      { x: box.x + box.width, y: box.y },
+      { x: box.x + box.width, y: box.y + box.height },
+      { x: box.x, y: box.y + box.height }
+    ));
+    
+    // The axes of the rectangle (and the normal of its move, the other sides of the swept hull),
+    // then the edge normals of the polygon
+    const axes = [{ x: 1, y: 0 }, { x: 0, y: 1 }];
+    const moveX = rect.x - previousRect.x;
+    const moveY = rect.y - previousRect.y;
+    if (moveX !== 0 && moveY !== 0) {
+      axes.push({ x: -moveY, y: moveX });
+    }
+    for (let i = 0; i < polygon.length; i++) {
+      const current = polygon[i];
+      const next = polygon[(i + 1) % polygon.length];
+      axes.push({ x: current.y - next.y, y: next.x - current.x });
+    }
+    
+    return axes.every(axis => {
+      const a = CollisionDetector.project(corners, axis);
+      const b = CollisionDetector.project(polygon, axis);
+      return a.min < b.max && a.max > b.min;
+    });
+  }
+
   /**
    * Update the walls array (useful when level changes)
    * 壁の配列を更新（レベル変更時に有用）
@@ -91,6 +330,26 @@ class CollisionDetector {
    */
   updateWalls(walls) {
     this.walls = walls;
+    this.wallShapes = CollisionDetector.getWallShapes(walls);
+    this.wallGrid = CollisionDetector.createWallGrid(this.wallShapes);
+  }
+
+  /**
+   * Update the moving obstacles (useful when level changes)
+   * 障害物を更新（レベル変更時に有用）
+   * @param {Array<Obstacle>} obstacles - New obstacles
+   */
+  updateObstacles(obstacles) {
+    this.obstacles = obstacles || [];
+  }
+
+  /**
+   * Update the timed hazards (useful when level changes)
+   * ハザードを更新（レベル変更時に有用）
+   * @param {Array<Hazard>} hazards - New hazards
+   */
+  updateHazards(hazards) {
+    this.hazards = hazards || [];
   }
 
   /**
@@ -109,8 +368,355 @@ class CollisionDetector {
   reset() {
     this.lastCollisionPoint = null;
   }
+
+  /**
+   * Get the distance from a line segment to the nearest wall
+   * 線分から最も近い壁までの距離を取得（交差または壁の内側なら0）
+   * Only distances below the limit are measured exactly, so only the grid cells within
+   * the limit of the segment are searched and wall segments further away are skipped by
+   * their bounding boxes alone. Without a grid (wallGrid set to null) every wall is searched.
+   * @param {{x: number, y: number}} a - Segment start
+   * @param {{x: number, y: number}} b - Segment end (the same as a for a point)
+   * @param {number} limit - Distance beyond which the exact value is not needed
+   * @returns {number} Distance to the surface of the nearest wall (the limit if every wall is further away)
+   */
+  getWallDistance(a, b, limit) {
+    const minX = Math.min(a.x, b.x);
+    const maxX = Math.max(a.x, b.x);
+    const minY = Math.min(a.y, b.y);
+    const maxY = Math.max(a.y, b.y);
+    const groups = this._getNearbyCells(minX - limit, minY - limit, maxX + limit, maxY + limit) || [this.wallShapes];
+    
+    for (let g = 0; g < groups.length; g++) {
+      const rects = groups[g].rects;
+      for (let i = 0; i < rects.length; i++) {
+        const rect = rects[i];
+        if ((a.x > rect.x && a.x < rect.x + rect.width && a.y > rect.y && a.y < rect.y + rect.height) ||
+            (b.x > rect.x && b.x < rect.x + rect.width && b.y > rect.y && b.y < rect.y + rect.height)) {
+          return 0;
+        }
+      }
+    }
+    
+    // Segments spanning several cells are only measured once per query
+    const stamp = ++this.queryStamp;
+    let distance = limit;
+    for (let g = 0; g < groups.length; g++) {
+      const segments = groups[g].segments;
+      for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i];
+        if (segment.stamp === stamp) {
+          continue;
+        }
+        segment.stamp = stamp;
+        distance = Math.min(distance, CollisionDetector._measureSegment(a, b, minX, minY, maxX, maxY, segment, limit));
+      }
+    }
+    return distance;
+  }
+
+  /**
+   * Get the grid cells that overlap an area
+   * 範囲に重なるグリッドのセルを取得
+   * @private
+   * @param {number} minX - Left edge of the area
+   * @param {number} minY - Top edge of the area
+   * @param {number} maxX - Right edge of the area
+   * @param {number} maxY - Bottom edge of the area
+   * @returns {Array<{rects: Array<Object>, segments: Array<Object>}>|null} Cells holding walls,
+   *   or null if there is no grid or the area spans more cells than hold walls (search every wall)
+   */
+  _getNearbyCells(minX, minY, maxX, maxY) {
+    const grid = this.wallGrid;
+    if (!grid) {
+      return null;
+    }
+    
+    const left = Math.floor(minX / grid.cellSize);
+    const right = Math.floor(maxX / grid.cellSize);
+    const top = Math.floor(minY / grid.cellSize);
+    const bottom = Math.floor(maxY / grid.cellSize);
+    if ((right - left + 1) * (bottom - top + 1) > grid.cells.size) {
+      return null;
+    }
+    
+    const cells = [];
+    for (let column = left; column <= right; column++) {
+      for (let row = top; row <= bottom; row++) {
+        const cell = grid.cells.get(`${column},${row}`);
+        if (cell) {
+          cells.push(cell);
+        }
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * Measure the distance from a line segment to one wall segment if it can be below the limit
+   * The bounding boxes are only compared with the fixed limit, never with the nearest distance
+   * found so far: a measured distance can round to slightly less than the gap between the
+   * bounding boxes, so skipping by the running nearest would make the result depend on the
+   * order the wall segments are visited in, which differs between the grid and the full search.
+   * @private
+   * @param {{x: number, y: number}} a - Segment start
+   * @param {{x: number, y: number}} b - Segment end
+   * @param {number} minX - Bounding box of the segment
+   * @param {number} minY - Bounding box of the segment
+   * @param {number} maxX - Bounding box of the segment
+   * @param {number} maxY - Bounding box of the segment
+   * @param {Object} segment - Wall segment (see getWallShapes())
+   * @param {number} limit - Distance beyond which the exact value is not needed
+   * @returns {number} Distance to the surface of the wall segment (0 if touching, the limit if further away)
+   */
+  static _measureSegment(a, b, minX, minY, maxX, maxY, segment, limit) {
+    const reach = limit + segment.radius;
+    if (segment.minX - maxX >= reach || minX - segment.maxX >= reach ||
+        segment.minY - maxY >= reach || minY - segment.maxY >= reach) {
+      return limit;
+    }
+    
+    const surface = CollisionDetector.segmentDistance(a, b, segment.a, segment.b) - segment.radius;
+    return surface < limit ? Math.max(0, surface) : limit;
+  }
+
+  /**
+   * Shortest distance between two line segments
+   * 2つの線分の最短距離
+   * @param {{x: number, y: number}} a1 - First segment start
+   * @param {{x: number, y: number}} a2 - First segment end
+   * @param {{x: number, y: number}} b1 - Second segment start
+   * @param {{x: number, y: number}} b2 - Second segment end
+   * @returns {number} Distance (0 if they cross)
+   */
+  static segmentDistance(a1, a2, b1, b2) {
+    if (CollisionDetector.segmentsCross(a1, a2, b1, b2)) {
+      return 0;
+    }
+    return Math.min(
+      CollisionDetector.pointSegmentDistance(a1, b1, b2),
+      CollisionDetector.pointSegmentDistance(a2, b1, b2),
+      CollisionDetector.pointSegmentDistance(b1, a1, a2),
+      CollisionDetector.pointSegmentDistance(b2, a1, a2)
+    );
+  }
+
+  /**
+   * Distance from a point to a line segment
+   * @param {{x: number, y: number}} point - Point
+   * @param {{x: number, y: number}} a - Segment start
+   * @param {{x: number, y: number}} b - Segment end
+   * @returns {number} Distance
+   */
+  static pointSegmentDistance(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ?
+      Math.min(Math.max(((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared, 0), 1) :
+      0;
+    return Math.hypot(point.x - (a.x + dx * t), point.y - (a.y + dy * t));
+  }
+
+  /**
+   * Check whether two line segments cross each other
+   * @param {{x: number, y: number}} a1 - First segment start
+   * @param {{x: number, y: number}} a2 - First segment end
+   * @param {{x: number, y: number}} b1 - Second segment start
+   * @param {{x: number, y: number}} b2 - Second segment end
+   * @returns {boolean} True if they cross (segments that only touch are found by the distance)
+   */
+  static segmentsCross(a1, a2, b1, b2) {
+    const side = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+    const d1 = side(b1, b2, a1);
+    const d2 = side(b1, b2, a2);
+    const d3 = side(a1, a2, b1);
+    const d4 = side(a1, a2, b2);
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+  }
+
+  /**
+   * Closest point on the surface of a wall segment (a segment with a radius)
+   * @private
+   * @param {{x: number, y: number}} center - Point to measure from
+   * @param {{x: number, y: number}} a - Segment start
+   * @param {{x: number, y: number}} b - Segment end
+   * @param {number} radius - Radius around the segment (0 for an edge)
+   * @returns {{surface: number, point: {x: number, y: number}, normal: {x: number, y: number}}}
+   *   Distance to the surface (negative inside), closest surface point and the outward normal there
+   */
+  static _nearestOnSegment(center, a, b, radius) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ?
+      Math.min(Math.max(((center.x - a.x) * dx + (center.y - a.y) * dy) / lengthSquared, 0), 1) :
+      0;
+    const closest = { x: a.x + dx * t, y: a.y + dy * t };
+    const distance = Math.hypot(center.x - closest.x, center.y - closest.y);
+    
+    // On the centre line itself any side will do: take the left of the segment
+    const length = Math.sqrt(lengthSquared);
+    const normal = distance > 0 ?
+      { x: (center.x - closest.x) / distance, y: (center.y - closest.y) / distance } :
+      (length > 0 ? { x: -dy / length, y: dx / length } : { x: 0, y: -1 });
+    return {
+      surface: distance - radius,
+      point: { x: closest.x + normal.x * radius, y: closest.y + normal.y * radius },
+      normal
+    };
+  }
+
+  /**
+   * Closest point on the outline of a convex polygon
+   * @private
+   * @param {{x: number, y: number}} center - Point to measure from
+   * @param {Array<{x: number, y: number}>} polygon - Corners in order
+   * @param {boolean} inside - Whether the point is inside the polygon
+   * @returns {{surface: number, point: {x: number, y: number}, normal: {x: number, y: number}}|null}
+   *   Distance to the outline (negative inside), closest point and the outward normal there (null without an outline)
+   */
+  static _nearestOnOutline(center, polygon, inside) {
+    let nearest = null;
+    for (let i = 0; i < polygon.length && polygon.length >= 3; i++) {
+      const edge = CollisionDetector._nearestOnSegment(center, polygon[i], polygon[(i + 1) % polygon.length], 0);
+      if (!nearest || edge.surface < nearest.surface) {
+        nearest = edge;
+      }
+    }
+    if (nearest && inside) {
+      nearest.surface = -nearest.surface;
+      nearest.normal = { x: 0 - nearest.normal.x, y: 0 - nearest.normal.y };
+    }
+    return nearest;
+  }
+
+  /**
+   * Check whether a point is strictly inside a convex polygon
+   * @param {Array<{x: number, y: number}>} polygon - Corners in order (either direction)
+   * @param {{x: number, y: number}} point - Point
+   * @returns {boolean} True if the point is inside (not on the outline)
+   */
+  static polygonContains(polygon, point) {
+    if (!polygon || polygon.length < 3) {
+      return false;
+    }
+    let sign = 0;
+    for (let i = 0; i < polygon.length; i++) {
+      const current = polygon[i];
+      const next = polygon[(i + 1) % polygon.length];
+      const side = (next.x - current.x) * (point.y - current.y) - (next.y - current.y) * (point.x - current.x);
+      if (side === 0 || (sign !== 0 && Math.sign(side) !== sign)) {
+        return false;
+      }
+      sign = Math.sign(side);
+    }
+    return true;
+  }
+
+  /**
+   * Break walls down into the line segments their surfaces are measured from
+   * 壁を距離の計算に使う線分に分解
+   * Rectangles give their four edges (and are kept for the inside test), polyline
+   * walls their centre line segments with half the wall thickness as radius.
+   * @param {Array} walls - Rectangles and polyline walls
+   * @returns {{rects: Array<Object>, segments: Array<Object>}} Rectangles and segments with their bounding boxes
+   */
+  static getWallShapes(walls) {
+    const rects = [];
+    const segments = [];
+    const addSegment = (a, b, radius) => {
+      segments.push({
+        a,
+        b,
+        radius,
+        minX: Math.min(a.x, b.x),
+        maxX: Math.max(a.x, b.x),
+        minY: Math.min(a.y, b.y),
+        maxY: Math.max(a.y, b.y)
+      });
+    };
+    
+    (walls || []).forEach(wall => {
+      if (wall.points) {
+        for (let i = 0; i < wall.points.length - 1; i++) {
+          addSegment(wall.points[i], wall.points[i + 1], wall.thickness / 2);
+        }
+        return;
+      }
+      
+      rects.push(wall);
+      const corners = [
+        { x: wall.x, y: wall.y },
+        { x: wall.x + wall.width, y: wall.y },
+        { x: wall.x + wall.width, y: wall.y + wall.height },
+        { x: wall.x, y: wall.y + wall.height }
+      ];
+      corners.forEach((corner, i) => addSegment(corner, corners[(i + 1) % corners.length], 0));
+    });
+    
+    return { rects, segments };
+  }
+
+  /**
+   * Sort wall shapes into a uniform grid (broadphase)
+   * 壁の形状を均一グリッドのセルに振り分ける（広域判定）
+   * Each rectangle goes into every cell it overlaps and each segment into every cell
+   * its bounding box, widened by its radius, overlaps, so the walls within some distance
+   * of an area are all in the cells within that distance of it.
+   * @param {{rects: Array<Object>, segments: Array<Object>}} shapes - Wall shapes (see getWallShapes())
+   * @param {number} cellSize - Width and height of a cell
+   * @returns {{cellSize: number, cells: Map<string, {rects: Array<Object>, segments: Array<Object>}>}}
+   *   Grid with the cells that hold walls, keyed by "column,row"
+   */
+  static createWallGrid(shapes, cellSize = CollisionDetector.GRID_CELL_SIZE) {
+    const cells = new Map();
+    const add = (type, shape, minX, minY, maxX, maxY) => {
+      for (let column = Math.floor(minX / cellSize); column <= Math.floor(maxX / cellSize); column++) {
+        for (let row = Math.floor(minY / cellSize); row <= Math.floor(maxY / cellSize); row++) {
+          const key = `${column},${row}`;
+          if (!cells.has(key)) {
+            cells.set(key, { rects: [], segments: [] });
+          }
+          cells.get(key)[type].push(shape);
+        }
+      }
+    };
+    
+    shapes.rects.forEach(rect => add('rects', rect, rect.x, rect.y, rect.x + rect.width, rect.y + rect.height));
+    shapes.segments.forEach(segment => add(
+      'segments',
+      segment,
+      segment.minX - segment.radius,
+      segment.minY - segment.radius,
+      segment.maxX + segment.radius,
+      segment.maxY + segment.radius
+    ));
+    
+    return { cellSize, cells };
+  }
+
+  /**
+   * Project points onto an axis
+   * @param {Array<{x: number, y: number}>} points - Points
+   * @param {{x: number, y: number}} axis - Axis (does not need to be normalized)
+   * @returns {{min: number, max: number}} Range of the projections
+   */
+  static project(points, axis) {
+    let min = Infinity;
+    let max = -Infinity;
+    points.forEach(point => {
+      const value = point.x * axis.x + point.y * axis.y;
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    });
+    return { min, max };
+  }
 }
 
+// Width and height of the broadphase grid cells in pixels (a few path samples of wall per cell)
+CollisionDetector.GRID_CELL_SIZE = 64;
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = CollisionDetector;
@@ -0,0 +1,216 @@
+/**
+ * CourseStore class - Keeps courses made in the level editor in local storage
+ * レベルエディタで作ったコースをローカルストレージに保存する
+ *
+ * Courses are stored by name with the difficulty they are played at. A course
+ * can also be exported to a file (serialize()) and imported again (parse()),
+ * to share it for an event or with other players.
+ */
+class CourseStore {
+  /**
+   * Constructor
+   * @param {Storage} storage - Storage backend (defaults to window.localStorage when available)
+   */
+  constructor(storage) {
+    if (storage !== undefined) {
+      this.storage = storage;
+    } else {
+      this.storage = typeof localStorage !== 'undefined' ? localStorage : null;
+    }
+  }
+
+  /**
+   * Get all saved courses
+   * 保存済みのコースを取得
+   * @returns {Array<{name: string, difficulty: string, course: Object}>} Courses in the order they were saved
+   */
+  getCourses() {
+    return this._load().filter(entry => CourseStore.isValidEntry(entry));
+  }
+
+  /**
+   * Get a saved course by name
+   * @param {string} name - Course name
+   * @returns {{name: string, difficulty: string, course: Object}|null} Entry, or null if there is no course with that name
+   */
+  getCourse(name) {
+    return this.getCourses().find(saved => saved.name === name) || null;
+  }
+
+  /**
+   * Save a course (replacing a saved course with the same name)
+   * コースを保存（同じ名前のコースは上書き）
+   * @param {string} name - Course name
+   * @param {string} difficulty - Preset difficulty the course is played at
+   * @param {Object} course - Course (see LevelGenerator.isValidCourse())
+   * @returns {{name: string, difficulty: string, course: Object}} Saved entry
+   * @throws {Error} If the name, difficulty or course is invalid, or the store is full
+   */
+  saveCourse(name, difficulty, course) {
+    const entry = CourseStore.createEntry(name, difficulty, course);
+
+    const courses = this.getCourses().filter(saved => saved.name !== entry.name);
+    if (courses.length >= CourseStore.MAX_COURSES) {
+      throw new Error(`At most ${CourseStore.MAX_COURSES} courses can be saved`);
+    }
+
+    courses.push(entry);
+    this._save(courses);
+    return entry;
+  }
+
+  /**
+   * Delete a saved course
+   * @param {string} name - Course name
+   * @returns {boolean} True if a course was deleted
+   */
+  deleteCourse(name) {
+    const courses = this.getCourses();
+    const remaining = courses.filter(saved => saved.name !== name);
+    if (remaining.length === courses.length) {
+      return false;
+    }
+
+    this._save(remaining);
+    return true;
+  }
+
+  /**
+   * Load the stored courses
+   * @private
+   * @returns {Array} Stored entries (not validated)
+   */
+  _load() {
+    if (!this.storage) {
+      return [];
+    }
+
+    try {
+      const courses = JSON.parse(this.storage.getItem(CourseStore.STORAGE_KEY));
+      return Array.isArray(courses) ? courses : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Save courses
+   * @private
+   * @param {Array<Object>} courses - Courses to store
+   */
+  _save(courses) {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.setItem(CourseStore.STORAGE_KEY, JSON.stringify(courses));
+    } catch (error) {
+      // Quota exceeded or storage disabled - courses are only kept for this session
+      console.warn('Failed to save courses:', error.message);
+    }
+  }
+
+  /**
+   * Validate and normalize a course entry
+   * @param {string} name - Course name (trimmed)
+   * @param {string} difficulty - Preset difficulty
+   * @param {Object} course - Course
+   * @returns {{name: string, difficulty: string, course: Object}} Entry
+   * @throws {Error} If the name, difficulty or course is invalid
+   */
+  static createEntry(name, difficulty, course) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (trimmed.length < 1 || trimmed.length > CourseStore.MAX_NAME_LENGTH) {
+      throw new Error(`Course name must be 1-${CourseStore.MAX_NAME_LENGTH} characters`);
+    }
+
+    const LevelGeneratorClass = CourseStore._getLevelGeneratorClass();
+    if (LevelGeneratorClass.PRESET_DIFFICULTIES.indexOf(difficulty) === -1) {
+      throw new Error(`Invalid difficulty: ${difficulty}`);
+    }
+
+    if (!LevelGeneratorClass.isValidCourse(course)) {
+      throw new Error('Invalid course');
+    }
+
+    return { name: trimmed, difficulty, course: LevelGeneratorClass.normalizeCourse(course) };
+  }
+
+  /**
+   * Check whether a value is a usable course entry
+   * @param {*} entry - Value to check
+   * @returns {boolean} True for { name, difficulty, course } that createEntry() accepts as is
+   */
+  static isValidEntry(entry) {
+    try {
+      return Boolean(entry) && CourseStore.createEntry(entry.name, entry.difficulty, entry.course).name === entry.name;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Export a course to the text of a course file
+   * コースをファイル用の文字列に変換
+   * @param {string} name - Course name
+   * @param {string} difficulty - Preset difficulty
+   * @param {Object} course - Course
+   * @returns {string} JSON text
+   * @throws {Error} If the name, difficulty or course is invalid
+   */
+  static serialize(name, difficulty, course) {
+    return JSON.stringify({
+      format: CourseStore.FILE_FORMAT,
+      version: CourseStore.FILE_VERSION,
+      ...CourseStore.createEntry(name, difficulty, course)
+    });
+  }
+
+  /**
+   * Import a course from the text of a course file
+   * コースファイルの文字列からコースを読み込む
+   * @param {string} text - JSON text (see serialize())
+   * @returns {{name: string, difficulty: string, course: Object}} Entry
+   * @throws {Error} If the text is not a course file of a supported version or the course is invalid
+   */
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Invalid course file: not JSON');
+    }
+
+    if (!data || data.format !== CourseStore.FILE_FORMAT) {
+      throw new Error('Invalid course file');
+    }
+    if (data.version !== CourseStore.FILE_VERSION) {
+      throw new Error(`Unsupported course file version: ${data.version}`);
+    }
+
+    return CourseStore.createEntry(data.name, data.difficulty, data.course);
+  }
+
+  /**
+   * Resolve the LevelGenerator class in both browser and Node environments
+   * @private
+   * @returns {Function} LevelGenerator class
+   */
+  static _getLevelGeneratorClass() {
+    return typeof LevelGenerator !== 'undefined' ? LevelGenerator : require('./LevelGenerator');
+  }
+}
+
+CourseStore.STORAGE_KEY = 'iraira-courses';
+CourseStore.MAX_COURSES = 20;
+CourseStore.MAX_NAME_LENGTH = 20;
+
+// Course files (see serialize())
+CourseStore.FILE_FORMAT = 'iraira-course';
+CourseStore.FILE_VERSION = 1;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CourseStore;
+}
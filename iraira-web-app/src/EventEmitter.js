@@ -0,0 +1,128 @@
+/**
+ * EventEmitter class - Minimal per-instance event emitter (on/off/once)
+ * インスタンスごとのイベント通知（on/off/once）
+ *
+ * Listeners are kept per emitter, so several games on one page never see each
+ * other's events. A listener that throws is reported and skipped, so a broken
+ * HUD widget or sound hook cannot stop the game loop.
+ */
+class EventEmitter {
+  /**
+   * Constructor
+   * @param {Array<string>} eventNames - Events that can be listened to (optional, any name if omitted)
+   */
+  constructor(eventNames = null) {
+    this.eventNames = eventNames;
+    this.listeners = {};
+  }
+
+  /**
+   * Add a listener
+   * リスナーを登録
+   * @param {string} eventName - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Function that removes the listener again
+   * @throws {Error} If the event name is unknown or the listener is not a function
+   */
+  on(eventName, listener) {
+    this._validate(eventName, listener);
+
+    if (!this.listeners[eventName]) {
+      this.listeners[eventName] = [];
+    }
+    this.listeners[eventName].push(listener);
+    return () => this.off(eventName, listener);
+  }
+
+  /**
+   * Add a listener that is removed after its first call
+   * 一度だけ呼ばれるリスナーを登録
+   * @param {string} eventName - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Function that removes the listener before it is called
+   */
+  once(eventName, listener) {
+    this._validate(eventName, listener);
+
+    const wrapper = payload => {
+      this.off(eventName, wrapper);
+      listener(payload);
+    };
+    wrapper.listener = listener;
+    return this.on(eventName, wrapper);
+  }
+
+  /**
+   * Remove a listener (added with on() or once())
+   * リスナーを削除
+   * @param {string} eventName - Event name
+   * @param {Function} listener - Listener to remove
+   */
+  off(eventName, listener) {
+    const listeners = this.listeners[eventName];
+    if (!listeners) {
+      return;
+    }
+
+    const index = listeners.findIndex(registered => registered === listener || registered.listener === listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Call every listener of an event
+   * イベントを通知
+   * @param {string} eventName - Event name
+   * @param {Object} payload - Event payload
+   */
+  emit(eventName, payload) {
+    const listeners = this.listeners[eventName];
+    if (!listeners || listeners.length === 0) {
+      return;
+    }
+
+    // Copy so listeners can remove themselves (once) while the event is being emitted
+    listeners.slice().forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Error in ${eventName} listener:`, error);
+      }
+    });
+  }
+
+  /**
+   * Check whether an event has listeners (to skip building payloads nobody reads)
+   * @param {string} eventName - Event name
+   * @returns {boolean} True if at least one listener is registered
+   */
+  hasListeners(eventName) {
+    return Boolean(this.listeners[eventName] && this.listeners[eventName].length > 0);
+  }
+
+  /**
+   * Remove all listeners
+   */
+  clear() {
+    this.listeners = {};
+  }
+
+  /**
+   * Check the arguments of on()/once()
+   * @private
+   */
+  _validate(eventName, listener) {
+    if (this.eventNames && this.eventNames.indexOf(eventName) === -1) {
+      throw new Error(`Unknown event: ${eventName}`);
+    }
+    if (typeof listener !== 'function') {
+      throw new Error('Event listener must be a function');
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EventEmitter;
+}
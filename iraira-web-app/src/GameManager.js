@@ -6,23 +6,111 @@
  * - 2.1, 2.2: 衝突検知とゲームオーバー処理
  * - 3.1, 3.2, 3.3: タイマー管理とスコア記録
  * - 4.1, 4.3: ゲーム開始と再スタート機能
+ *
+ * シミュレーションは固定タイムステップ（ティック）で進行し、描画のみ
+ * requestAnimationFrameの周期で補間して行う。これによりモニターの
+ * リフレッシュレートに関係なく移動量・衝突判定・タイマーが一致する。
  */
 class GameManager {
   /**
    * Constructor - 全コンポーネントを初期化
    * @param {HTMLCanvasElement} canvas - ゲーム用キャンバス要素
-   * @param {string} difficulty - 難易度レベル ('easy', 'medium', 'hard', 'super-hard')
+   * @param {string} difficulty - 難易度レベル ('easy', 'medium', 'hard', 'super-hard'、またはoptions.profileを使う'custom')
+   * @param {Object} options - 追加オプション
+   * @param {number} options.tickRate - 1秒あたりのシミュレーションティック数（デフォルト: 60）
+   * @param {number|string} options.seed - レベルのシード値（指定時は再スタートしても同じコースを生成）
+   * @param {string} options.mode - ゲームモード（'classic': 壁に触れたら即ゲームオーバー、'lives': ライフ制とチェックポイント、'endless': 右に伸び続けるコースで距離を競う、'powerups': コース上のパワーアップを拾えるclassic）
+   * @param {string} options.movement - 移動モデル（'direct': 方向キーの向きに一定速度で進む、'inertia': 方向キーで加速し慣性で滑る。Character.MOVEMENTSを参照）
+   * @param {Array<{x: number, y: number}>} options.layout - 手作りコースのウェイポイント（キャンバスサイズに対する0〜1の割合、省略時はシードから生成）
+   * @param {Object} options.course - レベルエディタで作ったコース（ウェイポイント・区間ごとの通路幅・障害物、LevelGenerator.isValidCourseを参照。リプレイとゴーストは記録しない）
+   * @param {Object} options.profile - カスタム難易度のプロファイル（difficultyが'custom'の場合は必須、LevelGenerator.PROFILE_LIMITSを参照）
+   * @param {number} options.players - プレイヤー数（1または2、2人の場合は同じコースでゴールを先に目指すレース。classicモードのみ）
+   * @param {boolean} options.pausable - 一時停止できるか（デフォルト: true。falseの場合はSPACEキーでも自動一時停止でも止まらない。オンライン対戦用）
+   * @param {boolean} options.headless - 描画・入力・ゲームループなしでシミュレーションのみ行う（Node.jsでのボットや検証用、run()で進める）
+   * @param {number} options.width - ヘッドレス時のコースの幅（キャンバスを渡さない場合、デフォルト: 800）
+   * @param {number} options.height - ヘッドレス時のコースの高さ（キャンバスを渡さない場合、デフォルト: 600）
    */
-  constructor(canvas, difficulty = 'easy') {
-    if (!canvas) {
+  constructor(canvas, difficulty = 'easy', options = {}) {
+    const headless = Boolean(options.headless);
+    if (!canvas && !headless) {
       throw new Error('Canvas element is required');
     }
 
-    this.canvas = canvas;
+    const tickRate = options.tickRate !== undefined ? options.tickRate : 60;
+    if (typeof tickRate !== 'number' || !Number.isFinite(tickRate) || tickRate <= 0) {
+      throw new Error(`Invalid tick rate: ${tickRate}`);
+    }
+
+    const mode = options.mode !== undefined ? options.mode : 'classic';
+    if (GameManager.MODES.indexOf(mode) === -1) {
+      throw new Error(`Invalid game mode: ${mode}`);
+    }
+
+    const CharacterClass = typeof Character !== 'undefined' ? Character : require('./Character');
+    const movement = options.movement !== undefined ? options.movement : 'direct';
+    if (CharacterClass.MOVEMENTS.indexOf(movement) === -1) {
+      throw new Error(`Invalid movement model: ${movement}`);
+    }
+
+    if (mode === 'endless' && options.layout) {
+      throw new Error('Hand-authored layouts are not available in endless mode');
+    }
+
+    if (mode === 'endless' && options.course) {
+      throw new Error('Courses are not available in endless mode');
+    }
+
+    if (options.course && options.layout) {
+      throw new Error('A course and a layout cannot be used together');
+    }
+
+    const playerCount = options.players !== undefined ? options.players : 1;
+    if (!Number.isInteger(playerCount) || playerCount < 1 || playerCount > GameManager.MAX_PLAYERS) {
+      throw new Error(`Invalid player count: ${playerCount}`);
+    }
+
+    if (playerCount > 1 && mode !== 'classic') {
+      throw new Error('Multiplayer races are only available in classic mode');
+    }
+
+    if (playerCount > 1 && movement !== 'direct') {
+      throw new Error('Multiplayer races are only available with direct movement');
+    }
+
+    // ヘッドレス時のcanvasはコースの大きさ（{ width, height }）のみ
+    this.headless = headless;
+    this.canvas = headless ? this._createHeadlessCanvas(canvas, options) : canvas;
     this.difficulty = difficulty;
+    this.mode = mode;
+    
+    // 移動モデル（モードとは別に選択でき、リーダーボードも別になる）
+    this.movement = movement;
+    
+    // 固定シード（未指定の場合はレベル生成ごとにランダムなシードを使用）
+    this.fixedSeed = options.seed !== undefined ? options.seed : null;
+    
+    // 手作りコースのレイアウト（未指定の場合はシードからコースを生成）
+    this.layout = options.layout || null;
+    
+    // レベルエディタで作ったコース（未指定の場合はシードまたはレイアウトからコースを生成）
+    this.course = options.course || null;
+    
+    // カスタム難易度のプロファイル（通路幅・速度・ウェイポイント数・カーブの揺らぎ・壁の厚さ）
+    this.profile = options.profile || null;
+    
+    // 複数人レース（players[0]はthis.character・this.collisionDetectorと同じ）
+    // winner: 最初にゴールしたプレイヤーの番号（0始まり、決着前と1人プレイではnull）
+    this.playerCount = playerCount;
+    this.players = [];
+    this.winner = null;
     
-    // ゲーム状態機械 (menu, playing, paused, gameover, victory)
+    // 一時停止できるか（オンライン対戦では他のプレイヤーが走り続けるため、止めた時間だけ有利になるので不可）
+    this.pausable = options.pausable !== undefined ? Boolean(options.pausable) : true;
+    
+    // ゲーム状態機械 (menu, playing, paused, countdown, gameover, victory)
+    // countdown: 一時停止からの再開前のカウントダウン中（シミュレーションは止まったまま）
     this.state = 'menu';
+    this.countdownRemaining = 0;
     
     // タイマー管理
     this.startTime = 0;
@@ -33,6 +121,49 @@ class GameManager {
     this.gameLoopId = null;
     this.lastFrameTime = 0;
     
+    // 固定タイムステップ制御
+    // 難易度設定の速度は60ティック/秒を基準とした1ティックあたりのピクセル数
+    this.baseTickRate = 60;
+    this.tickRate = tickRate;
+    this.tickDuration = 1000 / tickRate; // 1ティックの長さ（ミリ秒）
+    this.maxFrameTime = 250; // タブ復帰時などの巨大なデルタを切り詰める上限（ミリ秒）
+    this.tick = 0;
+    this.accumulator = 0;
+    this.interpolationAlpha = 0;
+    
+    // リプレイ
+    // replay: 現在のプレイの記録（startGame()で作成）
+    // inputSource: ティックごとに方向を供給するスクリプト入力（リプレイ再生など）
+    this.replay = null;
+    this.inputSource = null;
+    
+    // ゴースト（過去のプレイをなぞる衝突しないキャラクター）
+    // raceProgress: プレイヤーがコース上で到達した最も先の通路インデックス
+    this.ghosts = [];
+    this.raceProgress = 0;
+    
+    // オンライン対戦の他のプレイヤー（プレイヤーID → 最新の状態スナップショット、衝突しない）
+    this.remotePlayers = new Map();
+    
+    // ライフ制モードのライフとチェックポイント（classicモードではnull）
+    this.checkpoints = null;
+    
+    // パワーアップモードのアイテムと効果（他のモードではnull）
+    this.powerUps = null;
+    
+    // エンドレスモードでキャラクターが到達した最も右の位置（距離スコアの元）
+    this.furthestX = 0;
+    
+    // ゲームイベントの通知先（インスタンスごと、on/off/onceで購読）
+    // lastDirection: 直前に通知した方向、nearWall: 壁に接近中か（nearmissを接近するたびに1回だけ通知する）
+    const EventEmitterClass = typeof EventEmitter !== 'undefined' ? EventEmitter : require('./EventEmitter');
+    this.events = new EventEmitterClass(GameManager.EVENTS);
+    this.lastDirection = null;
+    this.nearWall = false;
+    
+    // 保存したプレイを途中から再開したか（再開したプレイはランキング対象外にできるようリプレイにも記録する）
+    this.resumed = false;
+    
     // コンポーネントの初期化
     this._initializeComponents();
     
@@ -46,7 +177,10 @@ class GameManager {
    */
   _initializeComponents() {
     // 動的インポートを使用してコンポーネントを読み込み
-    if (typeof Character !== 'undefined') {
+    if (this.headless) {
+      // ヘッドレス（シミュレーションのみ）
+      this._initializeHeadlessComponents();
+    } else if (typeof Character !== 'undefined') {
       // ブラウザ環境
       this._initializeBrowserComponents();
     } else {
@@ -60,33 +194,109 @@ class GameManager {
    * @private
    */
   _initializeBrowserComponents() {
+    // コース・キャラクター・衝突判定を初期化
+    this._initializeSimulationComponents();
+
+    // レンダラーを初期化
+    this.renderer = new Renderer(this.canvas);
+
+    // アニメーションエンジンを初期化
+    this.animationEngine = new AnimationEngine(this.canvas);
+
+    // 入力ハンドラーを初期化
+    this.inputHandler = new InputHandler(this);
+
+    // タブ非表示・フォーカス喪失・画面外スクロールでの自動一時停止（一時停止できないプレイでは作らない）
+    const AutoPauseClass = typeof AutoPause !== 'undefined' ? AutoPause : require('./AutoPause');
+    this.autoPause = this.pausable ? new AutoPauseClass(this, this.canvas) : null;
+  }
+
+  /**
+   * ヘッドレス環境でのコンポーネント初期化
+   * DOMを使うレンダラー・アニメーション・キーボード入力は作らない
+   * @private
+   */
+  _initializeHeadlessComponents() {
+    this._initializeSimulationComponents();
+    this.renderer = null;
+    this.animationEngine = null;
+    this.inputHandler = null;
+    this.autoPause = null;
+  }
+
+  /**
+   * シミュレーションに必要なコンポーネント（コース・キャラクター・衝突判定）を初期化
+   * ブラウザではグローバルのクラスを、Node.jsではモジュールを使用する
+   * @private
+   */
+  _initializeSimulationComponents() {
+    const LevelGeneratorClass = typeof LevelGenerator !== 'undefined' ? LevelGenerator : require('./LevelGenerator');
+    const CharacterClass = typeof Character !== 'undefined' ? Character : require('./Character');
+    const CollisionDetectorClass = typeof CollisionDetector !== 'undefined' ?
+      CollisionDetector :
+      require('./CollisionDetector');
+
     // レベルジェネレーターを初期化
-    this.levelGenerator = new LevelGenerator(
+    this.levelGenerator = new LevelGeneratorClass(
       this.canvas.width, 
       this.canvas.height, 
-      this.difficulty
+      this.difficulty,
+      this.profile
     );
-    this.levelGenerator.generate();
+    this._generateLevel();
 
     // キャラクターを初期化
     const startPos = this.levelGenerator.getStartPosition();
-    this.character = new Character(startPos.x, startPos.y, 10);
+    this.character = new CharacterClass(startPos.x, startPos.y, 10);
+    this.character.setInertia(this.getInertiaPerTick());
+
+    // ライフ制モードではコース上にチェックポイントを、パワーアップモードではアイテムを配置
+    this._createCheckpoints();
+    this._createPowerUps();
 
     // 衝突検知器を初期化
-    this.collisionDetector = new CollisionDetector(
+    this.collisionDetector = new CollisionDetectorClass(
       this.character,
       this.levelGenerator.getWalls(),
-      this.levelGenerator.getGoalPosition()
+      this.levelGenerator.getGoalPosition(),
+      this.levelGenerator.getObstacles(),
+      this.levelGenerator.getHazards()
     );
 
-    // レンダラーを初期化
-    this.renderer = new Renderer(this.canvas);
-
-    // アニメーションエンジンを初期化
-    this.animationEngine = new AnimationEngine(this.canvas);
+    // 複数人レースでは2人目以降にも同じコース上のキャラクターと衝突検知器を用意
+    this.players = [{ index: 0, character: this.character, collisionDetector: this.collisionDetector }];
+    for (let index = 1; index < this.playerCount; index++) {
+      const character = new CharacterClass(startPos.x, startPos.y, 10);
+      this.players.push({
+        index,
+        character,
+        collisionDetector: new CollisionDetectorClass(
+          character,
+          this.levelGenerator.getWalls(),
+          this.levelGenerator.getGoalPosition(),
+          this.levelGenerator.getObstacles(),
+          this.levelGenerator.getHazards()
+        )
+      });
+    }
+    this._resetPlayers();
+  }
 
-    // 入力ハンドラーを初期化
-    this.inputHandler = new InputHandler(this);
+  /**
+   * ヘッドレス時のコースの大きさを決定
+   * @private
+   * @param {Object|null} canvas - 大きさを借りるキャンバス（省略可）
+   * @param {Object} options - コンストラクタのオプション（width, height）
+   * @returns {{width: number, height: number}} コースの大きさ
+   * @throws {Error} 大きさが正の整数でない場合
+   */
+  _createHeadlessCanvas(canvas, options) {
+    const width = canvas ? canvas.width : (options.width !== undefined ? options.width : 800);
+    const height = canvas ? canvas.height : (options.height !== undefined ? options.height : 600);
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+      throw new Error(`Invalid level size: ${width}x${height}`);
+    }
+    return { width, height };
   }
 
   /**
@@ -101,6 +311,7 @@ class GameManager {
     this.renderer = null;
     this.animationEngine = null;
     this.inputHandler = null;
+    this.autoPause = null;
   }
 
   /**
@@ -108,62 +319,340 @@ class GameManager {
    * 要件 4.1: プレイヤーがスタートボタンをクリックしたとき、タイマーをゼロにして新しいゲームセッションを初期化
    */
   startGame() {
+    // 走行状態を初期化してプレイ中にする
+    this.resetRun();
+    
+    // 今回のプレイの記録を開始（リプレイは1人プレイのみ、エディタのコースはシードから再現できないため記録しない）
+    this.replay = this.isRace() || this.course ? null : this._createReplay();
+    this.resumed = false;
+    
+    // 入力と自動一時停止を有効化
+    if (this.inputHandler) {
+      this.inputHandler.enable();
+    }
+    if (this.autoPause) {
+      this.autoPause.enable();
+    }
+    
+    // ゲームループを開始
+    this._startGameLoop();
+    
+    this.events.emit('start', this._getLevelInfo());
+  }
+
+  /**
+   * 走行状態を開始時点に戻してプレイ中にする
+   * 入力やゲームループには触れないため、リプレイ再生のシークにも使用される
+   */
+  resetRun() {
     // ゲーム状態をプレイ中に変更
     this.state = 'playing';
+    this.countdownRemaining = 0;
+    
+    // パワーアップを元に戻して効果を解除（ゲーム内の時計もリセットされる）
+    if (this.powerUps) {
+      this.powerUps.reset(this.character);
+    }
     
     // タイマーを初期化（要件 3.1: ゲーム開始時にタイマーをゼロ秒で初期化）
     this.startTime = Date.now();
     this.currentTime = 0;
     this.score = 0;
+    this._resetSimulationClock();
+    
+    // エンドレスコースは後方の区間が削除されているため開始時点から作り直す
+    if (this.mode === 'endless' && this.levelGenerator) {
+      this.levelGenerator.generateEndless(this.getSeed());
+      if (this.collisionDetector) {
+        this.collisionDetector.updateWalls(this.levelGenerator.getWalls());
+      }
+    }
     
     // キャラクターを開始位置にリセット
     if (this.character && this.levelGenerator) {
       const startPos = this.levelGenerator.getStartPosition();
       this.character.reset(startPos.x, startPos.y);
+      this.furthestX = startPos.x;
+    }
+    
+    // 衝突状態とアニメーションをリセット
+    if (this.collisionDetector) {
+      this.collisionDetector.reset();
+    }
+    if (this.animationEngine) {
+      this.animationEngine.isAnimating = false;
+    }
+    
+    // ライフとチェックポイントをリセット
+    if (this.checkpoints) {
+      this.checkpoints.reset();
+    }
+    
+    // 複数人レースの他のプレイヤーと勝者をリセット
+    this._resetPlayers();
+    
+    // ゴーストとの比較用の進行度をリセット
+    this.raceProgress = 0;
+    this._updateRaceProgress();
+    
+    // イベント通知用の状態をリセット
+    this.lastDirection = null;
+    this.nearWall = false;
+  }
+
+  /**
+   * ゲームを一時停止
+   * 入力は有効なままにして、SPACEキーで再開できるようにする（方向キーはプレイ中のみ受け付ける）
+   * @param {string} reason - 一時停止の理由（'manual'、自動一時停止では'hidden'・'blur'・'offscreen'）
+   */
+  pauseGame(reason = 'manual') {
+    if (!this.pausable || (this.state !== 'playing' && this.state !== 'countdown')) {
+      return;
+    }
+
+    // カウントダウン中に止めた場合は再開していないので通知しない
+    const wasPlaying = this.state === 'playing';
+    this.state = 'paused';
+    this.countdownRemaining = 0;
+    this._stopGameLoop();
+    this._render();
+    
+    if (wasPlaying) {
+      this.events.emit('pause', { tick: this.tick, time: this.currentTime, reason });
+    }
+  }
+
+  /**
+   * ゲームを再開
+   * カウントダウン（3・2・1）の後にキャラクターが動き出す
+   * @param {number} countdown - カウントダウンの長さ（ミリ秒、0ですぐに再開。ヘッドレス時の既定は0）
+   */
+  resumeGame(countdown = this.headless ? 0 : GameManager.RESUME_COUNTDOWN) {
+    if (this.state !== 'paused') {
+      return;
+    }
+
+    if (countdown > 0) {
+      this.state = 'countdown';
+      this.countdownRemaining = countdown;
+      this.events.emit('countdown', { remaining: this.getResumeCountdown() });
+      this._render();
+      this._startGameLoop();
+      return;
     }
+
+    this._continueRun();
+  }
+
+  /**
+   * プレイ中なら一時停止し、一時停止中なら再開する（SPACEキー）
+   */
+  togglePause() {
+    if (this.state === 'paused') {
+      this.resumeGame();
+    } else {
+      this.pauseGame();
+    }
+  }
+
+  /**
+   * 再開までのカウントダウンの残り秒数を取得
+   * @returns {number|null} 表示する秒数（3・2・1、カウントダウン中でなければnull）
+   */
+  getResumeCountdown() {
+    return this.state === 'countdown' ? Math.ceil(this.countdownRemaining / 1000) : null;
+  }
+
+  /**
+   * カウントダウンを進め、終わったらプレイを再開
+   * @private
+   * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
+   */
+  _updateCountdown(deltaTime) {
+    const before = this.getResumeCountdown();
+    this.countdownRemaining -= Math.min(Math.max(deltaTime || 0, 0), this.maxFrameTime);
+
+    if (this.countdownRemaining <= 0) {
+      this._continueRun();
+      return;
+    }
+
+    const remaining = this.getResumeCountdown();
+    if (remaining !== before) {
+      this.events.emit('countdown', { remaining });
+    }
+    this._render();
+  }
+
+  /**
+   * 一時停止していたプレイを続ける
+   * タイマーはティック数から算出されるため、一時停止中とカウントダウン中の経過時間は加算されない
+   * @private
+   */
+  _continueRun() {
+    this.state = 'playing';
+    this.countdownRemaining = 0;
+    this.accumulator = 0;
     
     // 入力を有効化
     if (this.inputHandler) {
       this.inputHandler.enable();
     }
     
-    // ゲームループを開始
+    // ゲームループを再開
     this._startGameLoop();
+    
+    this.events.emit('resume', { tick: this.tick, time: this.currentTime });
   }
 
   /**
-   * ゲームを一時停止
+   * 途中のプレイを保存用のデータとして取得
+   * コース（シード・レイアウト・プロファイル）と入力はリプレイに含まれ、
+   * キャラクターの位置・方向・経過時間・モードの状態は再開時の照合に使う
+   * @returns {Object|null} 保存データ（プレイ中・一時停止中・カウントダウン中以外はnull）
    */
-  pauseGame() {
-    if (this.state === 'playing') {
-      this.state = 'paused';
-      this._stopGameLoop();
-      
-      // 入力を無効化
-      if (this.inputHandler) {
-        this.inputHandler.disable();
-      }
+  getSaveState() {
+    if (!this.replay || !this.character ||
+        (this.state !== 'playing' && this.state !== 'paused' && this.state !== 'countdown')) {
+      return null;
     }
+
+    return {
+      version: GameManager.SAVE_FORMAT_VERSION,
+      replay: this.replay.serialize(),
+      tick: this.tick,
+      time: this.currentTime,
+      character: {
+        x: this.character.x,
+        y: this.character.y,
+        direction: this.character.direction
+      },
+      lives: this.getLives(),
+      distance: this.getDistance()
+    };
   }
 
   /**
-   * ゲームを再開
+   * 保存したプレイを再開する
+   * シミュレーションは決定的なので、記録された入力で保存時のティックまで描画なしで早送りし、
+   * 保存時の状態と一致することを確認する。再開したプレイは一時停止状態から始まる（SPACEキーで再開）。
+   * 早送り中のイベントは通知せず、完了後にstartイベントを通知する
+   * @param {Object} saveState - getSaveState()で取得した保存データ
+   * @throws {Error} 保存データが壊れている・現在のコースのものでない・保存時の状態を再現できない場合
    */
-  resumeGame() {
-    if (this.state === 'paused') {
-      this.state = 'playing';
-      
-      // タイマーの開始時間を調整（一時停止時間を考慮）
-      const pausedTime = Date.now() - this.startTime - this.currentTime;
-      this.startTime += pausedTime;
-      
-      // 入力を有効化
-      if (this.inputHandler) {
-        this.inputHandler.enable();
+  restoreRun(saveState) {
+    if (!this.levelGenerator || !this.character) {
+      throw new Error('Restoring a run requires a generated level');
+    }
+
+    if (!saveState || saveState.version !== GameManager.SAVE_FORMAT_VERSION) {
+      throw new Error('Unsupported saved run format');
+    }
+
+    if (!Number.isInteger(saveState.tick) || saveState.tick < 0 || saveState.tick > GameManager.MAX_RUN_TICKS) {
+      throw new Error('Invalid saved run: tick');
+    }
+
+    const ReplayClass = typeof Replay !== 'undefined' ? Replay : require('./Replay');
+    const LevelGeneratorClass = typeof LevelGenerator !== 'undefined' ? LevelGenerator : require('./LevelGenerator');
+    const replay = ReplayClass.deserialize(saveState.replay);
+    if (replay.isFinished() ||
+        replay.seed !== this.getSeed() ||
+        replay.difficulty !== this.difficulty ||
+        replay.mode !== this.mode ||
+        replay.movement !== this.movement ||
+        !LevelGeneratorClass.isSameLayout(replay.layout, this.getLayout()) ||
+        LevelGeneratorClass.getProfileHash(replay.profile) !== this.getProfileHash() ||
+        replay.tickRate !== this.tickRate ||
+        replay.width !== this.canvas.width ||
+        replay.height !== this.canvas.height) {
+      throw new Error('Saved run does not match the current level');
+    }
+
+    this._fastForward(replay, saveState.tick);
+
+    // 保存時点のティックの後に押された方向は次のティックの前に適用される
+    const pendingDirection = replay.getDirectionAt(this.tick);
+    if (pendingDirection) {
+      this.character.setDirection(pendingDirection);
+    }
+
+    const character = saveState.character || {};
+    if (this.state !== 'playing' ||
+        this.tick !== saveState.tick ||
+        this.currentTime !== saveState.time ||
+        this.character.x !== character.x ||
+        this.character.y !== character.y ||
+        this.character.direction !== character.direction ||
+        this.getLives() !== saveState.lives ||
+        this.getDistance() !== saveState.distance) {
+      this.resetRun();
+      this.state = 'menu';
+      throw new Error('Saved run does not match the simulation');
+    }
+
+    // 続きの入力を同じリプレイに記録する（復帰直後に停止していれば同じ方向の入力も記録する）
+    this.replay = replay;
+    this.replay.resumed = true;
+    if (this.character.direction === null) {
+      this.replay.recordStop();
+    }
+    this.resumed = true;
+
+    // 一時停止状態で再開（入力はSPACEキーのために有効にする）
+    this.state = 'paused';
+    if (this.inputHandler) {
+      this.inputHandler.enable();
+    }
+    if (this.autoPause) {
+      this.autoPause.enable();
+    }
+    this._render();
+
+    this.events.emit('start', this._getLevelInfo());
+  }
+
+  /**
+   * 保存したプレイから再開したかを取得
+   * @returns {boolean} restoreRun()で再開したプレイの場合true
+   */
+  isResumed() {
+    return this.resumed;
+  }
+
+  /**
+   * 開始位置からリプレイの入力で指定ティックまで描画・イベント通知なしで進める
+   * @private
+   * @param {Replay} replay - 入力を供給するリプレイ
+   * @param {number} targetTick - 目標ティック
+   */
+  _fastForward(replay, targetTick) {
+    const events = this.events;
+    const EventEmitterClass = typeof EventEmitter !== 'undefined' ? EventEmitter : require('./EventEmitter');
+    this.events = new EventEmitterClass(GameManager.EVENTS);
+
+    let nextInputIndex = 0;
+    this.inputSource = {
+      getDirectionForTick: tick => {
+        while (nextInputIndex < replay.inputs.length && replay.inputs[nextInputIndex].tick < tick) {
+          nextInputIndex++;
+        }
+        const input = replay.inputs[nextInputIndex];
+        return input && input.tick === tick ? input.direction : null;
+      }
+    };
+
+    try {
+      this.resetRun();
+      while (this.tick < targetTick && this.state === 'playing') {
+        this.step();
+      }
+    } finally {
+      this.inputSource = null;
+      this.events = events;
+      if (this.animationEngine) {
+        this.animationEngine.isAnimating = false;
       }
-      
-      // ゲームループを再開
-      this._startGameLoop();
     }
   }
 
@@ -175,19 +664,22 @@ class GameManager {
     // ゲームループを停止
     this._stopGameLoop();
     
-    // 入力を無効化
+    // 入力と自動一時停止を無効化
     if (this.inputHandler) {
       this.inputHandler.disable();
     }
+    if (this.autoPause) {
+      this.autoPause.disable();
+    }
     
     // アニメーションを停止
     if (this.animationEngine) {
       this.animationEngine.isAnimating = false;
     }
     
-    // 新しいレベルを生成
+    // 新しいレベルを生成（シード固定時は同じコースを再生成）
     if (this.levelGenerator) {
-      this.levelGenerator.generate();
+      this._generateLevel();
       
       // キャラクターを開始位置にリセット
       if (this.character) {
@@ -199,8 +691,26 @@ class GameManager {
       if (this.collisionDetector) {
         this.collisionDetector.updateWalls(this.levelGenerator.getWalls());
         this.collisionDetector.updateGoal(this.levelGenerator.getGoalPosition());
+        this.collisionDetector.updateObstacles(this.levelGenerator.getObstacles());
+        this.collisionDetector.updateHazards(this.levelGenerator.getHazards());
         this.collisionDetector.reset();
       }
+      
+      // 複数人レースの他のプレイヤーも新しいコースの開始位置へ
+      this.players.slice(1).forEach(player => {
+        player.collisionDetector.updateWalls(this.levelGenerator.getWalls());
+        player.collisionDetector.updateGoal(this.levelGenerator.getGoalPosition());
+        player.collisionDetector.updateObstacles(this.levelGenerator.getObstacles());
+        player.collisionDetector.updateHazards(this.levelGenerator.getHazards());
+      });
+      this._resetPlayers();
+      
+      // 新しいコースに合わせてチェックポイントとパワーアップを配置し直す
+      this._createCheckpoints();
+      this._createPowerUps();
+      
+      // 別のコースになった場合、そのコースで記録されていないゴーストを外す
+      this.ghosts = this.ghosts.filter(ghost => ghost.replay.seed === this.getSeed());
     }
     
     // 入力ハンドラーをリセット
@@ -215,6 +725,9 @@ class GameManager {
     this.startTime = 0;
     this.currentTime = 0;
     this.score = 0;
+    this._resetSimulationClock();
+    
+    this.events.emit('restart', this._getLevelInfo());
   }
 
   /**
@@ -222,7 +735,7 @@ class GameManager {
    * @param {number} timestamp - フレームタイムスタンプ
    */
   gameLoop(timestamp) {
-    if (this.state !== 'playing') {
+    if (this.state !== 'playing' && this.state !== 'countdown') {
       return;
     }
 
@@ -230,6 +743,11 @@ class GameManager {
     const deltaTime = timestamp - this.lastFrameTime;
     this.lastFrameTime = timestamp;
 
+    // ゲームパッドはイベントがないためフレームごとに読み取る
+    if (this.inputHandler) {
+      this.inputHandler.pollGamepads();
+    }
+
     // ゲーム状態を更新
     this.update(deltaTime);
 
@@ -239,15 +757,19 @@ class GameManager {
 
   /**
    * コンポーネント調整用update()メソッド
+   * 経過時間をアキュムレーターに蓄積し、固定長のティック単位でシミュレーションを進める
    * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
    */
   update(deltaTime) {
-    if (this.state !== 'playing') {
+    // 再開前のカウントダウン中はシミュレーションを進めない
+    if (this.state === 'countdown') {
+      this._updateCountdown(deltaTime);
       return;
     }
 
-    // タイマーを更新（要件 3.2: ゲーム進行中に100ミリ秒ごとにタイマーを更新）
-    this.currentTime = Date.now() - this.startTime;
+    if (this.state !== 'playing') {
+      return;
+    }
 
     // アニメーションが再生中の場合は入力を無視（要件 11.5）
     if (this.animationEngine && this.animationEngine.isPlaying()) {
@@ -256,65 +778,405 @@ class GameManager {
       return;
     }
 
-    // キャラクターを更新
-    if (this.character && this.levelGenerator) {
-      const speed = this.levelGenerator.getCharacterSpeed();
-      this.character.update(speed);
-    }
+    // 経過時間を蓄積（負値や極端に大きな値は切り詰める）
+    const frameTime = Math.min(Math.max(deltaTime || 0, 0), this.maxFrameTime);
+    this.accumulator += frameTime;
 
-    // 衝突検知
-    if (this.collisionDetector) {
-      // 壁との衝突をチェック（要件 2.1）
-      if (this.collisionDetector.checkWallCollision()) {
-        this.handleGameOver();
+    // 蓄積された時間分だけ固定ティックを実行
+    // （1000/60のような割り切れない長さの丸め誤差でティックを取りこぼさないよう許容誤差を設ける）
+    while (this.accumulator >= this.tickDuration - 1e-6) {
+      this.accumulator -= this.tickDuration;
+      this.step();
+
+      // ゲームオーバーまたはゴール到達で終了
+      if (this.state !== 'playing') {
         return;
       }
 
-      // ゴールとの衝突をチェック
-      if (this.collisionDetector.checkGoalCollision()) {
-        this.handleGoalReached();
-        return;
+      // ライフ制モードで復帰した場合は爆発アニメーションが終わるまで進めない
+      if (this.animationEngine && this.animationEngine.isPlaying()) {
+        this.accumulator = 0;
+        break;
       }
     }
 
+    // 残りの端数時間から描画補間係数を算出
+    this.interpolationAlpha = Math.max(this.accumulator, 0) / this.tickDuration;
+
     // 画面を描画
     this._render();
   }
 
   /**
-   * ゲームオーバー処理
-   * 要件 2.1: 壁に触れたときに即座にゲームオーバー状態を起動
-   * 要件 2.2: ゲームオーバー時にタイマーを停止し最終結果を表示
+   * シミュレーションを1ティック進める
+   * 移動・衝突判定・タイマーはすべてこのメソッド内でのみ更新される
    */
-  handleGameOver() {
-    // ゲーム状態をゲームオーバーに変更
-    this.state = 'gameover';
-    
-    // 入力を無効化
-    if (this.inputHandler) {
-      this.inputHandler.disable();
+  step() {
+    if (this.state !== 'playing') {
+      return;
     }
-    
-    // 爆発アニメーションを再生（要件 11.1）
-    if (this.animationEngine && this.collisionDetector) {
-      const collisionPoint = this.collisionDetector.getCollisionPoint();
-      if (collisionPoint) {
-        this.animationEngine.playExplosion(
-          collisionPoint.x, 
-          collisionPoint.y, 
-          () => {
-            // アニメーション完了後にゲームオーバー画面を表示
-            this._showGameOverScreen();
-          }
-        );
-      } else {
-        this._showGameOverScreen();
+
+    // スクリプト入力（リプレイ再生など）の方向を適用
+    if (this.inputSource && this.character) {
+      const direction = this.inputSource.getDirectionForTick(this.tick);
+      if (direction) {
+        this.character.setDirection(direction);
+        this._notifyDirectionChange(direction);
       }
-    } else {
+    }
+
+    // タイマーを更新（要件 3.2: ティック数から経過時間を算出、スローモーション中はゲーム内の時計がゆっくり進む）
+    this.tick++;
+    if (this.powerUps) {
+      this.powerUps.advance(this.tick);
+    }
+    this._updateCurrentTime();
+    this._updateObstacles();
+
+    // キャラクターを更新（複数人レースでは脱落・ゴールしていないプレイヤー全員）
+    if (this.isRace()) {
+      this.players.forEach(player => {
+        if (player.status === 'racing') {
+          player.character.update(this.getSpeedPerTick());
+        }
+      });
+    } else if (this.character && this.levelGenerator) {
+      const speedFactor = this.powerUps ? this.powerUps.getSpeedFactor(this.tick) : 1;
+      this.character.update(this.getSpeedPerTick() * speedFactor);
+    }
+    this._updateRaceProgress();
+    this._updateEndlessTrack();
+    
+    if (this.events.hasListeners('tick')) {
+      this.events.emit('tick', {
+        tick: this.tick,
+        time: this.currentTime,
+        x: this.character ? this.character.x : null,
+        y: this.character ? this.character.y : null,
+        direction: this.character ? this.character.direction : null
+      });
+    }
+
+    // 複数人レースは壁に触れたプレイヤーが脱落し、最初にゴールしたプレイヤーが勝つ
+    if (this.isRace()) {
+      this._checkRaceCollisions();
+      return;
+    }
+
+    // 衝突検知
+    if (this.collisionDetector) {
+      // 壁との衝突をチェック（要件 2.1）
+      // ライフ制モードではライフが残っていればチェックポイントから復帰し、パワーアップモードではシールドが接触を防ぐ
+      if (this.collisionDetector.checkWallCollision()) {
+        if (this.powerUps && this._absorbHit()) {
+          return;
+        }
+        
+        const respawn = Boolean(this.checkpoints && this.checkpoints.registerCrash());
+        const collisionPoint = this.collisionDetector.getCollisionPoint();
+        this.events.emit('collision', {
+          tick: this.tick,
+          x: collisionPoint.x,
+          y: collisionPoint.y,
+          respawn,
+          lives: this.getLives()
+        });
+        
+        if (respawn) {
+          this.handleRespawn();
+        } else {
+          this.handleGameOver();
+        }
+        return;
+      }
+      
+      // 壁すれすれの通過を通知（接近するたびに1回）
+      const nearWall = this.collisionDetector.checkNearWall(GameManager.NEAR_MISS_DISTANCE);
+      if (nearWall && !this.nearWall) {
+        this.events.emit('nearmiss', { tick: this.tick, x: this.character.x, y: this.character.y });
+      }
+      this.nearWall = nearWall;
+
+      // チェックポイントの通過をチェック
+      if (this.checkpoints) {
+        const half = this.character.size / 2;
+        this.checkpoints.update(this.character.x + half, this.character.y + half);
+      }
+
+      // パワーアップの取得と効果の終了をチェック
+      if (this.powerUps) {
+        this._updatePowerUps();
+      }
+
+      // ゴールとの衝突をチェック
+      if (this.collisionDetector.checkGoalCollision()) {
+        this.handleGoalReached();
+      }
+    }
+  }
+
+  /**
+   * スクリプト入力でプレイが終わるまで同期的にシミュレーションを進める（ヘッドレス実行用）
+   * スクリプトの方向はキー入力と同じようにリプレイに記録されるため、結果のリプレイはそのまま検証・再生できる
+   * @param {Function|Array<{tick: number, direction: string}>|Object<number, string>|null} script - 入力スクリプト
+   *   （(tick, gameManager) => 方向 を返す関数、リプレイと同じ形式の入力配列、または { ティック: 方向 } のオブジェクト）
+   * @param {number} maxTicks - 打ち切るティック数（デフォルト: GameManager.MAX_RUN_TICKS）
+   * @returns {{result: string, tick: number, score: number, replay: Replay|null}} 結果（result: 'gameover'・'victory'、打ち切り時は'playing'）
+   */
+  run(script = null, maxTicks = GameManager.MAX_RUN_TICKS) {
+    const getDirection = this._createScriptedInput(script);
+
+    while (this.state === 'playing' && this.tick < maxTicks) {
+      const direction = getDirection(this.tick, this);
+      if (direction && this.character) {
+        this.character.setDirection(direction);
+        this.recordDirectionChange(direction);
+      }
+      this.step();
+    }
+
+    return {
+      result: this.state,
+      tick: this.tick,
+      score: this.mode === 'endless' ? this.getDistance() : (this.state === 'victory' ? this.score : this.currentTime),
+      replay: this.replay
+    };
+  }
+
+  /**
+   * 入力スクリプトをティックごとの方向を返す関数に変換
+   * @private
+   * @param {Function|Array|Object|null} script - run()に渡された入力スクリプト
+   * @returns {Function} (tick, gameManager) => 方向またはnull
+   * @throws {Error} 対応していない形式の場合
+   */
+  _createScriptedInput(script) {
+    if (typeof script === 'function') {
+      return script;
+    }
+
+    const directions = {};
+    if (Array.isArray(script)) {
+      script.forEach(input => {
+        directions[input.tick] = input.direction;
+      });
+    } else if (script && typeof script === 'object') {
+      Object.assign(directions, script);
+    } else if (script !== null && script !== undefined) {
+      throw new Error('Input script must be a function, an input list or a tick-to-direction map');
+    }
+
+    return tick => directions[tick] || null;
+  }
+
+  /**
+   * 1ティックあたりのキャラクター移動量を取得
+   * 難易度の速度は60ティック/秒基準のため、ティックレートに応じて換算する
+   * @returns {number} 1ティックあたりの移動量（ピクセル）
+   */
+  getSpeedPerTick() {
+    if (!this.levelGenerator) {
+      return 0;
+    }
+    return this.levelGenerator.getCharacterSpeed() * this.baseTickRate / this.tickRate;
+  }
+
+  /**
+   * 慣性移動の1ティックあたりの加速と摩擦を取得
+   * 難易度ごとの設定（60ティック/秒基準）をティックレートに応じて換算する
+   * @returns {{acceleration: number, friction: number}|null} Character.setInertia()に渡す設定（direct移動ではnull）
+   */
+  getInertiaPerTick() {
+    if (this.movement !== 'inertia' || !this.levelGenerator) {
+      return null;
+    }
+    return this.levelGenerator.getInertia(this.tickRate);
+  }
+
+  /**
+   * 複数人レースの衝突判定
+   * 壁に触れたプレイヤーは脱落し、ゴールしたプレイヤーが勝者になる
+   * （同じティックに複数人がゴールした場合は番号の小さいプレイヤー）。全員が脱落したらゲームオーバー
+   * @private
+   */
+  _checkRaceCollisions() {
+    let lastCollisionPoint = null;
+    let winner = null;
+
+    this.players.forEach(player => {
+      if (player.status !== 'racing') {
+        return;
+      }
+
+      const detector = player.collisionDetector;
+      if (detector.checkWallCollision()) {
+        player.status = 'eliminated';
+        lastCollisionPoint = detector.getCollisionPoint();
+        this.events.emit('collision', {
+          tick: this.tick,
+          x: lastCollisionPoint.x,
+          y: lastCollisionPoint.y,
+          respawn: false,
+          lives: null,
+          player: player.index
+        });
+        return;
+      }
+
+      const nearWall = detector.checkNearWall(GameManager.NEAR_MISS_DISTANCE);
+      if (nearWall && !player.nearWall) {
+        this.events.emit('nearmiss', { tick: this.tick, x: player.character.x, y: player.character.y, player: player.index });
+      }
+      player.nearWall = nearWall;
+
+      if (winner === null && detector.checkGoalCollision()) {
+        winner = player;
+      }
+    });
+
+    if (winner) {
+      winner.status = 'finished';
+      this.winner = winner.index;
+      this.handleGoalReached();
+    } else if (this.players.every(player => player.status === 'eliminated')) {
+      this.handleGameOver(lastCollisionPoint);
+    }
+  }
+
+  /**
+   * ゲームオーバー処理
+   * 要件 2.1: 壁に触れたときに即座にゲームオーバー状態を起動
+   * 要件 2.2: ゲームオーバー時にタイマーを停止し最終結果を表示
+   * @param {{x: number, y: number}|null} collisionPoint - 爆発させる位置（省略時はプレイヤーの衝突位置、複数人レースでは最後に脱落したプレイヤーの位置）
+   */
+  handleGameOver(collisionPoint = null) {
+    // ゲーム状態をゲームオーバーに変更
+    this.state = 'gameover';
+    
+    // エンドレスモードでは壁に触れるまでの距離がスコアになる
+    if (this.mode === 'endless') {
+      this.score = this.getDistance();
+    }
+    
+    // リプレイの記録を終了
+    if (this.replay) {
+      this.replay.finish(this.tick, 'gameover', this.mode === 'endless' ? this.score : this.currentTime);
+    }
+    
+    // 入力と自動一時停止を無効化
+    if (this.inputHandler) {
+      this.inputHandler.disable();
+    }
+    if (this.autoPause) {
+      this.autoPause.disable();
+    }
+    
+    // 爆発アニメーションを再生（要件 11.1）
+    if (this.animationEngine && this.collisionDetector) {
+      const explosionPoint = collisionPoint || this.collisionDetector.getCollisionPoint();
+      if (explosionPoint) {
+        this.animationEngine.playExplosion(
+          explosionPoint.x, 
+          explosionPoint.y, 
+          () => {
+            // アニメーション完了後にゲームオーバー画面を表示
+            this._showGameOverScreen();
+          }
+        );
+      } else {
+        this._showGameOverScreen();
+      }
+    } else {
       this._showGameOverScreen();
     }
   }
 
+  /**
+   * ライフ制モードでの復帰処理
+   * 爆発アニメーションを再生し、最後に通過したチェックポイントからペナルティ付きで再開する。
+   * 復帰自体はこのティック内で完了するため、アニメーションは演出のみでシミュレーション結果には影響しない
+   */
+  handleRespawn() {
+    // 爆発アニメーションを再生（再生中はシミュレーションが進まない）
+    if (this.animationEngine && this.collisionDetector) {
+      const collisionPoint = this.collisionDetector.getCollisionPoint();
+      if (collisionPoint) {
+        this.animationEngine.playExplosion(collisionPoint.x, collisionPoint.y, () => {});
+      }
+    }
+    
+    // 最後に通過したチェックポイントに停止した状態で戻る
+    this.checkpoints.respawn(this.character, this.levelGenerator.getStartPosition());
+    if (this.replay) {
+      this.replay.recordStop();
+    }
+    this.lastDirection = null;
+    this.nearWall = false;
+    
+    if (this.collisionDetector) {
+      this.collisionDetector.reset();
+    }
+    
+    // ペナルティをタイマーに反映
+    this._updateCurrentTime();
+  }
+
+  /**
+   * パワーアップモードでシールドによる接触の防止を試みる
+   * シールド（または壊れた直後の保護時間）があれば、キャラクターは接触前の位置で停止してプレイが続く
+   * @private
+   * @returns {boolean} 接触を防いだ場合true
+   */
+  _absorbHit() {
+    const broken = this.powerUps.hasShield();
+    if (!this.powerUps.absorbHit(this.character, this.tick)) {
+      return false;
+    }
+
+    // 停止したので同じ方向の入力も記録する（ライフ制モードの復帰と同じ）
+    if (this.replay) {
+      this.replay.recordStop();
+    }
+    this.lastDirection = null;
+    this.nearWall = false;
+
+    const collisionPoint = this.collisionDetector.getCollisionPoint();
+    this.collisionDetector.reset();
+
+    if (broken) {
+      this.events.emit('shield', { tick: this.tick, x: collisionPoint.x, y: collisionPoint.y });
+      if (this.animationEngine && this.renderer) {
+        this.animationEngine.playPowerUp(collisionPoint.x, collisionPoint.y, this.renderer.getPowerUpColor('shield'), 'Shield!');
+      }
+    }
+    return true;
+  }
+
+  /**
+   * パワーアップモードでキャラクターが触れたアイテムを取得し、縮小の終了をチェック
+   * @private
+   */
+  _updatePowerUps() {
+    const collected = this.powerUps.collect(this.character, this.tick);
+    collected.forEach(pickup => {
+      this.events.emit('powerup', { tick: this.tick, type: pickup.type, x: pickup.x, y: pickup.y });
+      if (this.animationEngine && this.renderer) {
+        this.animationEngine.playPowerUp(
+          pickup.x,
+          pickup.y,
+          this.renderer.getPowerUpColor(pickup.type),
+          GameManager.POWER_UP_LABELS[pickup.type]
+        );
+      }
+    });
+    this.powerUps.update(this.character, this.tick, this.collisionDetector);
+
+    // タイムボーナスをタイマーに反映
+    if (collected.length > 0) {
+      this._updateCurrentTime();
+    }
+  }
+
   /**
    * ゴール到達処理
    * 要件 3.3: プレイヤーがゴールに到達したとき、完了時間を最終スコアとして記録
@@ -326,10 +1188,20 @@ class GameManager {
     // 最終スコアを記録（完了時間）
     this.score = this.currentTime;
     
-    // 入力を無効化
+    // リプレイの記録を終了
+    if (this.replay) {
+      this.replay.finish(this.tick, 'victory', this.score);
+    }
+    
+    this.events.emit('goal', { tick: this.tick, time: this.score, ...this._getRaceResult('player') });
+    
+    // 入力と自動一時停止を無効化
     if (this.inputHandler) {
       this.inputHandler.disable();
     }
+    if (this.autoPause) {
+      this.autoPause.disable();
+    }
     
     // 勝利アニメーションを再生（要件 11.3）
     if (this.animationEngine && this.levelGenerator) {
@@ -356,11 +1228,27 @@ class GameManager {
   }
 
   /**
-   * 現在のスコア（経過時間）を取得
-   * @returns {number} 現在のスコア（ミリ秒）
+   * 現在のスコアを取得
+   * @returns {number} 現在のスコア（経過時間（ミリ秒）、エンドレスモードでは走行距離（メートル））
    */
   getCurrentScore() {
-    return this.state === 'playing' ? this.currentTime : this.score;
+    if (this.mode === 'endless') {
+      return this.getDistance();
+    }
+    // 一時停止中・カウントダウン中も途中の経過時間を返す
+    const running = this.state === 'playing' || this.state === 'paused' || this.state === 'countdown';
+    return running ? this.currentTime : this.score;
+  }
+
+  /**
+   * エンドレスモードの走行距離を取得
+   * @returns {number|null} 開始位置から右へ到達した最大距離（メートル、エンドレスモード以外ではnull）
+   */
+  getDistance() {
+    if (this.mode !== 'endless' || !this.levelGenerator) {
+      return null;
+    }
+    return this.levelGenerator.getEndlessDistance(this.furthestX);
   }
 
   /**
@@ -371,11 +1259,560 @@ class GameManager {
     return this.difficulty;
   }
 
+  /**
+   * 現在のゲームモードを取得
+   * @returns {string} ゲームモード（GameManager.MODESのいずれか）
+   */
+  getMode() {
+    return this.mode;
+  }
+
+  /**
+   * 現在の移動モデルを取得
+   * @returns {string} 移動モデル（Character.MOVEMENTSのいずれか）
+   */
+  getMovement() {
+    return this.movement;
+  }
+
+  /**
+   * 残りライフを取得
+   * @returns {number|null} 残りライフ（ライフ制モード以外ではnull）
+   */
+  getLives() {
+    return this.checkpoints ? this.checkpoints.getLives() : null;
+  }
+
+  /**
+   * パワーアップモードで実行中の効果を取得
+   * @returns {Array<{type: string, remaining: number|null, duration: number|null}>|null}
+   *   効果（remaining・duration: ミリ秒、シールドは使うまで続くためnull）。パワーアップモード以外ではnull
+   */
+  getActivePowerUps() {
+    return this.powerUps ? this.powerUps.getActiveEffects(this.tick) : null;
+  }
+
+  /**
+   * 現在のレベルのシード値を取得
+   * 同じシード・難易度・キャンバスサイズであれば同じコースが再現される
+   * @returns {number|null} シード値（レベル未生成の場合はnull）
+   */
+  getSeed() {
+    return this.levelGenerator ? this.levelGenerator.getSeed() : null;
+  }
+
+  /**
+   * 現在のコースの手作りレイアウトを取得
+   * @returns {Array<{x: number, y: number}>|null} ウェイポイント（シードから生成したコースの場合はnull）
+   */
+  getLayout() {
+    return this.levelGenerator ? this.levelGenerator.getLayout() : null;
+  }
+
+  /**
+   * 現在のコースのエディタで作ったコースを取得
+   * @returns {Object|null} コース（シードまたはレイアウトから生成したコースの場合はnull）
+   */
+  getCourse() {
+    return this.levelGenerator ? this.levelGenerator.getCourse() : null;
+  }
+
+  /**
+   * 現在のコースのカスタム難易度プロファイルを取得
+   * @returns {Object|null} プロファイル（通常の難易度の場合はnull）
+   */
+  getProfile() {
+    return this.levelGenerator ? this.levelGenerator.getProfile() : null;
+  }
+
+  /**
+   * 現在のコースのカスタム難易度プロファイルのハッシュを取得（プロファイルごとのリーダーボード用）
+   * @returns {string|null} プロファイルのハッシュ（通常の難易度の場合はnull）
+   */
+  getProfileHash() {
+    const LevelGeneratorClass = typeof LevelGenerator !== 'undefined' ? LevelGenerator : require('./LevelGenerator');
+    return LevelGeneratorClass.getProfileHash(this.getProfile());
+  }
+
+  /**
+   * 複数人レースかを取得
+   * @returns {boolean} プレイヤーが2人以上の場合true
+   */
+  isRace() {
+    return this.playerCount > 1;
+  }
+
+  /**
+   * プレイヤー数を取得
+   * @returns {number} プレイヤー数（1人プレイでは1）
+   */
+  getPlayerCount() {
+    return this.playerCount;
+  }
+
+  /**
+   * 各プレイヤーの状態を取得
+   * @returns {Array<{player: number, status: string, x: number, y: number, direction: string|null}>}
+   *   プレイヤーごとの状態（status: 'racing'・'eliminated'（壁に触れて脱落）・'finished'（ゴール））
+   */
+  getPlayerStates() {
+    return this.players.map(player => ({
+      player: player.index,
+      status: player.status,
+      x: player.character.x,
+      y: player.character.y,
+      direction: player.character.direction
+    }));
+  }
+
+  /**
+   * 複数人レースの勝者を取得
+   * @returns {number|null} 最初にゴールしたプレイヤーの番号（0始まり、決着前・全員脱落・1人プレイではnull）
+   */
+  getWinner() {
+    return this.winner;
+  }
+
+  /**
+   * 2人目以降のプレイヤーの方向を設定（1人目はInputHandler.setDirection()でリプレイにも記録される）
+   * @param {number} index - プレイヤーの番号（0始まり）
+   * @param {string} direction - 新しい方向
+   */
+  setPlayerDirection(index, direction) {
+    const player = this.players[index];
+    if (this.state !== 'playing' || !player || player.status !== 'racing') {
+      return;
+    }
+
+    if (index === 0) {
+      this.character.setDirection(direction);
+      this.recordDirectionChange(direction);
+    } else {
+      player.character.setDirection(direction);
+    }
+  }
+
+  /**
+   * 現在のシミュレーションティック数を取得
+   * @returns {number} ゲーム開始からの経過ティック数
+   */
+  getTick() {
+    return this.tick;
+  }
+
+  /**
+   * シミュレーションのティックレートを取得
+   * @returns {number} 1秒あたりのティック数
+   */
+  getTickRate() {
+    return this.tickRate;
+  }
+
+  /**
+   * 現在（または直前）のプレイのリプレイを取得
+   * @returns {Replay|null} リプレイ（プレイ開始前はnull）
+   */
+  getReplay() {
+    return this.replay;
+  }
+
+  /**
+   * 方向変更をリプレイに記録
+   * InputHandlerから方向が変わるたびに呼び出される
+   * @param {string} direction - 新しい方向
+   */
+  recordDirectionChange(direction) {
+    if (this.replay && this.state === 'playing') {
+      this.replay.recordInput(this.tick, direction);
+    }
+    if (this.state === 'playing') {
+      this._notifyDirectionChange(direction);
+    }
+  }
+
+  /**
+   * ゲームイベントのリスナーを登録
+   * イベントとペイロードはGameManager.EVENTSを参照
+   * @param {string} eventName - イベント名
+   * @param {Function} listener - ペイロードを引数に呼ばれる関数
+   * @returns {Function} リスナーを解除する関数
+   * @throws {Error} 未知のイベント名の場合
+   */
+  on(eventName, listener) {
+    return this.events.on(eventName, listener);
+  }
+
+  /**
+   * 一度だけ呼ばれるゲームイベントのリスナーを登録
+   * @param {string} eventName - イベント名
+   * @param {Function} listener - ペイロードを引数に呼ばれる関数
+   * @returns {Function} リスナーを解除する関数
+   */
+  once(eventName, listener) {
+    return this.events.once(eventName, listener);
+  }
+
+  /**
+   * ゲームイベントのリスナーを解除
+   * @param {string} eventName - イベント名
+   * @param {Function} listener - 登録した関数
+   */
+  off(eventName, listener) {
+    this.events.off(eventName, listener);
+  }
+
+  /**
+   * 方向が変わった場合にdirectionchangeイベントを通知
+   * @private
+   * @param {string} direction - 新しい方向
+   */
+  _notifyDirectionChange(direction) {
+    if (direction === this.lastDirection) {
+      return;
+    }
+    this.lastDirection = direction;
+    this.events.emit('directionchange', { tick: this.tick, direction });
+  }
+
+  /**
+   * start/restartイベント用のコース情報を取得
+   * @private
+   * @returns {Object} コース情報（{ difficulty, mode, movement, seed, layout }）
+   */
+  _getLevelInfo() {
+    return {
+      difficulty: this.difficulty,
+      mode: this.mode,
+      movement: this.movement,
+      seed: this.getSeed(),
+      layout: this.getLayout()
+    };
+  }
+
+  /**
+   * ゴーストを追加
+   * ゴーストは衝突せず、記録されたプレイを同じティックで再現する
+   * @param {Replay} replay - 現在のコース（シード・難易度・ティックレート・キャンバスサイズが一致）で記録された終了済みのリプレイ
+   * @param {string} label - ゴーストの上に表示するラベル（例: 'PB'、プレイヤー名）
+   * @returns {Ghost} 追加したゴースト
+   * @throws {Error} リプレイが現在のコースのものでない場合
+   */
+  addGhost(replay, label = '') {
+    if (!this.levelGenerator) {
+      throw new Error('Ghosts require a generated level');
+    }
+
+    if (this.mode === 'endless') {
+      throw new Error('Ghosts are not available in endless mode');
+    }
+
+    if (this.isRace()) {
+      throw new Error('Ghosts are not available in multiplayer races');
+    }
+
+    if (this.course) {
+      throw new Error('Ghosts are not available on editor courses');
+    }
+
+    const LevelGeneratorClass = typeof LevelGenerator !== 'undefined' ? LevelGenerator : require('./LevelGenerator');
+    if (!replay ||
+        replay.seed !== this.getSeed() ||
+        replay.difficulty !== this.difficulty ||
+        replay.mode !== this.mode ||
+        replay.movement !== this.movement ||
+        !LevelGeneratorClass.isSameLayout(replay.layout, this.getLayout()) ||
+        LevelGeneratorClass.getProfileHash(replay.profile) !== this.getProfileHash() ||
+        replay.tickRate !== this.tickRate ||
+        replay.width !== this.canvas.width ||
+        replay.height !== this.canvas.height) {
+      throw new Error('Ghost replay does not match the current level');
+    }
+
+    const GhostClass = typeof Ghost !== 'undefined' ? Ghost : require('./Ghost');
+    const ghost = new GhostClass(replay, this.levelGenerator, { label });
+    this.ghosts.push(ghost);
+    return ghost;
+  }
+
+  /**
+   * すべてのゴーストを削除
+   */
+  clearGhosts() {
+    this.ghosts = [];
+  }
+
+  /**
+   * 追加されているゴーストを取得
+   * @returns {Array<Ghost>} ゴーストの配列
+   */
+  getGhosts() {
+    return this.ghosts;
+  }
+
+  /**
+   * オンライン対戦の他のプレイヤーの状態を更新（未登録なら追加）
+   * 他のプレイヤーはゴーストと同じく衝突せず、受信した最新の位置に描画される
+   * @param {number|string} id - プレイヤーID
+   * @param {Object} state - 状態スナップショット
+   * @param {number} state.x - X座標
+   * @param {number} state.y - Y座標
+   * @param {string|null} state.direction - 方向
+   * @param {string} state.name - 表示名（省略時は前回の値）
+   * @param {string} state.status - 'racing'・'finished'・'crashed'（脱落は半透明で描画、省略時は前回の値）
+   */
+  setRemotePlayer(id, state) {
+    const previous = this.remotePlayers.get(id);
+    this.remotePlayers.set(id, {
+      name: '',
+      status: 'racing',
+      ...previous,
+      ...state,
+      // 色はプレイヤー1（自分）と重ならないよう登録順に2色目から割り当てる
+      colorIndex: previous ? previous.colorIndex : this.remotePlayers.size + 1
+    });
+  }
+
+  /**
+   * オンライン対戦の他のプレイヤーを削除
+   * @param {number|string} id - プレイヤーID
+   */
+  removeRemotePlayer(id) {
+    this.remotePlayers.delete(id);
+  }
+
+  /**
+   * オンライン対戦の他のプレイヤーの状態を取得
+   * @returns {Map<number|string, Object>} プレイヤーID → 最新の状態
+   */
+  getRemotePlayers() {
+    return this.remotePlayers;
+  }
+
+  /**
+   * 最初のゴーストに対するタイム差を取得
+   * プレイヤーが現在いるコース上の地点に、ゴーストが何ミリ秒前（後）に到達したかを返す
+   * @returns {number|null} タイム差（ミリ秒、負の値はゴーストより先行）。ゴーストがいない場合はnull
+   */
+  getGhostDelta() {
+    if (this.ghosts.length === 0) {
+      return null;
+    }
+
+    const ghost = this.ghosts[0];
+    const currentGhostTick = Math.min(this.tick, ghost.endTick);
+    const ghostProgress = ghost.progress[currentGhostTick];
+
+    // ライフ制モードのペナルティやパワーアップモードのスローモーション・タイムボーナスによるタイマーのずれの差も含める
+    const penalty = this.currentTime - Math.round(this.tick * this.tickDuration);
+
+    // 同じ地点にいる間はペナルティの差のみ
+    if (ghostProgress === this.raceProgress) {
+      return penalty - ghost.penalties[currentGhostTick];
+    }
+
+    // 遅れている場合は正（ゴーストがこの地点を離れてからの時間）、
+    // 先行している場合は負（ゴーストがこの地点に到達するまでの時間）
+    const ghostTick = ghostProgress > this.raceProgress ?
+      ghost.getTickAtProgress(this.raceProgress + 1) - 1 :
+      ghost.getTickAtProgress(this.raceProgress);
+    return Math.round((this.tick - ghostTick) * this.tickDuration) + penalty - ghost.penalties[ghostTick];
+  }
+
+  /**
+   * プレイヤーのコース上の進行度を更新
+   * @private
+   */
+  _updateRaceProgress() {
+    if (this.ghosts.length === 0 || !this.character || !this.levelGenerator) {
+      return;
+    }
+
+    const GhostClass = typeof Ghost !== 'undefined' ? Ghost : require('./Ghost');
+    const half = this.character.size / 2;
+    this.raceProgress = GhostClass.findProgress(
+      this.levelGenerator.getPath(),
+      this.character.x + half,
+      this.character.y + half,
+      this.raceProgress
+    );
+  }
+
+  /**
+   * 複数人レースのプレイヤーを開始位置に戻し、勝者をリセット
+   * 1人目のキャラクターと衝突検知器は呼び出し元でリセットされる
+   * @private
+   */
+  _resetPlayers() {
+    this.winner = null;
+    if (!this.levelGenerator) {
+      return;
+    }
+
+    const startPos = this.levelGenerator.getStartPosition();
+    this.players.forEach(player => {
+      player.status = 'racing';
+      player.nearWall = false;
+      if (player.index > 0) {
+        player.character.reset(startPos.x, startPos.y);
+        player.collisionDetector.reset();
+      }
+    });
+  }
+
+  /**
+   * 複数人レースの結果をイベントのペイロードに加えるための値を取得
+   * @private
+   * @param {string} key - 勝者の番号を入れるキー
+   * @returns {Object} 複数人レースでは { [key]: 勝者の番号 }、1人プレイでは空のオブジェクト
+   */
+  _getRaceResult(key) {
+    return this.isRace() ? { [key]: this.winner } : {};
+  }
+
+  /**
+   * 現在のレベルに対応する空のリプレイを作成
+   * @private
+   * @returns {Replay} リプレイ
+   */
+  _createReplay() {
+    const ReplayClass = typeof Replay !== 'undefined' ? Replay : require('./Replay');
+    return new ReplayClass({
+      seed: this.getSeed(),
+      difficulty: this.difficulty,
+      tickRate: this.tickRate,
+      width: this.canvas.width,
+      height: this.canvas.height,
+      mode: this.mode,
+      movement: this.movement,
+      layout: this.getLayout(),
+      profile: this.getProfile()
+    });
+  }
+
+  /**
+   * モードに応じてコースを生成
+   * エンドレスモードでは右に伸び続けるコース、エディタのコースはそのまま、それ以外はシード（と手作りレイアウト）から1画面のコースを生成
+   * @private
+   */
+  _generateLevel() {
+    if (this.mode === 'endless') {
+      this.levelGenerator.generateEndless(this.fixedSeed);
+    } else if (this.course) {
+      this.levelGenerator.generateCourse(this.course, this.fixedSeed);
+    } else {
+      this.levelGenerator.generate(this.fixedSeed, this.layout);
+    }
+  }
+
+  /**
+   * エンドレスモードで到達距離を更新し、キャラクターの位置に合わせてコースを伸ばす
+   * 後方で削除された区間の壁は衝突判定からも外れる
+   * @private
+   */
+  _updateEndlessTrack() {
+    if (this.mode !== 'endless' || !this.character || !this.levelGenerator) {
+      return;
+    }
+
+    this.furthestX = Math.max(this.furthestX, this.character.x);
+    if (this.levelGenerator.updateEndless(this.character.x) && this.collisionDetector) {
+      this.collisionDetector.updateWalls(this.levelGenerator.getWalls());
+    }
+  }
+
+  /**
+   * 描画時の横スクロール量を取得
+   * エンドレスモードではキャラクターが画面の左から1/3の位置に来るようにスクロールする
+   * @returns {number} ワールド座標での画面左端のx座標（スクロールしないモードでは0）
+   */
+  getCameraX() {
+    if (this.mode !== 'endless' || !this.character) {
+      return 0;
+    }
+    const position = this.character.getInterpolatedPosition(this.interpolationAlpha);
+    return Math.max(0, position.x - this.canvas.width / 3);
+  }
+
+  /**
+   * ライフ制モードのチェックポイントを現在のコースに配置
+   * @private
+   */
+  _createCheckpoints() {
+    if (this.mode !== 'lives' || !this.levelGenerator) {
+      return;
+    }
+
+    const CheckpointTrackerClass = typeof CheckpointTracker !== 'undefined' ?
+      CheckpointTracker :
+      require('./CheckpointTracker');
+    this.checkpoints = new CheckpointTrackerClass(this.levelGenerator.getPath());
+  }
+
+  /**
+   * パワーアップモードのアイテムを現在のコースに配置
+   * 前のコースで縮小中だったキャラクターは元の大きさに戻す
+   * @private
+   */
+  _createPowerUps() {
+    if (this.mode !== 'powerups' || !this.levelGenerator) {
+      return;
+    }
+
+    if (this.powerUps) {
+      this.powerUps.reset(this.character);
+    }
+
+    const PowerUpTrackerClass = typeof PowerUpTracker !== 'undefined' ?
+      PowerUpTracker :
+      require('./PowerUpTracker');
+    this.powerUps = new PowerUpTrackerClass(this.levelGenerator.getPath(), this.getSeed(), this.tickRate);
+  }
+
+  /**
+   * ティック数（とライフ制モードのペナルティ、パワーアップモードのゲーム内の時計とタイムボーナス）から経過時間を更新
+   * @private
+   */
+  _updateCurrentTime() {
+    if (this.powerUps) {
+      this.currentTime = this.powerUps.getElapsedTime(this.tickDuration);
+      return;
+    }
+
+    const penalty = this.checkpoints ? this.checkpoints.getPenaltyTime() : 0;
+    this.currentTime = Math.round(this.tick * this.tickDuration) + penalty;
+  }
+
+  /**
+   * シミュレーションクロック（ティック数とアキュムレーター）をリセット
+   * @private
+   */
+  _resetSimulationClock() {
+    this.tick = 0;
+    this.accumulator = 0;
+    this.interpolationAlpha = 0;
+    this._updateObstacles();
+  }
+
+  /**
+   * 動く障害物を現在のティックの位置に移動し、ハザードの状態を切り替える（衝突判定の前に呼ぶ）
+   * 障害物とハザードの動きはティック数（パワーアップモードではゲーム内の時計）だけで決まるため、リプレイやサーバーの再検証でも同じになる
+   * @private
+   */
+  _updateObstacles() {
+    if (this.levelGenerator) {
+      this.levelGenerator.updateObstacles((this.powerUps ? this.powerUps.getClock() : this.tick) / this.tickRate);
+    }
+  }
+
   /**
    * ゲームループを開始
    * @private
    */
   _startGameLoop() {
+    // ヘッドレス時はrun()やstep()で進める
+    if (this.headless) {
+      return;
+    }
     if (!this.gameLoopId) {
       this.lastFrameTime = performance.now();
       this.gameLoopId = requestAnimationFrame(this.gameLoop);
@@ -393,6 +1830,13 @@ class GameManager {
     }
   }
 
+  /**
+   * 現在の状態を描画（リプレイ再生など外部からの描画用）
+   */
+  render() {
+    this._render();
+  }
+
   /**
    * 画面を描画
    * @private
@@ -405,26 +1849,115 @@ class GameManager {
     // 画面をクリア
     this.renderer.clear();
 
+    // エンドレスモードではコースとキャラクターをスクロールして描画
+    const scrolling = this.mode === 'endless';
+    if (scrolling) {
+      this.renderer.beginCamera(this.getCameraX());
+    }
+
     // レベル要素を描画
     if (this.levelGenerator) {
-      this.renderer.drawPath(this.levelGenerator.getPath(), this.levelGenerator.getPathWidth());
+      // エディタのコースは区間ごとの通路幅で描画
+      const pathWidth = this.course ? this.levelGenerator.getPathWidths() : this.levelGenerator.getPathWidth();
+      this.renderer.drawPath(this.levelGenerator.getPath(), pathWidth);
       this.renderer.drawWalls(this.levelGenerator.getWalls());
+      
+      // 障害物とハザードはキャラクターと同じく前のティックと現在のティックの間を補間して毎フレーム描画
+      const obstacleTime = this.powerUps ?
+        this.powerUps.getClock(this.interpolationAlpha) / this.tickRate :
+        Math.max(0, this.tick - 1 + this.interpolationAlpha) / this.tickRate;
+      this.renderer.drawHazards(this.levelGenerator.getHazards().map(hazard => ({
+        type: hazard.type,
+        polygon: hazard.getPolygon(),
+        ...hazard.getPhaseAt(obstacleTime)
+      })));
       this.renderer.drawGoal(this.levelGenerator.getGoalPosition());
+      
+      const obstaclePolygons = [];
+      this.levelGenerator.getObstacles().forEach(obstacle => {
+        obstaclePolygons.push(...obstacle.getPolygonsAt(obstacleTime));
+      });
+      this.renderer.drawObstacles(obstaclePolygons);
+    }
+
+    // チェックポイントを描画
+    if (this.checkpoints) {
+      this.renderer.drawCheckpoints(this.checkpoints.getCheckpoints(), this.checkpoints.getLastCheckpoint());
     }
 
-    // キャラクターを描画
-    if (this.character) {
-      this.renderer.drawCharacter(this.character);
+    // 取得していないパワーアップを描画
+    if (this.powerUps) {
+      this.renderer.drawPickups(this.powerUps.getPickups(), this.powerUps.rules.radius);
     }
 
-    // タイマーを描画
+    // ゴーストを描画（衝突しない半透明のキャラクター、プレイヤーの下に表示）
+    this.ghosts.forEach(ghost => {
+      this.renderer.drawGhost(ghost.getStateAt(this.tick, this.interpolationAlpha), ghost.label);
+    });
+
+    // オンライン対戦の他のプレイヤーを描画（プレイヤーの下に表示）
+    this.remotePlayers.forEach(remote => {
+      this.renderer.drawPlayer({
+        x: remote.x,
+        y: remote.y,
+        size: this.character ? this.character.size : 10,
+        direction: remote.direction
+      }, remote.colorIndex, remote.status === 'crashed' ? 'eliminated' : remote.status, remote.name);
+    });
+
+    // キャラクターを描画（前ティックと現ティックの位置を補間、複数人レースではプレイヤーごとの色で重ねて描画）
+    if (this.isRace()) {
+      this.players.forEach(player => {
+        const position = player.character.getInterpolatedPosition(this.interpolationAlpha);
+        this.renderer.drawPlayer({
+          x: position.x,
+          y: position.y,
+          size: player.character.size,
+          direction: player.character.direction
+        }, player.index, player.status);
+      });
+    } else if (this.character) {
+      const position = this.character.getInterpolatedPosition(this.interpolationAlpha);
+      this.renderer.drawCharacter({
+        x: position.x,
+        y: position.y,
+        size: this.character.size,
+        direction: this.character.direction
+      });
+      
+      // シールド（と壊れた直後の保護時間）はキャラクターを囲む輪で表示
+      if (this.powerUps && this.powerUps.isProtected(this.tick)) {
+        this.renderer.drawShield({ x: position.x, y: position.y, size: this.character.size }, this.powerUps.hasShield());
+      }
+    }
+
+    // パワーアップ取得時のエフェクトを描画（シミュレーションは止めない）
+    if (this.animationEngine) {
+      this.animationEngine.drawEffects();
+    }
+
+    if (scrolling) {
+      this.renderer.endCamera();
+    }
+
+    // タイマーとゴーストとのタイム差を描画
     this.renderer.drawTimer(this.currentTime);
+    const ghostDelta = this.getGhostDelta();
+    if (ghostDelta !== null) {
+      this.renderer.drawTimerDelta(ghostDelta);
+    }
 
     // UI要素を描画
     this.renderer.drawUI({
       status: this.state,
       difficulty: this.difficulty,
-      score: this.getCurrentScore()
+      seed: this.getSeed(),
+      score: this.getCurrentScore(),
+      lives: this.getLives(),
+      distance: this.getDistance(),
+      countdown: this.getResumeCountdown(),
+      players: this.isRace() ? this.getPlayerStates() : null,
+      powerUps: this.getActivePowerUps()
     });
   }
 
@@ -436,14 +1969,13 @@ class GameManager {
     // 最終描画
     this._render();
     
-    // カスタムイベントを発火してUIManagerに通知
-    const event = new CustomEvent('gameOver', {
-      detail: {
-        score: this.currentTime,
-        difficulty: this.difficulty
-      }
+    // 爆発アニメーションの後にゲームオーバーを通知
+    this.events.emit('gameover', {
+      score: this.mode === 'endless' ? this.score : this.currentTime,
+      difficulty: this.difficulty,
+      mode: this.mode,
+      seed: this.getSeed()
     });
-    document.dispatchEvent(event);
   }
 
   /**
@@ -454,14 +1986,14 @@ class GameManager {
     // 最終描画
     this._render();
     
-    // カスタムイベントを発火してUIManagerに通知
-    const event = new CustomEvent('victory', {
-      detail: {
-        score: this.score,
-        difficulty: this.difficulty
-      }
+    // 勝利アニメーションの後に勝利を通知
+    this.events.emit('victory', {
+      score: this.score,
+      difficulty: this.difficulty,
+      mode: this.mode,
+      seed: this.getSeed(),
+      ...this._getRaceResult('winner')
     });
-    document.dispatchEvent(event);
   }
 
   /**
@@ -471,21 +2003,76 @@ class GameManager {
     // ゲームループを停止
     this._stopGameLoop();
     
-    // 入力ハンドラーを無効化
+    // 入力ハンドラーと自動一時停止を無効化
     if (this.inputHandler) {
       this.inputHandler.disable();
     }
+    if (this.autoPause) {
+      this.autoPause.disable();
+    }
     
     // 他のリソースをクリーンアップ
+    this.events.clear();
+    this.ghosts = [];
+    this.remotePlayers.clear();
+    this.checkpoints = null;
+    this.powerUps = null;
     this.character = null;
     this.levelGenerator = null;
     this.collisionDetector = null;
     this.renderer = null;
     this.animationEngine = null;
     this.inputHandler = null;
+    this.autoPause = null;
   }
 }
 
+// ゲームモード（'classic': 壁に触れたら即ゲームオーバー、'lives': ライフ制とチェックポイント、'endless': 距離を競うエンドレスコース、
+// 'powerups': パワーアップを拾えるclassic。パワーアップを使ったタイムはclassicとは別に集計する）
+GameManager.MODES = ['classic', 'lives', 'endless', 'powerups'];
+
+// 1つのキーボード（矢印キーとWASD）または2つのゲームパッドで遊べる最大プレイヤー数
+GameManager.MAX_PLAYERS = 2;
+
+// on/off/onceで購読できるイベントとペイロード
+// - start / restart: { difficulty, mode, movement, seed, layout }
+// - pause: { tick, time, reason }（reason: 'manual'、自動一時停止では'hidden'・'blur'・'offscreen'）
+// - countdown: { remaining }（再開前のカウントダウンの秒数が変わるたび: 3, 2, 1）
+// - resume: { tick, time }（カウントダウンが終わってキャラクターが動き出すとき）
+// - tick: { tick, time, x, y, direction }（シミュレーションの1ティックごと、衝突判定の前）
+// - directionchange: { tick, direction }
+// - nearmiss: { tick, x, y }（壁にNEAR_MISS_DISTANCE以内まで接近したとき）
+// - collision: { tick, x, y, respawn, lives }（respawn: ライフ制モードで復帰する場合true）
+// - powerup: { tick, type, x, y }（パワーアップモードでアイテムを取得したとき、typeはPowerUpTracker.TYPES）
+// - shield: { tick, x, y }（パワーアップモードでシールドが壁への接触を防いで壊れたとき）
+// - goal: { tick, time }
+// - gameover / victory: { score, difficulty, mode, seed }（終了アニメーションの後）
+// 複数人レースではnearmiss・collision・goalにplayer（プレイヤーの番号）、victoryにwinner（勝者の番号）が加わる
+GameManager.EVENTS = [
+  'start', 'pause', 'countdown', 'resume', 'tick', 'directionchange', 'nearmiss',
+  'collision', 'powerup', 'shield', 'goal', 'gameover', 'victory', 'restart'
+];
+
+// パワーアップ取得時にエフェクトと一緒に表示するラベル
+GameManager.POWER_UP_LABELS = {
+  slow: 'Slow motion',
+  shield: 'Shield',
+  shrink: 'Shrink',
+  time: 'Time bonus'
+};
+
+// 一時停止から再開するまでのカウントダウン（ミリ秒）
+GameManager.RESUME_COUNTDOWN = 3000;
+
+// 壁すれすれとみなす距離（ピクセル）
+GameManager.NEAR_MISS_DISTANCE = 4;
+
+// run()で打ち切るまでの既定のティック数（60ティック/秒で10分）
+GameManager.MAX_RUN_TICKS = 36000;
+
+// getSaveState()の保存データの形式（互換性のない変更をしたら上げる）
+GameManager.SAVE_FORMAT_VERSION = 1;
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = GameManager;
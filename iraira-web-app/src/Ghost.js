@@ -0,0 +1,187 @@
+/**
+ * Ghost class - Non-colliding character that follows a recorded run
+ * 記録されたプレイをなぞる、衝突しない半透明のキャラクター（ゴースト）
+ *
+ * The whole run is simulated once up front, so the ghost's position at any tick
+ * is a lookup. This keeps it in sync with the player through pauses, restarts
+ * and replay seeks without stepping it alongside the simulation.
+ */
+class Ghost {
+  /**
+   * Constructor - Pre-compute the ghost's timeline on the given level
+   * @param {Replay} replay - Finished run to follow (recorded on the same level)
+   * @param {LevelGenerator} levelGenerator - Generator holding the level the run was recorded on
+   * @param {Object} options - Ghost options
+   * @param {string} options.label - Label drawn above the ghost (e.g. 'PB' or a player name)
+   */
+  constructor(replay, levelGenerator, options = {}) {
+    if (!replay || !replay.isFinished()) {
+      throw new Error('Ghost requires a finished replay');
+    }
+
+    const LevelGeneratorClass = typeof LevelGenerator !== 'undefined' ? LevelGenerator : require('./LevelGenerator');
+    if (!levelGenerator ||
+        levelGenerator.getSeed() !== replay.seed ||
+        !LevelGeneratorClass.isSameLayout(levelGenerator.getLayout(), replay.layout)) {
+      throw new Error('Ghost replay was recorded on a different level');
+    }
+
+    this.replay = replay;
+    this.label = options.label || '';
+    this.endTick = replay.endTick;
+
+    this._simulate();
+  }
+
+  /**
+   * Simulate the run and record position and course progress for every tick
+   * The run is played again by a headless GameManager, so the ghost moves, loses lives,
+   * respawns and collects pickups exactly like the player did.
+   * プレイ全体をヘッドレスのGameManagerで再生し、ティックごとの位置と進行度を記録
+   * @private
+   */
+  _simulate() {
+    const GameManagerClass = typeof GameManager !== 'undefined' ? GameManager : require('./GameManager');
+    const replay = this.replay;
+    const gameManager = new GameManagerClass(null, replay.difficulty, {
+      headless: true,
+      width: replay.width,
+      height: replay.height,
+      tickRate: replay.tickRate,
+      seed: replay.seed,
+      mode: replay.mode,
+      movement: replay.movement,
+      layout: replay.layout,
+      profile: replay.profile
+    });
+    gameManager.startGame();
+
+    const character = gameManager.character;
+    this.path = gameManager.levelGenerator.getPath();
+    this.positions = new Float64Array((this.endTick + 1) * 2);
+    this.sizes = new Float64Array(this.endTick + 1);
+    this.directions = new Array(this.endTick + 1).fill(null);
+
+    // Furthest path index reached by each tick (never decreases)
+    this.progress = new Int32Array(this.endTick + 1);
+
+    // Time the timer is ahead of (or behind) the tick count by each tick:
+    // the lives mode penalties, the power-ups mode slow motion and time bonuses
+    this.penalties = new Int32Array(this.endTick + 1);
+    const tickDuration = 1000 / replay.tickRate;
+
+    // Progress counts where the character moved to, before a wall touch sends it back to a checkpoint
+    let furthest = Ghost.findProgress(this.path, character.x + character.size / 2, character.y + character.size / 2);
+    gameManager.on('tick', ({ x, y }) => {
+      const half = character.size / 2;
+      furthest = Ghost.findProgress(this.path, x + half, y + half, furthest);
+    });
+
+    const record = tick => {
+      this.positions[tick * 2] = character.x;
+      this.positions[tick * 2 + 1] = character.y;
+      this.sizes[tick] = character.size;
+      this.directions[tick] = character.direction;
+      this.progress[tick] = furthest;
+      this.penalties[tick] = gameManager.currentTime - Math.round(tick * tickDuration);
+    };
+
+    const directions = {};
+    replay.inputs.forEach(input => {
+      directions[input.tick] = input.direction;
+    });
+
+    // The script is asked for each tick's input after the previous tick, which is when that tick is recorded
+    gameManager.run(tick => {
+      record(tick);
+      return directions[tick] || null;
+    }, this.endTick);
+
+    // The ghost stays where its run ended
+    for (let tick = gameManager.getTick(); tick <= this.endTick; tick++) {
+      record(tick);
+    }
+    gameManager.destroy();
+  }
+
+  /**
+   * Get the ghost's drawable state at a tick
+   * 指定ティックでのゴーストの描画用状態を取得
+   * @param {number} tick - Simulation tick
+   * @param {number} alpha - Interpolation factor between the previous and the given tick (0-1)
+   * @returns {{x: number, y: number, size: number, direction: string|null}} Ghost state
+   */
+  getStateAt(tick, alpha = 1) {
+    const current = Math.max(0, Math.min(tick, this.endTick));
+    const previous = Math.max(0, current - 1);
+    const t = tick > this.endTick ? 1 : Math.min(Math.max(alpha, 0), 1);
+
+    return {
+      x: this.positions[previous * 2] + (this.positions[current * 2] - this.positions[previous * 2]) * t,
+      y: this.positions[previous * 2 + 1] + (this.positions[current * 2 + 1] - this.positions[previous * 2 + 1]) * t,
+      size: this.sizes[current],
+      direction: this.directions[current]
+    };
+  }
+
+  /**
+   * Get the first tick at which the ghost reached a point on the course
+   * コース上の指定地点にゴーストが初めて到達したティックを取得
+   * @param {number} progress - Path index
+   * @returns {number} Tick (the ghost's end tick if it never got that far)
+   */
+  getTickAtProgress(progress) {
+    let low = 0;
+    let high = this.endTick;
+
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.progress[mid] >= progress) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Check whether the ghost's run has ended at a tick
+   * 指定ティックでゴーストのプレイが終了しているかチェック
+   * @param {number} tick - Simulation tick
+   * @returns {boolean} True once the ghost has finished
+   */
+  isFinishedAt(tick) {
+    return tick >= this.endTick;
+  }
+
+  /**
+   * Find how far along the course a point is
+   * Walks forward from the previous progress while the path keeps getting
+   * closer, so parts of the course that pass near each other are not confused.
+   * 地点がコース上のどこまで進んでいるかを取得
+   * @param {Array<{x: number, y: number}>} path - Level path points
+   * @param {number} cx - Character centre x
+   * @param {number} cy - Character centre y
+   * @param {number} from - Previous progress (progress only moves forward)
+   * @returns {number} Path index at or after `from`
+   */
+  static findProgress(path, cx, cy, from = 0) {
+    if (!path || path.length === 0) {
+      return 0;
+    }
+
+    const distanceTo = (i) => (path[i].x - cx) * (path[i].x - cx) + (path[i].y - cy) * (path[i].y - cy);
+    let progress = Math.min(from, path.length - 1);
+
+    while (progress + 1 < path.length && distanceTo(progress + 1) <= distanceTo(progress)) {
+      progress++;
+    }
+    return progress;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Ghost;
+}
@@ -0,0 +1,153 @@
+/**
+ * GhostStore class - Keeps personal best runs in local storage for ghost racing
+ * ゴーストレース用に自己ベストのリプレイをローカルストレージに保存する
+ *
+ * Runs are keyed by everything that determines the level (difficulty, seed,
+ * canvas size and custom difficulty profile), so a ghost is only ever offered
+ * on the course it was recorded on.
+ */
+class GhostStore {
+  /**
+   * Constructor
+   * @param {Storage} storage - Storage backend (defaults to window.localStorage when available)
+   */
+  constructor(storage) {
+    if (storage !== undefined) {
+      this.storage = storage;
+    } else {
+      this.storage = typeof localStorage !== 'undefined' ? localStorage : null;
+    }
+  }
+
+  /**
+   * Get the personal best run for a level
+   * レベルの自己ベストを取得
+   * @param {string} difficulty - Difficulty level
+   * @param {number} seed - Level seed
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {string} mode - Game mode (default 'classic')
+   * @param {string|null} profileHash - Custom difficulty profile hash (null for the preset difficulties)
+   * @param {string} movement - Movement model (default 'direct')
+   * @returns {Replay|null} Personal best replay, or null if none is stored
+   */
+  getPersonalBest(difficulty, seed, width, height, mode = 'classic', profileHash = null, movement = 'direct') {
+    const records = this._load();
+    const encoded = records[GhostStore.getKey(difficulty, seed, width, height, mode, profileHash, movement)];
+    if (!encoded) {
+      return null;
+    }
+
+    try {
+      return this._getReplayClass().deserialize(encoded);
+    } catch (error) {
+      console.warn('Ignoring unreadable personal best:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store a run if it beats the personal best for its level
+   * 自己ベストを更新した場合にプレイを保存
+   * @param {Replay} replay - Finished run
+   * @returns {boolean} True if the run was stored as the new personal best
+   */
+  savePersonalBest(replay) {
+    if (!this.storage || !replay || replay.result !== 'victory') {
+      return false;
+    }
+
+    const profileHash = this._getLevelGeneratorClass().getProfileHash(replay.profile);
+    const best = this.getPersonalBest(
+      replay.difficulty, replay.seed, replay.width, replay.height, replay.mode, profileHash, replay.movement
+    );
+    if (best && best.score <= replay.score) {
+      return false;
+    }
+
+    const records = this._load();
+    const key = GhostStore.getKey(
+      replay.difficulty, replay.seed, replay.width, replay.height, replay.mode, profileHash, replay.movement
+    );
+
+    // Re-insert so the most recently improved levels are kept when trimming
+    delete records[key];
+    records[key] = replay.serialize();
+
+    const keys = Object.keys(records);
+    keys.slice(0, Math.max(0, keys.length - GhostStore.MAX_RECORDS)).forEach(oldKey => {
+      delete records[oldKey];
+    });
+
+    try {
+      this.storage.setItem(GhostStore.STORAGE_KEY, JSON.stringify(records));
+      return true;
+    } catch (error) {
+      // Quota exceeded or storage disabled - ghosts are optional
+      console.warn('Failed to save personal best:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Load all stored records
+   * @private
+   * @returns {Object} Map of level key to encoded replay
+   */
+  _load() {
+    if (!this.storage) {
+      return {};
+    }
+
+    try {
+      const records = JSON.parse(this.storage.getItem(GhostStore.STORAGE_KEY));
+      return records && typeof records === 'object' ? records : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Resolve the Replay class in both browser and Node environments
+   * @private
+   * @returns {Function} Replay class
+   */
+  _getReplayClass() {
+    return typeof Replay !== 'undefined' ? Replay : require('./Replay');
+  }
+
+  /**
+   * Resolve the LevelGenerator class in both browser and Node environments
+   * @private
+   * @returns {Function} LevelGenerator class
+   */
+  _getLevelGeneratorClass() {
+    return typeof LevelGenerator !== 'undefined' ? LevelGenerator : require('./LevelGenerator');
+  }
+
+  /**
+   * Build the storage key for a level
+   * @param {string} difficulty - Difficulty level
+   * @param {number} seed - Level seed
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {string} mode - Game mode (classic keys keep the format used before modes existed)
+   * @param {string|null} profileHash - Custom difficulty profile hash (null for the preset difficulties)
+   * @param {string} movement - Movement model (direct keys keep the format used before movement models existed)
+   * @returns {string} Level key
+   */
+  static getKey(difficulty, seed, width, height, mode = 'classic', profileHash = null, movement = 'direct') {
+    const level = profileHash ? `${difficulty}-${profileHash}` : difficulty;
+    const key = `${level}:${seed}:${width}x${height}`;
+    const withMode = mode === 'classic' ? key : `${key}:${mode}`;
+    return movement === 'direct' ? withMode : `${withMode}:${movement}`;
+  }
+}
+
+GhostStore.STORAGE_KEY = 'iraira-personal-bests';
+GhostStore.MAX_RECORDS = 50;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GhostStore;
+}
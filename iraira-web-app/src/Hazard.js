@@ -0,0 +1,157 @@
+/**
+ * Hazard class - Path sections that switch between safe and deadly on a timer
+ * 一定周期で安全な状態と危険な状態を切り替える通路の区間
+ *
+ * Each cycle starts switched off, warns for a moment and then stays on until
+ * the end of the cycle. Only touching a hazard while it is on ends the run, so
+ * it has to be crossed during the off phase. Like the moving obstacles, the
+ * state only depends on the simulation time, so replays, ghosts and the
+ * server-side run verifier see it switch at exactly the same ticks.
+ *
+ * Types:
+ * - field: an electrified section of the path
+ * - gap: a gap in the path that opens (and closes again) across its whole width
+ */
+class Hazard {
+  /**
+   * Constructor
+   * @param {Object} definition - Hazard definition
+   * @param {string} definition.type - One of Hazard.TYPES
+   * @param {number} definition.x - Centre x (on the path)
+   * @param {number} definition.y - Centre y
+   * @param {number} definition.angle - Direction of the path at the centre (radians)
+   * @param {number} definition.length - Length along the path
+   * @param {number} definition.width - Width across the path
+   * @param {number} definition.period - Seconds per cycle
+   * @param {number} definition.active - Part of each cycle the hazard is on (0-1, at the end of the cycle)
+   * @param {number} definition.warning - Seconds of warning before it turns on (optional)
+   * @param {number} definition.phase - Starting point within the cycle (0-1, optional)
+   * @throws {Error} If the type is unknown or the sizes and timings are out of range
+   */
+  constructor(definition) {
+    if (!definition || Hazard.TYPES.indexOf(definition.type) === -1) {
+      throw new Error(`Invalid hazard type: expected one of ${Hazard.TYPES.join(', ')}`);
+    }
+    if (!(definition.length > 0) || !(definition.width > 0) || !(definition.period > 0)) {
+      throw new Error('Invalid hazard: length, width and period must be positive');
+    }
+    if (!(definition.active > 0 && definition.active < 1)) {
+      throw new Error('Invalid hazard: active must be between 0 and 1');
+    }
+
+    this.type = definition.type;
+    this.x = definition.x;
+    this.y = definition.y;
+    this.angle = definition.angle || 0;
+    this.length = definition.length;
+    this.width = definition.width;
+    this.period = definition.period;
+    this.active = definition.active;
+    this.warning = definition.warning || 0;
+    this.phase = definition.phase || 0;
+
+    // The area never moves, only the state changes
+    this.polygon = Hazard.createArea(this.x, this.y, this.angle, this.length, this.width);
+
+    this.time = 0;
+    this.state = 'off';
+    this.update(0);
+  }
+
+  /**
+   * Switch the hazard to its state at a simulation time
+   * シミュレーション時刻の状態に切り替える
+   * @param {number} time - Seconds since the start of the run
+   */
+  update(time) {
+    this.time = time;
+    this.state = this.getPhaseAt(time).state;
+  }
+
+  /**
+   * Check whether touching the hazard ends the run (as of the last update)
+   * @returns {boolean} True while the hazard is on
+   */
+  isActive() {
+    return this.state === 'on';
+  }
+
+  /**
+   * Get the area of the hazard
+   * @returns {Array<{x: number, y: number}>} Corners of the area in order
+   */
+  getPolygon() {
+    return this.polygon;
+  }
+
+  /**
+   * Get the state at a simulation time without switching the hazard (used for drawing between ticks)
+   * 指定時刻の状態を取得（ハザード自体の状態は変えない）
+   * @param {number} time - Seconds since the start of the run
+   * @returns {{state: string, progress: number}} 'off', 'warning' or 'on', and how far into that state (0-1)
+   */
+  getPhaseAt(time) {
+    const cycle = time / this.period + this.phase;
+    const position = cycle - Math.floor(cycle);
+    const onAt = 1 - this.active;
+    const warningAt = Math.max(0, onAt - this.warning / this.period);
+
+    if (position >= onAt) {
+      return { state: 'on', progress: (position - onAt) / this.active };
+    }
+    if (position >= warningAt) {
+      return { state: 'warning', progress: (position - warningAt) / (onAt - warningAt) };
+    }
+    return { state: 'off', progress: warningAt > 0 ? position / warningAt : 0 };
+  }
+
+  /**
+   * Get a plain copy of the definition
+   * @returns {Object} Definition that recreates this hazard
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      x: this.x,
+      y: this.y,
+      angle: this.angle,
+      length: this.length,
+      width: this.width,
+      period: this.period,
+      active: this.active,
+      warning: this.warning,
+      phase: this.phase
+    };
+  }
+
+  /**
+   * Create the corners of the area of a hazard
+   * ハザードの範囲（回転した長方形）の頂点を作成
+   * @param {number} cx - Centre x
+   * @param {number} cy - Centre y
+   * @param {number} angle - Direction of the path (radians)
+   * @param {number} length - Length along the path
+   * @param {number} width - Width across the path
+   * @returns {Array<{x: number, y: number}>} Corners in order around the area
+   */
+  static createArea(cx, cy, angle, length, width) {
+    const ax = Math.cos(angle) * length / 2;
+    const ay = Math.sin(angle) * length / 2;
+    const bx = -Math.sin(angle) * width / 2;
+    const by = Math.cos(angle) * width / 2;
+    return [
+      { x: cx - ax - bx, y: cy - ay - by },
+      { x: cx + ax - bx, y: cy + ay - by },
+      { x: cx + ax + bx, y: cy + ay + by },
+      { x: cx - ax + bx, y: cy - ay + by }
+    ];
+  }
+}
+
+// Hazard types
+Hazard.TYPES = ['field', 'gap'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Hazard;
+}
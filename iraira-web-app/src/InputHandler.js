@@ -11,6 +11,13 @@ class InputHandler {
     this.gameManager = gameManager;
     this.enabled = false;
     this.currentDirection = null;
+
+    // Directions of the keys each player is holding, in the order they were pressed
+    // (the latest vertical and horizontal keys combine into a diagonal)
+    this.heldDirections = InputHandler.PLAYER_KEYS.map(() => []);
+    
+    // Last direction read from each gamepad (directions are only sent when they change)
+    this.gamepadDirections = [];
     
     // Bind event handlers to maintain 'this' context
     this.handleKeyDown = this.handleKeyDown.bind(this);
@@ -39,6 +46,8 @@ class InputHandler {
       document.removeEventListener('keyup', this.handleKeyUp);
       this.enabled = false;
     }
+    // Keys released while disabled are never reported
+    this.heldDirections = InputHandler.PLAYER_KEYS.map(() => []);
   }
 
   /**
@@ -47,26 +56,105 @@ class InputHandler {
    * @param {KeyboardEvent} event - The keyboard event
    */
   handleKeyDown(event) {
+    // SPACE pauses and resumes (also while paused, unlike the arrow keys)
+    if (event.key === ' ') {
+      if (this.togglePause()) {
+        event.preventDefault(); // Prevent page scrolling
+      }
+      return;
+    }
+
+    const input = this.mapKeyToPlayerInput(event.key);
+    if (!input) {
+      return;
+    }
+
+    // Keys are tracked in every state, so a key held through the countdown still combines
+    const held = this.heldDirections[input.player];
+    if (held.indexOf(input.direction) === -1) {
+      held.push(input.direction);
+    }
+
     // Check if input should be gated based on game state
     if (!this.shouldAcceptInput()) {
       return;
     }
 
-    const direction = this.mapKeyToDirection(event.key);
-    if (direction) {
-      event.preventDefault(); // Prevent default browser behavior
-      this.setDirection(direction);
+    event.preventDefault(); // Prevent default browser behavior
+    this.setPlayerDirection(input.player, InputHandler.combineDirections(held));
+  }
+
+  /**
+   * Read the connected gamepads (D-pad or left stick) - gamepad N controls player N+1
+   * ゲームパッドの入力を読み取る（ゲームループから毎フレーム呼ばれる）
+   */
+  pollGamepads() {
+    if (!this.enabled || typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') {
+      return;
+    }
+
+    const gamepads = navigator.getGamepads() || [];
+    for (let index = 0; index < gamepads.length; index++) {
+      const direction = gamepads[index] ? InputHandler.readGamepadDirection(gamepads[index]) : null;
+      if (direction === this.gamepadDirections[index]) {
+        continue;
+      }
+
+      this.gamepadDirections[index] = direction;
+      if (direction && this.shouldAcceptInput()) {
+        this.setPlayerDirection(index, direction);
+      }
     }
   }
 
   /**
-   * Handle keyup events - Currently not used but available for future features
-   * キーアップイベントを処理 - 現在は未使用だが将来の機能のために利用可能
+   * Handle keyup events - Fall back to the keys that are still held
+   * キーアップイベントを処理 - まだ押されているキーの方向に戻す
+   * Releasing every key keeps the character moving (the game uses continuous movement),
+   * but releasing one key of a diagonal continues in the direction of the other.
    * @param {KeyboardEvent} event - The keyboard event
    */
   handleKeyUp(event) {
-    // Currently not used as the game uses continuous movement
-    // 現在は未使用（ゲームは連続移動を使用するため）
+    const input = this.mapKeyToPlayerInput(event.key);
+    if (!input) {
+      return;
+    }
+
+    const held = this.heldDirections[input.player];
+    const index = held.indexOf(input.direction);
+    if (index === -1) {
+      return;
+    }
+
+    const before = InputHandler.combineDirections(held);
+    held.splice(index, 1);
+    const after = InputHandler.combineDirections(held);
+
+    if (after && after !== before && this.shouldAcceptInput()) {
+      event.preventDefault();
+      this.setPlayerDirection(input.player, after);
+    }
+  }
+
+  /**
+   * Pause a run in progress or resume a paused one
+   * プレイ中なら一時停止、一時停止中なら再開
+   * @returns {boolean} True if the key was used
+   */
+  togglePause() {
+    if (!this.gameManager || typeof this.gameManager.togglePause !== 'function') {
+      return false;
+    }
+
+    const gameState = this.gameManager.getCurrentState ?
+      this.gameManager.getCurrentState() :
+      this.gameManager.state;
+    if (gameState !== 'playing' && gameState !== 'paused' && gameState !== 'countdown') {
+      return false;
+    }
+
+    this.gameManager.togglePause();
+    return true;
   }
 
   /**
@@ -76,20 +164,46 @@ class InputHandler {
    * @returns {string|null} Direction string or null if not an arrow key
    */
   mapKeyToDirection(key) {
-    const keyMap = {
-      'ArrowUp': 'up',
-      'ArrowDown': 'down',
-      'ArrowLeft': 'left',
-      'ArrowRight': 'right'
-    };
+    const keyMap = InputHandler.PLAYER_KEYS[0];
     
-    return keyMap[key] || null;
+    return Object.prototype.hasOwnProperty.call(keyMap, key) ? keyMap[key] : null;
+  }
+
+  /**
+   * Map keyboard keys to a player and a movement direction
+   * Player one uses the arrow keys and player two WASD (only in multiplayer races)
+   * キーボードキーをプレイヤーと移動方向にマッピング
+   * @param {string} key - The pressed key
+   * @returns {{player: number, direction: string}|null} Player index and direction, or null for other keys
+   */
+  mapKeyToPlayerInput(key) {
+    // Letter keys are matched case-insensitively so Shift or Caps Lock do not stop player two
+    const normalized = typeof key === 'string' && key.length === 1 ? key.toLowerCase() : key;
+    const players = Math.min(this.getPlayerCount(), InputHandler.PLAYER_KEYS.length);
+
+    for (let player = 0; player < players; player++) {
+      const keyMap = InputHandler.PLAYER_KEYS[player];
+      if (Object.prototype.hasOwnProperty.call(keyMap, normalized)) {
+        return { player, direction: keyMap[normalized] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the number of players the game manager is running
+   * @returns {number} Player count (1 unless the game is a multiplayer race)
+   */
+  getPlayerCount() {
+    return this.gameManager && typeof this.gameManager.getPlayerCount === 'function' ?
+      this.gameManager.getPlayerCount() :
+      1;
   }
 
   /**
    * Set the current direction and notify the game manager
    * 現在の方向を設定し、ゲームマネージャーに通知
-   * @param {string} direction - The new direction ('up', 'down', 'left', 'right')
+   * @param {string} direction - The new direction ('up', 'down', 'left', 'right' or a diagonal such as 'up-left')
    */
   setDirection(direction) {
     this.currentDirection = direction;
@@ -98,6 +212,27 @@ class InputHandler {
     if (this.gameManager && this.gameManager.character) {
       this.gameManager.character.setDirection(direction);
     }
+    
+    // Record the direction change for replays
+    if (this.gameManager && typeof this.gameManager.recordDirectionChange === 'function') {
+      this.gameManager.recordDirectionChange(direction);
+    }
+  }
+
+  /**
+   * Set the direction of a player
+   * Player one goes through setDirection() (and is recorded for replays); the
+   * other players of a multiplayer race are steered through the game manager.
+   * プレイヤーの方向を設定
+   * @param {number} player - Player index (0 = player one)
+   * @param {string} direction - The new direction
+   */
+  setPlayerDirection(player, direction) {
+    if (player === 0) {
+      this.setDirection(direction);
+    } else if (player < this.getPlayerCount()) {
+      this.gameManager.setPlayerDirection(player, direction);
+    }
   }
 
   /**
@@ -136,9 +271,75 @@ class InputHandler {
    */
   reset() {
     this.currentDirection = null;
+    this.gamepadDirections = [];
+  }
+
+  /**
+   * Combine held directions into one movement direction
+   * 押されている方向を1つの移動方向にまとめる
+   * The latest vertical and the latest horizontal direction make a diagonal
+   * (of two opposite keys, the one pressed last wins).
+   * @param {Array<string>} directions - Held directions in the order they were pressed
+   * @returns {string|null} Direction such as 'up' or 'up-left', or null if nothing is held
+   */
+  static combineDirections(directions) {
+    let vertical = null;
+    let horizontal = null;
+    directions.forEach(direction => {
+      if (direction === 'up' || direction === 'down') {
+        vertical = direction;
+      } else if (direction === 'left' || direction === 'right') {
+        horizontal = direction;
+      }
+    });
+
+    if (vertical && horizontal) {
+      return `${vertical}-${horizontal}`;
+    }
+    return vertical || horizontal;
+  }
+
+  /**
+   * Read the direction pressed on a gamepad (standard mapping: D-pad buttons 12-15, left stick axes 0-1)
+   * ゲームパッドで入力されている方向を取得
+   * Two D-pad buttons give a diagonal; the stick follows its dominant axis.
+   * @param {Gamepad} gamepad - Gamepad from navigator.getGamepads()
+   * @returns {string|null} Direction, or null if nothing is pressed
+   */
+  static readGamepadDirection(gamepad) {
+    const buttons = gamepad.buttons || [];
+    const dpadDirections = Object.keys(InputHandler.GAMEPAD_DPAD)
+      .filter(index => buttons[index] && buttons[index].pressed)
+      .map(index => InputHandler.GAMEPAD_DPAD[index]);
+    if (dpadDirections.length > 0) {
+      return InputHandler.combineDirections(dpadDirections);
+    }
+
+    const axes = gamepad.axes || [];
+    const x = axes[0] || 0;
+    const y = axes[1] || 0;
+    if (Math.max(Math.abs(x), Math.abs(y)) < InputHandler.GAMEPAD_DEADZONE) {
+      return null;
+    }
+    if (Math.abs(x) > Math.abs(y)) {
+      return x > 0 ? 'right' : 'left';
+    }
+    return y > 0 ? 'down' : 'up';
   }
 }
 
+// Keys of each player in a multiplayer race (player one: arrows, player two: WASD)
+InputHandler.PLAYER_KEYS = [
+  { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right' },
+  { w: 'up', s: 'down', a: 'left', d: 'right' }
+];
+
+// D-pad button indices of the standard gamepad mapping
+InputHandler.GAMEPAD_DPAD = { 12: 'up', 13: 'down', 14: 'left', 15: 'right' };
+
+// Stick deflection below which a gamepad stick counts as centred
+InputHandler.GAMEPAD_DEADZONE = 0.5;
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = InputHandler;
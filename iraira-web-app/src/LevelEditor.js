@@ -0,0 +1,433 @@
+/**
+ * LevelEditor class - Edits a course for the in-browser level editor
+ * レベルエディタで編集中のコース（ウェイポイント・区間ごとの通路幅・障害物）を管理する
+ *
+ * The course is kept as fractions (0-1) of the canvas size, like a layout, so it
+ * plays the same on any canvas; the editing methods take canvas coordinates.
+ * The first waypoint is the start and the last one the goal. This class has no
+ * DOM: the editor screen turns pointer input into these calls, previews the
+ * level of createLevel() with the Renderer and test-plays it with GameManager.
+ */
+class LevelEditor {
+  /**
+   * Constructor
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {string} difficulty - Preset difficulty the course is played at (see LevelGenerator.PRESET_DIFFICULTIES)
+   * @param {Object} course - Course to edit (optional, see LevelGenerator.isValidCourse(), defaults to a straight path)
+   * @throws {Error} If the difficulty or the course is invalid
+   */
+  constructor(width, height, difficulty = 'medium', course = null) {
+    this.width = width;
+    this.height = height;
+    this.setDifficulty(difficulty);
+    this.setCourse(course || LevelEditor.createDefaultCourse());
+  }
+
+  /**
+   * Replace the course being edited
+   * 編集するコースを置き換える
+   * @param {Object} course - Course (see LevelGenerator.isValidCourse())
+   * @throws {Error} If the course is invalid
+   */
+  setCourse(course) {
+    const LevelGeneratorClass = this._getLevelGeneratorClass();
+    if (!LevelGeneratorClass.isValidCourse(course)) {
+      throw new Error('Invalid course');
+    }
+
+    this.course = LevelGeneratorClass.normalizeCourse(course);
+    this.selected = null;
+    this.dragging = null;
+  }
+
+  /**
+   * Get a copy of the course being edited
+   * @returns {Object} Course ({ waypoints, widths, obstacles } as fractions of the canvas size)
+   */
+  getCourse() {
+    return this._getLevelGeneratorClass().normalizeCourse(this.course);
+  }
+
+  /**
+   * Get the difficulty the course is played at
+   * @returns {string} Preset difficulty
+   */
+  getDifficulty() {
+    return this.difficulty;
+  }
+
+  /**
+   * Set the difficulty the course is played at (speed, wall thickness and inertia)
+   * @param {string} difficulty - Preset difficulty
+   * @throws {Error} If the difficulty is not a preset
+   */
+  setDifficulty(difficulty) {
+    if (this._getLevelGeneratorClass().PRESET_DIFFICULTIES.indexOf(difficulty) === -1) {
+      throw new Error(`Invalid difficulty: ${difficulty}`);
+    }
+    this.difficulty = difficulty;
+  }
+
+  /**
+   * Get the waypoints in canvas coordinates
+   * @returns {Array<{x: number, y: number}>} Waypoints from start to goal
+   */
+  getWaypoints() {
+    return this.course.waypoints.map(point => this._toCanvas(point));
+  }
+
+  /**
+   * Get the obstacles in canvas coordinates
+   * @returns {Array<Object>} Obstacles ({ type, x, y, period, phase, side })
+   */
+  getObstacles() {
+    return this.course.obstacles.map(obstacle => ({ ...obstacle, ...this._toCanvas(obstacle) }));
+  }
+
+  /**
+   * Get what the editor overlay should draw (see Renderer.drawEditorOverlay())
+   * @returns {Object} { waypoints, widths, obstacles, selected } in canvas coordinates
+   */
+  getOverlay() {
+    return {
+      waypoints: this.getWaypoints(),
+      widths: this.course.widths.slice(),
+      obstacles: this.getObstacles(),
+      selected: this.selected
+    };
+  }
+
+  /**
+   * Get the selected waypoint, segment or obstacle
+   * @returns {{kind: string, index: number}|null} Selection ('waypoint', 'segment' or 'obstacle'), or null
+   */
+  getSelected() {
+    return this.selected;
+  }
+
+  /**
+   * Find the waypoint or obstacle handle at a position
+   * 指定位置にあるウェイポイントまたは障害物の操作点を探す
+   * Waypoints are drawn over obstacles, so they are found first.
+   * @param {number} x - Canvas x
+   * @param {number} y - Canvas y
+   * @returns {{kind: string, index: number}|null} The handle ('waypoint' or 'obstacle'), or null
+   */
+  hitTest(x, y) {
+    const within = point => Math.hypot(point.x - x, point.y - y) <= LevelEditor.HANDLE_RADIUS;
+
+    const waypoint = this.getWaypoints().findIndex(within);
+    if (waypoint !== -1) {
+      return { kind: 'waypoint', index: waypoint };
+    }
+
+    const obstacle = this.getObstacles().findIndex(within);
+    return obstacle !== -1 ? { kind: 'obstacle', index: obstacle } : null;
+  }
+
+  /**
+   * Find the segment nearest to a position
+   * 指定位置に最も近い区間を探す
+   * @param {number} x - Canvas x
+   * @param {number} y - Canvas y
+   * @returns {{index: number, distance: number}} Segment index (between waypoints index and index + 1) and its distance
+   */
+  findSegment(x, y) {
+    const CollisionDetectorClass = typeof CollisionDetector !== 'undefined' ? CollisionDetector : require('./CollisionDetector');
+    const waypoints = this.getWaypoints();
+    let nearest = { index: 0, distance: Infinity };
+    for (let i = 0; i < waypoints.length - 1; i++) {
+      const distance = CollisionDetectorClass.pointSegmentDistance({ x, y }, waypoints[i], waypoints[i + 1]);
+      if (distance < nearest.distance) {
+        nearest = { index: i, distance };
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * Add a waypoint, splitting the nearest segment (both halves keep its width)
+   * ウェイポイントを追加（最も近い区間を分割し、分割後の区間は元の通路幅のまま）
+   * @param {number} x - Canvas x
+   * @param {number} y - Canvas y
+   * @returns {number} Index of the new waypoint
+   * @throws {Error} If the course already has the most waypoints allowed
+   */
+  addWaypoint(x, y) {
+    const limit = this._getLevelGeneratorClass().COURSE_LIMITS.waypoints;
+    if (this.course.waypoints.length >= limit) {
+      throw new Error(`A course can have at most ${limit} waypoints`);
+    }
+
+    const segment = this.findSegment(x, y).index;
+    this.course.waypoints.splice(segment + 1, 0, this._toCourse(x, y));
+    this.course.widths.splice(segment, 0, this.course.widths[segment]);
+    this.selected = { kind: 'waypoint', index: segment + 1 };
+    return segment + 1;
+  }
+
+  /**
+   * Move a waypoint (kept inside the canvas)
+   * @param {number} index - Waypoint index
+   * @param {number} x - Canvas x
+   * @param {number} y - Canvas y
+   */
+  moveWaypoint(index, x, y) {
+    this._checkIndex(this.course.waypoints, index, 'waypoint');
+    this.course.waypoints[index] = this._toCourse(x, y);
+  }
+
+  /**
+   * Remove a waypoint, joining its two segments (the joined segment keeps the width of the first one)
+   * The start and the goal cannot be removed.
+   * @param {number} index - Waypoint index
+   * @returns {boolean} True if the waypoint was removed
+   */
+  removeWaypoint(index) {
+    this._checkIndex(this.course.waypoints, index, 'waypoint');
+    if (index === 0 || index === this.course.waypoints.length - 1) {
+      return false;
+    }
+
+    this.course.waypoints.splice(index, 1);
+    this.course.widths.splice(index, 1);
+    this.selected = null;
+    return true;
+  }
+
+  /**
+   * Set the path width of a segment (rounded and kept within LevelGenerator.PROFILE_LIMITS.pathWidth)
+   * 区間の通路幅を設定
+   * @param {number} index - Segment index
+   * @param {number} width - Path width in pixels
+   * @returns {number} The width that was set
+   */
+  setSegmentWidth(index, width) {
+    this._checkIndex(this.course.widths, index, 'segment');
+    const limits = this._getLevelGeneratorClass().PROFILE_LIMITS.pathWidth;
+    this.course.widths[index] = Math.min(limits.max, Math.max(limits.min, Math.round(width)));
+    return this.course.widths[index];
+  }
+
+  /**
+   * Add an obstacle (it sits on the path point nearest to the position when the level is built)
+   * 障害物を追加（レベル生成時に最も近い通路上の点に置かれる）
+   * @param {string} type - Obstacle type (see Obstacle.TYPES)
+   * @param {number} x - Canvas x
+   * @param {number} y - Canvas y
+   * @returns {number} Index of the new obstacle
+   * @throws {Error} If the type is invalid or the course already has the most obstacles allowed
+   */
+  addObstacle(type, x, y) {
+    const ObstacleClass = typeof Obstacle !== 'undefined' ? Obstacle : require('./Obstacle');
+    if (ObstacleClass.TYPES.indexOf(type) === -1) {
+      throw new Error(`Invalid obstacle type: ${type}`);
+    }
+
+    const limit = this._getLevelGeneratorClass().COURSE_LIMITS.obstacles;
+    if (this.course.obstacles.length >= limit) {
+      throw new Error(`A course can have at most ${limit} obstacles`);
+    }
+
+    this.course.obstacles.push({ type, ...this._toCourse(x, y), ...LevelEditor.DEFAULT_OBSTACLE });
+    this.selected = { kind: 'obstacle', index: this.course.obstacles.length - 1 };
+    return this.course.obstacles.length - 1;
+  }
+
+  /**
+   * Move an obstacle (kept inside the canvas)
+   * @param {number} index - Obstacle index
+   * @param {number} x - Canvas x
+   * @param {number} y - Canvas y
+   */
+  moveObstacle(index, x, y) {
+    this._checkIndex(this.course.obstacles, index, 'obstacle');
+    Object.assign(this.course.obstacles[index], this._toCourse(x, y));
+  }
+
+  /**
+   * Change the cycle of an obstacle or the side of the path it hangs from
+   * @param {number} index - Obstacle index
+   * @param {Object} changes - Any of { type, period, phase, side }
+   * @throws {Error} If the changed obstacle is invalid
+   */
+  updateObstacle(index, changes) {
+    this._checkIndex(this.course.obstacles, index, 'obstacle');
+    const { type, period, phase, side } = { ...this.course.obstacles[index], ...changes };
+    const obstacle = { ...this.course.obstacles[index], type, period, phase, side };
+    const course = { ...this.course, obstacles: [obstacle] };
+    if (!this._getLevelGeneratorClass().isValidCourse(course)) {
+      throw new Error('Invalid obstacle');
+    }
+    this.course.obstacles[index] = obstacle;
+  }
+
+  /**
+   * Remove an obstacle
+   * @param {number} index - Obstacle index
+   */
+  removeObstacle(index) {
+    this._checkIndex(this.course.obstacles, index, 'obstacle');
+    this.course.obstacles.splice(index, 1);
+    this.selected = null;
+  }
+
+  /**
+   * Remove the selected waypoint or obstacle
+   * @returns {boolean} True if something was removed
+   */
+  removeSelected() {
+    if (!this.selected) {
+      return false;
+    }
+
+    if (this.selected.kind === 'obstacle') {
+      this.removeObstacle(this.selected.index);
+      return true;
+    }
+    return this.selected.kind === 'waypoint' && this.removeWaypoint(this.selected.index);
+  }
+
+  /**
+   * Start dragging at a position
+   * ドラッグを開始
+   * Selects the handle at the position, or else the segment whose path covers it.
+   * @param {number} x - Canvas x
+   * @param {number} y - Canvas y
+   * @returns {{kind: string, index: number}|null} The new selection
+   */
+  startDrag(x, y) {
+    const handle = this.hitTest(x, y);
+    if (handle) {
+      this.selected = handle;
+      this.dragging = handle;
+      return this.selected;
+    }
+
+    const segment = this.findSegment(x, y);
+    this.selected = segment.distance <= this.course.widths[segment.index] / 2 ?
+      { kind: 'segment', index: segment.index } :
+      null;
+    this.dragging = null;
+    return this.selected;
+  }
+
+  /**
+   * Move the dragged handle
+   * @param {number} x - Canvas x
+   * @param {number} y - Canvas y
+   * @returns {boolean} True if a handle was moved
+   */
+  dragTo(x, y) {
+    if (!this.dragging) {
+      return false;
+    }
+
+    if (this.dragging.kind === 'waypoint') {
+      this.moveWaypoint(this.dragging.index, x, y);
+    } else {
+      this.moveObstacle(this.dragging.index, x, y);
+    }
+    return true;
+  }
+
+  /**
+   * Stop dragging (the handle stays selected)
+   */
+  endDrag() {
+    this.dragging = null;
+  }
+
+  /**
+   * Build the level of the course
+   * コースのレベルを生成
+   * @param {number|string} seed - Level seed (optional)
+   * @returns {LevelGenerator} Generator holding the level
+   */
+  createLevel(seed) {
+    const LevelGeneratorClass = this._getLevelGeneratorClass();
+    const generator = new LevelGeneratorClass(this.width, this.height, this.difficulty);
+    generator.generateCourse(this.course, seed);
+    return generator;
+  }
+
+  /**
+   * Check that the character can get from the start to the goal of the course
+   * Only valid courses should be test-played or saved.
+   * @returns {{valid: boolean, reason: string|null}} Result (see LevelGenerator.validate())
+   */
+  validate() {
+    return this.createLevel(0).validate();
+  }
+
+  /**
+   * Convert a canvas position to course fractions (kept inside the canvas)
+   * @private
+   * @param {number} x - Canvas x
+   * @param {number} y - Canvas y
+   * @returns {{x: number, y: number}} Position as fractions of the canvas size
+   */
+  _toCourse(x, y) {
+    const fraction = (value, size) => Math.round(Math.min(1, Math.max(0, value / size)) * 10000) / 10000;
+    return { x: fraction(x, this.width), y: fraction(y, this.height) };
+  }
+
+  /**
+   * Convert course fractions to a canvas position
+   * @private
+   * @param {{x: number, y: number}} point - Position as fractions of the canvas size
+   * @returns {{x: number, y: number}} Canvas position
+   */
+  _toCanvas(point) {
+    return { x: point.x * this.width, y: point.y * this.height };
+  }
+
+  /**
+   * Throw if an index is out of range
+   * @private
+   * @param {Array} items - Items
+   * @param {number} index - Index
+   * @param {string} kind - Item kind for the error message
+   */
+  _checkIndex(items, index, kind) {
+    if (!Number.isInteger(index) || index < 0 || index >= items.length) {
+      throw new Error(`Invalid ${kind} index: ${index}`);
+    }
+  }
+
+  /**
+   * Resolve the LevelGenerator class in both browser and Node environments
+   * @private
+   * @returns {Function} LevelGenerator class
+   */
+  _getLevelGeneratorClass() {
+    return typeof LevelGenerator !== 'undefined' ? LevelGenerator : require('./LevelGenerator');
+  }
+
+  /**
+   * Create the course a new editor starts from: a straight path across the middle
+   * @returns {Object} Course
+   */
+  static createDefaultCourse() {
+    return {
+      waypoints: [{ x: 0.0625, y: 0.5 }, { x: 0.5, y: 0.5 }, { x: 0.9375, y: 0.5 }],
+      widths: [60, 60],
+      obstacles: []
+    };
+  }
+}
+
+// Radius of the waypoint and obstacle handles in pixels (drawn and hit-tested)
+LevelEditor.HANDLE_RADIUS = 8;
+
+// Path width change of one step of the mouse wheel or the width buttons
+LevelEditor.WIDTH_STEP = 5;
+
+// Cycle of a new obstacle (changed with updateObstacle())
+LevelEditor.DEFAULT_OBSTACLE = { period: 3, phase: 0, side: 1 };
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LevelEditor;
+}
@@ -7,45 +7,293 @@ class LevelGenerator {
    * Constructor - Initialize level generator with canvas dimensions and difficulty
    * @param {number} width - Canvas width
    * @param {number} height - Canvas height
-   * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard', 'super-hard')
+   * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard', 'super-hard' or 'custom')
+   * @param {Object} profile - User-defined difficulty profile, required for 'custom' (see PROFILE_LIMITS)
    */
-  constructor(width, height, difficulty) {
+  constructor(width, height, difficulty, profile = null) {
     this.width = width;
     this.height = height;
     this.difficulty = difficulty;
     
     // Difficulty settings based on requirements
+    // (waypointCount null = 3-5 waypoints chosen by the seed,
+    //  obstacleTypes = moving obstacles the seed picks from, see LevelGenerator.OBSTACLE_SLOTS,
+    //  hazardTypes = timed hazards the seed picks from, see LevelGenerator.HAZARD_SLOTS,
+    //  inertia = thrust and friction of the inertia movement model, see getInertia())
     this.difficultySettings = {
-      'easy': { pathWidth: 100, characterSpeed: 2 },
-      'medium': { pathWidth: 60, characterSpeed: 3 },
-      'hard': { pathWidth: 40, characterSpeed: 4 },
-      'super-hard': { pathWidth: 30, characterSpeed: 6 }
+      'easy': {
+        pathWidth: 100, characterSpeed: 2, waypointCount: null, curveJitter: 30, wallThickness: 20,
+        obstacleCount: 0, hazardCount: 0,
+        inertia: { acceleration: 0.1, friction: 0.08 }
+      },
+      'medium': {
+        pathWidth: 60, characterSpeed: 3, waypointCount: null, curveJitter: 30, wallThickness: 20,
+        obstacleCount: 0, hazardCount: 1, hazardTypes: ['field'],
+        inertia: { acceleration: 0.12, friction: 0.1 }
+      },
+      'hard': {
+        pathWidth: 40, characterSpeed: 4, waypointCount: null, curveJitter: 30, wallThickness: 20,
+        obstacleCount: 2, obstacleTypes: ['slider', 'rotor', 'gate'],
+        hazardCount: 2, hazardTypes: ['field', 'gap'],
+        inertia: { acceleration: 0.14, friction: 0.12 }
+      },
+      'super-hard': {
+        pathWidth: 30, characterSpeed: 6, waypointCount: null, curveJitter: 30, wallThickness: 20,
+        obstacleCount: 4, obstacleTypes: ['slider', 'rotor', 'pendulum', 'gate'],
+        hazardCount: 3, hazardTypes: ['field', 'gap'],
+        inertia: { acceleration: 0.18, friction: 0.15 }
+      }
     };
     
-    // Validate difficulty
-    if (!this.difficultySettings[difficulty]) {
+    // Custom difficulty: the settings come from the profile
+    this.profile = null;
+    if (difficulty === LevelGenerator.CUSTOM_DIFFICULTY) {
+      if (!LevelGenerator.isValidProfile(profile)) {
+        throw new Error('Invalid difficulty profile: expected integer pathWidth, characterSpeed, waypointCount, curveJitter and wallThickness within PROFILE_LIMITS');
+      }
+      this.profile = LevelGenerator.normalizeProfile(profile);
+    } else if (!this.difficultySettings[difficulty]) {
+      // Validate difficulty
       throw new Error(`Invalid difficulty: ${difficulty}`);
     }
     
-    this.settings = this.difficultySettings[difficulty];
+    this.settings = this.profile || this.difficultySettings[difficulty];
     
     // Generated level data
     this.walls = [];
+    this.obstacles = [];
+    this.hazards = [];
     this.path = [];
     this.startPosition = null;
     this.goalPosition = null;
     this.waypoints = [];
+    
+    // Hand-authored layout (waypoints as fractions of the canvas), null for generated levels
+    this.layout = null;
+    
+    // Course made in the level editor (see generateCourse()) and the path width at each path point,
+    // both null for generated levels
+    this.course = null;
+    this.pathWidths = null;
+    
+    // Endless track state (see generateEndless)
+    this.endless = false;
+    
+    // Seeded random number generator (set up by generate())
+    this.seed = null;
+    this.random = null;
+    
+    // Why the courses rolled before the current one were rejected (see validate())
+    this.rejections = [];
   }
 
   /**
    * Generate the complete level with paths and walls
    * 通路と壁を含む完全なレベルを生成
+   * The same seed, canvas size, difficulty and layout always produce the same level.
+   * @param {number|string} seed - Level seed (optional, a random seed is chosen if omitted)
+   * @param {Array<{x: number, y: number}>} layout - Hand-authored waypoints as fractions (0-1) of the
+   *   canvas size, from start to goal (optional, waypoints are generated from the seed if omitted)
+   * @returns {number} The normalized seed used for this level
    */
-  generate() {
-    this.generateWaypoints();
+  generate(seed, layout = null) {
+    const Random = this._getSeededRandomClass();
+    const levelSeed = seed !== undefined && seed !== null ? seed : Random.generateSeed();
+    this.random = new Random(levelSeed);
+    this.seed = this.random.getSeed();
+    this.endless = false;
+    this.course = null;
+    
+    if (layout) {
+      this.setLayout(layout);
+    } else {
+      this.layout = null;
+    }
+    
+    // Courses the character cannot get through are rolled again, continuing the seed's
+    // random sequence, so a seed still always ends up with the same level
+    this.rejections = [];
+    for (let attempt = 1; ; attempt++) {
+      if (!this.layout) {
+        this.generateWaypoints();
+      }
+      this.generatePath();
+      this.generateWalls();
+      this.setStartAndGoalPositions();
+      
+      const validation = this.validate();
+      if (validation.valid) {
+        break;
+      }
+      this.rejections.push(validation.reason);
+      if (attempt >= LevelGenerator.MAX_GENERATION_ATTEMPTS) {
+        throw new Error(`Could not generate a solvable level for seed ${this.seed} after ${attempt} attempts: ${validation.reason}`);
+      }
+    }
+    this.generateObstacles();
+    this.generateHazards();
+    
+    return this.seed;
+  }
+
+  /**
+   * Build the level of a course made in the level editor
+   * レベルエディタで作ったコースからレベルを生成
+   * The path runs straight from waypoint to waypoint with each segment's own width,
+   * and the obstacles are the course's. Courses have no hazards. The seed is only
+   * used by the game modes that need one (such as the power-up order).
+   * Unlike generate(), an unsolvable course is built anyway: check it with validate().
+   * @param {Object} course - Course (see isValidCourse())
+   * @param {number|string} seed - Level seed (optional, a random seed is chosen if omitted)
+   * @returns {number} The normalized seed used for this level
+   * @throws {Error} If the course is invalid
+   */
+  generateCourse(course, seed) {
+    if (!LevelGenerator.isValidCourse(course)) {
+      throw new Error('Invalid course: expected 2-' + LevelGenerator.COURSE_LIMITS.waypoints +
+        ' waypoints, a path width for each segment and valid obstacles');
+    }
+    
+    const Random = this._getSeededRandomClass();
+    const levelSeed = seed !== undefined && seed !== null ? seed : Random.generateSeed();
+    this.random = new Random(levelSeed);
+    this.seed = this.random.getSeed();
+    this.endless = false;
+    this.layout = null;
+    this.rejections = [];
+    this.course = LevelGenerator.normalizeCourse(course);
+    this.waypoints = this.course.waypoints.map(point => ({
+      x: point.x * this.width,
+      y: point.y * this.height
+    }));
+    
     this.generatePath();
     this.generateWalls();
     this.setStartAndGoalPositions();
+    this.generateObstacles();
+    this.generateHazards();
+    
+    return this.seed;
+  }
+
+  /**
+   * Check that the character can get from the start to the goal between the walls
+   * キャラクターがスタートからゴールまで壁に触れずに通れるか検証
+   * The walls are rasterized into a grid of the places the character's centre can be
+   * (see rasterizeWalls()), which is searched from the start for a cell that touches the goal.
+   * Obstacles and hazards are left out: each of them clears the path for part of its cycle.
+   * @param {number} characterSize - Character size (width and height)
+   * @returns {{valid: boolean, reason: string|null}} Result, with why the level is not solvable
+   */
+  validate(characterSize = LevelGenerator.CHARACTER_SIZE) {
+    const radius = characterSize / 2;
+    const cellSize = LevelGenerator.VALIDATION_CELL_SIZE;
+    const grid = LevelGenerator.rasterizeWalls(this.walls, this.width, this.height, radius, cellSize);
+    const format = point => `(${Math.round(point.x)}, ${Math.round(point.y)})`;
+    const toCell = point => {
+      const column = Math.floor(point.x / cellSize);
+      const row = Math.floor(point.y / cellSize);
+      return column >= 0 && column < grid.columns && row >= 0 && row < grid.rows ? row * grid.columns + column : -1;
+    };
+    
+    // The start is the top left corner of the game's character (see setStartAndGoalPositions())
+    const centre = {
+      x: this.startPosition.x + LevelGenerator.CHARACTER_SIZE / 2,
+      y: this.startPosition.y + LevelGenerator.CHARACTER_SIZE / 2
+    };
+    const start = toCell(centre);
+    if (start === -1 || grid.blocked[start]) {
+      return { valid: false, reason: `The character does not fit at the start ${format(centre)}` };
+    }
+    
+    // Cells where the character's box overlaps the goal area (30px across, see CollisionDetector)
+    const reach = 15 + radius;
+    const isGoal = cell => {
+      const x = (cell % grid.columns + 0.5) * cellSize;
+      const y = (Math.floor(cell / grid.columns) + 0.5) * cellSize;
+      return Math.abs(x - this.goalPosition.x) < reach && Math.abs(y - this.goalPosition.y) < reach;
+    };
+    
+    // Breadth-first search over the free cells
+    const visited = new Uint8Array(grid.blocked.length);
+    const queue = new Int32Array(grid.blocked.length);
+    let head = 0;
+    let tail = 0;
+    visited[start] = 1;
+    queue[tail++] = start;
+    while (head < tail) {
+      const cell = queue[head++];
+      if (isGoal(cell)) {
+        return { valid: true, reason: null };
+      }
+      
+      const column = cell % grid.columns;
+      const neighbours = [
+        column > 0 ? cell - 1 : -1,
+        column < grid.columns - 1 ? cell + 1 : -1,
+        cell - grid.columns,
+        cell + grid.columns
+      ];
+      for (let i = 0; i < neighbours.length; i++) {
+        const next = neighbours[i];
+        if (next >= 0 && next < grid.blocked.length && !grid.blocked[next] && !visited[next]) {
+          visited[next] = 1;
+          queue[tail++] = next;
+        }
+      }
+    }
+    
+    // Report the first point of the path beyond the furthest one the character can get to
+    let furthest = 0;
+    this.path.forEach((point, i) => {
+      const cell = toCell(point);
+      if (cell !== -1 && visited[cell]) {
+        furthest = i;
+      }
+    });
+    const blockedAt = this.path[Math.min(furthest + 1, this.path.length - 1)];
+    const percent = Math.round(furthest / Math.max(1, this.path.length - 1) * 100);
+    return {
+      valid: false,
+      reason: `The character cannot get through the path: stuck ${percent}% of the way at ${format(blockedAt)}`
+    };
+  }
+
+  /**
+   * Get why the courses rolled before the current level were rejected
+   * 現在のレベルの前に作り直したコースの却下理由を取得
+   * @returns {Array<string>} Reasons from validate(), oldest first (empty if the first course was solvable)
+   */
+  getRejections() {
+    return this.rejections;
+  }
+
+  /**
+   * Resolve the SeededRandom class (browser global or CommonJS module)
+   * SeededRandomクラスを解決（ブラウザではグローバル、Node.jsではrequire）
+   * @private
+   * @returns {Function} SeededRandom class
+   */
+  _getSeededRandomClass() {
+    return typeof SeededRandom !== 'undefined' ? SeededRandom : require('./SeededRandom');
+  }
+
+  /**
+   * Resolve the Obstacle class (browser global or CommonJS module)
+   * @private
+   * @returns {Function} Obstacle class
+   */
+  _getObstacleClass() {
+    return typeof Obstacle !== 'undefined' ? Obstacle : require('./Obstacle');
+  }
+
+  /**
+   * Resolve the Hazard class (browser global or CommonJS module)
+   * @private
+   * @returns {Function} Hazard class
+   */
+  _getHazardClass() {
+    return typeof Hazard !== 'undefined' ? Hazard : require('./Hazard');
   }
 
   /**
@@ -60,109 +308,252 @@ class LevelGenerator {
     const startY = this.height / 2;
     this.waypoints.push({ x: startX, y: startY });
     
-    // Generate 3-5 intermediate waypoints
-    const numWaypoints = 3 + Math.floor(Math.random() * 3);
+    // Generate 3-5 intermediate waypoints (or as many as the custom profile asks for)
+    const numWaypoints = this.settings.waypointCount !== null ?
+      this.settings.waypointCount :
+      3 + Math.floor(this.random.next() * 3);
     const segmentWidth = (this.width - 150) / (numWaypoints + 1); // Leave space for start and goal
     
     for (let i = 1; i <= numWaypoints; i++) {
-      const x = startX + (segmentWidth * i) + (Math.random() - 0.5) * 50;
-      const y = 100 + Math.random() * (this.height - 200); // Keep away from edges
+      const x = startX + (segmentWidth * i) + (this.random.next() - 0.5) * 50;
+      const y = 100 + this.random.next() * (this.height - 200); // Keep away from edges
       this.waypoints.push({ x, y });
     }
     
     // Goal point at right edge
     const goalX = this.width - 50;
-    const goalY = 100 + Math.random() * (this.height - 200);
+    const goalY = 100 + this.random.next() * (this.height - 200);
     this.waypoints.push({ x: goalX, y: goalY });
   }
 
+  /**
+   * Use hand-authored waypoints instead of generated ones
+   * 手作りのウェイポイントを使用
+   * The seed still decides the curves between waypoints.
+   * @param {Array<{x: number, y: number}>} layout - Waypoints as fractions (0-1) of the canvas size
+   * @throws {Error} If the layout is not a list of at least two points inside the canvas
+   */
+  setLayout(layout) {
+    if (!LevelGenerator.isValidLayout(layout)) {
+      throw new Error('Invalid layout: expected at least 2 waypoints with x and y between 0 and 1');
+    }
+    
+    this.layout = layout.map(point => ({ x: point.x, y: point.y }));
+    this.waypoints = this.layout.map(point => ({
+      x: point.x * this.width,
+      y: point.y * this.height
+    }));
+  }
+
   /**
    * Generate smooth path connecting waypoints
    * ウェイポイントを接続するスムーズな通路を生成
    */
   generatePath() {
     this.path = [];
+    this.pathWidths = this.course ? [] : null;
     
     // Generate path points between each pair of waypoints
+    // (course segments are straight and have their own widths)
     for (let i = 0; i < this.waypoints.length - 1; i++) {
-      const start = this.waypoints[i];
-      const end = this.waypoints[i + 1];
+      if (!this.course) {
+        this.appendPathSegment(this.waypoints[i], this.waypoints[i + 1]);
+        continue;
+      }
+      
+      this.appendPathSegment(this.waypoints[i], this.waypoints[i + 1], 0);
+      while (this.pathWidths.length < this.path.length) {
+        this.pathWidths.push(this.course.widths[i]);
+      }
+    }
+  }
+
+  /**
+   * Append a smooth curve between two waypoints to the path
+   * 2つのウェイポイント間の曲線を通路に追加
+   * @param {{x: number, y: number}} start - Segment start
+   * @param {{x: number, y: number}} end - Segment end
+   * @param {number} curveJitter - Random offset of the curve's control point (defaults to the difficulty's)
+   */
+  appendPathSegment(start, end, curveJitter = this.settings.curveJitter) {
+    // Create smooth curve between waypoints using quadratic interpolation
+    // At least one step, otherwise waypoints closer than 5px would yield 0/0 = NaN
+    const steps = Math.max(1, Math.floor(Math.sqrt(Math.pow(end.x - start.x, 2) + Math.pow(end.y - start.y, 2)) / 5));
+    
+    // Add some curve variation for more interesting paths
+    // (one control point per segment - re-rolling it per step scatters the walls into the path)
+    const midX = (start.x + end.x) / 2 + (this.random.next() - 0.5) * curveJitter;
+    const midY = (start.y + end.y) / 2 + (this.random.next() - 0.5) * curveJitter;
+    
+    for (let t = 0; t <= steps; t++) {
+      const ratio = t / steps;
       
-      // Create smooth curve between waypoints using quadratic interpolation
-      const steps = Math.floor(Math.sqrt(Math.pow(end.x - start.x, 2) + Math.pow(end.y - start.y, 2)) / 5);
+      // Quadratic Bezier curve
+      const x = Math.pow(1 - ratio, 2) * start.x + 
+                2 * (1 - ratio) * ratio * midX + 
+                Math.pow(ratio, 2) * end.x;
+      const y = Math.pow(1 - ratio, 2) * start.y + 
+                2 * (1 - ratio) * ratio * midY + 
+                Math.pow(ratio, 2) * end.y;
       
-      for (let t = 0; t <= steps; t++) {
-        const ratio = t / steps;
-        
-        // Add some curve variation for more interesting paths
-        const midX = (start.x + end.x) / 2 + (Math.random() - 0.5) * 30;
-        const midY = (start.y + end.y) / 2 + (Math.random() - 0.5) * 30;
-        
-        // Quadratic Bezier curve
-        const x = Math.pow(1 - ratio, 2) * start.x + 
-                  2 * (1 - ratio) * ratio * midX + 
-                  Math.pow(ratio, 2) * end.x;
-        const y = Math.pow(1 - ratio, 2) * start.y + 
-                  2 * (1 - ratio) * ratio * midY + 
-                  Math.pow(ratio, 2) * end.y;
-        
-        this.path.push({ x, y });
+      this.path.push({ x, y });
+    }
+  }
+
+  /**
+   * Start an endless track that keeps growing to the right
+   * 右方向に伸び続けるエンドレスコースを開始
+   * Only the part of the track around the character is kept: updateEndless()
+   * appends segments ahead of it and drops the ones far behind. The corridor
+   * is closed by columns of wall above and below it (and a cap behind the
+   * oldest segment), and narrows with the distance from the start.
+   * The same seed always produces the same segments, however it is updated.
+   * @param {number|string} seed - Level seed (optional, a random seed is chosen if omitted)
+   * @returns {number} The normalized seed used for this track
+   */
+  generateEndless(seed) {
+    const Random = this._getSeededRandomClass();
+    const levelSeed = seed !== undefined && seed !== null ? seed : Random.generateSeed();
+    this.random = new Random(levelSeed);
+    this.seed = this.random.getSeed();
+    this.layout = null;
+    this.course = null;
+    this.pathWidths = null;
+    this.endless = true;
+    
+    this.waypoints = [{ x: 50, y: this.height / 2 }];
+    this.path = [];
+    this.walls = [];
+    this.obstacles = [];
+    this.hazards = [];
+    this.startPosition = { ...this.waypoints[0] };
+    this.goalPosition = null; // There is no goal - the run lasts until a wall is touched
+    
+    this.updateEndless(this.startPosition.x);
+    
+    return this.seed;
+  }
+
+  /**
+   * Grow the endless track ahead of a position and drop the segments far behind it
+   * 指定位置の先にコースを追加し、はるか後方の区間を削除
+   * @param {number} x - Character x position
+   * @returns {boolean} True if the walls changed (callers must pass them to the CollisionDetector again)
+   */
+  updateEndless(x) {
+    if (!this.endless) {
+      return false;
+    }
+    
+    const settings = LevelGenerator.ENDLESS;
+    let changed = false;
+    
+    // Keep at least one canvas width of track ahead of the character
+    while (this.waypoints[this.waypoints.length - 1].x < x + this.width) {
+      const last = this.waypoints[this.waypoints.length - 1];
+      const segmentLength = settings.segmentLength * (0.75 + this.random.next() * 0.5);
+      const rise = (this.random.next() * 2 - 1) * segmentLength * settings.maxSlope;
+      const next = {
+        x: last.x + segmentLength,
+        y: Math.min(Math.max(last.y + rise, 100), this.height - 100) // Keep away from edges
+      };
+      
+      this.waypoints.push(next);
+      this.appendPathSegment(last, next);
+      changed = true;
+    }
+    
+    // Drop whole wall columns more than one canvas width behind (in batches, not every tick)
+    if (this.path[0].x < x - this.width * 1.5) {
+      const dropX = Math.floor((x - this.width) / settings.columnWidth) * settings.columnWidth;
+      this.path = this.path.filter(point => point.x >= dropX);
+      this.waypoints = this.waypoints.filter((point, i) => point.x >= dropX || i === this.waypoints.length - 1);
+      changed = true;
+    }
+    
+    if (changed) {
+      this.generateEndlessWalls();
+    }
+    return changed;
+  }
+
+  /**
+   * Build the wall columns that enclose the endless corridor
+   * エンドレスコースの通路を囲む壁の列を生成
+   */
+  generateEndlessWalls() {
+    this.walls = [];
+    if (this.path.length < 2) {
+      return;
+    }
+    
+    const columnWidth = LevelGenerator.ENDLESS.columnWidth;
+    const firstColumn = Math.floor(this.path[0].x / columnWidth);
+    const columns = [];
+    
+    // Vertical extent of the path centre line within each column
+    // (both ends of every step count for every column it touches, so the opening is never too small)
+    for (let i = 0; i < this.path.length - 1; i++) {
+      const a = this.path[i];
+      const b = this.path[i + 1];
+      const from = Math.floor(Math.min(a.x, b.x) / columnWidth) - firstColumn;
+      const to = Math.floor(Math.max(a.x, b.x) / columnWidth) - firstColumn;
+      
+      for (let c = from; c <= to; c++) {
+        const column = columns[c] || (columns[c] = { minY: Infinity, maxY: -Infinity });
+        column.minY = Math.min(column.minY, a.y, b.y);
+        column.maxY = Math.max(column.maxY, a.y, b.y);
       }
     }
+    
+    // Cap behind the oldest column so the character cannot leave the track backwards
+    const capX = firstColumn * columnWidth;
+    this.walls.push({ x: capX - columnWidth * 2, y: 0, width: columnWidth * 2, height: this.height });
+    
+    columns.forEach((column, c) => {
+      const x = (firstColumn + c) * columnWidth;
+      const halfWidth = this.getPathWidthAt(x) / 2;
+      const top = Math.max(0, column.minY - halfWidth);
+      const bottom = Math.min(this.height, column.maxY + halfWidth);
+      
+      this.walls.push({ x, y: 0, width: columnWidth, height: top });
+      this.walls.push({ x, y: bottom, width: columnWidth, height: this.height - bottom });
+    });
   }
 
   /**
    * Generate walls along path boundaries
    * 通路境界に沿って壁を生成
+   * Each side of the path is one continuous wall: a polyline offset from the
+   * path by half the path width plus half the wall thickness, drawn and tested
+   * with the wall thickness (see CollisionDetector), so there are no gaps at bends.
+   * On courses the offset follows the width of each segment.
    */
   generateWalls() {
     this.walls = [];
-    const halfWidth = this.settings.pathWidth / 2;
+    const thickness = this.settings.wallThickness;
     
-    // Create walls along the path
-    for (let i = 0; i < this.path.length - 1; i++) {
-      const current = this.path[i];
-      const next = this.path[i + 1];
-      
-      // Calculate perpendicular direction for wall placement
-      const dx = next.x - current.x;
-      const dy = next.y - current.y;
-      const length = Math.sqrt(dx * dx + dy * dy);
-      
-      if (length > 0) {
-        const perpX = -dy / length;
-        const perpY = dx / length;
-        
-        // Create wall segments on both sides of the path
-        const wallThickness = 20;
-        
-        // Left wall
-        const leftWallX = current.x + perpX * (halfWidth + wallThickness / 2);
-        const leftWallY = current.y + perpY * (halfWidth + wallThickness / 2);
-        
-        // Right wall
-        const rightWallX = current.x - perpX * (halfWidth + wallThickness / 2);
-        const rightWallY = current.y - perpY * (halfWidth + wallThickness / 2);
-        
-        // Add wall segments
-        this.walls.push({
-          x: leftWallX - wallThickness / 2,
-          y: leftWallY - wallThickness / 2,
-          width: wallThickness,
-          height: wallThickness
-        });
-        
-        this.walls.push({
-          x: rightWallX - wallThickness / 2,
-          y: rightWallY - wallThickness / 2,
-          width: wallThickness,
-          height: wallThickness
-        });
+    // Consecutive path segments share their end points
+    const points = [];
+    const widths = [];
+    this.path.forEach((point, i) => {
+      if (i === 0 || point.x !== this.path[i - 1].x || point.y !== this.path[i - 1].y) {
+        points.push(point);
+        widths.push(this.pathWidths ? this.pathWidths[i] : this.settings.pathWidth);
       }
+    });
+    
+    if (points.length >= 2) {
+      [1, -1].forEach(side => {
+        this.walls.push(LevelGenerator.createPolylineWall(
+          LevelGenerator.offsetPolyline(points, widths.map(width => side * (width / 2 + thickness / 2))),
+          thickness
+        ));
+      });
     }
     
     // Add boundary walls around the entire canvas
-    const boundaryThickness = 50;
+    const boundaryThickness = LevelGenerator.BOUNDARY_THICKNESS;
     
     // Top boundary
     this.walls.push({
@@ -180,7 +571,7 @@ class LevelGenerator {
       height: boundaryThickness
     });
     
-    // Left boundary (with gap for start)
+    // Left boundary
     this.walls.push({
       x: 0,
       y: 0,
@@ -188,7 +579,7 @@ class LevelGenerator {
       height: this.height
     });
     
-    // Right boundary (with gap for goal)
+    // Right boundary
     this.walls.push({
       x: this.width - boundaryThickness,
       y: 0,
@@ -197,13 +588,245 @@ class LevelGenerator {
     });
   }
 
+  /**
+   * Place moving obstacles along the path
+   * 通路上に動く障害物を配置
+   * Runs after the walls so the walls of a seed stay the same with or without obstacles.
+   * Custom profiles and endless tracks have no obstacles; courses have the ones placed in the editor.
+   */
+  generateObstacles() {
+    this.obstacles = [];
+    const ObstacleClass = this._getObstacleClass();
+    
+    if (this.course) {
+      // Each obstacle sits on the path point nearest to where it was placed
+      this.course.obstacles.forEach(obstacle => {
+        const index = this._findNearestPathIndex(obstacle.x * this.width, obstacle.y * this.height);
+        this.obstacles.push(new ObstacleClass(this._createObstacleDefinition(
+          obstacle.type, index, this.pathWidths[index], obstacle.period, obstacle.phase, obstacle.side
+        )));
+      });
+      return;
+    }
+    
+    const count = Math.min(this.settings.obstacleCount || 0, LevelGenerator.OBSTACLE_SLOTS.length);
+    if (count === 0 || this.path.length < 3) {
+      return;
+    }
+    
+    const types = this.settings.obstacleTypes;
+    
+    for (let i = 0; i < count; i++) {
+      const index = Math.min(
+        this.path.length - 2,
+        Math.max(1, Math.round(LevelGenerator.OBSTACLE_SLOTS[i] * (this.path.length - 1)))
+      );
+      const type = types[Math.floor(this.random.next() * types.length)];
+      const period = 2 + this.random.next() * 2; // 2-4 seconds per cycle
+      const phase = this.random.next();
+      const side = type === 'rotor' || type === 'pendulum' ? (this.random.next() < 0.5 ? 1 : -1) : 1;
+      this.obstacles.push(new ObstacleClass(
+        this._createObstacleDefinition(type, index, this.settings.pathWidth, period, phase, side)
+      ));
+    }
+  }
+
+  /**
+   * Define an obstacle across the path at a path point, sized to the path width
+   * 通路上の点に、通路幅に合わせた障害物を定義
+   * @private
+   * @param {string} type - Obstacle type (see Obstacle.TYPES)
+   * @param {number} index - Path index (not the last point, the next point gives the direction)
+   * @param {number} pathWidth - Path width at the point
+   * @param {number} period - Seconds per cycle
+   * @param {number} phase - Start of the cycle (0-1)
+   * @param {number} side - Edge of the path rotors and pendulums hang from (1 or -1)
+   * @returns {Object} Obstacle definition
+   */
+  _createObstacleDefinition(type, index, pathWidth, period, phase, side) {
+    const point = this.path[index];
+    const next = this.path[index + 1];
+    const angle = Math.atan2(next.y - point.y, next.x - point.x);
+    const definition = {
+      type,
+      x: point.x,
+      y: point.y,
+      angle,
+      thickness: 4,
+      period,
+      phase
+    };
+    
+    // Every obstacle leaves the path clear for part of its cycle, so it can always be passed by waiting
+    if (type === 'slider') {
+      // A block sliding across the path and fully into the walls on both sides
+      definition.length = pathWidth * 0.3;
+      definition.thickness = 8;
+      definition.travel = (pathWidth + definition.length) / 2 * 1.3;
+    } else if (type === 'gate') {
+      definition.span = pathWidth;
+      definition.length = pathWidth / 2;
+      definition.thickness = 6;
+    } else {
+      // Rotors and pendulums hang from one edge of the path, starting across it
+      const normal = angle + Math.PI / 2;
+      const offset = pathWidth / 2 + definition.thickness / 2;
+      definition.x = point.x + Math.cos(normal) * side * offset;
+      definition.y = point.y + Math.sin(normal) * side * offset;
+      definition.angle = normal + (side === 1 ? Math.PI : 0);
+      if (type === 'rotor') {
+        definition.length = pathWidth * 0.8;
+      } else {
+        // Swings until the bar lies along the edge of the path
+        definition.length = pathWidth * 0.6;
+        definition.swing = Math.PI / 2;
+      }
+    }
+    
+    return definition;
+  }
+
+  /**
+   * Place hazards that switch on and off along the path
+   * 通路上に一定周期で危険になるハザードを配置
+   * Runs after the obstacles so the walls and obstacles of a seed stay the same with or without hazards.
+   * Custom profiles, courses and endless tracks have no hazards.
+   */
+  generateHazards() {
+    this.hazards = [];
+    const count = Math.min(this.settings.hazardCount || 0, LevelGenerator.HAZARD_SLOTS.length);
+    if (count === 0 || this.path.length < 3 || this.course) {
+      return;
+    }
+    
+    const HazardClass = this._getHazardClass();
+    const CheckpointTrackerClass = typeof CheckpointTracker !== 'undefined' ?
+      CheckpointTracker :
+      require('./CheckpointTracker');
+    const pathWidth = this.settings.pathWidth;
+    const types = this.settings.hazardTypes;
+    
+    // Places a hazard has to stay clear of: the start and the goal, the lives mode checkpoints
+    // (the power-ups sit on the same points) and everywhere the obstacles can reach
+    const keepOut = [
+      { ...this.path[0], radius: 15 },
+      { ...this.path[this.path.length - 1], radius: 25 }
+    ];
+    CheckpointTrackerClass.placeCheckpoints(this.path, CheckpointTrackerClass.RULES.checkpoints).forEach(point => {
+      keepOut.push({ ...point, radius: 10 });
+    });
+    this.obstacles.forEach(obstacle => {
+      keepOut.push({ x: obstacle.x, y: obstacle.y, radius: obstacle.getReach() });
+    });
+    
+    for (let i = 0; i < count; i++) {
+      const type = types[Math.floor(this.random.next() * types.length)];
+      const period = 2 + this.random.next(); // 2-3 seconds per cycle
+      const phase = this.random.next();
+      
+      // Reaches into the walls on both sides so there is no way around it.
+      // Gaps are longer and on for longer, but warn for a shorter time.
+      const gap = type === 'gap';
+      const length = pathWidth * (gap ? 0.9 : 0.6);
+      const width = pathWidth * 1.5;
+      const radius = Math.hypot(length, width) / 2;
+      
+      const slot = Math.round(LevelGenerator.HAZARD_SLOTS[i] * (this.path.length - 1));
+      const index = this._findClearPathIndex(slot, radius, keepOut);
+      if (index === -1) {
+        continue;
+      }
+      
+      const point = this.path[index];
+      const next = this.path[index + 1];
+      this.hazards.push(new HazardClass({
+        type,
+        x: point.x,
+        y: point.y,
+        angle: Math.atan2(next.y - point.y, next.x - point.x),
+        length,
+        width,
+        period,
+        active: gap ? 0.5 : 0.4,
+        warning: gap ? 0.4 : 0.6,
+        phase
+      }));
+      keepOut.push({ ...point, radius });
+    }
+  }
+
+  /**
+   * Find the path point nearest to a slot where a round area stays clear of other areas
+   * 他の範囲と重ならない、指定位置に最も近い通路上の点を探す
+   * @private
+   * @param {number} slot - Path index to start from
+   * @param {number} radius - Radius of the area to place
+   * @param {Array<{x: number, y: number, radius: number}>} keepOut - Areas to stay clear of
+   * @returns {number} Path index (never the first or last point), or -1 if there is no room
+   */
+  _findClearPathIndex(slot, radius, keepOut) {
+    const isClear = index => keepOut.every(area => {
+      const point = this.path[index];
+      return Math.hypot(point.x - area.x, point.y - area.y) > radius + area.radius;
+    });
+    
+    // Try the slot first, then alternately further ahead and further back
+    for (let offset = 0; offset < this.path.length; offset++) {
+      const candidates = offset === 0 ? [slot] : [slot + offset, slot - offset];
+      for (let i = 0; i < candidates.length; i++) {
+        const index = candidates[i];
+        if (index >= 1 && index <= this.path.length - 2 && isClear(index)) {
+          return index;
+        }
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Find the path point nearest to a position
+   * 指定位置に最も近い通路上の点を探す
+   * @private
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @returns {number} Path index (never the first or last point)
+   */
+  _findNearestPathIndex(x, y) {
+    let nearest = 1;
+    for (let i = 2; i <= this.path.length - 2; i++) {
+      if (Math.hypot(this.path[i].x - x, this.path[i].y - y) <
+          Math.hypot(this.path[nearest].x - x, this.path[nearest].y - y)) {
+        nearest = i;
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * Move the obstacles to their positions and switch the hazards to their state at a simulation time
+   * 障害物をシミュレーション時刻の位置に移動し、ハザードの状態を切り替える
+   * @param {number} time - Seconds since the start of the run
+   */
+  updateObstacles(time) {
+    this.obstacles.forEach(obstacle => obstacle.update(time));
+    this.hazards.forEach(hazard => hazard.update(time));
+  }
+
   /**
    * Set start and goal positions based on waypoints
    * ウェイポイントに基づいてスタートとゴール位置を設定
+   * The start is the character's top left corner, so that the character is centred on the
+   * path: on the first waypoint, or a little further along the path where the first waypoint
+   * is too close to the boundary walls for the character (as in generated levels).
    */
   setStartAndGoalPositions() {
     if (this.waypoints.length >= 2) {
-      this.startPosition = { ...this.waypoints[0] };
+      const offset = LevelGenerator.CHARACTER_SIZE / 2;
+      const margin = LevelGenerator.BOUNDARY_THICKNESS + offset;
+      const clear = point => point.x >= margin && point.x <= this.width - margin &&
+        point.y >= margin && point.y <= this.height - margin;
+      const start = clear(this.waypoints[0]) ? this.waypoints[0] : (this.path.find(clear) || this.waypoints[0]);
+      this.startPosition = { x: start.x - offset, y: start.y - offset };
       this.goalPosition = { ...this.waypoints[this.waypoints.length - 1] };
     }
   }
@@ -217,6 +840,24 @@ class LevelGenerator {
     return this.walls;
   }
 
+  /**
+   * Get the moving obstacles of the level
+   * 動く障害物を取得
+   * @returns {Array<Obstacle>} Obstacles (empty for levels without any)
+   */
+  getObstacles() {
+    return this.obstacles;
+  }
+
+  /**
+   * Get the timed hazards of the level
+   * 一定周期で危険になるハザードを取得
+   * @returns {Array<Hazard>} Hazards (empty for levels without any)
+   */
+  getHazards() {
+    return this.hazards;
+  }
+
   /**
    * Get start position
    * スタート位置を取得
@@ -235,15 +876,74 @@ class LevelGenerator {
     return this.goalPosition;
   }
 
+  /**
+   * Get the custom difficulty profile of this level
+   * カスタム難易度のプロファイルを取得
+   * @returns {Object|null} Normalized profile, or null for the preset difficulties
+   */
+  getProfile() {
+    return this.profile;
+  }
+
+  /**
+   * Get the hash of the custom difficulty profile (used to keep separate leaderboards and ghosts)
+   * @returns {string|null} Profile hash, or null for the preset difficulties
+   */
+  getProfileHash() {
+    return LevelGenerator.getProfileHash(this.profile);
+  }
+
   /**
    * Get path width for current difficulty
    * 現在の難易度の通路幅を取得
+   * (the path of a course has the widths of its segments instead, see getPathWidths())
    * @returns {number} Path width in pixels
    */
   getPathWidth() {
     return this.settings.pathWidth;
   }
 
+  /**
+   * Get the path width at a horizontal position
+   * 指定位置の通路幅を取得
+   * The endless track narrows from the difficulty's path width down to
+   * ENDLESS.minWidthRatio of it (but never below ENDLESS.minPathWidth) over ENDLESS.rampDistance.
+   * @param {number} x - X position
+   * @returns {number} Path width in pixels
+   */
+  getPathWidthAt(x) {
+    if (!this.endless) {
+      return this.settings.pathWidth;
+    }
+    
+    const settings = LevelGenerator.ENDLESS;
+    const base = this.settings.pathWidth;
+    const min = Math.min(base, Math.max(settings.minPathWidth, Math.round(base * settings.minWidthRatio)));
+    const ramp = Math.min(Math.max((x - this.startPosition.x) / settings.rampDistance, 0), 1);
+    return base - (base - min) * ramp;
+  }
+
+  /**
+   * Check whether the current level is an endless track
+   * @returns {boolean} True after generateEndless()
+   */
+  isEndless() {
+    return this.endless;
+  }
+
+  /**
+   * Convert the furthest x position reached on the endless track to the distance score
+   * エンドレスコースで到達した最も右の位置を距離（メートル）に変換
+   * @param {number} x - Furthest character x position
+   * @returns {number} Whole meters travelled from the start
+   */
+  getEndlessDistance(x) {
+    if (!this.startPosition) {
+      return 0;
+    }
+    return Math.floor(Math.max(0, x - this.startPosition.x) / LevelGenerator.ENDLESS.pixelsPerMeter);
+  }
+
   /**
    * Get character speed for current difficulty
    * 現在の難易度のキャラクター速度を取得
@@ -253,6 +953,23 @@ class LevelGenerator {
     return this.settings.characterSpeed;
   }
 
+  /**
+   * Get the inertia movement settings for current difficulty
+   * 現在の難易度の慣性移動の設定を取得（ティックレートに合わせて換算）
+   * The character speed is the top speed. The higher difficulties drift further
+   * compared to their path width, so turns have to be started earlier.
+   * @param {number} tickRate - Simulation ticks per second (the settings are per tick at 60 ticks/s)
+   * @returns {{acceleration: number, friction: number}} Settings for Character.setInertia()
+   */
+  getInertia(tickRate = 60) {
+    const inertia = this.settings.inertia || LevelGenerator.CUSTOM_INERTIA;
+    const ticks = 60 / tickRate;
+    return {
+      acceleration: inertia.acceleration * ticks,
+      friction: ticks === 1 ? inertia.friction : 1 - Math.pow(1 - inertia.friction, ticks)
+    };
+  }
+
   /**
    * Get generated path points
    * 生成された通路ポイントを取得
@@ -270,8 +987,459 @@ class LevelGenerator {
   getWaypoints() {
     return this.waypoints;
   }
+
+  /**
+   * Get the seed of the current level
+   * 現在のレベルのシード値を取得
+   * @returns {number|null} Seed, or null if no level has been generated yet
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Get the path width at each path point of a course
+   * コースの通路上の各点の通路幅を取得
+   * @returns {Array<number>|null} Widths in the order of getPath(), or null for generated levels
+   */
+  getPathWidths() {
+    return this.pathWidths;
+  }
+
+  /**
+   * Get the course the current level was built from
+   * 現在のレベルのコース（レベルエディタで作ったもの）を取得
+   * @returns {Object|null} Normalized course, or null for generated levels
+   */
+  getCourse() {
+    return this.course;
+  }
+
+  /**
+   * Get the hand-authored layout of the current level
+   * 現在のレベルの手作りレイアウトを取得
+   * @returns {Array<{x: number, y: number}>|null} Waypoints as canvas fractions, or null for generated levels
+   */
+  getLayout() {
+    return this.layout;
+  }
+
+  /**
+   * Check whether a value is a usable layout
+   * @param {*} layout - Value to check
+   * @returns {boolean} True for an array of at least two points with x and y in [0, 1]
+   */
+  static isValidLayout(layout) {
+    return Array.isArray(layout) &&
+      layout.length >= 2 &&
+      layout.every(point => point &&
+        typeof point.x === 'number' && point.x >= 0 && point.x <= 1 &&
+        typeof point.y === 'number' && point.y >= 0 && point.y <= 1);
+  }
+
+  /**
+   * Check whether a value is a usable course
+   * A course is made in the level editor: waypoints from start to goal as fractions (0-1)
+   * of the canvas size (like a layout), the path width of each segment between them and
+   * the obstacles, each placed at a position (fractions of the canvas size) with its cycle.
+   * @param {*} course - Value to check
+   * @returns {boolean} True for { waypoints, widths, obstacles } within COURSE_LIMITS
+   */
+  static isValidCourse(course) {
+    if (!course || typeof course !== 'object' || !LevelGenerator.isValidLayout(course.waypoints) ||
+        course.waypoints.length > LevelGenerator.COURSE_LIMITS.waypoints) {
+      return false;
+    }
+    
+    const widthLimits = LevelGenerator.PROFILE_LIMITS.pathWidth;
+    const ObstacleClass = typeof Obstacle !== 'undefined' ? Obstacle : require('./Obstacle');
+    const periodLimits = LevelGenerator.COURSE_LIMITS.period;
+    return Array.isArray(course.widths) &&
+      course.widths.length === course.waypoints.length - 1 &&
+      course.widths.every(width => Number.isInteger(width) && width >= widthLimits.min && width <= widthLimits.max) &&
+      Array.isArray(course.obstacles) &&
+      course.obstacles.length <= LevelGenerator.COURSE_LIMITS.obstacles &&
+      course.obstacles.every(obstacle => obstacle &&
+        ObstacleClass.TYPES.indexOf(obstacle.type) !== -1 &&
+        typeof obstacle.x === 'number' && obstacle.x >= 0 && obstacle.x <= 1 &&
+        typeof obstacle.y === 'number' && obstacle.y >= 0 && obstacle.y <= 1 &&
+        typeof obstacle.period === 'number' && obstacle.period >= periodLimits.min && obstacle.period <= periodLimits.max &&
+        typeof obstacle.phase === 'number' && obstacle.phase >= 0 && obstacle.phase < 1 &&
+        (obstacle.side === 1 || obstacle.side === -1));
+  }
+
+  /**
+   * Copy only the course fields, so stored or imported courses with extra properties build the same level
+   * @param {Object} course - Valid course
+   * @returns {Object} Course with only the waypoints, widths and obstacles
+   */
+  static normalizeCourse(course) {
+    return {
+      waypoints: course.waypoints.map(point => ({ x: point.x, y: point.y })),
+      widths: course.widths.slice(),
+      obstacles: course.obstacles.map(({ type, x, y, period, phase, side }) => ({ type, x, y, period, phase, side }))
+    };
+  }
+
+  /**
+   * Check whether a value is a usable custom difficulty profile
+   * @param {*} profile - Value to check
+   * @returns {boolean} True for an object with every PROFILE_LIMITS field as an integer within its range
+   */
+  static isValidProfile(profile) {
+    return Boolean(profile) && typeof profile === 'object' &&
+      LevelGenerator.PROFILE_FIELDS.every(field => {
+        const value = profile[field];
+        const limits = LevelGenerator.PROFILE_LIMITS[field];
+        return Number.isInteger(value) && value >= limits.min && value <= limits.max;
+      });
+  }
+
+  /**
+   * Copy only the profile fields (in PROFILE_FIELDS order) so stored or submitted
+   * profiles with extra properties still describe the same level
+   * @param {Object} profile - Valid profile
+   * @returns {Object} Profile with exactly the PROFILE_FIELDS properties
+   */
+  static normalizeProfile(profile) {
+    const normalized = {};
+    LevelGenerator.PROFILE_FIELDS.forEach(field => {
+      normalized[field] = profile[field];
+    });
+    return normalized;
+  }
+
+  /**
+   * Hash a custom difficulty profile
+   * Runs on the same profile share a hash, so the hash tags their leaderboard.
+   * 32-bit FNV-1a over the field values, as 8 hex digits.
+   * @param {Object|null} profile - Valid profile (null for the preset difficulties)
+   * @returns {string|null} Profile hash, or null without a profile
+   */
+  static getProfileHash(profile) {
+    if (!profile) {
+      return null;
+    }
+    
+    const text = LevelGenerator.PROFILE_FIELDS.map(field => profile[field]).join(',');
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Check whether two layouts describe the same course
+   * @param {Array<{x: number, y: number}>|null} a - Layout (null for generated levels)
+   * @param {Array<{x: number, y: number}>|null} b - Layout (null for generated levels)
+   * @returns {boolean} True if both are generated or both have the same waypoints
+   */
+  static isSameLayout(a, b) {
+    if (!a || !b) {
+      return !a && !b;
+    }
+    return a.length === b.length && a.every((point, i) => point.x === b[i].x && point.y === b[i].y);
+  }
+
+  /**
+   * Offset a polyline sideways
+   * 折れ線を横方向に一定距離ずらした折れ線を作成
+   * Gentle bends are mitered and sharp ones rounded, so the result keeps the same
+   * distance from the polyline everywhere. On the inside of tight bends the offsets
+   * of neighbouring segments cross and form loops, which are cut off at the crossing;
+   * points still closer to the polyline than the distance (where a loop is left open
+   * at either end) are dropped.
+   * @param {Array<{x: number, y: number}>} points - Polyline without repeated points
+   * @param {number|Array<number>} distance - Offset to the left of the direction of travel (negative for the right),
+   *   or one offset per point (the offset changes along the segment that follows a change)
+   * @returns {Array<{x: number, y: number}>} Offset polyline
+   */
+  static offsetPolyline(points, distance) {
+    const normals = [];
+    for (let i = 0; i < points.length - 1; i++) {
+      const dx = points[i + 1].x - points[i].x;
+      const dy = points[i + 1].y - points[i].y;
+      const length = Math.sqrt(dx * dx + dy * dy);
+      normals.push({ x: -dy / length, y: dx / length });
+    }
+    
+    // Each offset point keeps the distance it has to stay from the polyline (limit)
+    const offset = [];
+    points.forEach((point, i) => {
+      const pointDistance = Array.isArray(distance) ? distance[i] : distance;
+      const limit = Math.abs(pointDistance) * (1 - 1e-9);
+      const before = normals[Math.max(0, i - 1)];
+      const after = normals[Math.min(normals.length - 1, i)];
+      const turn = Math.atan2(before.x * after.y - before.y * after.x, before.x * after.x + before.y * after.y);
+      
+      if (Math.abs(turn) <= LevelGenerator.ROUND_JOIN_ANGLE) {
+        // Miter: (before + after) / cos(turn / 2)^2 / 2 keeps the distance from both segments
+        const x = before.x + after.x;
+        const y = before.y + after.y;
+        const scale = 2 / (x * x + y * y) * pointDistance;
+        offset.push({ x: point.x + x * scale, y: point.y + y * scale, limit });
+        return;
+      }
+      
+      // Round join: a polygon around the arc (its edges touch the arc, so none of it comes closer)
+      const start = Math.atan2(before.y, before.x);
+      const steps = Math.ceil(Math.abs(turn) / LevelGenerator.ROUND_JOIN_ANGLE);
+      const corner = pointDistance / Math.cos(turn / steps / 2);
+      offset.push({ x: point.x + before.x * pointDistance, y: point.y + before.y * pointDistance, limit });
+      for (let step = 1; step <= steps; step++) {
+        const angle = start + turn * (step - 0.5) / steps;
+        offset.push({ x: point.x + Math.cos(angle) * corner, y: point.y + Math.sin(angle) * corner, limit });
+      }
+      offset.push({ x: point.x + after.x * pointDistance, y: point.y + after.y * pointDistance, limit });
+    });
+    
+    // The crossing points where loops were cut off take the limit of the next offset point
+    return LevelGenerator._removeLoops(offset)
+      .filter((point, i, result) => {
+        let next = i;
+        while (result[next].limit === undefined) {
+          next++;
+        }
+        const limit = result[next].limit;
+        return LevelGenerator._distanceToPolyline(points, point, limit) >= limit;
+      })
+      .map(point => ({ x: point.x, y: point.y }));
+  }
+
+  /**
+   * Cut the loops out of a polyline that crosses itself
+   * 自己交差する折れ線からループを取り除く（交点でつなぐ）
+   * @private
+   * @param {Array<{x: number, y: number}>} points - Polyline
+   * @returns {Array<{x: number, y: number}>} Polyline without loops
+   */
+  static _removeLoops(points) {
+    const result = [];
+    points.forEach(point => {
+      const end = result[result.length - 1];
+      for (let i = 0; i < result.length - 2; i++) {
+        const crossing = LevelGenerator._segmentIntersection(result[i], result[i + 1], end, point);
+        if (crossing) {
+          result.length = i + 1;
+          result.push(crossing);
+          break;
+        }
+      }
+      result.push(point);
+    });
+    return result;
+  }
+
+  /**
+   * Crossing point of two segments
+   * @private
+   * @param {{x: number, y: number}} a - Start of the first segment
+   * @param {{x: number, y: number}} b - End of the first segment
+   * @param {{x: number, y: number}} c - Start of the second segment
+   * @param {{x: number, y: number}} d - End of the second segment
+   * @returns {{x: number, y: number}|null} Crossing point, or null if they do not cross (or only touch)
+   */
+  static _segmentIntersection(a, b, c, d) {
+    const abx = b.x - a.x;
+    const aby = b.y - a.y;
+    const cdx = d.x - c.x;
+    const cdy = d.y - c.y;
+    const denominator = abx * cdy - aby * cdx;
+    if (denominator === 0) {
+      return null;
+    }
+    
+    const t = ((c.x - a.x) * cdy - (c.y - a.y) * cdx) / denominator;
+    const u = ((c.x - a.x) * aby - (c.y - a.y) * abx) / denominator;
+    if (t <= 0 || t >= 1 || u <= 0 || u >= 1) {
+      return null;
+    }
+    return { x: a.x + abx * t, y: a.y + aby * t };
+  }
+
+  /**
+   * Distance from a point to a polyline
+   * @private
+   * @param {Array<{x: number, y: number}>} points - Polyline
+   * @param {{x: number, y: number}} point - Point
+   * @param {number} limit - Distance beyond which segments are skipped without measuring them
+   * @returns {number} Distance (the limit if every segment is further away)
+   */
+  static _distanceToPolyline(points, point, limit) {
+    let distance = limit;
+    for (let i = 0; i < points.length - 1; i++) {
+      const a = points[i];
+      const b = points[i + 1];
+      if (Math.min(a.x, b.x) - point.x >= distance || point.x - Math.max(a.x, b.x) >= distance ||
+          Math.min(a.y, b.y) - point.y >= distance || point.y - Math.max(a.y, b.y) >= distance) {
+        continue;
+      }
+      
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const t = Math.min(Math.max(((point.x - a.x) * dx + (point.y - a.y) * dy) / (dx * dx + dy * dy), 0), 1);
+      distance = Math.min(distance, Math.hypot(point.x - (a.x + dx * t), point.y - (a.y + dy * t)));
+    }
+    return distance;
+  }
+
+  /**
+   * Create a wall that follows a polyline
+   * 折れ線に沿った壁を作成
+   * The wall covers everything closer to the polyline than half its thickness.
+   * x, y, width and height are its bounding box.
+   * @param {Array<{x: number, y: number}>} points - Centre line of the wall
+   * @param {number} thickness - Wall thickness
+   * @returns {{x: number, y: number, width: number, height: number, points: Array<{x: number, y: number}>, thickness: number}} Wall
+   */
+  static createPolylineWall(points, thickness) {
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const x = Math.min(...xs) - thickness / 2;
+    const y = Math.min(...ys) - thickness / 2;
+    return {
+      x,
+      y,
+      width: Math.max(...xs) + thickness / 2 - x,
+      height: Math.max(...ys) + thickness / 2 - y,
+      points,
+      thickness
+    };
+  }
+
+  /**
+   * Rasterize walls into a grid of the places a round character's centre cannot be
+   * 壁をラスタライズし、円形のキャラクターの中心が入れないセルを求める
+   * A cell is blocked when its centre is closer to a wall than the clearance
+   * (the character's radius), so the free cells are where the character fits.
+   * @param {Array} walls - Rectangles and polyline walls (see createPolylineWall())
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {number} clearance - Distance a cell centre has to keep from the walls
+   * @param {number} cellSize - Cell size in pixels
+   * @returns {{columns: number, rows: number, cellSize: number, blocked: Uint8Array}} Grid, row by row (1 = blocked)
+   */
+  static rasterizeWalls(walls, width, height, clearance, cellSize) {
+    const columns = Math.ceil(width / cellSize);
+    const rows = Math.ceil(height / cellSize);
+    const blocked = new Uint8Array(columns * rows);
+    
+    // Marks the cells in a box around a shape whose centre is closer than reach to it
+    // (distanceSquared measures the squared distance from a point to the shape)
+    const fill = (minX, minY, maxX, maxY, reach, distanceSquared) => {
+      const left = Math.max(0, Math.floor((minX - reach) / cellSize));
+      const right = Math.min(columns - 1, Math.floor((maxX + reach) / cellSize));
+      const top = Math.max(0, Math.floor((minY - reach) / cellSize));
+      const bottom = Math.min(rows - 1, Math.floor((maxY + reach) / cellSize));
+      for (let row = top; row <= bottom; row++) {
+        const y = (row + 0.5) * cellSize;
+        for (let column = left; column <= right; column++) {
+          const cell = row * columns + column;
+          if (!blocked[cell] && distanceSquared((column + 0.5) * cellSize, y) < reach * reach) {
+            blocked[cell] = 1;
+          }
+        }
+      }
+    };
+    
+    walls.forEach(wall => {
+      if (wall.points) {
+        const reach = wall.thickness / 2 + clearance;
+        for (let i = 0; i < wall.points.length - 1; i++) {
+          const a = wall.points[i];
+          const b = wall.points[i + 1];
+          const dx = b.x - a.x;
+          const dy = b.y - a.y;
+          const lengthSquared = dx * dx + dy * dy;
+          fill(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.max(a.x, b.x), Math.max(a.y, b.y), reach, (x, y) => {
+            const t = lengthSquared > 0 ? Math.min(Math.max(((x - a.x) * dx + (y - a.y) * dy) / lengthSquared, 0), 1) : 0;
+            const offsetX = x - a.x - dx * t;
+            const offsetY = y - a.y - dy * t;
+            return offsetX * offsetX + offsetY * offsetY;
+          });
+        }
+        return;
+      }
+      
+      const right = wall.x + wall.width;
+      const bottom = wall.y + wall.height;
+      fill(wall.x, wall.y, right, bottom, clearance, (x, y) => {
+        const offsetX = Math.max(wall.x - x, 0, x - right);
+        const offsetY = Math.max(wall.y - y, 0, y - bottom);
+        return offsetX * offsetX + offsetY * offsetY;
+      });
+    });
+    
+    return { columns, rows, cellSize, blocked };
+  }
 }
 
+// Difficulty whose settings come from a user-defined profile
+LevelGenerator.CUSTOM_DIFFICULTY = 'custom';
+
+// Preset difficulties (every difficulty but the custom one)
+LevelGenerator.PRESET_DIFFICULTIES = ['easy', 'medium', 'hard', 'super-hard'];
+
+// Limits of the courses made in the level editor (the segment widths use PROFILE_LIMITS.pathWidth)
+LevelGenerator.COURSE_LIMITS = {
+  waypoints: 20, // Including the start and the goal
+  obstacles: 8,
+  period: { min: 1, max: 10 } // Seconds per obstacle cycle
+};
+
+// Custom difficulty profile fields (append only - the order is part of the profile hash and the replay format)
+LevelGenerator.PROFILE_FIELDS = ['pathWidth', 'characterSpeed', 'waypointCount', 'curveJitter', 'wallThickness'];
+
+// Allowed range of each profile field (the path stays wider than the character)
+LevelGenerator.PROFILE_LIMITS = {
+  pathWidth: { min: 20, max: 150 }, // Pixels
+  characterSpeed: { min: 1, max: 8 }, // Pixels per tick at 60 ticks/s
+  waypointCount: { min: 1, max: 8 }, // Waypoints between start and goal
+  curveJitter: { min: 0, max: 120 }, // Random offset of each curve's control point in pixels
+  wallThickness: { min: 5, max: 40 } // Pixels
+};
+
+// Inertia movement settings of custom difficulties (the profile's characterSpeed is the top speed)
+LevelGenerator.CUSTOM_INERTIA = { acceleration: 0.12, friction: 0.1 };
+
+// Character size the levels are validated for (the game's character, see GameManager)
+LevelGenerator.CHARACTER_SIZE = 10;
+
+// Thickness of the walls around the canvas (pixels)
+LevelGenerator.BOUNDARY_THICKNESS = 50;
+
+// Cell size of the grid the walls are rasterized into to validate a level (pixels)
+LevelGenerator.VALIDATION_CELL_SIZE = 2;
+
+// Courses rolled for a seed before generate() gives up on it
+LevelGenerator.MAX_GENERATION_ATTEMPTS = 20;
+
+// Bends of the path walls sharper than this are rounded instead of mitered (also the step of the rounding)
+LevelGenerator.ROUND_JOIN_ANGLE = Math.PI / 12;
+
+// Where obstacles are placed, as fractions of the path from start to goal, in the order they are added.
+// They sit halfway between the lives mode checkpoints, so a respawn never lands inside an obstacle.
+// (changing them changes the hard levels of every seed)
+LevelGenerator.OBSTACLE_SLOTS = [0.3, 0.7, 0.5, 0.9];
+
+// Where hazards are placed, as fractions of the path from start to goal, in the order they are added.
+// Each one moves along the path to the nearest point clear of the start, the goal, the checkpoints and the obstacles.
+// (changing them changes the levels of every seed from medium up)
+LevelGenerator.HAZARD_SLOTS = [0.45, 0.85, 0.12];
+
+// Endless track settings (changing them invalidates the endless leaderboard)
+LevelGenerator.ENDLESS = {
+  segmentLength: 200, // Average horizontal distance between waypoints
+  maxSlope: 0.4, // Largest rise per horizontal pixel between waypoints
+  columnWidth: 10, // Width of the wall columns above and below the corridor
+  rampDistance: 6000, // Distance over which the corridor narrows to its minimum
+  minWidthRatio: 0.6,
+  minPathWidth: 24,
+  pixelsPerMeter: 10
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = LevelGenerator;
@@ -0,0 +1,209 @@
+/**
+ * Obstacle class - Moving and rotating obstacles placed across the path
+ * 通路上を動く・回転する障害物
+ *
+ * The motion only depends on the simulation time, so the same level always
+ * has its obstacles in the same place at the same tick (replays, ghosts and
+ * the server-side run verifier stay deterministic). The shape at a given time
+ * is a list of convex polygons that the CollisionDetector tests against.
+ *
+ * Types:
+ * - slider: a block sliding back and forth across the path
+ * - rotor: a bar spinning around a pivot on the edge of the path
+ * - pendulum: a bar swinging from a pivot on the edge of the path
+ * - gate: two leaves closing from both edges of the path and opening again
+ */
+class Obstacle {
+  /**
+   * Constructor
+   * @param {Object} definition - Obstacle definition
+   * @param {string} definition.type - One of Obstacle.TYPES
+   * @param {number} definition.x - Anchor x (the middle of the path; the pivot for rotors and pendulums)
+   * @param {number} definition.y - Anchor y
+   * @param {number} definition.angle - Direction of the path at the anchor
+   *   (rotors and pendulums: direction of the bar at the start, radians)
+   * @param {number} definition.length - Bar length (slider: block width across the path, gate: length of each leaf)
+   * @param {number} definition.thickness - Bar thickness
+   * @param {number} definition.period - Seconds per cycle (per turn for rotors)
+   * @param {number} definition.phase - Starting point within the cycle (0-1, optional)
+   * @param {number} definition.travel - slider: distance from the middle to each end of the slide
+   * @param {number} definition.swing - pendulum: largest angle from the rest direction (radians)
+   * @param {number} definition.span - gate: distance between the pivots of the two leaves
+   * @throws {Error} If the type is unknown or the sizes are not positive
+   */
+  constructor(definition) {
+    if (!definition || Obstacle.TYPES.indexOf(definition.type) === -1) {
+      throw new Error(`Invalid obstacle type: expected one of ${Obstacle.TYPES.join(', ')}`);
+    }
+    if (!(definition.length > 0) || !(definition.thickness > 0) || !(definition.period > 0)) {
+      throw new Error('Invalid obstacle: length, thickness and period must be positive');
+    }
+
+    this.type = definition.type;
+    this.x = definition.x;
+    this.y = definition.y;
+    this.angle = definition.angle || 0;
+    this.length = definition.length;
+    this.thickness = definition.thickness;
+    this.period = definition.period;
+    this.phase = definition.phase || 0;
+    this.travel = definition.travel || 0;
+    this.swing = definition.swing || 0;
+    this.span = definition.span || 0;
+
+    this.time = 0;
+    this.polygons = [];
+    this.update(0);
+  }
+
+  /**
+   * Move the obstacle to its position at a simulation time
+   * シミュレーション時刻の位置に障害物を移動
+   * @param {number} time - Seconds since the start of the run
+   */
+  update(time) {
+    this.time = time;
+    this.polygons = this.getPolygonsAt(time);
+  }
+
+  /**
+   * Get the current shape (as of the last update)
+   * @returns {Array<Array<{x: number, y: number}>>} Convex polygons
+   */
+  getPolygons() {
+    return this.polygons;
+  }
+
+  /**
+   * Get the shape at a simulation time without moving the obstacle (used for drawing between ticks)
+   * 指定時刻の形状を取得（障害物自体は動かさない）
+   * @param {number} time - Seconds since the start of the run
+   * @returns {Array<Array<{x: number, y: number}>>} Convex polygons (gates have none while fully open)
+   */
+  getPolygonsAt(time) {
+    const cycle = Math.PI * 2 * (time / this.period + this.phase);
+    const normal = this.angle + Math.PI / 2;
+
+    switch (this.type) {
+      case 'slider': {
+        const offset = this.travel * Math.sin(cycle);
+        return [Obstacle.createBar(
+          this.x + Math.cos(normal) * offset,
+          this.y + Math.sin(normal) * offset,
+          normal,
+          this.length,
+          this.thickness
+        )];
+      }
+
+      case 'rotor':
+      case 'pendulum': {
+        // The bar reaches out from the pivot: all the way round for rotors, back and forth for pendulums
+        const direction = this.angle + (this.type === 'rotor' ? cycle : this.swing * Math.sin(cycle));
+        return [Obstacle.createBar(
+          this.x + Math.cos(direction) * this.length / 2,
+          this.y + Math.sin(direction) * this.length / 2,
+          direction,
+          this.length,
+          this.thickness
+        )];
+      }
+
+      case 'gate': {
+        // 0 = open, 1 = closed (open at the start of the cycle)
+        const closed = (1 - Math.cos(cycle)) / 2;
+        const leafLength = this.length * closed;
+        if (leafLength < 1) {
+          return [];
+        }
+
+        const polygons = [];
+        [1, -1].forEach(side => {
+          // Each leaf grows from its pivot on the edge towards the middle of the path
+          const pivotX = this.x + Math.cos(normal) * side * this.span / 2;
+          const pivotY = this.y + Math.sin(normal) * side * this.span / 2;
+          polygons.push(Obstacle.createBar(
+            pivotX - Math.cos(normal) * side * leafLength / 2,
+            pivotY - Math.sin(normal) * side * leafLength / 2,
+            normal,
+            leafLength,
+            this.thickness
+          ));
+        });
+        return polygons;
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Get how far from the anchor the obstacle can reach at any time
+   * 障害物が動く範囲（アンカーからの最大距離）を取得
+   * @returns {number} Radius around (x, y) that holds every shape of the obstacle
+   */
+  getReach() {
+    const corner = Math.hypot(this.length, this.thickness) / 2;
+    switch (this.type) {
+      case 'slider':
+        return this.travel + corner;
+      case 'gate':
+        return Math.hypot(this.span / 2, this.thickness / 2);
+      default:
+        // Rotors and pendulums: the far corners of the bar
+        return Math.hypot(this.length, this.thickness / 2);
+    }
+  }
+
+  /**
+   * Get a plain copy of the definition
+   * @returns {Object} Definition that recreates this obstacle
+   */
+  toJSON() {
+    return {
+      type: this.type,
+      x: this.x,
+      y: this.y,
+      angle: this.angle,
+      length: this.length,
+      thickness: this.thickness,
+      period: this.period,
+      phase: this.phase,
+      travel: this.travel,
+      swing: this.swing,
+      span: this.span
+    };
+  }
+
+  /**
+   * Create the corners of a bar
+   * 棒（回転した長方形）の頂点を作成
+   * @param {number} cx - Centre x
+   * @param {number} cy - Centre y
+   * @param {number} angle - Direction of the long side (radians)
+   * @param {number} length - Length of the long side
+   * @param {number} thickness - Length of the short side
+   * @returns {Array<{x: number, y: number}>} Corners in order around the bar
+   */
+  static createBar(cx, cy, angle, length, thickness) {
+    const ax = Math.cos(angle) * length / 2;
+    const ay = Math.sin(angle) * length / 2;
+    const bx = -Math.sin(angle) * thickness / 2;
+    const by = Math.cos(angle) * thickness / 2;
+    return [
+      { x: cx - ax - bx, y: cy - ay - by },
+      { x: cx + ax - bx, y: cy + ay - by },
+      { x: cx + ax + bx, y: cy + ay + by },
+      { x: cx - ax + bx, y: cy - ay + by }
+    ];
+  }
+}
+
+// Obstacle types
+Obstacle.TYPES = ['slider', 'rotor', 'pendulum', 'gate'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Obstacle;
+}
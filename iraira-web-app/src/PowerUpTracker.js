@@ -0,0 +1,346 @@
+/**
+ * PowerUpTracker class - Pickups and their effects for the power-ups game mode
+ * パワーアップモードのアイテムと効果を管理する
+ *
+ * One pickup of each type is spread evenly along the level path, in an order
+ * shuffled by the level seed. Effects are timed in simulation ticks so replays,
+ * ghosts and the server-side run verifier see exactly the same run:
+ * - slow: the character, the moving obstacles and the timer run at half speed
+ * - shield: the next wall touch stops the character instead of ending the run
+ * - shrink: the character gets smaller for a while
+ * - time: time is taken off the clock
+ * The rules are fixed so results stay comparable on the power-ups leaderboard.
+ */
+class PowerUpTracker {
+  /**
+   * Constructor - Place pickups along the path
+   * @param {Array<{x: number, y: number}>} path - Level path points
+   * @param {number} seed - Level seed (decides the order of the pickup types)
+   * @param {number} tickRate - Simulation ticks per second
+   * @param {Object} rules - Mode rules (defaults to PowerUpTracker.RULES)
+   * @param {number} rules.pickups - Number of pickups between start and goal
+   * @param {number} rules.radius - Pickup radius
+   * @param {number} rules.slowDuration - Length of the slow motion (milliseconds)
+   * @param {number} rules.slowFactor - Speed of the game during the slow motion (0-1)
+   * @param {number} rules.shieldGrace - Time the character stays protected after the shield breaks (milliseconds)
+   * @param {number} rules.shrinkDuration - Length of the shrink (milliseconds)
+   * @param {number} rules.shrinkSize - Character size while shrunk
+   * @param {number} rules.timeBonus - Time taken off the clock by a time bonus (milliseconds)
+   */
+  constructor(path, seed, tickRate = 60, rules = PowerUpTracker.RULES) {
+    this.rules = { ...PowerUpTracker.RULES, ...rules };
+    this.tickRate = tickRate;
+    this.pickups = PowerUpTracker.placePickups(path || [], seed, this.rules.pickups);
+    this.normalSize = null;
+    this.reset();
+  }
+
+  /**
+   * Put every pickup back and end all effects for a new run
+   * 新しいプレイのためにアイテムを元に戻し、すべての効果を解除
+   * @param {Character} character - Character to bring back to its normal size (optional)
+   */
+  reset(character = null) {
+    this.pickups.forEach(pickup => {
+      pickup.collected = false;
+    });
+
+    if (character && this.normalSize !== null) {
+      character.size = this.normalSize;
+    }
+
+    // Effects last up to and including these ticks
+    this.slowUntil = 0;
+    this.shrinkUntil = 0;
+    this.graceUntil = 0;
+    this.shield = false;
+    this.normalSize = null; // Character size before shrinking (null while not shrunk)
+    this.bonusTime = 0;
+
+    // Game clock in ticks (runs slower than the simulation ticks during the slow motion)
+    this.clock = 0;
+    this.previousClock = 0;
+  }
+
+  /**
+   * Advance the game clock by one simulation tick
+   * ゲーム内の時計を1ティック進める（スローモーション中はゆっくり進む）
+   * @param {number} tick - Simulation tick that just started
+   */
+  advance(tick) {
+    this.previousClock = this.clock;
+    this.clock += this.getSpeedFactor(tick);
+  }
+
+  /**
+   * Get the game clock
+   * @param {number} alpha - Interpolation factor between the previous and the current tick (0-1, for drawing)
+   * @returns {number} Game clock in ticks
+   */
+  getClock(alpha = 1) {
+    return this.previousClock + (this.clock - this.previousClock) * Math.min(Math.max(alpha, 0), 1);
+  }
+
+  /**
+   * Get the speed of the game at a tick
+   * @param {number} tick - Simulation tick
+   * @returns {number} Factor for the character speed (1 unless slowed down)
+   */
+  getSpeedFactor(tick) {
+    return tick <= this.slowUntil ? this.rules.slowFactor : 1;
+  }
+
+  /**
+   * Get the elapsed time shown on the timer
+   * @param {number} tickDuration - Length of a tick in milliseconds
+   * @returns {number} Game clock minus the time bonuses (milliseconds, never negative)
+   */
+  getElapsedTime(tickDuration) {
+    return Math.max(0, Math.round(this.clock * tickDuration) - this.bonusTime);
+  }
+
+  /**
+   * Check whether the character is protected this tick
+   * @param {number} tick - Simulation tick
+   * @returns {boolean} True while holding a shield or shortly after it broke
+   */
+  isProtected(tick) {
+    return this.shield || tick <= this.graceUntil;
+  }
+
+  /**
+   * Stop a wall touch with the shield
+   * シールドで壁への接触を防ぐ（キャラクターは接触前の位置で停止する）
+   * @param {Character} character - Character that touched a wall
+   * @param {number} tick - Simulation tick
+   * @returns {boolean} True if the touch was stopped, false if it ends the run
+   */
+  absorbHit(character, tick) {
+    if (!this.isProtected(tick)) {
+      return false;
+    }
+
+    // The shield breaks on the first touch and protects a little longer so the character can get clear
+    if (this.shield) {
+      this.shield = false;
+      this.graceUntil = tick + this._toTicks(this.rules.shieldGrace);
+    }
+
+    character.x = character.previousX;
+    character.y = character.previousY;
+    character.stop();
+    return true;
+  }
+
+  /**
+   * Collect the pickups the character touches and start their effects
+   * キャラクターが触れたアイテムを取得し、効果を開始
+   * @param {Character} character - Character
+   * @param {number} tick - Simulation tick (effects start on the next tick)
+   * @returns {Array<{x: number, y: number, type: string}>} Pickups collected this tick
+   */
+  collect(character, tick) {
+    const bounds = character.getBounds();
+    const collected = [];
+
+    this.pickups.forEach(pickup => {
+      if (pickup.collected || !PowerUpTracker.touches(bounds, pickup, this.rules.radius)) {
+        return;
+      }
+      pickup.collected = true;
+      collected.push(pickup);
+      this._apply(pickup.type, character, tick);
+    });
+
+    return collected;
+  }
+
+  /**
+   * End the shrink once it has run out and there is room to grow back
+   * 縮小の効果が切れたら、壁に触れない場合のみ元の大きさに戻す
+   * @param {Character} character - Character
+   * @param {number} tick - Simulation tick
+   * @param {CollisionDetector} collisionDetector - Detector for the character (checks the room to grow)
+   */
+  update(character, tick, collisionDetector) {
+    if (this.normalSize === null || tick <= this.shrinkUntil) {
+      return;
+    }
+
+    const shrunkSize = character.size;
+    PowerUpTracker.resize(character, this.normalSize);
+    if (collisionDetector && collisionDetector.checkWallCollision()) {
+      PowerUpTracker.resize(character, shrunkSize);
+      collisionDetector.reset();
+      return;
+    }
+    this.normalSize = null;
+  }
+
+  /**
+   * Get the effects that are running
+   * 実行中の効果を取得（HUD表示用）
+   * @param {number} tick - Simulation tick
+   * @returns {Array<{type: string, remaining: number|null, duration: number|null}>}
+   *   Effects (remaining/duration in milliseconds, null for the shield that lasts until it is used)
+   */
+  getActiveEffects(tick) {
+    const tickDuration = 1000 / this.tickRate;
+    const effects = [];
+    if (tick < this.slowUntil) {
+      effects.push({ type: 'slow', remaining: Math.round((this.slowUntil - tick) * tickDuration), duration: this.rules.slowDuration });
+    }
+    if (this.normalSize !== null) {
+      effects.push({
+        type: 'shrink',
+        remaining: Math.round(Math.max(0, this.shrinkUntil - tick) * tickDuration),
+        duration: this.rules.shrinkDuration
+      });
+    }
+    if (this.shield) {
+      effects.push({ type: 'shield', remaining: null, duration: null });
+    }
+    return effects;
+  }
+
+  /**
+   * Get the pickups
+   * @returns {Array<{x: number, y: number, type: string, collected: boolean}>} Pickups in path order
+   */
+  getPickups() {
+    return this.pickups;
+  }
+
+  /**
+   * Check whether the character holds a shield
+   * @returns {boolean} True until the shield is used
+   */
+  hasShield() {
+    return this.shield;
+  }
+
+  /**
+   * Get the time taken off the clock so far
+   * @returns {number} Bonus in milliseconds
+   */
+  getBonusTime() {
+    return this.bonusTime;
+  }
+
+  /**
+   * Start the effect of a pickup
+   * @private
+   * @param {string} type - Pickup type
+   * @param {Character} character - Character
+   * @param {number} tick - Simulation tick
+   */
+  _apply(type, character, tick) {
+    switch (type) {
+      case 'slow':
+        this.slowUntil = tick + this._toTicks(this.rules.slowDuration);
+        break;
+      case 'shield':
+        this.shield = true;
+        break;
+      case 'shrink':
+        if (this.normalSize === null) {
+          this.normalSize = character.size;
+          PowerUpTracker.resize(character, this.rules.shrinkSize);
+        }
+        this.shrinkUntil = tick + this._toTicks(this.rules.shrinkDuration);
+        break;
+      case 'time':
+        this.bonusTime += this.rules.timeBonus;
+        break;
+    }
+  }
+
+  /**
+   * Convert a duration to simulation ticks
+   * @private
+   * @param {number} duration - Duration in milliseconds
+   * @returns {number} Ticks
+   */
+  _toTicks(duration) {
+    return Math.round(duration * this.tickRate / 1000);
+  }
+
+  /**
+   * Change the size of a character around its centre
+   * キャラクターの中心を保ったまま大きさを変更
+   * @param {Character} character - Character
+   * @param {number} size - New size
+   */
+  static resize(character, size) {
+    const offset = (character.size - size) / 2;
+    character.x += offset;
+    character.y += offset;
+    character.previousX += offset;
+    character.previousY += offset;
+    character.size = size;
+  }
+
+  /**
+   * Check whether a rectangle touches a round pickup
+   * @param {{x: number, y: number, width: number, height: number}} bounds - Rectangle
+   * @param {{x: number, y: number}} pickup - Pickup centre
+   * @param {number} radius - Pickup radius
+   * @returns {boolean} True if they overlap
+   */
+  static touches(bounds, pickup, radius) {
+    const nearestX = Math.min(Math.max(pickup.x, bounds.x), bounds.x + bounds.width);
+    const nearestY = Math.min(Math.max(pickup.y, bounds.y), bounds.y + bounds.height);
+    const dx = pickup.x - nearestX;
+    const dy = pickup.y - nearestY;
+    return dx * dx + dy * dy < radius * radius;
+  }
+
+  /**
+   * Pick evenly spaced path points for the pickups (start and goal excluded)
+   * 通路上に等間隔でアイテムを配置（種類の順番はシードで決まる）
+   * @param {Array<{x: number, y: number}>} path - Level path points
+   * @param {number} seed - Level seed
+   * @param {number} count - Number of pickups
+   * @returns {Array<{x: number, y: number, type: string, collected: boolean}>} Pickups
+   */
+  static placePickups(path, seed, count) {
+    if (path.length < 2) {
+      return [];
+    }
+
+    const SeededRandomClass = typeof SeededRandom !== 'undefined' ? SeededRandom : require('./SeededRandom');
+    const random = new SeededRandomClass(seed);
+    const types = PowerUpTracker.TYPES.slice();
+    for (let i = types.length - 1; i > 0; i--) {
+      const j = Math.floor(random.next() * (i + 1));
+      [types[i], types[j]] = [types[j], types[i]];
+    }
+
+    const pickups = [];
+    for (let i = 1; i <= count; i++) {
+      const point = path[Math.round(i * (path.length - 1) / (count + 1))];
+      pickups.push({ x: point.x, y: point.y, type: types[(i - 1) % types.length], collected: false });
+    }
+    return pickups;
+  }
+}
+
+// Pickup types
+PowerUpTracker.TYPES = ['slow', 'shield', 'shrink', 'time'];
+
+// Rules of the power-ups mode (changing them invalidates the power-ups leaderboard)
+PowerUpTracker.RULES = {
+  pickups: 4,
+  radius: 8,
+  slowDuration: 3000,
+  slowFactor: 0.5,
+  shieldGrace: 1000,
+  shrinkDuration: 5000,
+  shrinkSize: 6,
+  timeBonus: 2000
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PowerUpTracker;
+}
@@ -0,0 +1,151 @@
+/**
+ * ProfileStore class - Keeps user-defined difficulty profiles in local storage
+ * ユーザー定義の難易度プロファイルをローカルストレージに保存する
+ *
+ * Profiles are stored by name. Only the profile values decide the level (and
+ * its leaderboard, via the profile hash), so renaming a profile or sharing it
+ * under another name keeps its records.
+ */
+class ProfileStore {
+  /**
+   * Constructor
+   * @param {Storage} storage - Storage backend (defaults to window.localStorage when available)
+   */
+  constructor(storage) {
+    if (storage !== undefined) {
+      this.storage = storage;
+    } else {
+      this.storage = typeof localStorage !== 'undefined' ? localStorage : null;
+    }
+  }
+
+  /**
+   * Get all saved profiles
+   * 保存済みのプロファイルを取得
+   * @returns {Array<{name: string, profile: Object}>} Profiles in the order they were saved
+   */
+  getProfiles() {
+    const LevelGeneratorClass = this._getLevelGeneratorClass();
+    return this._load().filter(entry => entry && typeof entry.name === 'string' &&
+      LevelGeneratorClass.isValidProfile(entry.profile));
+  }
+
+  /**
+   * Get a saved profile by name
+   * @param {string} name - Profile name
+   * @returns {Object|null} Profile, or null if there is no profile with that name
+   */
+  getProfile(name) {
+    const entry = this.getProfiles().find(saved => saved.name === name);
+    return entry ? entry.profile : null;
+  }
+
+  /**
+   * Save a profile (replacing a saved profile with the same name)
+   * プロファイルを保存（同じ名前のプロファイルは上書き）
+   * @param {string} name - Profile name
+   * @param {Object} profile - Difficulty profile (see LevelGenerator.PROFILE_LIMITS)
+   * @returns {{name: string, profile: Object}} Saved entry
+   * @throws {Error} If the name or the profile is invalid, or the store is full
+   */
+  saveProfile(name, profile) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (trimmed.length < 1 || trimmed.length > ProfileStore.MAX_NAME_LENGTH) {
+      throw new Error(`Profile name must be 1-${ProfileStore.MAX_NAME_LENGTH} characters`);
+    }
+
+    const LevelGeneratorClass = this._getLevelGeneratorClass();
+    if (!LevelGeneratorClass.isValidProfile(profile)) {
+      throw new Error('Invalid difficulty profile');
+    }
+
+    const profiles = this.getProfiles().filter(saved => saved.name !== trimmed);
+    if (profiles.length >= ProfileStore.MAX_PROFILES) {
+      throw new Error(`At most ${ProfileStore.MAX_PROFILES} profiles can be saved`);
+    }
+
+    const entry = { name: trimmed, profile: LevelGeneratorClass.normalizeProfile(profile) };
+    profiles.push(entry);
+    this._save(profiles);
+    return entry;
+  }
+
+  /**
+   * Delete a saved profile
+   * @param {string} name - Profile name
+   * @returns {boolean} True if a profile was deleted
+   */
+  deleteProfile(name) {
+    const profiles = this.getProfiles();
+    const remaining = profiles.filter(saved => saved.name !== name);
+    if (remaining.length === profiles.length) {
+      return false;
+    }
+
+    this._save(remaining);
+    return true;
+  }
+
+  /**
+   * Resolve the LevelGenerator class in both browser and Node environments
+   * @private
+   * @returns {Function} LevelGenerator class
+   */
+  _getLevelGeneratorClass() {
+    return typeof LevelGenerator !== 'undefined' ? LevelGenerator : require('./LevelGenerator');
+  }
+
+  /**
+   * Load the stored profiles
+   * @private
+   * @returns {Array} Stored entries (not validated)
+   */
+  _load() {
+    if (!this.storage) {
+      return [];
+    }
+
+    try {
+      const profiles = JSON.parse(this.storage.getItem(ProfileStore.STORAGE_KEY));
+      return Array.isArray(profiles) ? profiles : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Save profiles
+   * @private
+   * @param {Array<{name: string, profile: Object}>} profiles - Profiles to store
+   */
+  _save(profiles) {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.setItem(ProfileStore.STORAGE_KEY, JSON.stringify(profiles));
+    } catch (error) {
+      // Quota exceeded or storage disabled - profiles are only kept for this session
+      console.warn('Failed to save difficulty profiles:', error.message);
+    }
+  }
+}
+
+ProfileStore.STORAGE_KEY = 'iraira-difficulty-profiles';
+ProfileStore.MAX_PROFILES = 20;
+ProfileStore.MAX_NAME_LENGTH = 20;
+
+// Starting values of the profile editor (the medium preset with four waypoints)
+ProfileStore.DEFAULT_PROFILE = {
+  pathWidth: 60,
+  characterSpeed: 3,
+  waypointCount: 4,
+  curveJitter: 30,
+  wallThickness: 20
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProfileStore;
+}
@@ -0,0 +1,260 @@
+/**
+ * RaceClient class - Network layer of online races (WebSocket connection to the race room server)
+ * オンライン対戦の通信（部屋サーバーへのWebSocket接続）を担当する
+ *
+ * The server gives everybody in a room the same level seed and a shared
+ * countdown. While racing, the client sends state snapshots of its own
+ * character (every few ticks and on every direction change) and its finish
+ * or crash; snapshots of the other players arrive as 'state' events.
+ */
+class RaceClient {
+  /**
+   * Constructor
+   * @param {string} url - WebSocket URL of the race room server (e.g. 'ws://localhost:3000/race')
+   * @param {Function} WebSocketClass - WebSocket implementation (defaults to the browser WebSocket)
+   */
+  constructor(url, WebSocketClass) {
+    this.url = url;
+    this.WebSocketClass = WebSocketClass || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+    this.socket = null;
+    this.playerId = null;
+    this.room = null;
+
+    const EventEmitterClass = typeof EventEmitter !== 'undefined' ? EventEmitter : require('./EventEmitter');
+    this.events = new EventEmitterClass(RaceClient.EVENTS);
+  }
+
+  /**
+   * Connect to the server
+   * サーバーに接続
+   * @returns {Promise<void>} Resolves once the connection is open
+   * @throws {Error} If WebSockets are not available or the connection fails
+   */
+  connect() {
+    if (!this.WebSocketClass) {
+      return Promise.reject(new Error('WebSockets are not supported'));
+    }
+
+    if (this.isConnected()) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const socket = new this.WebSocketClass(this.url);
+      let opened = false;
+      this.socket = socket;
+
+      socket.onopen = () => {
+        opened = true;
+        resolve();
+      };
+      socket.onerror = () => {
+        if (!opened) {
+          reject(new Error(`Could not connect to the race server at ${this.url}`));
+        }
+      };
+      socket.onclose = () => {
+        if (this.socket === socket) {
+          this.socket = null;
+          this.playerId = null;
+          this.room = null;
+          this.events.emit('close', {});
+        }
+      };
+      socket.onmessage = event => this._handleMessage(event.data);
+    });
+  }
+
+  /**
+   * Check whether the connection is open
+   * @returns {boolean} True if messages can be sent
+   */
+  isConnected() {
+    return Boolean(this.socket && this.socket.readyState === RaceClient.OPEN);
+  }
+
+  /**
+   * Add a listener for server messages (see RaceClient.EVENTS)
+   * @param {string} eventName - Event name
+   * @param {Function} listener - Called with the message
+   * @returns {Function} Function that removes the listener
+   */
+  on(eventName, listener) {
+    return this.events.on(eventName, listener);
+  }
+
+  /**
+   * Remove a listener
+   * @param {string} eventName - Event name
+   * @param {Function} listener - Listener to remove
+   */
+  off(eventName, listener) {
+    this.events.off(eventName, listener);
+  }
+
+  /**
+   * Join a room (the room is created when nobody is in it yet)
+   * 部屋に参加（最初に参加したプレイヤーがホスト）
+   * @param {string} room - Room code (4-8 letters or digits)
+   * @param {string} name - Player name
+   */
+  join(room, name) {
+    this._send({ type: 'join', room, name });
+  }
+
+  /**
+   * Start the race (host only)
+   * @param {string} difficulty - Difficulty of the race
+   */
+  startRace(difficulty) {
+    this._send({ type: 'start', difficulty });
+  }
+
+  /**
+   * Leave the current room
+   */
+  leave() {
+    this._send({ type: 'leave' });
+    this.playerId = null;
+    this.room = null;
+  }
+
+  /**
+   * Send the state of the local character
+   * @param {number} tick - Simulation tick
+   * @param {number} x - Character x position
+   * @param {number} y - Character y position
+   * @param {string|null} direction - Character direction
+   */
+  sendState(tick, x, y, direction) {
+    this._send({ type: 'state', tick, x, y, direction });
+  }
+
+  /**
+   * Report reaching the goal
+   * @param {number} tick - Tick the goal was reached on
+   * @param {number} time - Finish time in milliseconds
+   */
+  sendFinish(tick, time) {
+    this._send({ type: 'finish', tick, time });
+  }
+
+  /**
+   * Report hitting a wall
+   * @param {number} tick - Tick of the crash
+   */
+  sendCrash(tick) {
+    this._send({ type: 'crash', tick });
+  }
+
+  /**
+   * Send the progress of a game to the room
+   * ゲームのイベントを購読して状態スナップショット・ゴール・脱落を送信
+   * @param {GameManager} gameManager - Game of the local player
+   * @returns {Function} Function that stops sending
+   */
+  attachGame(gameManager) {
+    const unsubscribers = [
+      gameManager.on('tick', ({ tick, x, y, direction }) => {
+        if (tick % RaceClient.SNAPSHOT_INTERVAL === 0) {
+          this.sendState(tick, x, y, direction);
+        }
+      }),
+      // Direction changes are sent right away so the others see turns without waiting for a snapshot
+      gameManager.on('directionchange', ({ tick, direction }) => {
+        const character = gameManager.character;
+        this.sendState(tick, character.x, character.y, direction);
+      }),
+      gameManager.on('goal', ({ tick, time }) => this.sendFinish(tick, time)),
+      gameManager.on('collision', ({ tick }) => this.sendCrash(tick))
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+
+  /**
+   * Get the id the server gave this player
+   * @returns {number|null} Player id (null outside rooms)
+   */
+  getPlayerId() {
+    return this.playerId;
+  }
+
+  /**
+   * Get the code of the current room
+   * @returns {string|null} Room code (null outside rooms)
+   */
+  getRoom() {
+    return this.room;
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    const socket = this.socket;
+    this.socket = null;
+    this.playerId = null;
+    this.room = null;
+    if (socket) {
+      socket.close();
+    }
+  }
+
+  /**
+   * Send a message if connected
+   * @private
+   * @param {Object} message - Message to send
+   */
+  _send(message) {
+    if (this.isConnected()) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Handle a message from the server
+   * @private
+   * @param {string} data - Received JSON
+   */
+  _handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.warn('Ignoring invalid race server message');
+      return;
+    }
+
+    if (!message || RaceClient.EVENTS.indexOf(message.type) === -1) {
+      return;
+    }
+
+    if (message.type === 'joined') {
+      this.playerId = message.playerId;
+      this.room = message.room;
+    }
+    this.events.emit(message.type, message);
+  }
+}
+
+// Server messages that can be listened to
+// - joined: { room, playerId, players }
+// - players: { players }（[{ id, name, host, status, time }]、参加・退出・ゴール・脱落のたびに届く）
+// - race: { seed, difficulty, countdown, players }（ホストがレースを開始した）
+// - countdown: { remaining } / go: {}（全員同時にスタート）
+// - state: { playerId, tick, x, y, direction }（他のプレイヤーの状態スナップショット）
+// - results: { results }（[{ rank, id, name, status, time }]）
+// - error: { message } / close: {}（接続が切れた）
+RaceClient.EVENTS = ['joined', 'players', 'race', 'countdown', 'go', 'state', 'results', 'error', 'close'];
+
+// Ticks between state snapshots (10 per second at 60 ticks per second)
+RaceClient.SNAPSHOT_INTERVAL = 6;
+
+// WebSocket.OPEN
+RaceClient.OPEN = 1;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RaceClient;
+}
@@ -33,9 +33,32 @@ class Renderer {
       wall: '#e94560',
       path: '#16213e',
       character: '#0f3460',
+      ghost: '#a29bfe',
+      ahead: '#2ecc71',
+      behind: '#e74c3c',
       goal: '#f39c12',
+      obstacle: '#e056fd',
+      hazard: '#00d2ff',
+      hazardWarning: '#ffeaa7',
+      checkpoint: '#00cec9',
+      checkpointReached: '#55efc4',
+      lives: '#ff7675',
+      distance: '#74b9ff',
+      // Level editor handles (the goal handle uses the goal color)
+      editorStart: '#00b894',
+      editorWaypoint: '#dfe6e9',
+      editorSelected: '#fdcb6e',
+      // One color per power-up type (pickups, effect timers and pickup effects)
+      powerUps: {
+        slow: '#74b9ff',
+        shield: '#ffeaa7',
+        shrink: '#55efc4',
+        time: '#fdcb6e'
+      },
       timer: '#ffffff',
-      ui: '#ffffff'
+      ui: '#ffffff',
+      // One body color per player of a local or online race (player 1 keeps the usual character color)
+      players: ['#0f3460', '#fdcb6e', '#00b894', '#e17055', '#fd79a8', '#74b9ff', '#dfe6e9', '#6c5ce7']
     };
   }
 
@@ -48,10 +71,29 @@ class Renderer {
     this.ctx.fillRect(0, 0, this.width, this.height);
   }
 
+  /**
+   * Start drawing in world coordinates scrolled horizontally
+   * 横スクロールしたワールド座標での描画を開始
+   * Everything drawn until endCamera() is shifted left by the camera position.
+   * @param {number} cameraX - World x coordinate shown at the left edge of the canvas
+   */
+  beginCamera(cameraX) {
+    this.ctx.save();
+    this.ctx.translate(-cameraX, 0);
+  }
+
+  /**
+   * Go back to drawing in screen coordinates (for the timer and UI)
+   * 画面座標での描画に戻す
+   */
+  endCamera() {
+    this.ctx.restore();
+  }
+
   /**
    * Draw walls on the canvas
    * キャンバスに壁を描画
-   * @param {Array} walls - Array of wall objects with x, y, width, height properties
+   * @param {Array} walls - Rectangles {x, y, width, height} and polyline walls (with points and thickness)
    */
   drawWalls(walls) {
     if (!walls || !Array.isArray(walls)) {
@@ -63,7 +105,9 @@ class Renderer {
     this.ctx.lineWidth = 2;
 
     walls.forEach(wall => {
-      if (wall && typeof wall.x === 'number' && typeof wall.y === 'number' &&
+      if (wall && Array.isArray(wall.points)) {
+        this.drawPolylineWall(wall);
+      } else if (wall && typeof wall.x === 'number' && typeof wall.y === 'number' &&
           typeof wall.width === 'number' && typeof wall.height === 'number') {
         
         // Draw wall with slight gradient effect
@@ -73,11 +117,129 @@ class Renderer {
     });
   }
 
+  /**
+   * Draw a wall that follows a polyline (the path boundaries)
+   * 折れ線に沿った壁を描画（縁取りの上に壁の太さの線を重ねる）
+   * @param {{points: Array<{x: number, y: number}>, thickness: number}} wall - Polyline wall
+   */
+  drawPolylineWall(wall) {
+    if (wall.points.length < 2) {
+      return;
+    }
+
+    this.ctx.save();
+    this.ctx.lineCap = 'round';
+    this.ctx.lineJoin = 'round';
+
+    [['#c0392b', wall.thickness + 2], [this.colors.wall, wall.thickness - 2]].forEach(([color, width]) => {
+      this.ctx.strokeStyle = color;
+      this.ctx.lineWidth = width;
+      this.ctx.beginPath();
+      this.ctx.moveTo(wall.points[0].x, wall.points[0].y);
+      for (let i = 1; i < wall.points.length; i++) {
+        this.ctx.lineTo(wall.points[i].x, wall.points[i].y);
+      }
+      this.ctx.stroke();
+    });
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw moving obstacles in their shape for the current frame
+   * 動く障害物を現在のフレームの形状で描画
+   * @param {Array<Array<{x: number, y: number}>>} polygons - Convex polygons of all obstacles
+   */
+  drawObstacles(polygons) {
+    if (!polygons || !Array.isArray(polygons)) {
+      return;
+    }
+
+    this.ctx.save();
+    this.ctx.fillStyle = this.colors.obstacle;
+    this.ctx.strokeStyle = '#be2edd';
+    this.ctx.lineWidth = 2;
+
+    polygons.forEach(polygon => {
+      if (!Array.isArray(polygon) || polygon.length < 3) {
+        return;
+      }
+
+      this.ctx.beginPath();
+      this.ctx.moveTo(polygon[0].x, polygon[0].y);
+      for (let i = 1; i < polygon.length; i++) {
+        this.ctx.lineTo(polygon[i].x, polygon[i].y);
+      }
+      this.ctx.closePath();
+      this.ctx.fill();
+      this.ctx.stroke();
+    });
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw timed hazards in their state for the current frame
+   * ハザードを現在のフレームの状態で描画（危険になる前は点滅して警告する）
+   * Fields glow while they are on, gaps turn into a hole in the path; both flash faster and
+   * faster while warning and are only outlined while switched off.
+   * @param {Array<{type: string, polygon: Array<{x: number, y: number}>, state: string, progress: number}>} hazards -
+   *   Hazard areas with their state ('off', 'warning' or 'on') and how far into it they are (0-1)
+   */
+  drawHazards(hazards) {
+    if (!hazards || !Array.isArray(hazards)) {
+      return;
+    }
+
+    this.ctx.save();
+    this.ctx.lineWidth = 2;
+
+    hazards.forEach(hazard => {
+      if (!hazard || !Array.isArray(hazard.polygon) || hazard.polygon.length < 3) {
+        return;
+      }
+
+      const gap = hazard.type === 'gap';
+      const progress = Math.min(Math.max(hazard.progress || 0, 0), 1);
+
+      this.ctx.beginPath();
+      this.ctx.moveTo(hazard.polygon[0].x, hazard.polygon[0].y);
+      for (let i = 1; i < hazard.polygon.length; i++) {
+        this.ctx.lineTo(hazard.polygon[i].x, hazard.polygon[i].y);
+      }
+      this.ctx.closePath();
+
+      if (hazard.state === 'on') {
+        // Gaps open down to the background, fields flicker a little while they are live
+        this.ctx.globalAlpha = gap ? 1 : 0.7 + 0.3 * Math.abs(Math.sin(progress * Math.PI * 8));
+        this.ctx.fillStyle = gap ? this.colors.background : this.colors.hazard;
+        this.ctx.strokeStyle = this.colors.hazard;
+        this.ctx.fill();
+        this.ctx.stroke();
+      } else if (hazard.state === 'warning') {
+        // Flashes twice as fast in the second half, just before it turns on
+        const flashes = progress < 0.5 ? 4 : 8;
+        const lit = Math.floor(progress * flashes * 2) % 2 === 0;
+        this.ctx.globalAlpha = lit ? 0.6 : 0.15;
+        this.ctx.fillStyle = this.colors.hazardWarning;
+        this.ctx.strokeStyle = this.colors.hazardWarning;
+        this.ctx.fill();
+        this.ctx.stroke();
+      } else {
+        this.ctx.globalAlpha = 0.35;
+        this.ctx.strokeStyle = this.colors.hazard;
+        this.ctx.stroke();
+      }
+    });
+
+    this.ctx.restore();
+  }
+
   /**
    * Draw the safe path on the canvas
    * キャンバスに安全な通路を描画
    * @param {Array} path - Array of path points with x, y properties
-   * @param {number} pathWidth - Width of the path
+   * @param {number|Array<number>} pathWidth - Width of the path, or the width at each path point (courses)
    */
   drawPath(path, pathWidth = 60) {
     if (!path || !Array.isArray(path) || path.length === 0) {
@@ -89,10 +251,11 @@ class Renderer {
     this.ctx.lineWidth = 3;
 
     // Draw path as connected circles to create a smooth corridor
-    const radius = pathWidth / 2;
+    const widthAt = index => (Array.isArray(pathWidth) ? pathWidth[index] : pathWidth);
     
     path.forEach((point, index) => {
       if (point && typeof point.x === 'number' && typeof point.y === 'number') {
+        const radius = widthAt(index) / 2;
         this.ctx.beginPath();
         this.ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
         this.ctx.fill();
@@ -112,7 +275,7 @@ class Renderer {
               this.ctx.save();
               this.ctx.translate(point.x, point.y);
               this.ctx.rotate(angle);
-              this.ctx.fillRect(0, -radius, distance, pathWidth);
+              this.ctx.fillRect(0, -radius, distance, radius * 2);
               this.ctx.restore();
             }
           }
@@ -123,10 +286,10 @@ class Renderer {
     // Add path border for better visibility
     this.ctx.strokeStyle = '#34495e';
     this.ctx.lineWidth = 2;
-    path.forEach(point => {
+    path.forEach((point, index) => {
       if (point && typeof point.x === 'number' && typeof point.y === 'number') {
         this.ctx.beginPath();
-        this.ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+        this.ctx.arc(point.x, point.y, widthAt(index) / 2, 0, Math.PI * 2);
         this.ctx.stroke();
       }
     });
@@ -134,10 +297,15 @@ class Renderer {
 
   /**
    * Draw the character on the canvas
+   * Extra characters such as ghosts are drawn with the same shape and a custom style.
    * キャンバスにキャラクターを描画
    * @param {Object} character - Character object with position and size
+   * @param {Object} style - Optional drawing style
+   * @param {number} style.alpha - Opacity (0-1, default: 1)
+   * @param {string} style.color - Body color (default: character color)
+   * @param {string} style.label - Text drawn above the character
    */
-  drawCharacter(character) {
+  drawCharacter(character, style = {}) {
     if (!character || typeof character.x !== 'number' || typeof character.y !== 'number') {
       return;
     }
@@ -145,18 +313,23 @@ class Renderer {
     const size = character.size || 10;
     const x = character.x;
     const y = character.y;
+    const color = style.color || this.colors.character;
 
     // Draw character as a circle with glow effect
     this.ctx.save();
     
+    if (typeof style.alpha === 'number') {
+      this.ctx.globalAlpha = Math.min(Math.max(style.alpha, 0), 1);
+    }
+    
     // Glow effect
-    this.ctx.shadowColor = this.colors.character;
+    this.ctx.shadowColor = color;
     this.ctx.shadowBlur = 10;
     this.ctx.shadowOffsetX = 0;
     this.ctx.shadowOffsetY = 0;
     
     // Main character body
-    this.ctx.fillStyle = this.colors.character;
+    this.ctx.fillStyle = color;
     this.ctx.beginPath();
     this.ctx.arc(x + size/2, y + size/2, size/2, 0, Math.PI * 2);
     this.ctx.fill();
@@ -172,15 +345,63 @@ class Renderer {
       this.drawDirectionIndicator(x + size/2, y + size/2, character.direction, size/3);
     }
     
+    // Label (e.g. ghost owner)
+    if (style.label) {
+      this.ctx.fillStyle = color;
+      this.ctx.font = '10px Arial, sans-serif';
+      this.ctx.textAlign = 'center';
+      this.ctx.textBaseline = 'bottom';
+      this.ctx.fillText(style.label, x + size/2, y - 4);
+    }
+    
     this.ctx.restore();
   }
 
+  /**
+   * Draw a ghost - a translucent, non-colliding character following a recorded run
+   * ゴースト（記録されたプレイをなぞる半透明のキャラクター）を描画
+   * @param {Object} ghost - Ghost state with position, size and direction
+   * @param {string} label - Text drawn above the ghost (optional)
+   */
+  drawGhost(ghost, label = '') {
+    this.drawCharacter(ghost, {
+      alpha: 0.4,
+      color: this.colors.ghost,
+      label
+    });
+  }
+
+  /**
+   * Draw one player of a local multiplayer race in that player's color
+   * 複数人レースのプレイヤーをプレイヤーごとの色と番号付きで描画
+   * @param {Object} character - Character object with position, size and direction
+   * @param {number} index - Player index (0-based, drawn as P1, P2, ...)
+   * @param {string} status - 'racing', 'eliminated' (drawn faded) or 'finished'
+   * @param {string} label - Text drawn above the player (default: P1, P2, ...; online races use the player name)
+   */
+  drawPlayer(character, index, status = 'racing', label = '') {
+    this.drawCharacter(character, {
+      alpha: status === 'eliminated' ? 0.3 : 1,
+      color: this.getPlayerColor(index),
+      label: label || `P${index + 1}`
+    });
+  }
+
+  /**
+   * Get the body color of a race player
+   * @param {number} index - Player index (0-based)
+   * @returns {string} Color
+   */
+  getPlayerColor(index) {
+    return this.colors.players[index % this.colors.players.length];
+  }
+
   /**
    * Draw direction indicator on character
    * キャラクターに方向インジケーターを描画
    * @param {number} x - Center x position
    * @param {number} y - Center y position
-   * @param {string} direction - Direction ('up', 'down', 'left', 'right')
+   * @param {string} direction - Direction ('up', 'down', 'left', 'right' or a diagonal such as 'up-left')
    * @param {number} size - Size of the indicator
    */
   drawDirectionIndicator(x, y, direction, size) {
@@ -211,6 +432,16 @@ class Renderer {
         this.ctx.lineTo(x, y - size/2);
         this.ctx.lineTo(x, y + size/2);
         break;
+      default: {
+        // Diagonals: the same triangle turned by 45 degrees
+        const [vertical, horizontal] = direction.split('-');
+        const dx = (horizontal === 'left' ? -1 : 1) * Math.SQRT1_2;
+        const dy = (vertical === 'up' ? -1 : 1) * Math.SQRT1_2;
+        this.ctx.moveTo(x + dx * size, y + dy * size);
+        this.ctx.lineTo(x + dy * size/2, y - dx * size/2);
+        this.ctx.lineTo(x - dy * size/2, y + dx * size/2);
+        break;
+      }
     }
     
     this.ctx.closePath();
@@ -250,6 +481,187 @@ class Renderer {
     this.ctx.restore();
   }
 
+  /**
+   * Draw checkpoints of the lives mode
+   * ライフ制モードのチェックポイントを描画
+   * @param {Array<{x: number, y: number}>} checkpoints - Checkpoint centres in order
+   * @param {number} lastReached - Index of the last checkpoint passed (-1 if none)
+   * @param {number} radius - Drawn radius (optional)
+   */
+  drawCheckpoints(checkpoints, lastReached = -1, radius = 12) {
+    if (!checkpoints || !Array.isArray(checkpoints)) {
+      return;
+    }
+
+    this.ctx.save();
+    this.ctx.lineWidth = 3;
+
+    checkpoints.forEach((checkpoint, index) => {
+      if (!checkpoint || typeof checkpoint.x !== 'number' || typeof checkpoint.y !== 'number') {
+        return;
+      }
+
+      const reached = index <= lastReached;
+      this.ctx.strokeStyle = reached ? this.colors.checkpointReached : this.colors.checkpoint;
+      this.ctx.globalAlpha = reached ? 0.4 : 0.9;
+
+      this.ctx.beginPath();
+      this.ctx.arc(checkpoint.x, checkpoint.y, radius, 0, Math.PI * 2);
+      this.ctx.stroke();
+    });
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw the power-ups of the power-ups mode that have not been collected yet
+   * パワーアップモードの未取得のアイテムを描画
+   * @param {Array<{x: number, y: number, type: string, collected: boolean}>} pickups - Pickups
+   * @param {number} radius - Pickup radius (optional)
+   */
+  drawPickups(pickups, radius = 8) {
+    if (!pickups || !Array.isArray(pickups)) {
+      return;
+    }
+
+    this.ctx.save();
+    this.ctx.lineWidth = 2;
+    this.ctx.strokeStyle = '#ffffff';
+    this.ctx.font = `bold ${Math.round(radius * 1.2)}px Arial, sans-serif`;
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+
+    pickups.forEach(pickup => {
+      if (!pickup || pickup.collected || typeof pickup.x !== 'number' || typeof pickup.y !== 'number') {
+        return;
+      }
+
+      this.ctx.fillStyle = this.getPowerUpColor(pickup.type);
+      this.ctx.beginPath();
+      this.ctx.arc(pickup.x, pickup.y, radius, 0, Math.PI * 2);
+      this.ctx.fill();
+      this.ctx.stroke();
+
+      this.ctx.fillStyle = this.colors.path;
+      this.ctx.fillText(Renderer.POWER_UP_ICONS[pickup.type] || '?', pickup.x, pickup.y);
+    });
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw the level editor's handles over the course preview
+   * レベルエディタの操作点（ウェイポイント・障害物）と各区間の通路幅を描画
+   * The waypoints are joined by the centre line, the start is marked S and the goal G,
+   * and each obstacle is a square with the first letter of its type.
+   * @param {Object} overlay - Editor state in canvas coordinates
+   * @param {Array<{x: number, y: number}>} overlay.waypoints - Waypoints from start to goal
+   * @param {Array<number>} overlay.widths - Path width of each segment
+   * @param {Array<{type: string, x: number, y: number}>} overlay.obstacles - Obstacles
+   * @param {{kind: string, index: number}|null} overlay.selected - Selected waypoint, segment or obstacle (optional)
+   * @param {number} radius - Handle radius (optional)
+   */
+  drawEditorOverlay(overlay, radius = 8) {
+    if (!overlay || !Array.isArray(overlay.waypoints) || overlay.waypoints.length === 0) {
+      return;
+    }
+
+    const waypoints = overlay.waypoints;
+    const selected = overlay.selected || null;
+    const isSelected = (kind, index) => selected !== null && selected.kind === kind && selected.index === index;
+
+    this.ctx.save();
+    this.ctx.font = `bold ${Math.round(radius * 1.4)}px Arial, sans-serif`;
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+
+    // Centre line
+    this.ctx.strokeStyle = this.colors.editorWaypoint;
+    this.ctx.lineWidth = 1;
+    this.ctx.beginPath();
+    waypoints.forEach((point, index) => {
+      if (index === 0) {
+        this.ctx.moveTo(point.x, point.y);
+      } else {
+        this.ctx.lineTo(point.x, point.y);
+      }
+    });
+    this.ctx.stroke();
+
+    // Width of each segment at its middle
+    (overlay.widths || []).forEach((width, index) => {
+      const a = waypoints[index];
+      const b = waypoints[index + 1];
+      if (!a || !b) {
+        return;
+      }
+      this.ctx.fillStyle = isSelected('segment', index) ? this.colors.editorSelected : this.colors.ui;
+      this.ctx.fillText(`${width}px`, (a.x + b.x) / 2, (a.y + b.y) / 2 - radius * 2);
+    });
+
+    (overlay.obstacles || []).forEach((obstacle, index) => {
+      this.ctx.fillStyle = isSelected('obstacle', index) ? this.colors.editorSelected : this.colors.obstacle;
+      this.ctx.fillRect(obstacle.x - radius, obstacle.y - radius, radius * 2, radius * 2);
+      this.ctx.fillStyle = this.colors.background;
+      this.ctx.fillText(obstacle.type.charAt(0).toUpperCase(), obstacle.x, obstacle.y);
+    });
+
+    this.ctx.lineWidth = 2;
+    this.ctx.strokeStyle = this.colors.background;
+    waypoints.forEach((point, index) => {
+      const last = index === waypoints.length - 1;
+      if (isSelected('waypoint', index)) {
+        this.ctx.fillStyle = this.colors.editorSelected;
+      } else if (index === 0) {
+        this.ctx.fillStyle = this.colors.editorStart;
+      } else {
+        this.ctx.fillStyle = last ? this.colors.goal : this.colors.editorWaypoint;
+      }
+      this.ctx.beginPath();
+      this.ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+      this.ctx.fill();
+      this.ctx.stroke();
+
+      if (index === 0 || last) {
+        this.ctx.fillStyle = this.colors.background;
+        this.ctx.fillText(index === 0 ? 'S' : 'G', point.x, point.y);
+      }
+    });
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw the shield of the power-ups mode around the character
+   * パワーアップモードのシールドをキャラクターを囲む輪で描画
+   * @param {Object} character - Character state with position and size
+   * @param {boolean} intact - True while the shield is held, false for the short protection after it broke (drawn faded)
+   */
+  drawShield(character, intact = true) {
+    if (!character || typeof character.x !== 'number' || typeof character.y !== 'number') {
+      return;
+    }
+
+    const size = character.size || 10;
+    this.ctx.save();
+    this.ctx.strokeStyle = this.getPowerUpColor('shield');
+    this.ctx.lineWidth = 2;
+    this.ctx.globalAlpha = intact ? 0.9 : 0.4;
+    this.ctx.beginPath();
+    this.ctx.arc(character.x + size / 2, character.y + size / 2, size * 0.9, 0, Math.PI * 2);
+    this.ctx.stroke();
+    this.ctx.restore();
+  }
+
+  /**
+   * Get the color of a power-up type
+   * @param {string} type - Power-up type
+   * @returns {string} Color
+   */
+  getPowerUpColor(type) {
+    return this.colors.powerUps[type] || this.colors.ui;
+  }
+
   /**
    * Draw a star shape
    * 星形を描画
@@ -320,6 +732,39 @@ class Renderer {
     this.ctx.restore();
   }
 
+  /**
+   * Draw the ahead/behind time difference to a ghost next to the timer
+   * タイマーの横にゴーストとのタイム差を描画
+   * @param {number} delta - Time difference in milliseconds (negative when ahead of the ghost)
+   * @param {number} x - X position of the timer (optional, defaults to top-left)
+   * @param {number} y - Y position of the timer (optional, defaults to top-left)
+   */
+  drawTimerDelta(delta, x = 20, y = 30) {
+    if (typeof delta !== 'number' || !Number.isFinite(delta)) {
+      return;
+    }
+
+    const sign = delta > 0 ? '+' : (delta < 0 ? '-' : '±');
+    const text = `${sign}${(Math.abs(delta) / 1000).toFixed(2)}s`;
+    const deltaX = x + 150;
+    
+    this.ctx.save();
+    
+    // Background next to the timer box
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    this.ctx.fillRect(deltaX - 5, y - 25, 90, 35);
+    
+    // Green when ahead of the ghost, red when behind
+    this.ctx.fillStyle = delta <= 0 ? this.colors.ahead : this.colors.behind;
+    this.ctx.font = 'bold 18px Arial, sans-serif';
+    this.ctx.textAlign = 'left';
+    this.ctx.textBaseline = 'middle';
+    
+    this.ctx.fillText(text, deltaX, y);
+    
+    this.ctx.restore();
+  }
+
   /**
    * Draw UI elements based on game state
    * ゲーム状態に基づいてUI要素を描画
@@ -338,6 +783,9 @@ class Renderer {
       case 'paused':
         this.drawPausedUI(state);
         break;
+      case 'countdown':
+        this.drawCountdownUI(state);
+        break;
       case 'gameover':
         this.drawGameOverUI(state);
         break;
@@ -382,22 +830,138 @@ class Renderer {
       this.ctx.restore();
     }
 
+    // Draw level seed so the course can be shared
+    if (state.seed !== undefined && state.seed !== null) {
+      this.ctx.save();
+      
+      this.ctx.fillStyle = this.colors.ui;
+      this.ctx.font = '12px Arial, sans-serif';
+      this.ctx.textAlign = 'right';
+      this.ctx.textBaseline = 'middle';
+      
+      this.ctx.fillText(`Seed: ${state.seed}`, this.width - 20, 55);
+      
+      this.ctx.restore();
+    }
+
+    // Draw remaining lives (lives mode only)
+    if (typeof state.lives === 'number') {
+      this.ctx.save();
+      
+      this.ctx.fillStyle = this.colors.lives;
+      this.ctx.font = 'bold 16px Arial, sans-serif';
+      this.ctx.textAlign = 'right';
+      this.ctx.textBaseline = 'middle';
+      
+      this.ctx.fillText(`Lives: ${'♥'.repeat(state.lives)}`, this.width - 20, 78);
+      
+      this.ctx.restore();
+    }
+
+    // Draw distance travelled (endless mode only)
+    if (typeof state.distance === 'number') {
+      this.ctx.save();
+      
+      this.ctx.fillStyle = this.colors.distance;
+      this.ctx.font = 'bold 16px Arial, sans-serif';
+      this.ctx.textAlign = 'right';
+      this.ctx.textBaseline = 'middle';
+      
+      this.ctx.fillText(`Distance: ${state.distance}m`, this.width - 20, 78);
+      
+      this.ctx.restore();
+    }
+
+    // Draw the running power-up effects (power-ups mode only)
+    if (Array.isArray(state.powerUps)) {
+      this.drawPowerUpStatus(state.powerUps);
+    }
+
+    // Draw the status of each player (local races only)
+    if (Array.isArray(state.players)) {
+      this.drawRaceStatus(state.players);
+    }
+
     // Draw controls hint
-    this.drawControlsHint();
+    this.drawControlsHint(Array.isArray(state.players) ? state.players.length : 1);
+  }
+
+  /**
+   * Draw the running power-up effects with the time they have left
+   * 実行中のパワーアップの効果と残り時間を描画
+   * @param {Array<{type: string, remaining: number|null, duration: number|null}>} effects - Running effects
+   */
+  drawPowerUpStatus(effects) {
+    this.ctx.save();
+    this.ctx.font = 'bold 14px Arial, sans-serif';
+    this.ctx.textAlign = 'right';
+    this.ctx.textBaseline = 'middle';
+
+    effects.forEach((effect, index) => {
+      const y = 78 + index * 24;
+      const name = Renderer.POWER_UP_NAMES[effect.type] || effect.type;
+      const color = this.getPowerUpColor(effect.type);
+
+      this.ctx.fillStyle = color;
+      this.ctx.fillText(
+        effect.remaining === null ? name : `${name} ${(effect.remaining / 1000).toFixed(1)}s`,
+        this.width - 20,
+        y
+      );
+
+      // Bar of the time left (the shield lasts until it is used)
+      if (effect.remaining !== null && effect.duration) {
+        const ratio = Math.min(Math.max(effect.remaining / effect.duration, 0), 1);
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+        this.ctx.fillRect(this.width - 120, y + 9, 100, 3);
+        this.ctx.fillStyle = color;
+        this.ctx.fillRect(this.width - 120, y + 9, 100 * ratio, 3);
+      }
+    });
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Draw the status of each player of a local race
+   * 複数人レースの各プレイヤーの状態を描画
+   * @param {Array<{player: number, status: string}>} players - Player states from GameManager.getPlayerStates()
+   */
+  drawRaceStatus(players) {
+    const statusText = {
+      racing: 'Racing',
+      eliminated: 'Out',
+      finished: 'Goal!'
+    };
+
+    this.ctx.save();
+    
+    this.ctx.font = 'bold 16px Arial, sans-serif';
+    this.ctx.textAlign = 'right';
+    this.ctx.textBaseline = 'middle';
+    
+    players.forEach((player, i) => {
+      this.ctx.fillStyle = this.getPlayerColor(player.player);
+      this.ctx.fillText(`P${player.player + 1}: ${statusText[player.status] || player.status}`,
+        this.width - 20, 78 + i * 22);
+    });
+    
+    this.ctx.restore();
   }
 
   /**
    * Draw controls hint
    * 操作方法のヒントを描画
+   * @param {number} playerCount - Number of players sharing the keyboard (default: 1)
    */
-  drawControlsHint() {
-    const hintText = 'Use Arrow Keys to Move';
+  drawControlsHint(playerCount = 1) {
+    const hintText = playerCount > 1 ? 'P1: Arrow Keys / P2: W A S D' : 'Use Arrow Keys to Move';
     
     this.ctx.save();
     
     // Background
     this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-    this.ctx.fillRect(20, this.height - 60, 200, 30);
+    this.ctx.fillRect(20, this.height - 60, playerCount > 1 ? 240 : 200, 30);
     
     // Text
     this.ctx.fillStyle = this.colors.ui;
@@ -442,6 +1006,37 @@ class Renderer {
     this.ctx.restore();
   }
 
+  /**
+   * Draw the resume countdown overlay
+   * 再開前のカウントダウン（3・2・1）を描画
+   * @param {Object} state - Game state object
+   * @param {number} state.countdown - Seconds left before the run continues
+   */
+  drawCountdownUI(state) {
+    if (typeof state.countdown !== 'number') {
+      return;
+    }
+
+    // Lighter overlay than the pause screen so the course is visible again
+    this.ctx.save();
+    
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+    this.ctx.fillRect(0, 0, this.width, this.height);
+    
+    this.ctx.fillStyle = this.colors.ui;
+    this.ctx.font = 'bold 96px Arial, sans-serif';
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+    this.ctx.shadowColor = '#000000';
+    this.ctx.shadowBlur = 4;
+    this.ctx.shadowOffsetX = 2;
+    this.ctx.shadowOffsetY = 2;
+    
+    this.ctx.fillText(String(state.countdown), this.width / 2, this.height / 2);
+    
+    this.ctx.restore();
+  }
+
   /**
    * Draw game over UI overlay
    * ゲームオーバー時のUIオーバーレイを描画
@@ -472,6 +1067,59 @@ class Renderer {
     this.ctx.restore();
   }
 
+  /**
+   * Draw replay playback overlay (progress bar, time, speed and controls)
+   * リプレイ再生中のオーバーレイ（進行バー、時間、速度、操作方法）を描画
+   * @param {Object} replayState - Playback state
+   * @param {number} replayState.tick - Current tick
+   * @param {number} replayState.endTick - Final tick of the replay
+   * @param {number} replayState.tickRate - Simulation ticks per second
+   * @param {number} replayState.speed - Playback speed multiplier
+   * @param {boolean} replayState.paused - Whether playback is paused
+   */
+  drawReplayUI(replayState) {
+    if (!replayState || typeof replayState.tick !== 'number' || typeof replayState.endTick !== 'number') {
+      return;
+    }
+
+    const barX = 20;
+    const barY = this.height - 20;
+    const barWidth = this.width - 40;
+    const progress = replayState.endTick > 0 ?
+      Math.min(replayState.tick / replayState.endTick, 1) : 1;
+    const currentSeconds = (replayState.tick / replayState.tickRate).toFixed(2);
+    const totalSeconds = (replayState.endTick / replayState.tickRate).toFixed(2);
+    const status = replayState.paused ? 'PAUSED' : 'PLAYING';
+
+    this.ctx.save();
+
+    // Info panel
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    this.ctx.fillRect(barX - 10, barY - 45, barWidth + 20, 60);
+
+    // Progress bar
+    this.ctx.fillStyle = '#34495e';
+    this.ctx.fillRect(barX, barY, barWidth, 6);
+    this.ctx.fillStyle = this.colors.goal;
+    this.ctx.fillRect(barX, barY, barWidth * progress, 6);
+
+    // Text
+    this.ctx.fillStyle = this.colors.ui;
+    this.ctx.font = 'bold 14px Arial, sans-serif';
+    this.ctx.textAlign = 'left';
+    this.ctx.textBaseline = 'middle';
+    this.ctx.fillText(
+      `REPLAY ${status}  ${currentSeconds}s / ${totalSeconds}s  x${replayState.speed}`,
+      barX, barY - 25
+    );
+
+    this.ctx.font = '12px Arial, sans-serif';
+    this.ctx.textAlign = 'right';
+    this.ctx.fillText('SPACE: Play/Pause  ←/→: Seek  ↑/↓: Speed', barX + barWidth, barY - 25);
+
+    this.ctx.restore();
+  }
+
   /**
    * Get canvas context for external use
    * 外部使用のためのキャンバスコンテキストを取得
@@ -508,6 +1156,22 @@ class Renderer {
   }
 }
 
+// Names of the power-up effects in the HUD
+Renderer.POWER_UP_NAMES = {
+  slow: 'Slow',
+  shield: 'Shield',
+  shrink: 'Shrink',
+  time: 'Time bonus'
+};
+
+// Symbols drawn on the pickups
+Renderer.POWER_UP_ICONS = {
+  slow: '◔',
+  shield: '◆',
+  shrink: '▪',
+  time: '+'
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = Renderer;
@@ -0,0 +1,306 @@
+/**
+ * Replay class - Recorded run data (level seed + direction changes per simulation tick)
+ * 1回のプレイを再現するためのデータ（レベルのシード値とティックごとの方向入力）
+ *
+ * The simulation is deterministic, so a run is fully described by the level
+ * parameters and the tick at which each direction change happened.
+ */
+class Replay {
+  /**
+   * Constructor - Initialize replay with level parameters
+   * @param {Object} params - Replay parameters
+   * @param {number} params.seed - Level seed
+   * @param {string} params.difficulty - Difficulty level
+   * @param {number} params.tickRate - Simulation ticks per second
+   * @param {number} params.width - Canvas width the level was generated for
+   * @param {number} params.height - Canvas height the level was generated for
+   * @param {Array<{tick: number, direction: string}>} params.inputs - Recorded direction changes (optional)
+   * @param {number|null} params.endTick - Tick at which the run ended (optional)
+   * @param {string|null} params.result - 'gameover' or 'victory' (optional)
+   * @param {number|null} params.score - Final time in milliseconds, or distance in meters for endless runs (optional)
+   * @param {string} params.mode - Game mode the run was played in (default 'classic')
+   * @param {Array<{x: number, y: number}>|null} params.layout - Hand-authored level waypoints (null for generated levels)
+   * @param {Object|null} params.profile - Custom difficulty profile (null for the preset difficulties)
+   * @param {boolean} params.resumed - True if the run was saved and resumed part-way (default false)
+   * @param {string} params.movement - Movement model the run was played with (default 'direct', see Character.MOVEMENTS)
+   */
+  constructor({ seed, difficulty, tickRate, width, height, inputs = [], endTick = null, result = null, score = null, mode = 'classic', layout = null, profile = null, resumed = false, movement = 'direct' }) {
+    this.seed = seed;
+    this.difficulty = difficulty;
+    this.mode = mode;
+    this.movement = movement;
+    this.layout = layout ? layout.map(point => ({ x: point.x, y: point.y })) : null;
+    this.profile = profile ? { ...profile } : null;
+    this.tickRate = tickRate;
+    this.width = width;
+    this.height = height;
+    this.inputs = inputs.map(input => ({ tick: input.tick, direction: input.direction }));
+    this.endTick = endTick;
+    this.result = result;
+    this.score = score;
+    this.resumed = resumed;
+
+    // True after the character was stopped without an input (see recordStop)
+    this.stopped = false;
+  }
+
+  /**
+   * Record a direction change
+   * 方向変更を記録
+   * @param {number} tick - Number of simulation ticks completed when the input happened
+   * @param {string} direction - New direction
+   */
+  recordInput(tick, direction) {
+    if (this.isFinished() || Replay.DIRECTIONS.indexOf(direction) === -1) {
+      return;
+    }
+
+    const last = this.inputs[this.inputs.length - 1];
+
+    // Only the last direction set before a tick has any effect
+    if (last && last.tick === tick) {
+      last.direction = direction;
+      return;
+    }
+
+    // Pressing the current direction again is not a change
+    if (last && last.direction === direction && !this.stopped) {
+      return;
+    }
+
+    this.inputs.push({ tick, direction });
+    this.stopped = false;
+  }
+
+  /**
+   * Note that the character stopped without an input (e.g. respawning at a checkpoint),
+   * so pressing the previous direction again is recorded as a change
+   * 入力以外でキャラクターが停止したことを記録
+   */
+  recordStop() {
+    this.stopped = true;
+  }
+
+  /**
+   * Mark the run as finished
+   * プレイ終了を記録
+   * @param {number} tick - Final tick
+   * @param {string} result - 'gameover' or 'victory'
+   * @param {number} score - Final time in milliseconds (distance in meters for endless runs)
+   */
+  finish(tick, result, score) {
+    this.endTick = tick;
+    this.result = result;
+    this.score = score;
+  }
+
+  /**
+   * Check whether the run has finished
+   * プレイが終了しているかチェック
+   * @returns {boolean} True if finish() has been called
+   */
+  isFinished() {
+    return this.endTick !== null;
+  }
+
+  /**
+   * Get the direction change to apply before running the given tick
+   * 指定ティックの実行前に適用する方向変更を取得
+   * @param {number} tick - Number of ticks completed so far
+   * @returns {string|null} Direction, or null if there is no change at this tick
+   */
+  getDirectionAt(tick) {
+    for (let i = 0; i < this.inputs.length; i++) {
+      if (this.inputs[i].tick === tick) {
+        return this.inputs[i].direction;
+      }
+      if (this.inputs[i].tick > tick) {
+        break;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Convert to a compact plain object
+   * Inputs are stored as a flat array of [tick delta, direction code] pairs.
+   * コンパクトなオブジェクト形式に変換
+   * @returns {Object} Compact representation
+   */
+  toJSON() {
+    const packedInputs = [];
+    let previousTick = 0;
+
+    this.inputs.forEach(input => {
+      packedInputs.push(input.tick - previousTick, Replay.DIRECTIONS.indexOf(input.direction));
+      previousTick = input.tick;
+    });
+
+    const data = {
+      v: Replay.FORMAT_VERSION,
+      s: this.seed,
+      d: this.difficulty,
+      r: this.tickRate,
+      w: this.width,
+      h: this.height,
+      i: packedInputs,
+      e: this.endTick,
+      o: this.result,
+      t: this.score
+    };
+
+    // Classic runs omit the mode so replays recorded before modes existed stay identical
+    if (this.mode !== 'classic') {
+      data.m = this.mode;
+    }
+
+    // Likewise only runs with another movement model than direct carry it
+    if (this.movement !== 'direct') {
+      data.n = this.movement;
+    }
+
+    // Hand-authored levels carry their waypoints as a flat [x, y, x, y, ...] array
+    if (this.layout) {
+      data.l = [];
+      this.layout.forEach(point => data.l.push(point.x, point.y));
+    }
+
+    // Custom difficulties carry their profile values in PROFILE_FIELDS order
+    if (this.profile) {
+      data.p = Replay.PROFILE_FIELDS.map(field => this.profile[field]);
+    }
+
+    // Runs continued from a saved state are flagged so they can be kept off the leaderboards
+    if (this.resumed) {
+      data.c = 1;
+    }
+    return data;
+  }
+
+  /**
+   * Serialize to a base64 string that can be saved or shared
+   * 保存・共有可能なbase64文字列にシリアライズ
+   * @returns {string} Base64 encoded replay
+   */
+  serialize() {
+    const json = JSON.stringify(this.toJSON());
+    return typeof btoa === 'function' ? btoa(json) : Buffer.from(json, 'utf8').toString('base64');
+  }
+
+  /**
+   * Create a replay from its compact plain object form
+   * コンパクトなオブジェクト形式からリプレイを生成
+   * @param {Object} data - Object produced by toJSON()
+   * @returns {Replay} Replay instance
+   * @throws {Error} If the data is not a valid replay
+   */
+  static fromJSON(data) {
+    if (!data || data.v !== Replay.FORMAT_VERSION) {
+      throw new Error('Unsupported replay format');
+    }
+
+    if (!Array.isArray(data.i) || data.i.length % 2 !== 0) {
+      throw new Error('Invalid replay data: inputs');
+    }
+
+    if (data.m !== undefined && typeof data.m !== 'string') {
+      throw new Error('Invalid replay data: mode');
+    }
+
+    if (data.n !== undefined && typeof data.n !== 'string') {
+      throw new Error('Invalid replay data: movement');
+    }
+
+    if (data.c !== undefined && data.c !== 1) {
+      throw new Error('Invalid replay data: resumed');
+    }
+
+    let layout = null;
+    if (data.l !== undefined) {
+      if (!Array.isArray(data.l) || data.l.length % 2 !== 0 ||
+          !data.l.every(value => typeof value === 'number' && Number.isFinite(value))) {
+        throw new Error('Invalid replay data: layout');
+      }
+      layout = [];
+      for (let i = 0; i < data.l.length; i += 2) {
+        layout.push({ x: data.l[i], y: data.l[i + 1] });
+      }
+    }
+
+    let profile = null;
+    if (data.p !== undefined) {
+      if (!Array.isArray(data.p) || data.p.length !== Replay.PROFILE_FIELDS.length ||
+          !data.p.every(value => typeof value === 'number' && Number.isFinite(value))) {
+        throw new Error('Invalid replay data: profile');
+      }
+      profile = {};
+      Replay.PROFILE_FIELDS.forEach((field, i) => {
+        profile[field] = data.p[i];
+      });
+    }
+
+    const inputs = [];
+    let tick = 0;
+    for (let i = 0; i < data.i.length; i += 2) {
+      const delta = data.i[i];
+      const direction = Replay.DIRECTIONS[data.i[i + 1]];
+      if (!Number.isInteger(delta) || delta < 0 || !direction) {
+        throw new Error('Invalid replay data: inputs');
+      }
+      tick += delta;
+      inputs.push({ tick, direction });
+    }
+
+    return new Replay({
+      seed: data.s,
+      difficulty: data.d,
+      tickRate: data.r,
+      width: data.w,
+      height: data.h,
+      inputs,
+      endTick: data.e,
+      result: data.o,
+      score: data.t,
+      mode: data.m || 'classic',
+      layout,
+      profile,
+      resumed: data.c === 1,
+      movement: data.n || 'direct'
+    });
+  }
+
+  /**
+   * Deserialize a base64 string produced by serialize()
+   * serialize()で生成されたbase64文字列をデシリアライズ
+   * @param {string} encoded - Base64 encoded replay
+   * @returns {Replay} Replay instance
+   * @throws {Error} If the string cannot be decoded
+   */
+  static deserialize(encoded) {
+    let data;
+    try {
+      const json = typeof atob === 'function' ?
+        atob(encoded.trim()) :
+        Buffer.from(encoded.trim(), 'base64').toString('utf8');
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error('Invalid replay data: cannot decode');
+    }
+    return Replay.fromJSON(data);
+  }
+}
+
+// Direction codes used by the compact format (append only - never reorder)
+Replay.DIRECTIONS = ['up', 'down', 'left', 'right', 'up-left', 'up-right', 'down-left', 'down-right'];
+// Format version - bumped whenever recorded inputs would re-simulate differently
+// (2: the character starts centred on the path, see LevelGenerator.setStartAndGoalPositions();
+//  3: obstacles and hazards are tested over the character's whole move, see CollisionDetector.rectPolygonCollision())
+Replay.FORMAT_VERSION = 3;
+
+// Custom difficulty profile fields in the compact format (same order as LevelGenerator.PROFILE_FIELDS)
+Replay.PROFILE_FIELDS = ['pathWidth', 'characterSpeed', 'waypointCount', 'curveJitter', 'wallThickness'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Replay;
+}
@@ -0,0 +1,239 @@
+/**
+ * ReplayPlayer class - 記録されたリプレイをGameManager/Rendererで再生する
+ *
+ * リプレイの方向入力をGameManagerの入力ソースとして供給し、固定ティックの
+ * シミュレーションをそのまま再実行する。シミュレーションは決定的なので、
+ * シークは開始位置から目標ティックまで描画なしで早送りすることで実現する。
+ */
+class ReplayPlayer {
+  /**
+   * Constructor
+   * @param {GameManager} gameManager - リプレイと同じコース（シード・レイアウト）・難易度（カスタム難易度ではプロファイルも）・モード・移動モデル・ティックレートで生成したGameManager
+   * @param {Replay} replay - 再生するリプレイ
+   */
+  constructor(gameManager, replay) {
+    if (!gameManager || !replay) {
+      throw new Error('GameManager and replay are required');
+    }
+
+    const LevelGeneratorClass = typeof LevelGenerator !== 'undefined' ? LevelGenerator : require('./LevelGenerator');
+    if (gameManager.getSeed() !== replay.seed ||
+        !LevelGeneratorClass.isSameLayout(gameManager.getLayout(), replay.layout) ||
+        gameManager.getDifficulty() !== replay.difficulty ||
+        gameManager.getProfileHash() !== LevelGeneratorClass.getProfileHash(replay.profile) ||
+        gameManager.getMode() !== replay.mode ||
+        gameManager.getMovement() !== replay.movement ||
+        gameManager.getTickRate() !== replay.tickRate) {
+      throw new Error('GameManager does not match the replay level');
+    }
+
+    if (!replay.isFinished()) {
+      throw new Error('Only finished runs can be played back');
+    }
+
+    this.gameManager = gameManager;
+    this.replay = replay;
+    this.speed = 1;
+    this.paused = true;
+    this.nextInputIndex = 0;
+
+    // 再生ループ制御
+    this.loopId = null;
+    this.lastFrameTime = 0;
+    this.loop = this.loop.bind(this);
+
+    // GameManagerにリプレイの入力を供給する
+    this.gameManager.inputSource = this;
+    this.gameManager.resetRun();
+  }
+
+  /**
+   * 指定ティックの実行前に適用する方向を取得（GameManagerの入力ソースインターフェース）
+   * @param {number} tick - これまでに完了したティック数
+   * @returns {string|null} 方向（変更がない場合はnull）
+   */
+  getDirectionForTick(tick) {
+    const inputs = this.replay.inputs;
+    let direction = null;
+
+    while (this.nextInputIndex < inputs.length && inputs[this.nextInputIndex].tick <= tick) {
+      if (inputs[this.nextInputIndex].tick === tick) {
+        direction = inputs[this.nextInputIndex].direction;
+      }
+      this.nextInputIndex++;
+    }
+
+    return direction;
+  }
+
+  /**
+   * 再生を開始
+   */
+  play() {
+    if (this.isFinished()) {
+      this.seek(0);
+    }
+
+    this.paused = false;
+    if (!this.loopId && typeof requestAnimationFrame !== 'undefined') {
+      this.lastFrameTime = performance.now();
+      this.loopId = requestAnimationFrame(this.loop);
+    }
+  }
+
+  /**
+   * 再生を一時停止
+   */
+  pause() {
+    this.paused = true;
+    this._stopLoop();
+    this.render();
+  }
+
+  /**
+   * 再生と一時停止を切り替え
+   */
+  togglePause() {
+    if (this.paused) {
+      this.play();
+    } else {
+      this.pause();
+    }
+  }
+
+  /**
+   * 再生速度を設定（0.5倍〜4倍）
+   * @param {number} speed - 再生速度の倍率
+   */
+  setSpeed(speed) {
+    if (typeof speed !== 'number' || !Number.isFinite(speed)) {
+      return;
+    }
+    this.speed = Math.min(Math.max(speed, ReplayPlayer.MIN_SPEED), ReplayPlayer.MAX_SPEED);
+  }
+
+  /**
+   * 指定ティックへシーク
+   * 開始位置からリセットして目標ティックまで描画なしでシミュレーションを進める
+   * @param {number} tick - 目標ティック
+   */
+  seek(tick) {
+    const target = Math.max(0, Math.min(Math.floor(tick), this.getEndTick()));
+
+    this.gameManager.resetRun();
+    this.nextInputIndex = 0;
+
+    while (this.gameManager.getTick() < target && this.gameManager.getCurrentState() === 'playing') {
+      this.gameManager.step();
+    }
+
+    this.render();
+  }
+
+  /**
+   * 現在位置から指定秒数だけ前後にシーク
+   * @param {number} seconds - シークする秒数（負の値で巻き戻し）
+   */
+  seekBy(seconds) {
+    this.seek(this.gameManager.getTick() + seconds * this.replay.tickRate);
+  }
+
+  /**
+   * 経過時間に応じてリプレイを進める
+   * @param {number} deltaTime - 前フレームからの経過時間（ミリ秒）
+   */
+  update(deltaTime) {
+    if (this.paused || this.isFinished()) {
+      return;
+    }
+
+    this.gameManager.update(deltaTime * this.speed);
+
+    if (this.isFinished()) {
+      this.paused = true;
+    }
+    this.render();
+  }
+
+  /**
+   * requestAnimationFrameを使った再生ループ
+   * @param {number} timestamp - フレームタイムスタンプ
+   */
+  loop(timestamp) {
+    const deltaTime = timestamp - this.lastFrameTime;
+    this.lastFrameTime = timestamp;
+
+    this.update(deltaTime);
+
+    if (this.paused) {
+      this.loopId = null;
+      return;
+    }
+    this.loopId = requestAnimationFrame(this.loop);
+  }
+
+  /**
+   * 現在のフレームとリプレイ操作UIを描画
+   */
+  render() {
+    this.gameManager.render();
+
+    if (this.gameManager.renderer) {
+      this.gameManager.renderer.drawReplayUI({
+        tick: this.gameManager.getTick(),
+        endTick: this.getEndTick(),
+        tickRate: this.replay.tickRate,
+        speed: this.speed,
+        paused: this.paused
+      });
+    }
+  }
+
+  /**
+   * リプレイの終了ティックを取得
+   * @returns {number} 終了ティック
+   */
+  getEndTick() {
+    return this.replay.endTick;
+  }
+
+  /**
+   * 再生が最後まで到達したかチェック
+   * @returns {boolean} 終了ティックに到達したか、プレイが終了状態になった場合true
+   */
+  isFinished() {
+    return this.gameManager.getCurrentState() !== 'playing' ||
+      this.gameManager.getTick() >= this.getEndTick();
+  }
+
+  /**
+   * 再生ループを停止
+   * @private
+   */
+  _stopLoop() {
+    if (this.loopId) {
+      cancelAnimationFrame(this.loopId);
+      this.loopId = null;
+    }
+  }
+
+  /**
+   * リソースをクリーンアップ
+   */
+  destroy() {
+    this._stopLoop();
+    this.paused = true;
+    if (this.gameManager) {
+      this.gameManager.inputSource = null;
+    }
+  }
+}
+
+// 再生速度の範囲
+ReplayPlayer.MIN_SPEED = 0.5;
+ReplayPlayer.MAX_SPEED = 4;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReplayPlayer;
+}
@@ -0,0 +1,98 @@
+/**
+ * SavedRunStore class - Keeps one unfinished run in local storage so it can be continued
+ * 途中のプレイをローカルストレージに1つだけ保存し、メニューの「続きから」で再開できるようにする
+ *
+ * The saved run is whatever GameManager.getSaveState() returned (plus the
+ * campaign progress for campaign runs). It is written when the game is paused
+ * and when the page is unloaded, and cleared once the run ends.
+ */
+class SavedRunStore {
+  /**
+   * Constructor
+   * @param {Storage} storage - Storage backend (defaults to window.localStorage when available)
+   */
+  constructor(storage) {
+    if (storage !== undefined) {
+      this.storage = storage;
+    } else {
+      this.storage = typeof localStorage !== 'undefined' ? localStorage : null;
+    }
+  }
+
+  /**
+   * Save an unfinished run, replacing the previously saved one
+   * 途中のプレイを保存（前回保存したプレイは上書き）
+   * @param {Object} run - Save state from GameManager.getSaveState()
+   * @param {Object|null} campaign - Campaign progress from Campaign.toJSON() (null outside campaigns)
+   * @returns {boolean} True if the run was stored
+   */
+  save(run, campaign = null) {
+    if (!this.storage || !run) {
+      return false;
+    }
+
+    try {
+      this.storage.setItem(SavedRunStore.STORAGE_KEY, JSON.stringify({
+        run,
+        campaign,
+        savedAt: Date.now()
+      }));
+      return true;
+    } catch (error) {
+      // Quota exceeded or storage disabled - the run simply cannot be continued later
+      console.warn('Failed to save run:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get the saved run
+   * 保存したプレイを取得
+   * @returns {{run: Object, campaign: Object|null, savedAt: number}|null} Saved run, or null if none is stored
+   */
+  load() {
+    if (!this.storage) {
+      return null;
+    }
+
+    try {
+      const saved = JSON.parse(this.storage.getItem(SavedRunStore.STORAGE_KEY));
+      return saved && typeof saved === 'object' && saved.run && typeof saved.run === 'object' ?
+        { run: saved.run, campaign: saved.campaign || null, savedAt: saved.savedAt || null } :
+        null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a run is saved
+   * @returns {boolean} True if there is a run to continue
+   */
+  hasSavedRun() {
+    return this.load() !== null;
+  }
+
+  /**
+   * Forget the saved run (it ended, was continued into a new save, or could not be restored)
+   * 保存したプレイを削除
+   */
+  clear() {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.removeItem(SavedRunStore.STORAGE_KEY);
+    } catch (error) {
+      console.warn('Failed to clear saved run:', error.message);
+    }
+  }
+}
+
+SavedRunStore.STORAGE_KEY = 'iraira-saved-run';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SavedRunStore;
+}
@@ -0,0 +1,82 @@
+/**
+ * SeededRandom class - Deterministic pseudo-random number generator (mulberry32)
+ * シード値から再現可能な乱数列を生成する
+ */
+class SeededRandom {
+  /**
+   * Constructor - Initialize generator with a seed
+   * @param {number|string} seed - Seed value (unsigned 32-bit integer or any string)
+   */
+  constructor(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Get the next random number in the sequence
+   * 乱数列の次の値を取得
+   * @returns {number} Float in the range [0, 1), same contract as Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get the seed this generator was created with
+   * 生成時のシード値を取得
+   * @returns {number} Normalized seed
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Normalize a seed into an unsigned 32-bit integer
+   * シード値を符号なし32ビット整数に正規化
+   * Numeric strings (e.g. from a URL) map to the same seed as the number itself,
+   * any other string is hashed with FNV-1a.
+   * @param {number|string} seed - Seed value
+   * @returns {number} Unsigned 32-bit integer seed
+   * @throws {Error} If the seed is not a finite number or a non-empty string
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return Math.floor(seed) >>> 0;
+    }
+
+    if (typeof seed === 'string' && seed.trim().length > 0) {
+      const trimmed = seed.trim();
+      if (/^\d+$/.test(trimmed) && Number(trimmed) <= 0xFFFFFFFF) {
+        return Number(trimmed);
+      }
+
+      // FNV-1a hash
+      let hash = 0x811C9DC5;
+      for (let i = 0; i < trimmed.length; i++) {
+        hash ^= trimmed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      return hash >>> 0;
+    }
+
+    throw new Error(`Invalid seed: ${seed}`);
+  }
+
+  /**
+   * Create a new random seed (used when no seed is specified)
+   * 新しいランダムなシード値を生成（シード未指定時に使用）
+   * @returns {number} Unsigned 32-bit integer seed
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SeededRandom;
+}
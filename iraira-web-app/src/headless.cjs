@@ -0,0 +1,50 @@
+/**
+ * Headless entry - Node.jsからブラウザなしでゲームを動かすためのエントリーポイント
+ *
+ * ゲームのモジュールはブラウザでは<script>のグローバル、テストでは条件付きの
+ * module.exportsで読み込まれる。パッケージは"type": "module"のため、Node.jsは
+ * src/*.jsをESモジュールとして読み込み、module.exportsもrequire()も使えない。
+ * このエントリーはモジュールをCommonJSとして評価し、同じソースをNode.jsから使えるようにする。
+ *
+ * @example
+ * const { GameManager } = require('./src/headless.cjs');
+ * const gameManager = new GameManager(null, 'easy', { headless: true, seed: 7 });
+ * gameManager.startGame();
+ * const { result, tick, score, replay } = gameManager.run({ 0: 'right' });
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { wrap } = require('module');
+
+// 評価済みのモジュール（ファイルパス → module）
+const cache = new Map();
+
+/**
+ * ゲームのモジュールをCommonJSとして読み込む
+ * モジュール内のrequire('./X')も同じ方法で読み込まれる
+ * @param {string} request - 'GameManager'や'./Character'のようなモジュール名
+ * @returns {*} モジュールのexports
+ */
+function load(request) {
+  const filename = path.join(__dirname, `${path.basename(request, '.js')}.js`);
+
+  if (!cache.has(filename)) {
+    const module = { exports: {} };
+    cache.set(filename, module);
+
+    const source = fs.readFileSync(filename, 'utf8');
+    const compiled = vm.runInThisContext(wrap(source), { filename });
+    const localRequire = id => (id.startsWith('./') ? load(id) : require(id));
+    compiled.call(module.exports, module.exports, localRequire, module, filename, __dirname);
+  }
+
+  return cache.get(filename).exports;
+}
+
+module.exports = {
+  GameManager: load('GameManager'),
+  Replay: load('Replay'),
+  LevelGenerator: load('LevelGenerator'),
+  Character: load('Character')
+};
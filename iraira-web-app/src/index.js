@@ -5,12 +5,30 @@
 
 // ゲームコンポーネントをインポート
 import GameManager from './GameManager.js';
+import EventEmitter from './EventEmitter.js';
 import Character from './Character.js';
 import InputHandler from './InputHandler.js';
+import AutoPause from './AutoPause.js';
 import LevelGenerator from './LevelGenerator.js';
+import Obstacle from './Obstacle.js';
+import Hazard from './Hazard.js';
 import CollisionDetector from './CollisionDetector.js';
 import Renderer from './Renderer.js';
 import AnimationEngine from './AnimationEngine.js';
+import SeededRandom from './SeededRandom.js';
+import Replay from './Replay.js';
+import ReplayPlayer from './ReplayPlayer.js';
+import Ghost from './Ghost.js';
+import GhostStore from './GhostStore.js';
+import CheckpointTracker from './CheckpointTracker.js';
+import PowerUpTracker from './PowerUpTracker.js';
+import Campaign from './Campaign.js';
+import CampaignStore from './CampaignStore.js';
+import ProfileStore from './ProfileStore.js';
+import LevelEditor from './LevelEditor.js';
+import CourseStore from './CourseStore.js';
+import SavedRunStore from './SavedRunStore.js';
+import RaceClient from './RaceClient.js';
 import APIClient from './APIClient.js';
 import { sanitizeName, validateNameLength } from './ValidationUtils.js';
 
@@ -20,11 +38,64 @@ import { sanitizeName, validateNameLength } from './ValidationUtils.js';
 class UIManager {
   constructor() {
     this.gameManager = null;
+    this.replayPlayer = null;
+    this.replayKeyHandler = null;
+    // ゴーストレース用の自己ベスト保存先
+    this.ghostStore = new GhostStore();
     // グローバルに設定されたAPI_ENDPOINTを使用
     const apiEndpoint = window.API_ENDPOINT || 'http://localhost:3000/dev';
     this.apiClient = new APIClient(apiEndpoint);
     this.selectedDifficulty = null;
     
+    // ゲームモード（GameManager.MODESのいずれか）とリーダーボードに表示中のモード
+    this.selectedMode = 'classic';
+    this.leaderboardMode = 'classic';
+    this.leaderboardModeBtn = null;
+    
+    // 移動モデル（Character.MOVEMENTSのいずれか）とリーダーボードに表示中の移動モデル
+    this.selectedMovement = 'direct';
+    this.leaderboardMovement = 'direct';
+    this.leaderboardMovementBtn = null;
+    
+    // プレイ中のキャンペーン（通常プレイ中はnull）と解放状況の保存先
+    this.campaign = null;
+    this.campaignStore = new CampaignStore();
+    
+    // カスタム難易度のプロファイル（保存先、メニューで選択中のプロファイル、編集中の値）
+    this.profileStore = new ProfileStore();
+    this.selectedProfile = null;
+    this.editingProfile = { ...ProfileStore.DEFAULT_PROFILE };
+    this.editingProfileName = '';
+    
+    // レベルエディタ（編集中のコース、コースの保存先、コース名、追加する障害物の種類、テストプレイ中か）
+    // エディタのキャンバスとレンダラーはsetupEditorEvents()で作成する
+    this.levelEditor = null;
+    this.courseStore = new CourseStore();
+    this.editingCourseName = '';
+    this.editorObstacleType = Obstacle.TYPES[0];
+    this.editorTest = false;
+    this.editorCanvas = null;
+    this.editorRenderer = null;
+    
+    // リーダーボードに表示中のカスタム難易度のプロファイルのハッシュ（通常の難易度の場合はnull）
+    this.leaderboardProfileHash = null;
+    
+    // 途中のプレイの保存先（一時停止時とページを閉じる時に保存し、メニューの「続きから」で再開）
+    this.savedRunStore = new SavedRunStore();
+    this.continueBtn = null;
+    
+    // オンライン対戦（部屋サーバーへの接続、参加者一覧、開始したレース、直前のレースの順位）
+    // グローバルに設定されたRACE_SERVER_URLを使用
+    this.raceServerUrl = window.RACE_SERVER_URL || 'ws://localhost:3000/race';
+    this.raceClient = null;
+    this.onlinePlayers = [];
+    this.onlineRace = null;
+    this.onlineResults = null;
+    this.onlineCountdown = null;
+    
+    // URLで指定されたレベルのシード値（例: ?seed=12345）
+    this.levelSeed = this.getSeedFromURL();
+    
     // DOM要素の参照を取得
     this.screens = {
       menu: document.getElementById('menu-screen'),
@@ -39,6 +110,11 @@ class UIManager {
     // イベントリスナーを設定
     this.setupEventListeners();
     
+    // 誤ってページを再読み込み・終了してもプレイを続きから再開できるよう保存
+    window.addEventListener('beforeunload', () => {
+      this.saveRun();
+    });
+    
     // 初期画面を表示
     this.showScreen('menu');
   }
@@ -58,6 +134,21 @@ class UIManager {
     
     // リーダーボード画面のイベント
     this.setupLeaderboardEvents();
+    
+    // キャンペーン画面のイベント
+    this.setupCampaignEvents();
+    
+    // カスタム難易度画面のイベント
+    this.setupProfileEvents();
+    
+    // 2人対戦の結果画面のイベント
+    this.setupRaceEvents();
+    
+    // オンライン対戦画面のイベント
+    this.setupOnlineRaceEvents();
+    
+    // レベルエディタ画面のイベント
+    this.setupEditorEvents();
   }
 
   /**
@@ -98,6 +189,138 @@ class UIManager {
         this.showLeaderboard();
       });
     }
+    
+    // ゲームモード切り替えボタン
+    this.setupModeSelector();
+    
+    // リプレイ読み込みボタン
+    this.setupReplayLoader();
+    
+    // 保存したプレイの再開ボタン
+    this.setupContinueButton();
+  }
+
+  /**
+   * メニュー画面に保存したプレイを再開するボタンを追加
+   * 保存したプレイがある場合のみ表示する（updateContinueButton()）
+   */
+  setupContinueButton() {
+    this.continueBtn = this.createActionButton('続きから / Continue', '#fdcb6e', () => {
+      this.continueSavedRun();
+    });
+    this.continueBtn.id = 'continue-btn';
+    
+    const startBtn = document.getElementById('start-btn');
+    startBtn.parentNode.insertBefore(this.continueBtn, startBtn);
+  }
+
+  /**
+   * 再開ボタンの表示と内容を保存したプレイに合わせて更新
+   */
+  updateContinueButton() {
+    if (!this.continueBtn) {
+      return;
+    }
+    
+    const saved = this.savedRunStore.load();
+    let replay = null;
+    try {
+      replay = saved ? Replay.deserialize(saved.run.replay) : null;
+    } catch (error) {
+      replay = null;
+    }
+    
+    this.continueBtn.style.display = replay ? '' : 'none';
+    if (replay) {
+      const course = saved.campaign ? 'キャンペーン / Campaign' : this.getDifficultyDisplayName(replay.difficulty);
+      this.continueBtn.textContent = `続きから / Continue (${course}, ${this.getModeDisplayName(replay.mode)})`;
+    }
+  }
+
+  /**
+   * メニュー画面にゲームモードと移動モデルの切り替えボタンを追加
+   * ライフ制モードは壁に触れてもライフが残っていればチェックポイントから再開できる
+   * エンドレスモードはゴールのない道をどこまで進めるかを競う
+   * 慣性移動はどのモードでも選べ、方向キーで加速して滑るキャラクターを操る
+   */
+  setupModeSelector() {
+    const modeBtn = this.createActionButton(this.getModeDisplayName(this.selectedMode), '#00b894', () => {
+      this.selectedMode = this.getNextMode(this.selectedMode);
+      modeBtn.textContent = this.getModeDisplayName(this.selectedMode);
+    });
+    modeBtn.id = 'mode-btn';
+    
+    const movementBtn = this.createActionButton(this.getMovementDisplayName(this.selectedMovement), '#0984e3', () => {
+      this.selectedMovement = this.getNextMovement(this.selectedMovement);
+      movementBtn.textContent = this.getMovementDisplayName(this.selectedMovement);
+    });
+    movementBtn.id = 'movement-btn';
+    
+    const startBtn = document.getElementById('start-btn');
+    startBtn.parentNode.insertBefore(modeBtn, startBtn);
+    startBtn.parentNode.insertBefore(movementBtn, startBtn);
+  }
+
+  /**
+   * キャンペーン画面を作成し、メニュー画面にキャンペーンボタンを追加
+   * キャンペーン画面はステージ選択と進行状況（スプリットタイム）を表示する
+   */
+  setupCampaignEvents() {
+    const campaignScreen = document.createElement('div');
+    campaignScreen.id = 'campaign-screen';
+    campaignScreen.className = 'screen';
+    document.getElementById('game-container').appendChild(campaignScreen);
+    this.screens.campaign = campaignScreen;
+    
+    const campaignBtn = this.createActionButton('キャンペーン / Campaign', '#e17055', () => {
+      this.showCampaignScreen();
+    });
+    campaignBtn.id = 'campaign-btn';
+    
+    const startBtn = document.getElementById('start-btn');
+    startBtn.parentNode.insertBefore(campaignBtn, startBtn.nextSibling);
+  }
+
+  /**
+   * メニュー画面にリプレイファイルの読み込みボタンを追加
+   */
+  setupReplayLoader() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.txt,.replay';
+    fileInput.style.display = 'none';
+    
+    const loadReplayBtn = this.createActionButton('リプレイを読み込む / Load Replay', '#667eea', () => {
+      fileInput.click();
+    });
+    loadReplayBtn.id = 'load-replay-btn';
+    
+    const replayError = document.createElement('div');
+    replayError.id = 'replay-error';
+    replayError.style.color = '#f5576c';
+    
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (!file) {
+        return;
+      }
+      
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          replayError.textContent = '';
+          this.playReplay(Replay.deserialize(reader.result));
+        } catch (error) {
+          replayError.textContent = `リプレイを読み込めませんでした / Failed to load replay: ${error.message}`;
+        }
+      };
+      reader.readAsText(file);
+      fileInput.value = '';
+    });
+    
+    this.screens.menu.appendChild(loadReplayBtn);
+    this.screens.menu.appendChild(fileInput);
+    this.screens.menu.appendChild(replayError);
   }
 
   /**
@@ -128,7 +351,7 @@ class UIManager {
         validateNameLength(sanitizedName);
         
         // スコアを送信
-        await this.submitScore(sanitizedName, this.gameManager.getCurrentScore(), this.gameManager.getDifficulty());
+        await this.submitScore(sanitizedName, this.gameManager.getCurrentScore(), this.gameManager.getDifficulty(), this.gameManager.getSeed(), this.gameManager.getReplay());
         
         // 成功メッセージを表示
         nameError.textContent = 'スコアが送信されました！ / Score submitted!';
@@ -138,7 +361,13 @@ class UIManager {
         submitScoreBtn.disabled = true;
         
         // リーダーボード表示ボタンを追加
-        this.showLeaderboardButton(nameError, this.gameManager.getDifficulty());
+        this.showLeaderboardButton(
+          nameError,
+          this.gameManager.getDifficulty(),
+          this.gameManager.getMode(),
+          this.gameManager.getProfileHash(),
+          this.gameManager.getMovement()
+        );
         
       } catch (error) {
         // エラーメッセージを表示
@@ -180,7 +409,7 @@ class UIManager {
         validateNameLength(sanitizedName);
         
         // スコアを送信
-        await this.submitScore(sanitizedName, this.gameManager.getCurrentScore(), this.gameManager.getDifficulty());
+        await this.submitScore(sanitizedName, this.gameManager.getCurrentScore(), this.gameManager.getDifficulty(), this.gameManager.getSeed(), this.gameManager.getReplay());
         
         // 成功メッセージを表示
         nameError.textContent = 'スコアが送信されました！ / Score submitted!';
@@ -190,7 +419,13 @@ class UIManager {
         submitScoreBtn.disabled = true;
         
         // リーダーボード表示ボタンを追加
-        this.showLeaderboardButton(nameError, this.gameManager.getDifficulty());
+        this.showLeaderboardButton(
+          nameError,
+          this.gameManager.getDifficulty(),
+          this.gameManager.getMode(),
+          this.gameManager.getProfileHash(),
+          this.gameManager.getMovement()
+        );
         
       } catch (error) {
         // エラーメッセージを表示
@@ -223,15 +458,30 @@ class UIManager {
         
         // 選択された難易度のリーダーボードを表示
         const difficulty = e.target.dataset.difficulty;
+        this.leaderboardProfileHash = null;
         this.loadLeaderboard(difficulty);
       });
     });
 
     // 更新ボタン
-    document.getElementById('refresh-leaderboard-btn').addEventListener('click', () => {
-      const activeDifficulty = document.querySelector('.tab-btn.active').dataset.difficulty;
-      this.loadLeaderboard(activeDifficulty);
+    const refreshBtn = document.getElementById('refresh-leaderboard-btn');
+    refreshBtn.addEventListener('click', () => {
+      this.loadLeaderboard(this.getActiveLeaderboardDifficulty());
+    });
+
+    // ゲームモード切り替えボタン（モードごとに別のリーダーボード）
+    this.leaderboardModeBtn = this.createActionButton(this.getModeDisplayName(this.leaderboardMode), '#00b894', () => {
+      this.setLeaderboardMode(this.getNextMode(this.leaderboardMode));
+      this.loadLeaderboard(this.getActiveLeaderboardDifficulty());
+    });
+    refreshBtn.parentNode.insertBefore(this.leaderboardModeBtn, refreshBtn);
+
+    // 移動モデル切り替えボタン（移動モデルごとに別のリーダーボード）
+    this.leaderboardMovementBtn = this.createActionButton(this.getMovementDisplayName(this.leaderboardMovement), '#0984e3', () => {
+      this.setLeaderboardMovement(this.getNextMovement(this.leaderboardMovement));
+      this.loadLeaderboard(this.getActiveLeaderboardDifficulty());
     });
+    refreshBtn.parentNode.insertBefore(this.leaderboardMovementBtn, refreshBtn);
 
     // メニューに戻るボタン
     document.getElementById('back-to-menu-btn').addEventListener('click', () => {
@@ -269,18 +519,62 @@ class UIManager {
     }
   }
 
+  /**
+   * URLのクエリパラメータからレベルのシード値を取得
+   * 同じシードを共有すれば複数人が同じコースをプレイできる
+   * @returns {number|null} 正規化されたシード値（未指定または無効な場合はnull）
+   */
+  getSeedFromURL() {
+    const seedParam = new URLSearchParams(window.location.search).get('seed');
+    if (seedParam === null) {
+      return null;
+    }
+    
+    try {
+      return SeededRandom.normalizeSeed(seedParam);
+    } catch (error) {
+      console.warn('Invalid seed parameter ignored:', seedParam);
+      return null;
+    }
+  }
+
   /**
    * ゲームを開始
    * @param {string} difficulty - 選択された難易度
+   * @param {Object} rival - 一緒に走らせるゴースト（オプション）
+   * @param {Replay} rival.replay - ゴーストのリプレイ（そのリプレイのコースでプレイする）
+   * @param {string} rival.label - ゴーストのラベル
    */
-  startGame(difficulty) {
+  startGame(difficulty, rival = null) {
     // 既存のゲームマネージャーを破棄
     if (this.gameManager) {
       this.gameManager.destroy();
     }
+    this.campaign = null;
+    
+    // 新しいプレイを始めたら以前に保存したプレイは再開できなくなる
+    this.savedRunStore.clear();
+    
+    // 新しいゲームマネージャーを作成（ゴーストまたはURLでシード指定時はそのコースを使用）
+    // ゴーストと競争する場合はゴーストと同じモード・移動モデルでプレイする
+    const seed = rival ? rival.replay.seed : this.levelSeed;
+    const options = {
+      mode: rival ? rival.replay.mode : this.selectedMode,
+      movement: rival ? rival.replay.movement : this.selectedMovement
+    };
+    if (seed !== null) {
+      options.seed = seed;
+    }
+    if (rival && rival.replay.layout) {
+      options.layout = rival.replay.layout;
+    }
+    if (difficulty === LevelGenerator.CUSTOM_DIFFICULTY) {
+      options.profile = rival ? rival.replay.profile : this.selectedProfile;
+    }
+    this.gameManager = new GameManager(this.canvas, difficulty, options);
     
-    // 新しいゲームマネージャーを作成
-    this.gameManager = new GameManager(this.canvas, difficulty);
+    // ゴーストを追加
+    this.addGhosts(rival);
     
     // ゲーム画面に切り替え
     this.showScreen('game');
@@ -296,180 +590,1735 @@ class UIManager {
   }
 
   /**
-   * ゲームを再スタート
-   * 要件 4.3: 再スタートボタンクリック時の全ゲーム状態リセット
+   * 現在のコースのゴーストを追加
+   * 指定されたゴーストに加えて、このコースの自己ベストがあれば一緒に走らせる
+   * @param {Object} rival - 指定されたゴースト（{ replay, label }、オプション）
    */
-  restartGame() {
-    // 入力フィールドをクリア
-    document.getElementById('player-name').value = '';
-    document.getElementById('player-name-victory').value = '';
-    document.getElementById('name-error').textContent = '';
-    document.getElementById('name-error-victory').textContent = '';
+  addGhosts(rival = null) {
+    const gameManager = this.gameManager;
+    const bestReplay = this.ghostStore.getPersonalBest(
+      gameManager.getDifficulty(),
+      gameManager.getSeed(),
+      this.canvas.width,
+      this.canvas.height,
+      gameManager.getMode(),
+      gameManager.getProfileHash(),
+      gameManager.getMovement()
+    );
     
-    // ボタンを再有効化
-    document.getElementById('submit-score-btn').disabled = false;
-    document.getElementById('submit-score-btn-victory').disabled = false;
+    const ghosts = rival ? [rival] : [];
+    if (bestReplay && (!rival || bestReplay.serialize() !== rival.replay.serialize())) {
+      ghosts.push({ replay: bestReplay, label: 'PB' });
+    }
     
-    // メニュー画面に戻る
-    this.showScreen('menu');
+    ghosts.forEach(ghost => {
+      try {
+        gameManager.addGhost(ghost.replay, ghost.label);
+      } catch (error) {
+        console.warn('Skipping ghost:', error.message);
+      }
+    });
+  }
+
+  /**
+   * ゴーストと競争する
+   * リプレイと同じコースで、そのリプレイをゴーストとして走らせる
+   * @param {Replay} replay - ゴーストにするプレイ
+   * @param {string} label - ゴーストのラベル
+   */
+  raceGhost(replay, label) {
+    if (replay.width !== this.canvas.width || replay.height !== this.canvas.height) {
+      throw new Error('Replay was recorded on a different canvas size');
+    }
     
-    // ゲームマネージャーを破棄
+    // 入力欄やリプレイ再生を初期状態に戻してから開始
+    this.restartGame();
+    this.startGame(replay.difficulty, { replay, label });
+  }
+
+  /**
+   * キャンペーンを開始
+   * 最初のステージから始めた場合のみ合計タイムが自己ベストとして記録される
+   * @param {number} stageIndex - 開始するステージ（解放済みのステージのみ）
+   */
+  startCampaign(stageIndex = 0) {
+    if (!this.campaignStore.isUnlocked(stageIndex)) {
+      return;
+    }
+    
+    this.stopReplay();
+    this.savedRunStore.clear();
+    this.campaign = new Campaign();
+    this.campaign.start(stageIndex);
+    this.startCampaignStage();
+  }
+
+  /**
+   * 保存したプレイを再開する
+   * 保存時のティックまで早送りした一時停止状態から始まり、SPACEキーで続きをプレイできる。
+   * 再開したプレイはランキングに登録できない
+   */
+  continueSavedRun() {
+    const saved = this.savedRunStore.load();
+    if (!saved) {
+      this.updateContinueButton();
+      return;
+    }
+    
+    this.stopReplay();
     if (this.gameManager) {
       this.gameManager.destroy();
       this.gameManager = null;
     }
+    
+    try {
+      const replay = Replay.deserialize(saved.run.replay);
+      if (replay.width !== this.canvas.width || replay.height !== this.canvas.height) {
+        throw new Error('Saved run was played on a different canvas size');
+      }
+      
+      // キャンペーンの場合は保存したステージのコースであることも確認
+      const campaign = saved.campaign ? Campaign.fromJSON(saved.campaign) : null;
+      if (campaign) {
+        const stage = campaign.getCurrentStage();
+        if (stage.difficulty !== replay.difficulty || stage.seed !== replay.seed) {
+          throw new Error('Saved run does not match the campaign stage');
+        }
+      }
+      
+      this.gameManager = new GameManager(this.canvas, replay.difficulty, this.getReplayGameOptions(replay));
+      this.campaign = campaign;
+      if (!campaign) {
+        this.addGhosts();
+      }
+      this.gameManager.restoreRun(saved.run);
+    } catch (error) {
+      console.warn('Discarding saved run:', error.message);
+      this.savedRunStore.clear();
+      if (this.gameManager) {
+        this.gameManager.destroy();
+        this.gameManager = null;
+      }
+      this.campaign = null;
+      this.updateContinueButton();
+      return;
+    }
+    
+    this.showScreen('game');
+    const campaign = this.campaign;
+    document.getElementById('difficulty-value').textContent = campaign ?
+      `ステージ ${campaign.getCurrentStageIndex() + 1}/${campaign.getStageCount()} - ${campaign.getCurrentStage().name}` :
+      this.getDifficultyDisplayName(this.gameManager.getDifficulty());
+    const stageTime = this.gameManager.getCurrentScore();
+    document.getElementById('timer-value').textContent =
+      this.formatScore(campaign ? campaign.getTotalTime(stageTime) : stageTime, this.gameManager.getMode());
+    
+    this.startGameStateMonitoring();
   }
 
   /**
-   * 画面を表示
-   * @param {string} screenName - 表示する画面名
+   * 途中のプレイを保存（一時停止時とページを閉じる時）
+   * リプレイ再生中や終了したプレイは保存しない
    */
-  showScreen(screenName) {
-    // すべての画面を非表示
-    Object.values(this.screens).forEach(screen => {
-      screen.classList.remove('active');
-    });
+  saveRun() {
+    if (!this.gameManager || this.replayPlayer || this.onlineRace) {
+      return;
+    }
     
-    // 指定された画面を表示
-    if (this.screens[screenName]) {
-      this.screens[screenName].classList.add('active');
+    const run = this.gameManager.getSaveState();
+    if (run) {
+      this.savedRunStore.save(run, this.campaign ? this.campaign.toJSON() : null);
     }
   }
 
   /**
-   * ゲーム状態の監視を開始
+   * キャンペーンの現在のステージを開始
    */
-  startGameStateMonitoring() {
-    const monitorInterval = setInterval(() => {
-      if (!this.gameManager) {
-        clearInterval(monitorInterval);
-        return;
-      }
-      
-      const state = this.gameManager.getCurrentState();
-      
-      // タイマー表示を更新
-      if (state === 'playing') {
-        const currentTime = this.gameManager.getCurrentScore();
-        document.getElementById('timer-value').textContent = (currentTime / 1000).toFixed(2);
-      }
-      
-      // ゲーム終了状態をチェック
-      if (state === 'gameover') {
-        clearInterval(monitorInterval);
-        this.showGameOverScreen();
-      } else if (state === 'victory') {
-        clearInterval(monitorInterval);
-        this.showVictoryScreen();
+  startCampaignStage() {
+    if (this.gameManager) {
+      this.gameManager.destroy();
+    }
+    
+    const campaign = this.campaign;
+    const stage = campaign.getCurrentStage();
+    this.gameManager = new GameManager(this.canvas, stage.difficulty, Campaign.getGameOptions(stage));
+    
+    this.showScreen('game');
+    document.getElementById('difficulty-value').textContent =
+      `ステージ ${campaign.getCurrentStageIndex() + 1}/${campaign.getStageCount()} - ${stage.name}`;
+    
+    this.gameManager.startGame();
+    this.startGameStateMonitoring();
+  }
+
+  /**
+   * キャンペーンのステージクリア時の処理
+   * スプリットタイムを記録して次のステージを解放し、勝利画面を出さずに次のステージへ進む
+   */
+  handleCampaignStageClear() {
+    const campaign = this.campaign;
+    const stageTime = this.gameManager.getCurrentScore();
+    this.campaignStore.recordStage(campaign.getCurrentStageIndex(), campaign.getCurrentStage().id, stageTime);
+    
+    if (!campaign.completeStage(stageTime)) {
+      const isBest = this.campaignStore.recordRun(campaign);
+      this.showCampaignScreen(isBest ?
+        'キャンペーン完走！自己ベスト更新！ / Campaign complete! New best!' :
+        'キャンペーン完走！ / Campaign complete!');
+      return;
+    }
+    
+    // 勝利アニメーションを見せてから次のステージへ（その間にメニューへ戻った場合は何もしない）
+    setTimeout(() => {
+      if (this.campaign === campaign) {
+        this.startCampaignStage();
       }
-    }, 100); // 100msごとに更新（要件 3.2）
+    }, 1000);
   }
 
   /**
-   * ゲームオーバー画面を表示
+   * キャンペーン中のゲームオーバー時の処理
+   * 壁に触れた時点でそのキャンペーンは終了する
    */
-  showGameOverScreen() {
-    const finalTime = this.gameManager.getCurrentScore();
-    document.getElementById('gameover-time').textContent = (finalTime / 1000).toFixed(2);
-    this.showScreen('gameover');
+  handleCampaignGameOver() {
+    const stage = this.campaign.getCurrentStage();
+    this.showCampaignScreen(`${stage.name} で失敗しました / Failed at ${stage.name}`);
   }
 
   /**
-   * 勝利画面を表示
+   * キャンペーン画面を表示
+   * @param {string} message - 画面上部に表示するメッセージ（オプション）
    */
-  showVictoryScreen() {
-    const finalTime = this.gameManager.getCurrentScore();
-    document.getElementById('victory-time').textContent = (finalTime / 1000).toFixed(2);
-    this.showScreen('victory');
+  showCampaignScreen(message = '') {
+    this.renderCampaignScreen(message);
+    this.showScreen('campaign');
   }
 
   /**
-   * スコアを送信
-   * 要件 6.1: ゲーム完了時のバックエンドサービスへのスコアデータ送信
-   * 要件 8.6: 有効な名前をスコア送信に含める
+   * キャンペーン画面を描画
+   * 直前のキャンペーンのスプリットタイムと、ステージ一覧（解放状況・ベストタイム）を表示する
+   * @param {string} message - 画面上部に表示するメッセージ
    */
-  async submitScore(playerName, score, difficulty) {
-    // ローディング状態を表示
-    this.showLoadingState('スコアを送信中... / Submitting score...');
+  renderCampaignScreen(message) {
+    const screen = this.screens.campaign;
+    screen.innerHTML = '';
     
-    try {
-      await this.apiClient.submitScore(playerName, score, difficulty);
+    const title = document.createElement('h2');
+    title.textContent = 'キャンペーン / Campaign';
+    screen.appendChild(title);
+    
+    if (message) {
+      const messageElement = document.createElement('p');
+      messageElement.className = 'campaign-message';
+      messageElement.textContent = message;
+      screen.appendChild(messageElement);
+    }
+    
+    const formatTime = time => (time / 1000).toFixed(2);
+    const stages = this.campaign ? this.campaign.getStages() : Campaign.STAGES;
+    
+    // 直前のキャンペーンのスプリットタイム
+    if (this.campaign && this.campaign.getSplits().length > 0) {
+      const splitList = document.createElement('ol');
+      splitList.className = 'campaign-splits';
+      this.campaign.getSplits().forEach(split => {
+        const stage = stages.find(s => s.id === split.stageId);
+        const item = document.createElement('li');
+        item.textContent = `${stage.name}: ${formatTime(split.time)}s`;
+        splitList.appendChild(item);
+      });
+      screen.appendChild(splitList);
       
-      // 成功後にリーダーボードを更新
-      await this.refreshLeaderboardAfterSubmission(difficulty);
+      const total = document.createElement('p');
+      total.className = 'campaign-total';
+      total.textContent = `合計 / Total: ${formatTime(this.campaign.getTotalTime())}s`;
+      screen.appendChild(total);
+    }
+    
+    const bestTotal = this.campaignStore.getBestTotal();
+    if (bestTotal !== null) {
+      const best = document.createElement('p');
+      best.className = 'campaign-best';
+      best.textContent = `ベスト / Best: ${formatTime(bestTotal)}s`;
+      screen.appendChild(best);
+    }
+    
+    // ステージ選択（解放済みのステージのみプレイ可能）
+    const stageList = document.createElement('div');
+    stageList.className = 'campaign-stages';
+    stages.forEach((stage, index) => {
+      const row = document.createElement('div');
+      row.className = 'campaign-stage';
       
-    } catch (error) {
-      // APIエラーを適切なメッセージに変換
-      if (error.message.includes('Network')) {
-        throw new Error('ネットワークエラーです。接続を確認してください。 / Network error. Please check your connection.');
-      } else if (error.message.includes('timeout')) {
-        throw new Error('リクエストがタイムアウトしました。再試行してください。 / Request timed out. Please try again.');
-      } else if (error.message.includes('5')) {
-        throw new Error('サーバーエラーです。スコアは保存されませんでした。 / Server error. Your score was not saved.');
+      const bestSplit = this.campaignStore.getBestSplit(stage.id);
+      const label = document.createElement('span');
+      label.textContent = `${index + 1}. ${stage.name} (${this.getDifficultyDisplayName(stage.difficulty)})` +
+        (bestSplit !== null ? ` - ${formatTime(bestSplit)}s` : '');
+      row.appendChild(label);
+      
+      if (this.campaignStore.isUnlocked(index)) {
+        row.appendChild(this.createActionButton('プレイ / Play', '#00b894', () => {
+          this.startCampaign(index);
+        }));
       } else {
-        throw new Error('スコアの送信に失敗しました。 / Failed to submit score.');
+        const locked = document.createElement('span');
+        locked.textContent = ' 🔒';
+        row.appendChild(locked);
       }
-    } finally {
-      // ローディング状態を非表示
-      this.hideLoadingState();
-    }
+      
+      stageList.appendChild(row);
+    });
+    screen.appendChild(stageList);
+    
+    screen.appendChild(this.createActionButton('メニューに戻る / Back to Menu', '#636e72', () => {
+      this.restartGame();
+    }));
   }
 
   /**
-   * リーダーボードを表示
-   * @param {string} difficulty - 表示する難易度（オプション）
+   * カスタム難易度画面を作成し、メニュー画面にカスタム難易度ボタンを追加
+   * 通路幅・速度・ウェイポイント数・カーブの揺らぎ・壁の厚さを編集してローカルに保存できる
    */
-  async showLeaderboard(difficulty = 'easy') {
-    this.showScreen('leaderboard');
+  setupProfileEvents() {
+    const profileScreen = document.createElement('div');
+    profileScreen.id = 'profile-screen';
+    profileScreen.className = 'screen';
+    document.getElementById('game-container').appendChild(profileScreen);
+    this.screens.profile = profileScreen;
     
-    // 指定された難易度のタブをアクティブにする
-    const tabButtons = document.querySelectorAll('.tab-btn');
-    tabButtons.forEach(btn => {
-      btn.classList.remove('active');
-      if (btn.dataset.difficulty === difficulty) {
-        btn.classList.add('active');
-      }
+    const profileBtn = this.createActionButton('カスタム難易度 / Custom Difficulty', '#6c5ce7', () => {
+      this.showProfileScreen();
     });
+    profileBtn.id = 'profile-btn';
     
-    // 指定された難易度のリーダーボードを表示
-    this.loadLeaderboard(difficulty);
+    const campaignBtn = document.getElementById('campaign-btn');
+    campaignBtn.parentNode.insertBefore(profileBtn, campaignBtn.nextSibling);
   }
 
   /**
-   * 指定された難易度のリーダーボードを読み込み
-   * @param {string} difficulty - 難易度
+   * 2人対戦の結果画面を作成し、メニュー画面に2人対戦ボタンを追加
+   * 1台のキーボード（P1: 矢印キー、P2: WASD）またはゲームパッド2台で同じコースを走り、先にゴールした方が勝ち
    */
-  async loadLeaderboard(difficulty) {
-    // ローディング状態を表示
-    this.showLoadingState('リーダーボードを読み込み中... / Loading leaderboard...');
+  setupRaceEvents() {
+    const raceScreen = document.createElement('div');
+    raceScreen.id = 'race-screen';
+    raceScreen.className = 'screen';
+    document.getElementById('game-container').appendChild(raceScreen);
+    this.screens.race = raceScreen;
     
-    try {
-      const leaderboard = await this.apiClient.getLeaderboard(difficulty, 10);
-      this.displayLeaderboard(leaderboard);
-    } catch (error) {
-      console.error('Failed to load leaderboard:', error);
-      // エラー時は空のテーブルを表示
-      this.displayLeaderboard([]);
-    } finally {
-      // ローディング状態を非表示
-      this.hideLoadingState();
-    }
+    const raceBtn = this.createActionButton('2人対戦 / 2P Race', '#fdcb6e', () => {
+      this.startRace(this.selectedDifficulty || 'medium');
+    });
+    raceBtn.id = 'race-btn';
+    
+    const profileBtn = document.getElementById('profile-btn');
+    profileBtn.parentNode.insertBefore(raceBtn, profileBtn.nextSibling);
   }
 
   /**
-   * スコア送信後にリーダーボードを更新
-   * @param {string} difficulty - 難易度
+   * 2人対戦を開始
+   * 対戦はclassicモードのみで、リプレイ・ゴースト・スコア送信・途中保存の対象外
+   * @param {string} difficulty - 難易度（メニューで未選択の場合は'medium'）
    */
-  async refreshLeaderboardAfterSubmission(difficulty) {
-    try {
+  startRace(difficulty) {
+    if (this.gameManager) {
+      this.gameManager.destroy();
+    }
+    this.stopReplay();
+    this.campaign = null;
+    
+    const options = { mode: 'classic', players: 2 };
+    if (this.levelSeed !== null) {
+      options.seed = this.levelSeed;
+    }
+    if (difficulty === LevelGenerator.CUSTOM_DIFFICULTY) {
+      options.profile = this.selectedProfile;
+    }
+    this.gameManager = new GameManager(this.canvas, difficulty, options);
+    
+    this.showScreen('game');
+    document.getElementById('difficulty-value').textContent =
+      `2人対戦 / 2P Race - ${this.getDifficultyDisplayName(difficulty)}`;
+    
+    this.gameManager.startGame();
+    this.startGameStateMonitoring();
+  }
+
+  /**
+   * 2人対戦の結果画面を表示
+   * 勝者とゴールタイム（全員が脱落した場合は引き分け）と、同じ難易度での再戦ボタンを表示する
+   */
+  showRaceResultScreen() {
+    const screen = this.screens.race;
+    const gameManager = this.gameManager;
+    const winner = gameManager.getWinner();
+    screen.innerHTML = '';
+    
+    const title = document.createElement('h2');
+    title.textContent = winner !== null ?
+      `P${winner + 1} の勝ち！ / P${winner + 1} wins!` :
+      '引き分け（全員脱落） / Draw - everyone crashed';
+    screen.appendChild(title);
+    
+    if (winner !== null) {
+      const time = document.createElement('p');
+      time.className = 'race-time';
+      time.textContent = `タイム / Time: ${(gameManager.getCurrentScore() / 1000).toFixed(2)}s`;
+      screen.appendChild(time);
+    }
+    
+    const difficulty = gameManager.getDifficulty();
+    screen.appendChild(this.createActionButton('再戦 / Rematch', '#fdcb6e', () => {
+      this.startRace(difficulty);
+    }));
+    screen.appendChild(this.createActionButton('メニューに戻る / Back to Menu', '#636e72', () => {
+      this.restartGame();
+    }));
+    
+    this.showScreen('race');
+  }
+
+  /**
+   * オンライン対戦画面を作成し、メニュー画面にオンライン対戦ボタンを追加
+   * 部屋コードで同じ部屋に入ったプレイヤー同士が、同じコースを同時にスタートしてゴールタイムを競う
+   */
+  setupOnlineRaceEvents() {
+    const onlineScreen = document.createElement('div');
+    onlineScreen.id = 'online-screen';
+    onlineScreen.className = 'screen';
+    document.getElementById('game-container').appendChild(onlineScreen);
+    this.screens.online = onlineScreen;
+    
+    const onlineBtn = this.createActionButton('オンライン対戦 / Online Race', '#00cec9', () => {
+      this.showOnlineScreen();
+    });
+    onlineBtn.id = 'online-btn';
+    
+    const raceBtn = document.getElementById('race-btn');
+    raceBtn.parentNode.insertBefore(onlineBtn, raceBtn.nextSibling);
+  }
+
+  /**
+   * オンライン対戦画面を表示
+   * @param {string} message - 画面上部に表示するメッセージ（オプション）
+   */
+  showOnlineScreen(message = '') {
+    this.renderOnlineScreen(message);
+    this.showScreen('online');
+  }
+
+  /**
+   * オンライン対戦画面を描画
+   * 部屋に入る前は部屋コードと名前の入力欄、部屋に入った後は参加者一覧・カウントダウン・順位を表示する
+   * @param {string} message - 画面上部に表示するメッセージ
+   */
+  renderOnlineScreen(message) {
+    const screen = this.screens.online;
+    screen.innerHTML = '';
+    
+    const title = document.createElement('h2');
+    const room = this.raceClient ? this.raceClient.getRoom() : null;
+    title.textContent = room ? `オンライン対戦 / Online Race - ${room}` : 'オンライン対戦 / Online Race';
+    screen.appendChild(title);
+    
+    if (message) {
+      const messageElement = document.createElement('p');
+      messageElement.className = 'online-message';
+      messageElement.textContent = message;
+      screen.appendChild(messageElement);
+    }
+    
+    if (!room) {
+      // 部屋コードと名前を入力して参加（同じコードを入力した人と同じ部屋に入る）
+      const roomInput = document.createElement('input');
+      roomInput.type = 'text';
+      roomInput.id = 'online-room';
+      roomInput.placeholder = '部屋コード / Room code';
+      roomInput.maxLength = 8;
+      screen.appendChild(roomInput);
+      
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.id = 'online-name';
+      nameInput.placeholder = '名前 / Name';
+      nameInput.maxLength = 20;
+      screen.appendChild(nameInput);
+      
+      screen.appendChild(this.createActionButton('参加 / Join', '#00cec9', () => {
+        this.joinOnlineRoom(roomInput.value, nameInput.value);
+      }));
+    } else {
+      if (this.onlineCountdown !== null) {
+        const countdown = document.createElement('p');
+        countdown.className = 'online-countdown';
+        countdown.style.fontSize = '48px';
+        countdown.textContent = String(this.onlineCountdown);
+        screen.appendChild(countdown);
+      }
+      
+      // 直前のレースの順位（ゴールタイム順）
+      if (this.onlineResults) {
+        const results = document.createElement('ol');
+        results.className = 'online-results';
+        this.onlineResults.forEach(result => {
+          const item = document.createElement('li');
+          item.textContent = `${result.name}: ${this.getOnlineResultText(result)}`;
+          results.appendChild(item);
+        });
+        screen.appendChild(results);
+      }
+      
+      // 参加者一覧（レース中はゴール・脱落の状況）
+      const playerList = document.createElement('ul');
+      playerList.className = 'online-players';
+      this.onlinePlayers.forEach(player => {
+        const item = document.createElement('li');
+        const you = player.id === this.raceClient.getPlayerId() ? ' (あなた / you)' : '';
+        const host = player.host ? ' ★' : '';
+        item.textContent = `${player.name}${host}${you} - ${this.getOnlineResultText(player)}`;
+        playerList.appendChild(item);
+      });
+      screen.appendChild(playerList);
+      
+      // ホストはメニューで選択中の難易度でレースを開始できる
+      const isHost = this.onlinePlayers.some(player => player.host && player.id === this.raceClient.getPlayerId());
+      if (isHost && !this.onlineRace && this.onlineCountdown === null) {
+        const difficulty = this.selectedDifficulty || 'medium';
+        screen.appendChild(this.createActionButton(
+          `スタート / Start (${this.getDifficultyDisplayName(difficulty)})`, '#00b894', () => {
+            this.raceClient.startRace(difficulty);
+          }));
+      }
+    }
+    
+    screen.appendChild(this.createActionButton('メニューに戻る / Back to Menu', '#636e72', () => {
+      this.restartGame();
+    }));
+  }
+
+  /**
+   * オンライン対戦の参加者の状況を表示用の文字列に変換
+   * @param {Object} player - 参加者一覧または順位表の項目（{ status, time }）
+   * @returns {string} 状況
+   */
+  getOnlineResultText(player) {
+    switch (player.status) {
+      case 'finished':
+        return `${(player.time / 1000).toFixed(2)}s`;
+      case 'crashed':
+        return '脱落 / Crashed';
+      case 'dnf':
+        return '時間切れ / Time up';
+      case 'racing':
+        return 'レース中 / Racing';
+      default:
+        return '待機中 / Waiting';
+    }
+  }
+
+  /**
+   * 部屋サーバーに接続してオンライン対戦の部屋に参加
+   * @param {string} room - 部屋コード
+   * @param {string} name - プレイヤー名
+   */
+  async joinOnlineRoom(room, name) {
+    let playerName;
+    try {
+      playerName = sanitizeName(name);
+      validateNameLength(playerName);
+    } catch (error) {
+      this.renderOnlineScreen(error.message);
+      return;
+    }
+    
+    if (!this.raceClient) {
+      this.raceClient = this.createRaceClient();
+    }
+    
+    try {
+      await this.raceClient.connect();
+    } catch (error) {
+      this.raceClient = null;
+      this.renderOnlineScreen(`部屋サーバーに接続できませんでした / ${error.message}`);
+      return;
+    }
+    
+    this.onlineResults = null;
+    this.raceClient.join(room, playerName);
+  }
+
+  /**
+   * 部屋サーバーとの接続を作成し、サーバーからのメッセージを画面とゲームに反映する
+   * @returns {RaceClient} 接続
+   */
+  createRaceClient() {
+    const client = new RaceClient(this.raceServerUrl);
+    const refresh = (message = '') => {
+      if (this.screens.online.classList.contains('active')) {
+        this.renderOnlineScreen(message);
+      }
+    };
+    
+    client.on('joined', ({ players }) => {
+      this.onlinePlayers = players;
+      this.showOnlineScreen();
+    });
+    
+    client.on('players', ({ players }) => {
+      this.onlinePlayers = players;
+      
+      // レース中は他のプレイヤーの名前とゴール・脱落をゲーム画面にも反映
+      if (this.onlineRace && this.gameManager) {
+        players.forEach(player => {
+          if (player.id !== client.getPlayerId()) {
+            this.gameManager.setRemotePlayer(player.id, { name: player.name, status: player.status });
+          }
+        });
+      }
+      refresh();
+    });
+    
+    client.on('race', ({ seed, difficulty, countdown }) => {
+      this.onlineResults = null;
+      this.onlineCountdown = countdown;
+      this.onlineRace = { seed, difficulty, detach: null };
+      this.showOnlineScreen();
+    });
+    
+    client.on('countdown', ({ remaining }) => {
+      this.onlineCountdown = remaining;
+      refresh();
+    });
+    
+    client.on('go', () => {
+      this.onlineCountdown = null;
+      this.startOnlineGame();
+    });
+    
+    client.on('state', ({ playerId, x, y, direction }) => {
+      if (this.onlineRace && this.gameManager) {
+        this.gameManager.setRemotePlayer(playerId, { x, y, direction });
+      }
+    });
+    
+    client.on('results', ({ results }) => {
+      this.finishOnlineRace();
+      this.onlineResults = results;
+      // 自分がまだ走っている間は結果画面に切り替えない（ゲーム終了時にこの画面に戻る）
+      refresh();
+    });
+    
+    client.on('error', ({ message }) => {
+      refresh(message);
+    });
+    
+    client.on('close', () => {
+      this.finishOnlineRace();
+      this.raceClient = null;
+      this.onlinePlayers = [];
+      this.onlineCountdown = null;
+      refresh('部屋サーバーとの接続が切れました / Disconnected from the race server');
+    });
+    
+    return client;
+  }
+
+  /**
+   * オンライン対戦のレースを開始（全員同時）
+   * 部屋から送られたシード値・難易度のclassicモードで走り、状態スナップショットを部屋に送る
+   */
+  startOnlineGame() {
+    if (!this.onlineRace) {
+      return;
+    }
+    
+    if (this.gameManager) {
+      this.gameManager.destroy();
+    }
+    this.stopReplay();
+    this.campaign = null;
+    
+    // 部屋は各プレイヤーのティック数で順位を決めるため、一時停止（自動一時停止を含む）はできない
+    const { seed, difficulty } = this.onlineRace;
+    this.gameManager = new GameManager(this.canvas, difficulty, { seed, mode: 'classic', pausable: false });
+    this.onlineRace.detach = this.raceClient.attachGame(this.gameManager);
+    this.onlinePlayers.forEach(player => {
+      if (player.id !== this.raceClient.getPlayerId()) {
+        this.gameManager.setRemotePlayer(player.id, { name: player.name, status: player.status });
+      }
+    });
+    
+    this.showScreen('game');
+    document.getElementById('difficulty-value').textContent =
+      `オンライン対戦 / Online Race - ${this.getDifficultyDisplayName(difficulty)}`;
+    
+    this.gameManager.startGame();
+    this.startGameStateMonitoring();
+  }
+
+  /**
+   * オンライン対戦のレースの送信を止める（結果発表・切断・退出時）
+   */
+  finishOnlineRace() {
+    if (this.onlineRace && this.onlineRace.detach) {
+      this.onlineRace.detach();
+    }
+    this.onlineRace = null;
+  }
+
+  /**
+   * オンライン対戦の部屋から退出して接続を閉じる
+   */
+  leaveOnlineRoom() {
+    this.finishOnlineRace();
+    if (this.raceClient) {
+      const client = this.raceClient;
+      this.raceClient = null;
+      client.close();
+    }
+    this.onlinePlayers = [];
+    this.onlineResults = null;
+    this.onlineCountdown = null;
+  }
+
+  /**
+   * カスタム難易度画面を表示
+   * @param {string} message - 画面上部に表示するメッセージ（オプション）
+   */
+  showProfileScreen(message = '') {
+    this.renderProfileScreen(message);
+    this.showScreen('profile');
+  }
+
+  /**
+   * カスタム難易度画面を描画
+   * 編集中のプロファイル（各項目のスライダーとハッシュ）と保存済みプロファイルの一覧を表示する
+   * @param {string} message - 画面上部に表示するメッセージ
+   */
+  renderProfileScreen(message) {
+    const screen = this.screens.profile;
+    screen.innerHTML = '';
+    
+    const title = document.createElement('h2');
+    title.textContent = 'カスタム難易度 / Custom Difficulty';
+    screen.appendChild(title);
+    
+    if (message) {
+      const messageElement = document.createElement('p');
+      messageElement.className = 'profile-message';
+      messageElement.textContent = message;
+      screen.appendChild(messageElement);
+    }
+    
+    // プロファイル名
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.id = 'profile-name';
+    nameInput.placeholder = 'プロファイル名 / Profile name';
+    nameInput.maxLength = ProfileStore.MAX_NAME_LENGTH;
+    nameInput.value = this.editingProfileName;
+    nameInput.addEventListener('input', () => {
+      this.editingProfileName = nameInput.value;
+    });
+    screen.appendChild(nameInput);
+    
+    // 同じ値のプロファイルは同じハッシュ（同じリーダーボード）になる
+    const hashElement = document.createElement('p');
+    hashElement.className = 'profile-hash';
+    const updateHash = () => {
+      hashElement.textContent = `プロファイルID / Profile ID: ${LevelGenerator.getProfileHash(this.editingProfile)}`;
+    };
+    
+    // 各項目のスライダー（範囲はLevelGenerator.PROFILE_LIMITS）
+    const editor = document.createElement('div');
+    editor.className = 'profile-editor';
+    LevelGenerator.PROFILE_FIELDS.forEach(field => {
+      const limits = LevelGenerator.PROFILE_LIMITS[field];
+      const row = document.createElement('label');
+      row.className = 'profile-field';
+      row.style.display = 'block';
+      
+      const label = document.createElement('span');
+      label.textContent = `${this.getProfileFieldDisplayName(field)}: `;
+      
+      const value = document.createElement('span');
+      value.textContent = this.editingProfile[field];
+      
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.name = field;
+      slider.min = limits.min;
+      slider.max = limits.max;
+      slider.step = 1;
+      slider.value = this.editingProfile[field];
+      slider.addEventListener('input', () => {
+        this.editingProfile[field] = parseInt(slider.value, 10);
+        value.textContent = this.editingProfile[field];
+        updateHash();
+      });
+      
+      row.appendChild(label);
+      row.appendChild(slider);
+      row.appendChild(value);
+      editor.appendChild(row);
+    });
+    screen.appendChild(editor);
+    
+    updateHash();
+    screen.appendChild(hashElement);
+    
+    screen.appendChild(this.createActionButton('保存 / Save', '#00b894', () => {
+      try {
+        const saved = this.profileStore.saveProfile(this.editingProfileName, this.editingProfile);
+        this.renderProfileScreen(`「${saved.name}」を保存しました / Saved "${saved.name}"`);
+      } catch (error) {
+        this.renderProfileScreen(error.message);
+      }
+    }));
+    screen.appendChild(this.createActionButton('この設定でプレイ / Play', '#6c5ce7', () => {
+      this.startCustomGame(this.editingProfile);
+    }));
+    
+    // 保存済みプロファイル
+    const profileList = document.createElement('div');
+    profileList.className = 'profile-list';
+    this.profileStore.getProfiles().forEach(({ name, profile }) => {
+      const row = document.createElement('div');
+      row.className = 'profile-entry';
+      
+      const label = document.createElement('span');
+      label.textContent = `${name} (${LevelGenerator.getProfileHash(profile)})`;
+      row.appendChild(label);
+      
+      row.appendChild(this.createActionButton('プレイ / Play', '#00b894', () => {
+        this.startCustomGame(profile);
+      }));
+      row.appendChild(this.createActionButton('編集 / Edit', '#667eea', () => {
+        this.editingProfile = { ...profile };
+        this.editingProfileName = name;
+        this.renderProfileScreen('');
+      }));
+      row.appendChild(this.createActionButton('ランキング / Leaderboard', '#4caf50', () => {
+        this.showLeaderboard(LevelGenerator.CUSTOM_DIFFICULTY, this.leaderboardMode, LevelGenerator.getProfileHash(profile));
+      }));
+      row.appendChild(this.createActionButton('削除 / Delete', '#f5576c', () => {
+        this.profileStore.deleteProfile(name);
+        this.renderProfileScreen('');
+      }));
+      
+      profileList.appendChild(row);
+    });
+    screen.appendChild(profileList);
+    
+    screen.appendChild(this.createActionButton('メニューに戻る / Back to Menu', '#636e72', () => {
+      this.restartGame();
+    }));
+  }
+
+  /**
+   * レベルエディタ画面を作成し、メニュー画面にレベルエディタボタンを追加
+   * ウェイポイントのドラッグで作ったコースを実際のRendererでプレビューし、その場でテストプレイできる
+   * 操作: ドラッグで移動、ダブルクリックでウェイポイントを追加、右クリックで削除、区間を選んでホイールで通路幅を変更
+   */
+  setupEditorEvents() {
+    const editorScreen = document.createElement('div');
+    editorScreen.id = 'editor-screen';
+    editorScreen.className = 'screen';
+    document.getElementById('game-container').appendChild(editorScreen);
+    this.screens.editor = editorScreen;
+    
+    // コースはゲームと同じ大きさのキャンバスで編集する（コースはキャンバスサイズに対する割合で保存される）
+    const canvas = document.createElement('canvas');
+    canvas.id = 'editor-canvas';
+    canvas.width = this.canvas.width;
+    canvas.height = this.canvas.height;
+    canvas.style.maxWidth = '100%';
+    canvas.style.touchAction = 'none';
+    this.editorCanvas = canvas;
+    this.editorRenderer = new Renderer(canvas);
+    
+    canvas.addEventListener('pointerdown', (event) => {
+      if (event.button !== 0) {
+        return;
+      }
+      const { x, y } = this.getEditorPointer(event);
+      this.levelEditor.startDrag(x, y);
+      if (canvas.setPointerCapture) {
+        canvas.setPointerCapture(event.pointerId);
+      }
+      this.drawEditorPreview();
+    });
+    canvas.addEventListener('pointermove', (event) => {
+      const { x, y } = this.getEditorPointer(event);
+      if (this.levelEditor.dragTo(x, y)) {
+        this.drawEditorPreview();
+      }
+    });
+    canvas.addEventListener('pointerup', () => {
+      this.levelEditor.endDrag();
+      this.renderEditorScreen('');
+    });
+    canvas.addEventListener('dblclick', (event) => {
+      const { x, y } = this.getEditorPointer(event);
+      if (this.levelEditor.hitTest(x, y)) {
+        return;
+      }
+      try {
+        this.levelEditor.addWaypoint(x, y);
+        this.renderEditorScreen('');
+      } catch (error) {
+        this.renderEditorScreen(error.message);
+      }
+    });
+    canvas.addEventListener('contextmenu', (event) => {
+      event.preventDefault();
+      const { x, y } = this.getEditorPointer(event);
+      const handle = this.levelEditor.hitTest(x, y);
+      if (handle && handle.kind === 'waypoint') {
+        this.levelEditor.removeWaypoint(handle.index);
+        this.renderEditorScreen('');
+      } else if (handle) {
+        this.levelEditor.removeObstacle(handle.index);
+        this.renderEditorScreen('');
+      }
+    });
+    canvas.addEventListener('wheel', (event) => {
+      const selected = this.levelEditor.getSelected();
+      if (!selected || selected.kind !== 'segment') {
+        return;
+      }
+      event.preventDefault();
+      this.changeEditorSegmentWidth(event.deltaY < 0 ? LevelEditor.WIDTH_STEP : -LevelEditor.WIDTH_STEP);
+    });
+    
+    const editorBtn = this.createActionButton('コースエディタ / Level Editor', '#a29bfe', () => {
+      this.showEditorScreen();
+    });
+    editorBtn.id = 'editor-btn';
+    
+    const onlineBtn = document.getElementById('online-btn');
+    onlineBtn.parentNode.insertBefore(editorBtn, onlineBtn.nextSibling);
+  }
+
+  /**
+   * ポインターイベントの位置をエディタのキャンバス座標に変換（CSSで縮小表示されている場合も含む）
+   * @param {MouseEvent} event - ポインターイベント
+   * @returns {{x: number, y: number}} キャンバス座標
+   */
+  getEditorPointer(event) {
+    const rect = this.editorCanvas.getBoundingClientRect();
+    const scaleX = rect.width > 0 ? this.editorCanvas.width / rect.width : 1;
+    const scaleY = rect.height > 0 ? this.editorCanvas.height / rect.height : 1;
+    return {
+      x: (event.clientX - rect.left) * scaleX,
+      y: (event.clientY - rect.top) * scaleY
+    };
+  }
+
+  /**
+   * レベルエディタ画面を表示
+   * @param {string} message - 画面上部に表示するメッセージ（オプション）
+   */
+  showEditorScreen(message = '') {
+    if (!this.levelEditor) {
+      this.levelEditor = new LevelEditor(this.canvas.width, this.canvas.height);
+    }
+    this.renderEditorScreen(message);
+    this.showScreen('editor');
+  }
+
+  /**
+   * エディタのキャンバスにコースのプレビューと操作点を描画
+   * プレビューはゲームと同じRendererで、障害物は周期の始まりの位置で描く
+   */
+  drawEditorPreview() {
+    const renderer = this.editorRenderer;
+    const level = this.levelEditor.createLevel(0);
+    
+    renderer.clear();
+    renderer.drawPath(level.getPath(), level.getPathWidths());
+    renderer.drawWalls(level.getWalls());
+    renderer.drawGoal(level.getGoalPosition());
+    
+    const obstaclePolygons = [];
+    level.getObstacles().forEach(obstacle => {
+      obstaclePolygons.push(...obstacle.getPolygonsAt(0));
+    });
+    renderer.drawObstacles(obstaclePolygons);
+    renderer.drawEditorOverlay(this.levelEditor.getOverlay(), LevelEditor.HANDLE_RADIUS);
+  }
+
+  /**
+   * 選択中の区間の通路幅を変更
+   * @param {number} delta - 通路幅の変化量（ピクセル）
+   */
+  changeEditorSegmentWidth(delta) {
+    const selected = this.levelEditor.getSelected();
+    if (!selected || selected.kind !== 'segment') {
+      this.renderEditorScreen('区間を選択してください / Select a segment first');
+      return;
+    }
+    const width = this.levelEditor.getCourse().widths[selected.index];
+    this.levelEditor.setSegmentWidth(selected.index, width + delta);
+    this.renderEditorScreen('');
+  }
+
+  /**
+   * レベルエディタ画面を描画
+   * プレビュー・編集ボタン・検証結果（通れないコースはテストプレイと保存ができない）・保存済みコースの一覧を表示する
+   * @param {string} message - 画面上部に表示するメッセージ
+   */
+  renderEditorScreen(message) {
+    const screen = this.screens.editor;
+    const editor = this.levelEditor;
+    screen.innerHTML = '';
+    
+    const title = document.createElement('h2');
+    title.textContent = 'コースエディタ / Level Editor';
+    screen.appendChild(title);
+    
+    if (message) {
+      const messageElement = document.createElement('p');
+      messageElement.className = 'editor-message';
+      messageElement.textContent = message;
+      screen.appendChild(messageElement);
+    }
+    
+    screen.appendChild(this.editorCanvas);
+    this.drawEditorPreview();
+    
+    const help = document.createElement('p');
+    help.className = 'editor-help';
+    help.textContent = 'ドラッグ: 移動 / ダブルクリック: ウェイポイント追加 / 右クリック: 削除 / ホイール: 区間の通路幅 ' +
+      '- Drag: move / Double-click: add waypoint / Right-click: remove / Wheel: segment width';
+    screen.appendChild(help);
+    
+    // 通れないコース（キャラクターがスタートからゴールまで壁に触れずに進めない）はテストプレイ・保存できない
+    const validation = editor.validate();
+    const status = document.createElement('p');
+    status.className = 'editor-status';
+    status.style.color = validation.valid ? '#00b894' : '#f5576c';
+    status.textContent = validation.valid ?
+      'ゴールまで通れます / The course can be completed' :
+      `通れないコースです / ${validation.reason}`;
+    screen.appendChild(status);
+    
+    // 編集
+    const selected = editor.getSelected();
+    screen.appendChild(this.createActionButton(this.getDifficultyDisplayName(editor.getDifficulty()), '#00b894', () => {
+      const difficulties = LevelGenerator.PRESET_DIFFICULTIES;
+      editor.setDifficulty(difficulties[(difficulties.indexOf(editor.getDifficulty()) + 1) % difficulties.length]);
+      this.renderEditorScreen('');
+    }));
+    const segmentLabel = selected && selected.kind === 'segment' ?
+      ` (${editor.getCourse().widths[selected.index]}px)` :
+      '';
+    screen.appendChild(this.createActionButton(`通路幅 - / Width -${segmentLabel}`, '#636e72', () => {
+      this.changeEditorSegmentWidth(-LevelEditor.WIDTH_STEP);
+    }));
+    screen.appendChild(this.createActionButton(`通路幅 + / Width +${segmentLabel}`, '#636e72', () => {
+      this.changeEditorSegmentWidth(LevelEditor.WIDTH_STEP);
+    }));
+    screen.appendChild(this.createActionButton(`障害物の種類 / Obstacle: ${this.editorObstacleType}`, '#e056fd', () => {
+      const types = Obstacle.TYPES;
+      this.editorObstacleType = types[(types.indexOf(this.editorObstacleType) + 1) % types.length];
+      this.renderEditorScreen('');
+    }));
+    screen.appendChild(this.createActionButton('障害物を追加 / Add Obstacle', '#e056fd', () => {
+      // 選択中の区間（未選択の場合は最初の区間）の中央に置き、ドラッグで動かす
+      const waypoints = editor.getWaypoints();
+      const segment = selected && selected.kind === 'segment' ? selected.index : 0;
+      try {
+        editor.addObstacle(this.editorObstacleType,
+          (waypoints[segment].x + waypoints[segment + 1].x) / 2,
+          (waypoints[segment].y + waypoints[segment + 1].y) / 2);
+        this.renderEditorScreen('');
+      } catch (error) {
+        this.renderEditorScreen(error.message);
+      }
+    }));
+    screen.appendChild(this.createActionButton('選択を削除 / Delete Selected', '#f5576c', () => {
+      editor.removeSelected();
+      this.renderEditorScreen('');
+    }));
+    screen.appendChild(this.createActionButton('新規 / New', '#636e72', () => {
+      this.levelEditor = new LevelEditor(this.canvas.width, this.canvas.height, editor.getDifficulty());
+      this.editingCourseName = '';
+      this.renderEditorScreen('');
+    }));
+    
+    // テストプレイ
+    const testBtn = this.createActionButton('テストプレイ / Test Play', '#6c5ce7', () => {
+      this.startEditorTest();
+    });
+    testBtn.disabled = !validation.valid;
+    screen.appendChild(testBtn);
+    
+    // 保存・書き出し・読み込み
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.id = 'course-name';
+    nameInput.placeholder = 'コース名 / Course name';
+    nameInput.maxLength = CourseStore.MAX_NAME_LENGTH;
+    nameInput.value = this.editingCourseName;
+    nameInput.addEventListener('input', () => {
+      this.editingCourseName = nameInput.value;
+    });
+    screen.appendChild(nameInput);
+    
+    const saveBtn = this.createActionButton('保存 / Save', '#00b894', () => {
+      try {
+        const saved = this.courseStore.saveCourse(this.editingCourseName, editor.getDifficulty(), editor.getCourse());
+        this.renderEditorScreen(`「${saved.name}」を保存しました / Saved "${saved.name}"`);
+      } catch (error) {
+        this.renderEditorScreen(error.message);
+      }
+    });
+    saveBtn.disabled = !validation.valid;
+    screen.appendChild(saveBtn);
+    
+    const exportBtn = this.createActionButton('書き出し / Export', '#667eea', () => {
+      try {
+        this.downloadCourse(this.editingCourseName, editor.getDifficulty(), editor.getCourse());
+      } catch (error) {
+        this.renderEditorScreen(error.message);
+      }
+    });
+    exportBtn.disabled = !validation.valid;
+    screen.appendChild(exportBtn);
+    
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (!file) {
+        return;
+      }
+      
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          const entry = CourseStore.parse(reader.result);
+          this.loadEditorCourse(entry);
+          this.renderEditorScreen(`「${entry.name}」を読み込みました / Imported "${entry.name}"`);
+        } catch (error) {
+          this.renderEditorScreen(`コースを読み込めませんでした / Failed to import course: ${error.message}`);
+        }
+      };
+      reader.readAsText(file);
+    });
+    screen.appendChild(fileInput);
+    screen.appendChild(this.createActionButton('読み込み / Import', '#667eea', () => {
+      fileInput.click();
+    }));
+    
+    // 保存済みコース
+    const courseList = document.createElement('div');
+    courseList.className = 'course-list';
+    this.courseStore.getCourses().forEach(entry => {
+      const row = document.createElement('div');
+      row.className = 'course-entry';
+      
+      const label = document.createElement('span');
+      label.textContent = `${entry.name} (${this.getDifficultyDisplayName(entry.difficulty)})`;
+      row.appendChild(label);
+      
+      row.appendChild(this.createActionButton('編集 / Edit', '#667eea', () => {
+        this.loadEditorCourse(entry);
+        this.renderEditorScreen('');
+      }));
+      row.appendChild(this.createActionButton('削除 / Delete', '#f5576c', () => {
+        this.courseStore.deleteCourse(entry.name);
+        this.renderEditorScreen('');
+      }));
+      
+      courseList.appendChild(row);
+    });
+    screen.appendChild(courseList);
+    
+    screen.appendChild(this.createActionButton('メニューに戻る / Back to Menu', '#636e72', () => {
+      this.restartGame();
+    }));
+  }
+
+  /**
+   * 保存済みまたは読み込んだコースを編集する
+   * @param {{name: string, difficulty: string, course: Object}} entry - コース
+   */
+  loadEditorCourse(entry) {
+    this.levelEditor = new LevelEditor(this.canvas.width, this.canvas.height, entry.difficulty, entry.course);
+    this.editingCourseName = entry.name;
+  }
+
+  /**
+   * 編集中のコースをテストプレイ
+   * メニューで選んだ移動モデルのclassicモードでプレイし、ゴールかゲームオーバーでエディタに戻る。
+   * エディタのコースはリプレイ・ゴースト・スコア送信・途中保存の対象外
+   */
+  startEditorTest() {
+    if (this.gameManager) {
+      this.gameManager.destroy();
+    }
+    this.stopReplay();
+    this.campaign = null;
+    
+    const editor = this.levelEditor;
+    const options = { mode: 'classic', movement: this.selectedMovement, course: editor.getCourse() };
+    if (this.levelSeed !== null) {
+      options.seed = this.levelSeed;
+    }
+    this.gameManager = new GameManager(this.canvas, editor.getDifficulty(), options);
+    this.editorTest = true;
+    
+    this.showScreen('game');
+    document.getElementById('difficulty-value').textContent =
+      `テストプレイ / Test Play - ${this.getDifficultyDisplayName(editor.getDifficulty())}`;
+    
+    this.gameManager.startGame();
+    this.startGameStateMonitoring();
+  }
+
+  /**
+   * テストプレイの終了時の処理
+   * 勝利・ゲームオーバーのアニメーションを見せてから結果を添えてエディタに戻る
+   * @param {string} state - 終了時の状態（'victory'または'gameover'）
+   */
+  handleEditorTestEnd(state) {
+    const gameManager = this.gameManager;
+    const message = state === 'victory' ?
+      `ゴール！ タイム ${(gameManager.getCurrentScore() / 1000).toFixed(2)}秒 / Goal! Time: ${(gameManager.getCurrentScore() / 1000).toFixed(2)}s` :
+      '壁に触れました / You hit a wall';
+    
+    // その間にメニューへ戻った場合は何もしない
+    setTimeout(() => {
+      if (this.gameManager !== gameManager || !this.editorTest) {
+        return;
+      }
+      this.editorTest = false;
+      this.gameManager.destroy();
+      this.gameManager = null;
+      this.showEditorScreen(message);
+    }, 1000);
+  }
+
+  /**
+   * コースをファイルとしてダウンロード
+   * @param {string} name - コース名
+   * @param {string} difficulty - 難易度
+   * @param {Object} course - コース
+   * @throws {Error} コース名・難易度・コースが無効な場合
+   */
+  downloadCourse(name, difficulty, course) {
+    const text = CourseStore.serialize(name, difficulty, course);
+    const blob = new Blob([text], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `iraira-course-${name.trim()}.json`;
+    link.click();
+    
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * カスタム難易度でゲームを開始
+   * @param {Object} profile - 難易度プロファイル
+   */
+  startCustomGame(profile) {
+    this.selectedProfile = { ...profile };
+    this.startGame(LevelGenerator.CUSTOM_DIFFICULTY);
+  }
+
+  /**
+   * ゲームを再スタート
+   * 要件 4.3: 再スタートボタンクリック時の全ゲーム状態リセット
+   */
+  restartGame() {
+    // リプレイ再生とキャンペーン・オンライン対戦・エディタのテストプレイを終了
+    this.stopReplay();
+    this.campaign = null;
+    this.editorTest = false;
+    this.leaveOnlineRoom();
+    
+    // 入力フィールドをクリア
+    document.getElementById('player-name').value = '';
+    document.getElementById('player-name-victory').value = '';
+    document.getElementById('name-error').textContent = '';
+    document.getElementById('name-error-victory').textContent = '';
+    
+    // ボタンを再有効化
+    document.getElementById('submit-score-btn').disabled = false;
+    document.getElementById('submit-score-btn-victory').disabled = false;
+    
+    // メニュー画面に戻る
+    this.showScreen('menu');
+    
+    // ゲームマネージャーを破棄
+    if (this.gameManager) {
+      this.gameManager.destroy();
+      this.gameManager = null;
+    }
+  }
+
+  /**
+   * 画面を表示
+   * @param {string} screenName - 表示する画面名
+   */
+  showScreen(screenName) {
+    // すべての画面を非表示
+    Object.values(this.screens).forEach(screen => {
+      screen.classList.remove('active');
+    });
+    
+    // 指定された画面を表示
+    if (this.screens[screenName]) {
+      this.screens[screenName].classList.add('active');
+    }
+    
+    // メニューに戻ったら再開できるプレイがあるかを反映
+    if (screenName === 'menu') {
+      this.updateContinueButton();
+    }
+  }
+
+  /**
+   * ゲーム状態の監視を開始
+   */
+  startGameStateMonitoring() {
+    // 一時停止するたびに（自動一時停止を含む）途中のプレイを保存
+    this.gameManager.on('pause', () => {
+      this.saveRun();
+    });
+    
+    const monitorInterval = setInterval(() => {
+      if (!this.gameManager) {
+        clearInterval(monitorInterval);
+        return;
+      }
+      
+      const state = this.gameManager.getCurrentState();
+      
+      // タイマー表示を更新（キャンペーン中はクリア済みステージを含めた合計タイム）
+      if (state === 'playing') {
+        const stageTime = this.gameManager.getCurrentScore();
+        const currentTime = this.campaign ? this.campaign.getTotalTime(stageTime) : stageTime;
+        document.getElementById('timer-value').textContent = this.formatScore(currentTime, this.gameManager.getMode());
+      }
+      
+      // ゲーム終了状態をチェック（終了したプレイは再開できない）
+      // 2人対戦・オンライン対戦・エディタのテストプレイは保存されないため、保存済みのプレイはそのまま残す
+      const isVersus = this.gameManager.isRace() || this.raceClient !== null;
+      if ((state === 'gameover' || state === 'victory') && !isVersus && !this.editorTest) {
+        this.savedRunStore.clear();
+      }
+      if ((state === 'gameover' || state === 'victory') && this.editorTest) {
+        clearInterval(monitorInterval);
+        this.handleEditorTestEnd(state);
+      } else if ((state === 'gameover' || state === 'victory') && this.gameManager.isRace()) {
+        clearInterval(monitorInterval);
+        this.showRaceResultScreen();
+      } else if ((state === 'gameover' || state === 'victory') && this.raceClient) {
+        // オンライン対戦は全員が走り終えると部屋から順位が届く
+        clearInterval(monitorInterval);
+        this.showOnlineScreen(this.onlineResults ? '' : '他のプレイヤーを待っています... / Waiting for the other players...');
+      } else if (state === 'gameover') {
+        clearInterval(monitorInterval);
+        if (this.campaign) {
+          this.handleCampaignGameOver();
+        } else {
+          this.showGameOverScreen();
+        }
+      } else if (state === 'victory') {
+        clearInterval(monitorInterval);
+        if (this.campaign) {
+          this.handleCampaignStageClear();
+        } else {
+          this.showVictoryScreen();
+        }
+      }
+    }, 100); // 100msごとに更新（要件 3.2）
+  }
+
+  /**
+   * ゲームオーバー画面を表示
+   */
+  showGameOverScreen() {
+    const finalTime = this.gameManager.getCurrentScore();
+    document.getElementById('gameover-time').textContent = this.formatScore(finalTime, this.gameManager.getMode());
+    this.showReplayButtons(this.screens.gameover, this.gameManager.getReplay());
+    this.updateSubmitAvailability('submit-score-btn', 'name-error');
+    this.showScreen('gameover');
+  }
+
+  /**
+   * 勝利画面を表示
+   */
+  showVictoryScreen() {
+    const finalTime = this.gameManager.getCurrentScore();
+    document.getElementById('victory-time').textContent = (finalTime / 1000).toFixed(2);
+    this.ghostStore.savePersonalBest(this.gameManager.getReplay());
+    this.showReplayButtons(this.screens.victory, this.gameManager.getReplay());
+    this.updateSubmitAvailability('submit-score-btn-victory', 'name-error-victory');
+    this.showScreen('victory');
+  }
+
+  /**
+   * サーバーで必ず却下されるプレイはスコアを送信できないようにする
+   * 保存したプレイから再開したプレイと、ゴールしていないタイム制のプレイ（エンドレス以外のゲームオーバー）が対象
+   * @param {string} buttonId - スコア送信ボタンのID
+   * @param {string} messageId - メッセージ表示要素のID
+   */
+  updateSubmitAvailability(buttonId, messageId) {
+    let reason = null;
+    if (this.gameManager.isResumed()) {
+      reason = '再開したプレイはランキングに登録できません / Resumed runs are not ranked';
+    } else if (this.gameManager.getCurrentState() === 'gameover' && this.gameManager.getMode() !== 'endless') {
+      reason = 'ゴールしたプレイだけがランキングに登録できます / Only runs that reach the goal are ranked';
+    }
+    
+    if (!reason) {
+      return;
+    }
+    
+    document.getElementById(buttonId).disabled = true;
+    const message = document.getElementById(messageId);
+    message.textContent = reason;
+    message.style.color = '#f5576c';
+  }
+
+  /**
+   * リプレイの再生・保存ボタンを追加
+   * @param {HTMLElement} container - ボタンを追加するコンテナ
+   * @param {Replay} replay - 終了したプレイのリプレイ
+   */
+  showReplayButtons(container, replay) {
+    // 既存のボタンがあれば削除
+    container.querySelectorAll('.replay-btn').forEach(btn => btn.remove());
+    
+    if (!replay || !replay.isFinished()) {
+      return;
+    }
+    
+    const watchBtn = this.createActionButton('リプレイを見る / Watch Replay', '#667eea', () => {
+      this.playReplay(replay);
+    });
+    watchBtn.classList.add('replay-btn');
+    
+    const saveBtn = this.createActionButton('リプレイを保存 / Save Replay', '#667eea', () => {
+      this.downloadReplay(replay);
+    });
+    saveBtn.classList.add('replay-btn');
+    
+    container.appendChild(watchBtn);
+    container.appendChild(saveBtn);
+    
+    // ゴールしたプレイは同じコースでゴーストとして競争できる
+    if (replay.result === 'victory') {
+      const raceBtn = this.createActionButton('ゴーストと競争 / Race Ghost', '#a29bfe', () => {
+        this.raceGhost(replay, 'LAST');
+      });
+      raceBtn.classList.add('replay-btn');
+      container.appendChild(raceBtn);
+    }
+  }
+
+  /**
+   * リプレイを再生
+   * 一時停止・シーク・0.5倍〜4倍速の再生操作に対応
+   * @param {Replay} replay - 再生するリプレイ
+   */
+  playReplay(replay) {
+    if (replay.width !== this.canvas.width || replay.height !== this.canvas.height) {
+      throw new Error('Replay was recorded on a different canvas size');
+    }
+    
+    // 既存のゲームとリプレイを破棄
+    this.stopReplay();
+    if (this.gameManager) {
+      this.gameManager.destroy();
+    }
+    
+    // リプレイと同じレベルでゲームマネージャーを作成
+    this.gameManager = new GameManager(this.canvas, replay.difficulty, this.getReplayGameOptions(replay));
+    this.replayPlayer = new ReplayPlayer(this.gameManager, replay);
+    
+    // ゲーム画面に切り替えて再生開始
+    this.showScreen('game');
+    document.getElementById('difficulty-value').textContent = this.getDifficultyDisplayName(replay.difficulty);
+    
+    this.replayKeyHandler = (event) => this.handleReplayKey(event);
+    document.addEventListener('keydown', this.replayKeyHandler);
+    
+    this.replayPlayer.play();
+  }
+
+  /**
+   * リプレイと同じコースを生成するためのGameManagerオプションを取得
+   * @param {Replay} replay - リプレイ（保存した途中のプレイを含む）
+   * @returns {Object} オプション（{ seed, tickRate, mode, movement, layout, profile }）
+   */
+  getReplayGameOptions(replay) {
+    const options = {
+      seed: replay.seed,
+      tickRate: replay.tickRate,
+      mode: replay.mode,
+      movement: replay.movement
+    };
+    if (replay.layout) {
+      options.layout = replay.layout;
+    }
+    if (replay.profile) {
+      options.profile = replay.profile;
+    }
+    return options;
+  }
+
+  /**
+   * リプレイ再生中のキー操作
+   * SPACE: 再生/一時停止、←/→: 5秒シーク、↑/↓: 再生速度変更、ESC: 終了
+   * @param {KeyboardEvent} event - キーボードイベント
+   */
+  handleReplayKey(event) {
+    if (!this.replayPlayer) {
+      return;
+    }
+    
+    const speeds = [0.5, 1, 2, 4];
+    const speedIndex = speeds.indexOf(this.replayPlayer.speed);
+    
+    switch (event.key) {
+      case ' ':
+        this.replayPlayer.togglePause();
+        break;
+      case 'ArrowLeft':
+        this.replayPlayer.seekBy(-5);
+        break;
+      case 'ArrowRight':
+        this.replayPlayer.seekBy(5);
+        break;
+      case 'ArrowUp':
+        this.replayPlayer.setSpeed(speeds[Math.min(speedIndex + 1, speeds.length - 1)]);
+        this.replayPlayer.render();
+        break;
+      case 'ArrowDown':
+        this.replayPlayer.setSpeed(speeds[Math.max(speedIndex - 1, 0)]);
+        this.replayPlayer.render();
+        break;
+      case 'Escape':
+        this.restartGame();
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  }
+
+  /**
+   * リプレイ再生を終了
+   */
+  stopReplay() {
+    if (this.replayKeyHandler) {
+      document.removeEventListener('keydown', this.replayKeyHandler);
+      this.replayKeyHandler = null;
+    }
+    if (this.replayPlayer) {
+      this.replayPlayer.destroy();
+      this.replayPlayer = null;
+    }
+  }
+
+  /**
+   * リプレイをファイルとしてダウンロード
+   * @param {Replay} replay - 保存するリプレイ
+   */
+  downloadReplay(replay) {
+    const blob = new Blob([replay.serialize()], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    const modeSuffix = replay.mode !== 'classic' ? `-${replay.mode}` : '';
+    const movementSuffix = replay.movement !== 'direct' ? `-${replay.movement}` : '';
+    link.download = `iraira-replay-${replay.difficulty}-${replay.seed}${modeSuffix}${movementSuffix}.replay`;
+    link.click();
+    
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * 操作ボタンを作成
+   * @param {string} text - ボタンのラベル
+   * @param {string} color - 背景色
+   * @param {Function} onClick - クリック時の処理
+   * @returns {HTMLButtonElement} 作成したボタン
+   */
+  createActionButton(text, color, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.marginTop = '10px';
+    button.style.marginRight = '8px';
+    button.style.padding = '8px 16px';
+    button.style.backgroundColor = color;
+    button.style.color = 'white';
+    button.style.border = 'none';
+    button.style.borderRadius = '4px';
+    button.style.cursor = 'pointer';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * スコアを送信
+   * 要件 6.1: ゲーム完了時のバックエンドサービスへのスコアデータ送信
+   * 要件 8.6: 有効な名前をスコア送信に含める
+   * サーバーはリプレイを再シミュレーションして記録を検証する
+   * @param {string} playerName - プレイヤー名
+   * @param {number} score - スコア（完了時間）
+   * @param {string} difficulty - 難易度
+   * @param {number} seed - レベルのシード値（オプション）
+   * @param {Replay} replay - プレイのリプレイ（オプション、カスタム難易度ではプロファイルのハッシュも送信する）
+   */
+  async submitScore(playerName, score, difficulty, seed = null, replay = null) {
+    // ローディング状態を表示
+    this.showLoadingState('スコアを送信中... / Submitting score...');
+    
+    try {
+      const profileHash = replay ? LevelGenerator.getProfileHash(replay.profile) : null;
+      await this.apiClient.submitScore(playerName, score, difficulty, seed, replay ? replay.serialize() : null, profileHash);
+      
+      // 成功後にリーダーボードを更新（サーバーはリプレイのモード・移動モデル・プロファイルのリーダーボードに記録する）
+      await this.refreshLeaderboardAfterSubmission(
+        difficulty,
+        replay ? replay.mode : 'classic',
+        profileHash,
+        replay ? replay.movement : 'direct'
+      );
+      
+    } catch (error) {
+      // APIエラーを適切なメッセージに変換
+      if (error.message.includes('Network')) {
+        throw new Error('ネットワークエラーです。接続を確認してください。 / Network error. Please check your connection.');
+      } else if (error.message.includes('Run verification failed')) {
+        throw new Error('プレイを検証できなかったため、スコアは保存されませんでした。 / Your run could not be verified. Your score was not saved.');
+      } else if (error.message.includes('timeout')) {
+        throw new Error('リクエストがタイムアウトしました。再試行してください。 / Request timed out. Please try again.');
+      } else if (error.message.includes('5')) {
+        throw new Error('サーバーエラーです。スコアは保存されませんでした。 / Server error. Your score was not saved.');
+      } else {
+        throw new Error('スコアの送信に失敗しました。 / Failed to submit score.');
+      }
+    } finally {
+      // ローディング状態を非表示
+      this.hideLoadingState();
+    }
+  }
+
+  /**
+   * リーダーボードを表示
+   * @param {string} difficulty - 表示する難易度（オプション）
+   * @param {string} mode - 表示するゲームモード（オプション、省略時は前回表示したモード）
+   * @param {string} profileHash - カスタム難易度のプロファイルのハッシュ（カスタム難易度の場合のみ）
+   * @param {string} movement - 表示する移動モデル（オプション、省略時は前回表示した移動モデル）
+   */
+  async showLeaderboard(difficulty = 'easy', mode = this.leaderboardMode, profileHash = null, movement = this.leaderboardMovement) {
+    this.setLeaderboardMode(mode);
+    this.setLeaderboardMovement(movement);
+    this.leaderboardProfileHash = profileHash;
+    this.showScreen('leaderboard');
+    
+    // 指定された難易度のタブをアクティブにする（カスタム難易度にはタブがない）
+    const tabButtons = document.querySelectorAll('.tab-btn');
+    tabButtons.forEach(btn => {
+      btn.classList.remove('active');
+      if (btn.dataset.difficulty === difficulty) {
+        btn.classList.add('active');
+      }
+    });
+    
+    // 指定された難易度のリーダーボードを表示
+    this.loadLeaderboard(difficulty);
+  }
+
+  /**
+   * リーダーボードに表示するゲームモードを設定
+   * @param {string} mode - ゲームモード
+   */
+  setLeaderboardMode(mode) {
+    this.leaderboardMode = mode;
+    if (this.leaderboardModeBtn) {
+      this.leaderboardModeBtn.textContent = this.getModeDisplayName(mode);
+    }
+  }
+
+  /**
+   * リーダーボードに表示する移動モデルを設定
+   * @param {string} movement - 移動モデル
+   */
+  setLeaderboardMovement(movement) {
+    this.leaderboardMovement = movement;
+    if (this.leaderboardMovementBtn) {
+      this.leaderboardMovementBtn.textContent = this.getMovementDisplayName(movement);
+    }
+  }
+
+  /**
+   * リーダーボード画面で表示中の難易度を取得
+   * @returns {string} アクティブなタブの難易度（カスタム難易度の表示中は'custom'）
+   */
+  getActiveLeaderboardDifficulty() {
+    if (this.leaderboardProfileHash) {
+      return LevelGenerator.CUSTOM_DIFFICULTY;
+    }
+    const activeTab = document.querySelector('.tab-btn.active');
+    return activeTab ? activeTab.dataset.difficulty : 'easy';
+  }
+
+  /**
+   * 指定された難易度のリーダーボードを読み込み
+   * カスタム難易度の場合は表示中のプロファイルのリーダーボードを読み込む
+   * @param {string} difficulty - 難易度
+   */
+  async loadLeaderboard(difficulty) {
+    // ローディング状態を表示
+    this.showLoadingState('リーダーボードを読み込み中... / Loading leaderboard...');
+    
+    try {
+      const profileHash = difficulty === LevelGenerator.CUSTOM_DIFFICULTY ? this.leaderboardProfileHash : null;
+      const leaderboard = await this.apiClient.getLeaderboard(
+        difficulty, 10, this.leaderboardMode, profileHash, this.leaderboardMovement
+      );
+      this.displayLeaderboard(leaderboard);
+    } catch (error) {
+      console.error('Failed to load leaderboard:', error);
+      // エラー時は空のテーブルを表示
+      this.displayLeaderboard([]);
+    } finally {
+      // ローディング状態を非表示
+      this.hideLoadingState();
+    }
+  }
+
+  /**
+   * スコア送信後にリーダーボードを更新
+   * @param {string} difficulty - 難易度
+   * @param {string} mode - ゲームモード
+   * @param {string} profileHash - カスタム難易度のプロファイルのハッシュ（カスタム難易度の場合のみ）
+   * @param {string} movement - 移動モデル
+   */
+  async refreshLeaderboardAfterSubmission(difficulty, mode = 'classic', profileHash = null, movement = 'direct') {
+    try {
       // 少し待ってからリーダーボードを更新（データベースの整合性を確保）
       await new Promise(resolve => setTimeout(resolve, 1000));
       
       // 現在の難易度のリーダーボードを更新
-      const leaderboard = await this.apiClient.getLeaderboard(difficulty, 10);
+      const leaderboard = await this.apiClient.getLeaderboard(difficulty, 10, mode, profileHash, movement);
       
-      // リーダーボード画面が表示されている場合は更新
-      if (this.screens.leaderboard.classList.contains('active')) {
+      // 同じモード・移動モデル（・プロファイル）のリーダーボード画面が表示されている場合は更新
+      if (this.screens.leaderboard.classList.contains('active') && this.leaderboardMode === mode &&
+          this.leaderboardMovement === movement && this.leaderboardProfileHash === profileHash) {
         this.displayLeaderboard(leaderboard);
       }
     } catch (error) {
@@ -501,13 +2350,17 @@ class UIManager {
       const rankCell = row.insertCell();
       rankCell.textContent = index + 1;
       
-      // プレイヤー名
+      // プレイヤー名（検証済みのプレイはゴーストとして競争できる。エンドレスはゴーストなし）
       const nameCell = row.insertCell();
       nameCell.textContent = entry.playerName;
+      if (entry.replay && entry.mode !== 'endless') {
+        nameCell.appendChild(this.createLeaderboardRaceButton(entry));
+      }
       
-      // スコア（秒単位）
+      // スコア（秒単位、エンドレスは距離）
       const scoreCell = row.insertCell();
-      scoreCell.textContent = `${(entry.score / 1000).toFixed(2)}s`;
+      const score = this.formatScore(entry.score, entry.mode || this.leaderboardMode);
+      scoreCell.textContent = entry.mode === 'endless' ? score : `${score}s`;
       
       // 日付
       const dateCell = row.insertCell();
@@ -516,6 +2369,33 @@ class UIManager {
     });
   }
 
+  /**
+   * リーダーボードの記録とゴーストで競争するボタンを作成
+   * @param {Object} entry - リーダーボードのエントリー
+   * @returns {HTMLButtonElement} 作成したボタン
+   */
+  createLeaderboardRaceButton(entry) {
+    const button = document.createElement('button');
+    button.textContent = '👻';
+    button.title = 'ゴーストと競争 / Race this run';
+    button.style.marginLeft = '8px';
+    button.style.background = 'none';
+    button.style.border = 'none';
+    button.style.cursor = 'pointer';
+    
+    button.addEventListener('click', () => {
+      try {
+        this.raceGhost(Replay.deserialize(entry.replay), entry.playerName);
+      } catch (error) {
+        console.error('Failed to start ghost race:', error);
+        button.disabled = true;
+        button.title = error.message;
+      }
+    });
+    
+    return button;
+  }
+
   /**
    * 難易度の表示名を取得
    * @param {string} difficulty - 難易度キー
@@ -526,11 +2406,86 @@ class UIManager {
       'easy': 'イージー / Easy',
       'medium': 'ミディアム / Medium',
       'hard': 'ハード / Hard',
-      'super-hard': 'スーパーハード / Super Hard'
+      'super-hard': 'スーパーハード / Super Hard',
+      'custom': 'カスタム / Custom'
     };
     return names[difficulty] || difficulty;
   }
 
+  /**
+   * カスタム難易度のプロファイル項目の表示名を取得
+   * @param {string} field - プロファイル項目（LevelGenerator.PROFILE_FIELDS）
+   * @returns {string} 表示名
+   */
+  getProfileFieldDisplayName(field) {
+    const names = {
+      'pathWidth': '通路幅 / Path width',
+      'characterSpeed': '速度 / Speed',
+      'waypointCount': 'ウェイポイント数 / Waypoints',
+      'curveJitter': 'カーブの揺らぎ / Curve jitter',
+      'wallThickness': '壁の厚さ / Wall thickness'
+    };
+    return names[field] || field;
+  }
+
+  /**
+   * ゲームモードの表示名を取得
+   * @param {string} mode - ゲームモードキー
+   * @returns {string} 表示名
+   */
+  getModeDisplayName(mode) {
+    const names = {
+      'classic': 'モード: クラシック / Mode: Classic',
+      'lives': 'モード: ライフ制 / Mode: Lives',
+      'endless': 'モード: エンドレス / Mode: Endless',
+      'powerups': 'モード: パワーアップ / Mode: Power-ups'
+    };
+    return names[mode] || mode;
+  }
+
+  /**
+   * 次のゲームモードを取得（モード切り替えボタン用）
+   * @param {string} mode - 現在のゲームモード
+   * @returns {string} 次のゲームモード
+   */
+  getNextMode(mode) {
+    const index = GameManager.MODES.indexOf(mode);
+    return GameManager.MODES[(index + 1) % GameManager.MODES.length];
+  }
+
+  /**
+   * 移動モデルの表示名を取得
+   * @param {string} movement - 移動モデルキー
+   * @returns {string} 表示名
+   */
+  getMovementDisplayName(movement) {
+    const names = {
+      'direct': '移動: 通常 / Movement: Direct',
+      'inertia': '移動: 慣性 / Movement: Inertia'
+    };
+    return names[movement] || movement;
+  }
+
+  /**
+   * 次の移動モデルを取得（移動モデル切り替えボタン用）
+   * @param {string} movement - 現在の移動モデル
+   * @returns {string} 次の移動モデル
+   */
+  getNextMovement(movement) {
+    const index = Character.MOVEMENTS.indexOf(movement);
+    return Character.MOVEMENTS[(index + 1) % Character.MOVEMENTS.length];
+  }
+
+  /**
+   * スコアを表示用に整形（タイムは秒、エンドレスは距離）
+   * @param {number} score - スコア（ミリ秒、エンドレスはメートル）
+   * @param {string} mode - ゲームモード
+   * @returns {string} 表示用のスコア
+   */
+  formatScore(score, mode) {
+    return mode === 'endless' ? `${score}m` : (score / 1000).toFixed(2);
+  }
+
   /**
    * ローディング状態を表示
    * @param {string} message - ローディングメッセージ
@@ -576,8 +2531,11 @@ class UIManager {
    * リーダーボード表示ボタンを追加
    * @param {HTMLElement} container - ボタンを追加するコンテナ
    * @param {string} difficulty - 表示する難易度
+   * @param {string} mode - 表示するゲームモード
+   * @param {string} profileHash - カスタム難易度のプロファイルのハッシュ（カスタム難易度の場合のみ）
+   * @param {string} movement - 表示する移動モデル
    */
-  showLeaderboardButton(container, difficulty) {
+  showLeaderboardButton(container, difficulty, mode = 'classic', profileHash = null, movement = 'direct') {
     // 既存のボタンがあれば削除
     const existingBtn = container.querySelector('.view-leaderboard-btn');
     if (existingBtn) {
@@ -598,7 +2556,7 @@ class UIManager {
     
     // クリックイベントを追加
     leaderboardBtn.addEventListener('click', () => {
-      this.showLeaderboard(difficulty);
+      this.showLeaderboard(difficulty, mode, profileHash, movement);
     });
     
     // コンテナに追加
@@ -609,12 +2567,22 @@ class UIManager {
 // アプリケーションを初期化
 document.addEventListener('DOMContentLoaded', () => {
   // グローバルクラスを設定（他のモジュールで使用するため）
+  window.EventEmitter = EventEmitter;
   window.Character = Character;
   window.InputHandler = InputHandler;
+  window.AutoPause = AutoPause;
   window.LevelGenerator = LevelGenerator;
+  window.Obstacle = Obstacle;
+  window.Hazard = Hazard;
   window.CollisionDetector = CollisionDetector;
   window.Renderer = Renderer;
   window.AnimationEngine = AnimationEngine;
+  window.SeededRandom = SeededRandom;
+  window.Replay = Replay;
+  window.Ghost = Ghost;
+  window.CheckpointTracker = CheckpointTracker;
+  window.PowerUpTracker = PowerUpTracker;
+  window.Campaign = Campaign;
   
   // UIマネージャーを初期化
   const uiManager = new UIManager();
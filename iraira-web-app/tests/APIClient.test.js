@@ -156,6 +156,54 @@ describe('APIClient', () => {
         );
         expect(result).toEqual({ success: true, id: 'test-123' });
       });
+
+      test('should include the level seed when provided', async () => {
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ success: true })
+        });
+
+        await apiClient.submitScore('TestPlayer', 15000, 'medium', 424242);
+
+        const body = JSON.parse(fetch.mock.calls[0][1].body);
+        expect(body.seed).toBe(424242);
+      });
+
+      test('should omit the level seed when not provided', async () => {
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ success: true })
+        });
+
+        await apiClient.submitScore('TestPlayer', 15000, 'medium');
+
+        const body = JSON.parse(fetch.mock.calls[0][1].body);
+        expect(body).not.toHaveProperty('seed');
+      });
+
+      test('should include the replay for server-side verification', async () => {
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ success: true })
+        });
+
+        await apiClient.submitScore('TestPlayer', 15000, 'medium', 424242, 'eyJ2IjoxfQ==');
+
+        const body = JSON.parse(fetch.mock.calls[0][1].body);
+        expect(body.replay).toBe('eyJ2IjoxfQ==');
+      });
+
+      test('should include the profile hash of custom difficulty runs', async () => {
+        fetch.mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ success: true })
+        });
+
+        await apiClient.submitScore('TestPlayer', 2900, 'custom', 11, 'eyJ2IjoxfQ==', '106585f5');
+
+        const body = JSON.parse(fetch.mock.calls[0][1].body);
+        expect(body.profileHash).toBe('106585f5');
+      });
     });
 
     describe('getLeaderboard', () => {
@@ -181,6 +229,28 @@ describe('APIClient', () => {
         );
         expect(result).toEqual(mockLeaderboard);
       });
+
+      test('should request the leaderboard of another game mode', async () => {
+        fetch.mockResolvedValueOnce({ ok: true, json: async () => [] });
+
+        await apiClient.getLeaderboard('hard', 5, 'lives');
+
+        expect(fetch).toHaveBeenCalledWith(
+          `${mockEndpoint}/leaderboard?difficulty=hard&limit=5&mode=lives`,
+          expect.objectContaining({ method: 'GET' })
+        );
+      });
+
+      test('should request the leaderboard of a custom difficulty profile', async () => {
+        fetch.mockResolvedValueOnce({ ok: true, json: async () => [] });
+
+        await apiClient.getLeaderboard('custom', 10, 'classic', '106585f5');
+
+        expect(fetch).toHaveBeenCalledWith(
+          `${mockEndpoint}/leaderboard?difficulty=custom&limit=10&profile=106585f5`,
+          expect.objectContaining({ method: 'GET' })
+        );
+      });
     });
 
     describe('getPlayerHistory', () => {
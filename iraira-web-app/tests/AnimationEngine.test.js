@@ -27,6 +27,7 @@ const createMockCanvas = () => {
       lineTo: jest.fn(),
       translate: jest.fn(),
       rotate: jest.fn(),
+      fillText: jest.fn(),
       set fillStyle(value) { this._fillStyle = value; },
       get fillStyle() { return this._fillStyle; },
       set strokeStyle(value) { this._strokeStyle = value; },
@@ -226,4 +227,30 @@ describe('AnimationEngine', () => {
       expect(hasFireworks).toBe(true);
     });
   });
+
+  describe('パワーアップエフェクトテスト', () => {
+    test('パワーアップのエフェクトは再生中にならず、入力をブロックしない', () => {
+      animationEngine.playPowerUp(100, 100, '#74b9ff', 'Slow motion');
+
+      expect(animationEngine.isPlaying()).toBe(false);
+      expect(animationEngine.effects).toHaveLength(1);
+      expect(animationEngine.effects[0].particles.length).toBeGreaterThan(0);
+    });
+
+    test('エフェクトはラベル付きで描画され、時間が過ぎると削除される', () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+      animationEngine.playPowerUp(100, 100, '#74b9ff', 'Slow motion');
+
+      now.mockReturnValue(1400);
+      animationEngine.drawEffects();
+      expect(animationEngine.ctx.fillText).toHaveBeenCalledWith('Slow motion', 100, expect.any(Number));
+      expect(animationEngine.ctx.globalAlpha).toBeCloseTo(0.5);
+      expect(animationEngine.effects).toHaveLength(1);
+
+      now.mockReturnValue(1800);
+      animationEngine.drawEffects();
+      expect(animationEngine.effects).toHaveLength(0);
+      now.mockRestore();
+    });
+  });
 });
\ No newline at end of file
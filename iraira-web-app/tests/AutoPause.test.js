@@ -0,0 +1,67 @@
+/**
+ * AutoPause Tests - 自動一時停止のテスト
+ */
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+
+const AutoPause = require('../src/AutoPause');
+
+describe('AutoPause', () => {
+  let gameManager;
+  let autoPause;
+
+  beforeEach(() => {
+    gameManager = { pauseGame: jest.fn() };
+    autoPause = new AutoPause(gameManager, document.createElement('canvas'));
+  });
+
+  afterEach(() => {
+    autoPause.disable();
+    delete global.IntersectionObserver;
+  });
+
+  test('should pause when the tab is hidden', () => {
+    autoPause.enable();
+    const hidden = jest.spyOn(document, 'hidden', 'get');
+
+    hidden.mockReturnValue(false);
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(gameManager.pauseGame).not.toHaveBeenCalled();
+
+    hidden.mockReturnValue(true);
+    document.dispatchEvent(new Event('visibilitychange'));
+    expect(gameManager.pauseGame).toHaveBeenCalledWith('hidden');
+
+    hidden.mockRestore();
+  });
+
+  test('should pause when the window loses focus', () => {
+    autoPause.enable();
+    window.dispatchEvent(new Event('blur'));
+    expect(gameManager.pauseGame).toHaveBeenCalledWith('blur');
+  });
+
+  test('should pause when most of the canvas scrolls off screen', () => {
+    const observer = { observe: jest.fn(), disconnect: jest.fn() };
+    global.IntersectionObserver = jest.fn(() => observer);
+
+    autoPause.enable();
+    expect(observer.observe).toHaveBeenCalledWith(autoPause.canvas);
+
+    autoPause.handleIntersection([{ intersectionRatio: 0.8 }]);
+    expect(gameManager.pauseGame).not.toHaveBeenCalled();
+    autoPause.handleIntersection([{ intersectionRatio: 0.2 }]);
+    expect(gameManager.pauseGame).toHaveBeenCalledWith('offscreen');
+
+    autoPause.disable();
+    expect(observer.disconnect).toHaveBeenCalled();
+  });
+
+  test('should stop watching once disabled', () => {
+    autoPause.enable();
+    autoPause.disable();
+
+    window.dispatchEvent(new Event('blur'));
+    expect(gameManager.pauseGame).not.toHaveBeenCalled();
+    expect(autoPause.enabled).toBe(false);
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Campaign Tests - キャンペーンモードのテスト
+ *
+ * ステージの進行・スプリットタイム・合計タイムの計算と、
+ * 既定のキャンペーンの各ステージが実際にクリアできることを確認する
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import fc from 'fast-check';
+
+const LevelGenerator = require('../src/LevelGenerator');
+const { installGameGlobals } = require('./helpers');
+
+installGameGlobals();
+
+const GameManager = require('../src/GameManager');
+const Campaign = require('../src/Campaign');
+
+// 800x600で既定のキャンペーンの各ステージをクリアする入力（ティック: 方向）
+const STAGE_SOLUTIONS = {
+  'first-steps': {
+    0: 'down', 2: 'right', 77: 'down', 128: 'right', 241: 'up', 281: 'right', 400: 'down', 473: 'right', 502: 'down'
+  },
+  'zigzag': {
+    0: 'right', 24: 'up', 55: 'right', 147: 'down', 234: 'right', 308: 'up', 401: 'right', 472: 'up',
+    493: 'down', 592: 'right', 669: 'up'
+  },
+  // スタートで上下に往復して電撃ハザードが切れるのを待つ
+  'narrow-road': Object.assign(staircase([0, 5, 15, 25, 35, 45, 55, 65, 77], 'up', 'down'), {
+    92: 'right', 115: 'up', 118: 'right', 143: 'down', 176: 'right', 193: 'down', 226: 'up', 249: 'right',
+    280: 'up', 297: 'right', 334: 'down', 351: 'right', 403: 'up', 429: 'right', 448: 'up', 473: 'right',
+    492: 'up', 505: 'right'
+  }),
+  's-curve': {
+    0: 'right', 7: 'up', 22: 'right', 51: 'up', 64: 'right', 111: 'down', 130: 'right', 157: 'down',
+    175: 'right', 204: 'down', 223: 'right', 246: 'down', 249: 'right', 286: 'up', 303: 'right', 328: 'up'
+  },
+  // スタートで上下に往復してゲートが開くのを待ち、細い通路を階段状に進む
+  'tightrope': Object.assign(staircase([...Array.from({ length: 32 }, (_, i) => i * 3), 97], 'up', 'down'), {
+    104: 'right', 113: 'up', 122: 'right', 131: 'up', 138: 'right', 162: 'down', 169: 'right', 188: 'down',
+    195: 'right', 220: 'down', 225: 'right', 244: 'down', 253: 'right', 260: 'down', 267: 'right', 275: 'down',
+    282: 'right', 301: 'up', 314: 'right', 321: 'up', 332: 'right', 339: 'up', 350: 'right', 357: 'up',
+    370: 'right', 377: 'up', 390: 'right', 393: 'up'
+  }),
+  // 上下に往復して回転バーが通路から外れるのを待ち、細い通路を階段状に進む
+  // （途中で5回、来た方向に往復してハザードが切れるのと障害物が通路から外れるのを待つ）
+  'final': withWaits(Object.assign(
+    staircase(Array.from({ length: 36 }, (_, i) => i), 'up', 'down'),
+    staircase([36, 37, 39, 40, 41, 42, 43, 44, 45, 46, 48, 49, 50, 51, 53, 54, 55, 56, 58, 59, 60, 61, 62,
+      63, 65, 66, 67, 68, 69, 70, 73, 74, 75, 76, 77, 78, 80, 81, 83, 85, 86], 'right', 'up'),
+    staircase([106, 107, 115, 116, 127, 129, 130, 131, 132, 134, 136, 138, 139, 140, 141, 142, 143, 145,
+      146, 147, 148, 149, 150, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 163, 164, 165, 166,
+      167, 168, 170, 171, 172, 173, 174, 175, 176, 177, 179, 180, 181, 182, 183, 184, 185, 186, 187,
+      189, 190, 191, 192, 193, 194, 195, 196, 198, 199, 200, 201, 202, 203, 205, 206, 207, 208, 210,
+      211, 213, 214, 215, 216, 218, 219, 220, 221, 223, 224, 225, 226, 228, 229], 'down')
+  ), [[55, 22], [113, 54], [173, 2], [192, 50], [330, 12]])
+};
+
+/**
+ * 指定ティックで交互に方向を切り替える入力を作成（first, second, first, second, ...）
+ * second を省略すると 'right'（first が 'right' の場合は 'down'）
+ */
+function staircase(ticks, first, second = first === 'right' ? 'down' : 'right') {
+  const inputs = {};
+  ticks.forEach((tick, i) => {
+    inputs[tick] = i % 2 === 0 ? first : second;
+  });
+  return inputs;
+}
+
+/**
+ * 指定ティックから、直前に進んだ方向に戻って進み直す往復を挟み、その場で待つ入力を作成
+ * それ以降の入力は待った分だけ遅らせる（waitsは前から順に適用し、ティックは前の待ちを挟んだ後の数え方）
+ * @param {Object} script - 入力（ティック: 方向）
+ * @param {Array<[number, number]>} waits - [開始ティック, 待つティック数（偶数）]の配列
+ */
+function withWaits(script, waits) {
+  const opposite = { up: 'down', down: 'up', left: 'right', right: 'left' };
+  return waits.reduce((inputs, [start, length]) => {
+    const ticks = Object.keys(inputs).map(Number).sort((a, b) => a - b);
+    const last = inputs[ticks.filter(tick => tick < start).pop()];
+    const delayed = {};
+    ticks.forEach(tick => {
+      delayed[tick < start ? tick : tick + length] = inputs[tick];
+    });
+    for (let i = 0; i < length; i++) {
+      delayed[start + i] = i % 2 === 0 ? opposite[last] : last;
+    }
+    return delayed;
+  }, script);
+}
+
+const STAGES = [
+  { id: 'a', name: 'A', difficulty: 'easy', seed: 1 },
+  { id: 'b', name: 'B', difficulty: 'medium', seed: 2 },
+  { id: 'c', name: 'C', difficulty: 'hard', seed: 3, layout: [{ x: 0.1, y: 0.5 }, { x: 0.9, y: 0.5 }] }
+];
+
+describe('Campaign', () => {
+  describe('Stage definitions', () => {
+    test('should reject empty campaigns and incomplete stages', () => {
+      expect(() => new Campaign([])).toThrow('Campaign requires at least one stage');
+      expect(() => new Campaign([STAGES[0], { ...STAGES[1], id: 'a' }])).toThrow('missing or duplicate id');
+      expect(() => new Campaign([{ id: 'x', difficulty: 'easy' }])).toThrow('difficulty and seed are required');
+    });
+
+    test('should build GameManager options from a stage', () => {
+      expect(Campaign.getGameOptions(STAGES[0])).toEqual({ seed: 1 });
+      expect(Campaign.getGameOptions(STAGES[2])).toEqual({ seed: 3, layout: STAGES[2].layout });
+    });
+
+    test('default stages should have valid layouts', () => {
+      const campaign = new Campaign();
+      expect(campaign.getStageCount()).toBe(Campaign.STAGES.length);
+      Campaign.STAGES
+        .filter(stage => stage.layout)
+        .forEach(stage => expect(LevelGenerator.isValidLayout(stage.layout)).toBe(true));
+    });
+  });
+
+  describe('Progress and splits', () => {
+    let campaign;
+
+    beforeEach(() => {
+      campaign = new Campaign(STAGES);
+    });
+
+    test('should move through the stages in order and finish after the last one', () => {
+      expect(campaign.getCurrentStage().id).toBe('a');
+      expect(campaign.completeStage(1000)).toBe(true);
+      expect(campaign.getCurrentStage().id).toBe('b');
+      expect(campaign.completeStage(2000)).toBe(true);
+      expect(campaign.isFinished()).toBe(false);
+      expect(campaign.completeStage(3000)).toBe(false);
+      expect(campaign.isFinished()).toBe(true);
+
+      // 完走後のクリアは記録しない
+      expect(campaign.completeStage(4000)).toBe(false);
+      expect(campaign.getSplits()).toEqual([
+        { stageId: 'a', time: 1000 },
+        { stageId: 'b', time: 2000 },
+        { stageId: 'c', time: 3000 }
+      ]);
+    });
+
+    test('total time should be the sum of the splits plus the running stage', () => {
+      fc.assert(
+        fc.property(fc.array(fc.integer({ min: 0, max: 100000 }), { minLength: 1, maxLength: 2 }),
+          fc.integer({ min: 0, max: 100000 }), (times, running) => {
+            campaign.start(0);
+            times.forEach(time => campaign.completeStage(time));
+
+            const sum = times.reduce((total, time) => total + time, 0);
+            expect(campaign.getTotalTime()).toBe(sum);
+            expect(campaign.getTotalTime(running)).toBe(sum + running);
+          }),
+        { numRuns: 50 }
+      );
+    });
+
+    test('should only count runs started from the first stage as full runs', () => {
+      expect(campaign.isFullRun()).toBe(true);
+
+      campaign.completeStage(1000);
+      campaign.start(1);
+      expect(campaign.getSplits()).toEqual([]);
+      expect(campaign.getCurrentStage().id).toBe('b');
+      expect(campaign.isFullRun()).toBe(false);
+
+      expect(() => campaign.start(3)).toThrow('Invalid stage index: 3');
+    });
+
+    test('should save and restore an unfinished run', () => {
+      campaign.start(1);
+      campaign.completeStage(2000);
+
+      const restored = Campaign.fromJSON(JSON.parse(JSON.stringify(campaign.toJSON())), STAGES);
+      expect(restored.getCurrentStage().id).toBe('c');
+      expect(restored.getSplits()).toEqual([{ stageId: 'b', time: 2000 }]);
+      expect(restored.getTotalTime(500)).toBe(2500);
+      expect(restored.isFullRun()).toBe(false);
+
+      // ステージ構成と合わない進行状況は復元しない
+      expect(() => Campaign.fromJSON(null, STAGES)).toThrow('Invalid campaign progress');
+      expect(() => Campaign.fromJSON({ ...campaign.toJSON(), currentStageIndex: 3 }, STAGES))
+        .toThrow('Invalid campaign progress');
+      expect(() => Campaign.fromJSON({ ...campaign.toJSON(), splits: [{ stageId: 'a', time: 2000 }] }, STAGES))
+        .toThrow('Invalid campaign progress');
+    });
+  });
+
+  describe('Default campaign', () => {
+    let canvas;
+
+    beforeEach(() => {
+      canvas = document.createElement('canvas');
+      canvas.width = 800;
+      canvas.height = 600;
+    });
+
+    test.each(Campaign.STAGES.map(stage => [stage.id, stage]))('stage %s should be clearable', (id, stage) => {
+      const gameManager = new GameManager(canvas, stage.difficulty, Campaign.getGameOptions(stage));
+      gameManager.startGame();
+      gameManager.run(STAGE_SOLUTIONS[id]);
+
+      expect(gameManager.getCurrentState()).toBe('victory');
+      expect(gameManager.getReplay().layout).toEqual(stage.layout || null);
+      gameManager.destroy();
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * CampaignStore Tests - キャンペーンの解放状況保存のテスト
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+
+const CampaignStore = require('../src/CampaignStore');
+const Campaign = require('../src/Campaign');
+const { MemoryStorage } = require('./helpers');
+
+const STAGES = [
+  { id: 'a', name: 'A', difficulty: 'easy', seed: 1 },
+  { id: 'b', name: 'B', difficulty: 'medium', seed: 2 }
+];
+
+function finishCampaign(times, firstStage = 0) {
+  const campaign = new Campaign(STAGES);
+  campaign.start(firstStage);
+  times.forEach(time => campaign.completeStage(time));
+  return campaign;
+}
+
+describe('CampaignStore', () => {
+  let storage;
+  let store;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    store = new CampaignStore(storage);
+  });
+
+  test('should start with only the first stage unlocked', () => {
+    expect(store.getUnlockedCount()).toBe(1);
+    expect(store.isUnlocked(0)).toBe(true);
+    expect(store.isUnlocked(1)).toBe(false);
+    expect(store.getBestSplit('a')).toBe(null);
+    expect(store.getBestTotal()).toBe(null);
+  });
+
+  test('should unlock the next stage and keep the best split', () => {
+    expect(store.recordStage(0, 'a', 5000)).toBe(true);
+    expect(store.isUnlocked(1)).toBe(true);
+
+    expect(store.recordStage(0, 'a', 6000)).toBe(false);
+    expect(store.recordStage(0, 'a', 4000)).toBe(true);
+    expect(store.getBestSplit('a')).toBe(4000);
+
+    // 前のステージをクリアしても解放済みのステージは減らない
+    store.recordStage(1, 'b', 7000);
+    store.recordStage(0, 'a', 3000);
+    expect(store.getUnlockedCount()).toBe(3);
+  });
+
+  test('should keep progress across instances', () => {
+    store.recordStage(0, 'a', 5000);
+    const reloaded = new CampaignStore(storage);
+    expect(reloaded.isUnlocked(1)).toBe(true);
+    expect(reloaded.getBestSplit('a')).toBe(5000);
+  });
+
+  test('should record the best total of finished full runs only', () => {
+    expect(store.recordRun(finishCampaign([1000]))).toBe(false);
+    expect(store.recordRun(finishCampaign([1000], 1))).toBe(false);
+    expect(store.getBestTotal()).toBe(null);
+
+    expect(store.recordRun(finishCampaign([1000, 2000]))).toBe(true);
+    expect(store.recordRun(finishCampaign([1500, 2000]))).toBe(false);
+    expect(store.getBestTotal()).toBe(3000);
+  });
+
+  test('should ignore corrupted data and work without storage', () => {
+    storage.setItem(CampaignStore.STORAGE_KEY, '{not json');
+    expect(store.getUnlockedCount()).toBe(1);
+
+    const noStorage = new CampaignStore(null);
+    noStorage.recordStage(0, 'a', 1000);
+    expect(noStorage.getUnlockedCount()).toBe(1);
+    expect(noStorage.getBestSplit('a')).toBe(null);
+  });
+});
@@ -167,6 +167,74 @@ describe('Character クラス / Character Class', () => {
       );
     });
   });
+
+  describe('Diagonal Movement', () => {
+    test('should move diagonally at the same speed as straight', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom('up-left', 'up-right', 'down-left', 'down-right'),
+          fc.integer({ min: 1, max: 10 }),
+          (direction, speed) => {
+            const character = new Character(100, 100, 10);
+            character.setDirection(direction);
+            character.update(speed);
+
+            const dx = character.x - 100;
+            const dy = character.y - 100;
+            expect(Math.hypot(dx, dy)).toBeCloseTo(speed);
+            expect(Math.abs(dx)).toBeCloseTo(Math.abs(dy));
+            expect(Math.sign(dx)).toBe(direction.endsWith('left') ? -1 : 1);
+            expect(Math.sign(dy)).toBe(direction.startsWith('up') ? -1 : 1);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('should thrust diagonally with inertia and reject unknown combinations', () => {
+      const character = new Character(0, 0, 10);
+      character.setInertia({ acceleration: 0.1, friction: 0.08 });
+      character.setDirection('down-right');
+      for (let i = 0; i < 100; i++) {
+        character.update(2);
+      }
+      expect(character.getVelocity()).toEqual({ x: expect.closeTo(2 * Math.SQRT1_2), y: expect.closeTo(2 * Math.SQRT1_2) });
+
+      character.setDirection('up-down');
+      character.setDirection('left-up');
+      expect(character.direction).toBe('down-right');
+    });
+  });
+
+  describe('Render Interpolation', () => {
+    test('should interpolate between previous and current tick positions', () => {
+      const character = new Character(100, 100, 10);
+      character.setDirection('right');
+      character.update(4);
+
+      expect(character.getInterpolatedPosition(0)).toEqual({ x: 100, y: 100 });
+      expect(character.getInterpolatedPosition(0.5)).toEqual({ x: 102, y: 100 });
+      expect(character.getInterpolatedPosition(1)).toEqual({ x: 104, y: 100 });
+    });
+
+    test('should clamp interpolation factor to the 0-1 range', () => {
+      const character = new Character(100, 100, 10);
+      character.setDirection('down');
+      character.update(6);
+
+      expect(character.getInterpolatedPosition(-1)).toEqual({ x: 100, y: 100 });
+      expect(character.getInterpolatedPosition(2)).toEqual({ x: 100, y: 106 });
+    });
+
+    test('should not interpolate across a reset', () => {
+      const character = new Character(100, 100, 10);
+      character.setDirection('left');
+      character.update(5);
+      character.reset(300, 200);
+
+      expect(character.getInterpolatedPosition(0)).toEqual({ x: 300, y: 200 });
+    });
+  });
 });
 
 /**
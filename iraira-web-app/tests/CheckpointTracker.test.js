@@ -0,0 +1,277 @@
+/**
+ * CheckpointTracker Tests - ライフ制モードのテスト
+ *
+ * チェックポイントの配置・通過・ライフとペナルティの計算と、
+ * 実際のLevelGenerator/Characterを使ったGameManagerのライフ制モードを確認する
+ */
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import fc from 'fast-check';
+
+const Character = require('../src/Character');
+const LevelGenerator = require('../src/LevelGenerator');
+const { installGameGlobals, BlockingAnimationEngine, createPath } = require('./helpers');
+
+installGameGlobals({ AnimationEngine: BlockingAnimationEngine });
+
+const GameManager = require('../src/GameManager');
+const CheckpointTracker = require('../src/CheckpointTracker');
+const Ghost = require('../src/Ghost');
+const Obstacle = require('../src/Obstacle');
+
+// easy・シード7・800x600: 最初のティックで左の壁に触れてスタートから復帰し、そのままゴールするプレイ
+const LIVES_SCRIPT = { 0: 'left', 1: 'right', 26: 'down', 81: 'right', 190: 'up', 239: 'right', 358: 'up', 405: 'right', 490: 'up' };
+
+describe('CheckpointTracker', () => {
+  describe('Checkpoint placement', () => {
+    test('should spread checkpoints evenly between start and goal', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 2, max: 500 }), fc.integer({ min: 1, max: 10 }), (length, count) => {
+          const path = createPath(length);
+          const checkpoints = CheckpointTracker.placeCheckpoints(path, count);
+
+          expect(checkpoints).toHaveLength(count);
+          checkpoints.forEach((checkpoint, i) => {
+            const index = Math.round((i + 1) * (length - 1) / (count + 1));
+            expect(checkpoint).toEqual(path[index]);
+            if (i > 0) {
+              expect(checkpoint.x).toBeGreaterThanOrEqual(checkpoints[i - 1].x);
+            }
+          });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    test('should place no checkpoints on an empty path', () => {
+      expect(new CheckpointTracker([]).getCheckpoints()).toEqual([]);
+      expect(new CheckpointTracker(null).getCheckpoints()).toEqual([]);
+    });
+  });
+
+  describe('Progress, lives and penalties', () => {
+    let tracker;
+
+    beforeEach(() => {
+      // 0..490の通路に4つのチェックポイント（x = 100, 200, 290, 390）
+      tracker = new CheckpointTracker(createPath(50));
+    });
+
+    test('should pass checkpoints only in order', () => {
+      const [first, second] = tracker.getCheckpoints();
+
+      expect(tracker.update(second.x, second.y)).toBe(false);
+      expect(tracker.getLastCheckpoint()).toBe(-1);
+
+      expect(tracker.update(first.x + 20, first.y)).toBe(true);
+      expect(tracker.update(second.x, second.y + 10)).toBe(true);
+      expect(tracker.getLastCheckpoint()).toBe(1);
+    });
+
+    test('should cost a life and a penalty per crash and end on the last life', () => {
+      expect(tracker.getLives()).toBe(CheckpointTracker.RULES.lives);
+
+      expect(tracker.registerCrash()).toBe(true);
+      expect(tracker.registerCrash()).toBe(true);
+      expect(tracker.getPenaltyTime()).toBe(2 * CheckpointTracker.RULES.penalty);
+
+      expect(tracker.registerCrash()).toBe(false);
+      expect(tracker.getLives()).toBe(0);
+      expect(tracker.getPenaltyTime()).toBe(2 * CheckpointTracker.RULES.penalty);
+
+      tracker.reset();
+      expect(tracker.getLives()).toBe(CheckpointTracker.RULES.lives);
+      expect(tracker.getPenaltyTime()).toBe(0);
+      expect(tracker.getLastCheckpoint()).toBe(-1);
+    });
+
+    test('should respawn at the start until a checkpoint is passed', () => {
+      const character = new Character(40, 80, 10);
+      character.setDirection('right');
+
+      tracker.respawn(character, { x: 0, y: 95 });
+      expect(character.x).toBe(0);
+      expect(character.y).toBe(95);
+      expect(character.direction).toBe(null);
+
+      const first = tracker.getCheckpoints()[0];
+      tracker.update(first.x, first.y);
+      tracker.respawn(character, { x: 0, y: 95 });
+      expect(character.x).toBe(first.x - 5);
+      expect(character.y).toBe(first.y - 5);
+      expect(character.getInterpolatedPosition(0)).toEqual({ x: first.x - 5, y: first.y - 5 });
+    });
+  });
+
+  describe('GameManager lives mode', () => {
+    let canvas;
+
+    beforeEach(() => {
+      canvas = document.createElement('canvas');
+      canvas.width = 800;
+      canvas.height = 600;
+    });
+
+    test('should reject unknown game modes', () => {
+      expect(() => new GameManager(canvas, 'easy', { mode: 'zen' })).toThrow('Invalid game mode: zen');
+    });
+
+    test('classic mode should still end the run at the first wall touch', () => {
+      const gameManager = new GameManager(canvas, 'easy', { seed: 7 });
+      gameManager.startGame();
+      gameManager.run({ 0: 'left' });
+
+      expect(gameManager.getMode()).toBe('classic');
+      expect(gameManager.getLives()).toBe(null);
+      expect(gameManager.getCurrentState()).toBe('gameover');
+      gameManager.destroy();
+    });
+
+    test('should respawn with a penalty instead of ending the run', () => {
+      const gameManager = new GameManager(canvas, 'easy', { seed: 7, mode: 'lives' });
+      gameManager.startGame();
+      gameManager.character.setDirection('left');
+      gameManager.step();
+
+      const startPos = gameManager.levelGenerator.getStartPosition();
+      expect(gameManager.getCurrentState()).toBe('playing');
+      expect(gameManager.getLives()).toBe(CheckpointTracker.RULES.lives - 1);
+      expect(gameManager.getCurrentScore()).toBe(Math.round(1000 / 60) + CheckpointTracker.RULES.penalty);
+      expect(gameManager.character.x).toBe(startPos.x);
+      expect(gameManager.character.y).toBe(startPos.y);
+      expect(gameManager.character.direction).toBe(null);
+      expect(gameManager.animationEngine.explosions).toHaveLength(1);
+      gameManager.destroy();
+    });
+
+    test('should respawn at the last checkpoint passed', () => {
+      const gameManager = new GameManager(canvas, 'easy', { seed: 7, mode: 'lives' });
+      gameManager.startGame();
+
+      const first = gameManager.checkpoints.getCheckpoints()[0];
+      gameManager.checkpoints.update(first.x, first.y);
+      gameManager.run({ 0: 'left' }, 1);
+
+      expect(gameManager.character.x).toBe(first.x - gameManager.character.size / 2);
+      expect(gameManager.character.y).toBe(first.y - gameManager.character.size / 2);
+      gameManager.destroy();
+    });
+
+    test('should end the run when the last life is lost', () => {
+      const gameManager = new GameManager(canvas, 'easy', { seed: 7, mode: 'lives' });
+      gameManager.startGame();
+      gameManager.run({ 0: 'left', 1: 'left', 2: 'left' });
+
+      expect(gameManager.getCurrentState()).toBe('gameover');
+      expect(gameManager.getTick()).toBe(CheckpointTracker.RULES.lives);
+      expect(gameManager.getLives()).toBe(0);
+      gameManager.destroy();
+    });
+
+    test('should hold the simulation while the explosion plays', () => {
+      const gameManager = new GameManager(canvas, 'easy', { seed: 7, mode: 'lives' });
+      gameManager.startGame();
+      gameManager.character.setDirection('left');
+
+      gameManager.update(200);
+      expect(gameManager.getTick()).toBe(1);
+
+      gameManager.update(200);
+      expect(gameManager.getTick()).toBe(1);
+
+      gameManager.animationEngine.isAnimating = false;
+      gameManager.update(1000 / 60);
+      expect(gameManager.getTick()).toBe(2);
+      gameManager.destroy();
+    });
+
+    test('should record a replay that reproduces the respawns', () => {
+      const gameManager = new GameManager(canvas, 'easy', { seed: 7, mode: 'lives' });
+      gameManager.startGame();
+      gameManager.run(LIVES_SCRIPT);
+
+      const replay = gameManager.getReplay();
+      expect(gameManager.getCurrentState()).toBe('victory');
+      expect(replay.mode).toBe('lives');
+      expect(replay.endTick).toBe(496);
+      expect(replay.score).toBe(Math.round(496 * 1000 / 60) + CheckpointTracker.RULES.penalty);
+
+      // ゴーストもプレイヤーと同じように復帰し、同じ地点でペナルティを受ける
+      const ghost = new Ghost(replay, gameManager.levelGenerator);
+      expect(ghost.getStateAt(1).x).toBe(gameManager.levelGenerator.getStartPosition().x);
+      expect(ghost.penalties[1]).toBe(CheckpointTracker.RULES.penalty);
+      expect(ghost.isFinishedAt(496)).toBe(true);
+      gameManager.destroy();
+    });
+
+    test('should make ghosts crash into moving obstacles like the player did', () => {
+      // 最初に下へ進む直線を横切るスライダー（ゴーストは自分用のレベルで再生するため、生成するすべてのレベルに置く）
+      const generate = LevelGenerator.prototype.generate;
+      const generateSpy = jest.spyOn(LevelGenerator.prototype, 'generate').mockImplementation(function (...args) {
+        const result = generate.apply(this, args);
+        const start = this.getStartPosition();
+        this.getObstacles().push(new Obstacle({
+          type: 'slider', x: start.x + 80, y: start.y + 70, angle: Math.PI / 2,
+          length: 20, thickness: 8, period: 2, travel: 40
+        }));
+        return result;
+      });
+
+      const gameManager = new GameManager(canvas, 'easy', { seed: 7, mode: 'lives' });
+      const crashes = [];
+      gameManager.on('collision', event => crashes.push(event.tick));
+      gameManager.startGame();
+      gameManager.run({ 0: 'right', 25: 'down', 80: 'right', 189: 'up', 238: 'right', 357: 'up', 404: 'right', 489: 'up' });
+      expect(crashes[0]).toBe(54);
+
+      const replay = gameManager.getReplay();
+      const ghost = new Ghost(replay, gameManager.levelGenerator);
+      expect(ghost.penalties[53]).toBe(0);
+      expect(ghost.penalties[54]).toBe(CheckpointTracker.RULES.penalty);
+      expect(ghost.getStateAt(ghost.endTick)).toMatchObject({ x: gameManager.character.x, y: gameManager.character.y });
+
+      // ゴーストのシミュレーションはレベルの障害物を動かさない
+      expect(gameManager.levelGenerator.getObstacles()[0].time).toBeCloseTo(replay.endTick / 60);
+      gameManager.destroy();
+      generateSpy.mockRestore();
+    });
+
+    test('should re-record a direction pressed again after a respawn', () => {
+      const gameManager = new GameManager(canvas, 'easy', { seed: 7, mode: 'lives' });
+      gameManager.startGame();
+      gameManager.run({ 0: 'left', 1: 'left' }, 2);
+
+      expect(gameManager.getReplay().inputs).toEqual([
+        { tick: 0, direction: 'left' },
+        { tick: 1, direction: 'left' }
+      ]);
+      gameManager.destroy();
+    });
+
+    test('should only race ghosts recorded in the same mode', () => {
+      const recorder = new GameManager(canvas, 'easy', { seed: 7, mode: 'lives' });
+      recorder.startGame();
+      recorder.run(LIVES_SCRIPT);
+      const replay = recorder.getReplay();
+      recorder.destroy();
+
+      const classic = new GameManager(canvas, 'easy', { seed: 7 });
+      expect(() => classic.addGhost(replay, 'PB')).toThrow('Ghost replay does not match the current level');
+      classic.destroy();
+
+      const lives = new GameManager(canvas, 'easy', { seed: 7, mode: 'lives' });
+      lives.addGhost(replay, 'PB');
+      lives.startGame();
+      const deltas = [];
+      while (lives.getCurrentState() === 'playing') {
+        const direction = LIVES_SCRIPT[lives.getTick()];
+        if (direction) {
+          lives.character.setDirection(direction);
+        }
+        lives.step();
+        deltas.push(lives.getGhostDelta());
+      }
+      expect(deltas.every(delta => delta === 0)).toBe(true);
+      lives.destroy();
+    });
+  });
+});
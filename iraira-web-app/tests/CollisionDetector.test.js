@@ -151,13 +151,55 @@ describe('CollisionDetector クラス / CollisionDetector Class', () => {
     });
 
     test('should not detect collision when character is away from walls', () => {
-      // Position character away from all walls
-      character.x = 10;
-      character.y = 10;
+      // Position character away from all walls (placed there, not moved through the first wall)
+      character.reset(10, 10);
       
       expect(collisionDetector.checkWallCollision()).toBe(false);
     });
 
+    test('should detect when character passes close to a wall without touching it', () => {
+      // First wall ends at y = 70: 3px below it, then 10px below it
+      character.x = 75;
+      character.y = 73;
+      expect(collisionDetector.checkNearWall(4)).toBe(true);
+
+      character.y = 80;
+      expect(collisionDetector.checkNearWall(4)).toBe(false);
+
+      // Touching the wall is a collision, not a near miss
+      character.y = 60;
+      expect(collisionDetector.checkNearWall(4)).toBe(false);
+    });
+
+    test('should treat moving obstacles as walls in their current shape', () => {
+      const Obstacle = require('../src/Obstacle');
+      const rotor = new Obstacle({ type: 'rotor', x: 400, y: 100, angle: 0, length: 60, thickness: 4, period: 4 });
+      collisionDetector.updateObstacles([rotor]);
+
+      // Character (20x20) above the pivot, clear of the bar while it points right
+      character.x = 390;
+      character.y = 70;
+      expect(collisionDetector.checkWallCollision()).toBe(false);
+      expect(collisionDetector.checkNearWall(10)).toBe(true);
+
+      // Three quarters of a turn later the bar points straight up into the character
+      rotor.update(3);
+      expect(collisionDetector.checkWallCollision()).toBe(true);
+      expect(collisionDetector.getCollisionPoint()).toEqual({ x: 400, y: 80 });
+      expect(collisionDetector.checkNearWall(10)).toBe(false);
+    });
+
+    test('should test rectangles against rotated polygons with the separating axis theorem', () => {
+      // Diamond around (50, 50): the corner of a box near its edge is outside it
+      const diamond = [{ x: 50, y: 30 }, { x: 70, y: 50 }, { x: 50, y: 70 }, { x: 30, y: 50 }];
+      expect(collisionDetector.rectPolygonCollision({ x: 60, y: 60, width: 10, height: 10 }, diamond)).toBe(false);
+      expect(collisionDetector.rectPolygonCollision({ x: 55, y: 55, width: 10, height: 10 }, diamond)).toBe(true);
+      expect(collisionDetector.rectPolygonCollision({ x: 45, y: 45, width: 2, height: 2 }, diamond)).toBe(true);
+      // Touching edges do not count, like boundingBoxCollision
+      expect(collisionDetector.rectPolygonCollision({ x: 70, y: 45, width: 10, height: 10 }, diamond)).toBe(false);
+      expect(collisionDetector.rectPolygonCollision({ x: 0, y: 0, width: 10, height: 10 }, [])).toBe(false);
+    });
+
     test('should detect goal collision when character reaches goal', () => {
       // Position character at goal
       character.x = goal.x - 10;
@@ -186,8 +228,7 @@ describe('CollisionDetector クラス / CollisionDetector Class', () => {
 
     test('should return null collision point when no collision', () => {
       // Position character away from walls
-      character.x = 10;
-      character.y = 10;
+      character.reset(10, 10);
       
       collisionDetector.checkWallCollision();
       const collisionPoint = collisionDetector.getCollisionPoint();
@@ -209,6 +250,222 @@ describe('CollisionDetector クラス / CollisionDetector Class', () => {
       expect(collisionDetector.goal).toBe(newGoal);
     });
 
+    test('should detect walls crossed between two ticks, however fast the character moves', () => {
+      // From above the first wall (y 50-70) to below it in one tick
+      character.reset(75, 20);
+      character.setDirection('down');
+      character.update(80);
+      expect(character.y).toBe(100);
+      expect(collisionDetector.checkWallCollision()).toBe(true);
+      expect(collisionDetector.getCollisionPoint()).toEqual({ x: 85, y: 110 });
+
+      // The same move beside the wall
+      character.reset(20, 20);
+      character.setDirection('down');
+      character.update(80);
+      expect(collisionDetector.checkWallCollision()).toBe(false);
+    });
+
+    test('should detect obstacles and hazards crossed between two ticks', () => {
+      const Obstacle = require('../src/Obstacle');
+      const Hazard = require('../src/Hazard');
+      // Bar from (400, 100) to the right, 4 thick (y 98-102)
+      const rotor = new Obstacle({ type: 'rotor', x: 400, y: 100, angle: 0, length: 60, thickness: 4, period: 4 });
+      // 20 along the path (x 190-210) and 60 across it (y 70-130), on from 1.5 s
+      const hazard = new Hazard({ type: 'field', x: 200, y: 100, angle: 0, length: 20, width: 60, period: 2, active: 0.5 });
+      const detector = new CollisionDetector(character, [], null, [rotor], [hazard]);
+
+      // From above the bar to below it in one tick
+      character.reset(420, 60);
+      character.setDirection('down');
+      character.update(60);
+      expect(detector.checkWallCollision()).toBe(true);
+      expect(detector.getCollisionPoint()).toEqual({ x: 430, y: 130 });
+
+      // From before the hazard to after it, only while it is on
+      character.reset(140, 90);
+      character.setDirection('right');
+      character.update(80);
+      expect(detector.checkWallCollision()).toBe(false);
+      hazard.update(1.5);
+      expect(detector.checkWallCollision()).toBe(true);
+    });
+
+    test('should test a moving rectangle over the whole area it swept', () => {
+      // Diagonal move from (0, 0) to (100, 100) with a 10x10 box
+      const from = { x: 0, y: 0, width: 10, height: 10 };
+      const to = { x: 100, y: 100, width: 10, height: 10 };
+      const square = (x, y) => [{ x, y }, { x: x + 2, y }, { x: x + 2, y: y + 2 }, { x, y: y + 2 }];
+
+      expect(collisionDetector.rectPolygonCollision(to, square(50, 50))).toBe(false);
+      expect(collisionDetector.rectPolygonCollision(to, square(50, 50), from)).toBe(true);
+      // Inside the bounding box of the move but beside the swept area
+      expect(collisionDetector.rectPolygonCollision(to, square(80, 5), from)).toBe(false);
+    });
+
+    test('should test the round character against polyline walls exactly', () => {
+      // Wall along y = 100 from x = 0 to 200, 20 thick (surface at y = 90 and y = 110)
+      const polyline = { x: -10, y: 90, width: 220, height: 20, points: [{ x: 0, y: 100 }, { x: 100, y: 100 }, { x: 200, y: 100 }], thickness: 20 };
+      collisionDetector.updateWalls([polyline]);
+
+      // Character (20x20, radius 10) just above the surface
+      character.reset(90, 69);
+      expect(collisionDetector.checkNearWall(1)).toBe(false);
+      character.reset(90, 69.5);
+      expect(collisionDetector.checkNearWall(1)).toBe(true);
+      character.reset(90, 70);
+      expect(collisionDetector.checkWallCollision()).toBe(false);
+      character.reset(90, 70.5);
+      expect(collisionDetector.checkWallCollision()).toBe(true);
+
+      // Beyond the round end of the wall: the corner of the box would touch it, the circle does not
+      character.reset(205, 75);
+      expect(collisionDetector.checkWallCollision()).toBe(false);
+      character.reset(205, 80);
+      expect(collisionDetector.checkWallCollision()).toBe(true);
+    });
+
+    test('should measure distances between segments', () => {
+      const a = { x: 0, y: 0 };
+      const b = { x: 10, y: 10 };
+      expect(CollisionDetector.segmentDistance(a, b, { x: 0, y: 10 }, { x: 10, y: 0 })).toBe(0);
+      expect(CollisionDetector.segmentDistance(a, b, { x: 13, y: 14 }, { x: 20, y: 14 })).toBe(5);
+      expect(CollisionDetector.segmentDistance(a, a, { x: 3, y: -5 }, { x: 3, y: 5 })).toBe(3);
+      // Segments that only touch are 0 apart without crossing
+      expect(CollisionDetector.segmentsCross(a, b, b, { x: 20, y: 0 })).toBe(false);
+      expect(CollisionDetector.segmentDistance(a, b, b, { x: 20, y: 0 })).toBe(0);
+    });
+
+    test('should sort the walls into grid cells and rebuild the grid with the walls', () => {
+      const wall = { x: 10, y: 10, width: 100, height: 20 };
+      const polyline = { x: 190, y: 190, width: 20, height: 120, points: [{ x: 200, y: 200 }, { x: 200, y: 300 }], thickness: 20 };
+      const grid = CollisionDetector.createWallGrid(CollisionDetector.getWallShapes([wall, polyline]), 64);
+
+      // The rectangle overlaps two cells (each with one of its side edges), the wall segment with its radius six
+      expect(grid.cells.get('0,0').rects).toEqual([wall]);
+      expect(grid.cells.get('0,0').segments).toHaveLength(3);
+      expect(grid.cells.get('1,0').segments).toHaveLength(3);
+      expect(grid.cells.get('2,2').segments).toEqual([expect.objectContaining({ radius: 10 })]);
+      expect(grid.cells.get('3,4').segments).toEqual(grid.cells.get('2,2').segments);
+      expect(grid.cells.size).toBe(2 + 6);
+
+      collisionDetector.updateWalls([polyline]);
+      expect(collisionDetector.wallGrid.cells.has('0,0')).toBe(false);
+      expect(collisionDetector.wallGrid.cells.has('3,4')).toBe(true);
+    });
+
+    test('should find the same walls with the grid as without it', () => {
+      const coordinate = fc.double({ min: -100, max: 500, noNaN: true });
+      const point = fc.record({ x: coordinate, y: coordinate });
+      const rect = fc.record({
+        x: coordinate, y: coordinate, width: fc.double({ min: 1, max: 200, noNaN: true }), height: fc.double({ min: 1, max: 200, noNaN: true })
+      });
+      const polyline = fc.record({
+        points: fc.array(point, { minLength: 2, maxLength: 6 }),
+        thickness: fc.double({ min: 1, max: 40, noNaN: true })
+      });
+
+      fc.assert(
+        fc.property(
+          fc.array(fc.oneof(rect, polyline), { maxLength: 12 }),
+          point,
+          point,
+          fc.double({ min: 0, max: 150, noNaN: true }),
+          (walls, a, b, limit) => {
+            const detector = new CollisionDetector(new Character(0, 0, 10), walls, null);
+            const withGrid = detector.getWallDistance(a, b, limit);
+            detector.wallGrid = null;
+            expect(detector.getWallDistance(a, b, limit)).toBe(withGrid);
+          }
+        ),
+        {
+          numRuns: 200,
+          // Distances that round below their bounding box gap (here to 0) must not depend on the order the walls are visited in
+          examples: [[
+            [{ x: 0, y: 0, width: 1, height: 1 }, { x: -1.63e-322, y: -1.63e-322, width: 1, height: 1 }],
+            { x: -1.5717277847026288e-162, y: 0 },
+            { x: -1.7e-322, y: 0 },
+            1.73e-322
+          ]]
+        }
+      );
+    });
+
+    test('should report the nearest wall surface with its contact point and normal', () => {
+      // Centre (100, 110), 40 below the first wall
+      character.reset(90, 100);
+      expect(collisionDetector.getNearestWallInfo()).toEqual({ distance: 30, point: { x: 100, y: 70 }, normal: { x: 0, y: 1 } });
+      expect(collisionDetector.getNearestWallInfo(20)).toBeNull();
+      expect(collisionDetector.getNearestWallInfo(31).distance).toBe(30);
+
+      // Nearest to a corner of the second wall
+      character.reset(245, 110);
+      const corner = collisionDetector.getNearestWallInfo();
+      expect(corner.point).toEqual({ x: 250, y: 150 });
+      expect(corner.distance).toBeCloseTo(Math.hypot(5, 30) - 10);
+      expect(corner.normal.x).toBeCloseTo(5 / Math.hypot(5, 30));
+      expect(corner.normal.y).toBeCloseTo(-30 / Math.hypot(5, 30));
+
+      // Inside the first wall: negative, out through the nearest edge
+      character.reset(90, 52);
+      expect(collisionDetector.getNearestWallInfo()).toEqual({ distance: -18, point: { x: 100, y: 70 }, normal: { x: 0, y: 1 } });
+    });
+
+    test('should measure polyline walls from their surface and hazards only while they are on', () => {
+      const Hazard = require('../src/Hazard');
+      const polyline = { x: -10, y: 90, width: 220, height: 20, points: [{ x: 0, y: 100 }, { x: 200, y: 100 }], thickness: 20 };
+      const hazard = new Hazard({ type: 'field', x: 400, y: 100, angle: 0, length: 20, width: 60, period: 2, active: 0.5 });
+      const detector = new CollisionDetector(character, [polyline], null, [], [hazard]);
+
+      character.reset(90, 60);
+      expect(detector.getNearestWallInfo()).toEqual({ distance: 10, point: { x: 100, y: 90 }, normal: { x: 0, y: -1 } });
+      character.reset(90, 125);
+      expect(detector.getNearestWallInfo()).toEqual({ distance: 15, point: { x: 100, y: 110 }, normal: { x: 0, y: 1 } });
+
+      // 30 from the hazard (x 390-410), further from the end of the wall
+      character.reset(350, 90);
+      expect(detector.getNearestWallInfo().point).toEqual({ x: 210, y: 100 });
+      hazard.update(1.5);
+      expect(detector.getNearestWallInfo()).toEqual({ distance: 20, point: { x: 390, y: 100 }, normal: { x: -1, y: 0 } });
+    });
+
+    test('should find the same nearest wall with the grid as without it', () => {
+      const coordinate = fc.double({ min: -100, max: 500, noNaN: true });
+      const rect = fc.record({
+        x: coordinate, y: coordinate, width: fc.double({ min: 1, max: 200, noNaN: true }), height: fc.double({ min: 1, max: 200, noNaN: true })
+      });
+      const polyline = fc.record({
+        points: fc.array(fc.record({ x: coordinate, y: coordinate }), { minLength: 2, maxLength: 6 }),
+        thickness: fc.double({ min: 1, max: 40, noNaN: true })
+      });
+
+      fc.assert(
+        fc.property(
+          fc.array(fc.oneof(rect, polyline), { maxLength: 12 }),
+          coordinate,
+          coordinate,
+          fc.constantFrom(10, 50, 200, Infinity),
+          (walls, x, y, maxDistance) => {
+            const detector = new CollisionDetector(new Character(x, y, 10), walls, null);
+            const withGrid = detector.getNearestWallInfo(maxDistance);
+            detector.wallGrid = null;
+            const withoutGrid = detector.getNearestWallInfo(maxDistance);
+            // (walls at the same distance may come in a different order)
+            expect(withGrid && withGrid.distance).toBe(withoutGrid && withoutGrid.distance);
+
+            if (withGrid) {
+              expect(withGrid.distance).toBeLessThan(maxDistance);
+              expect(Math.hypot(withGrid.normal.x, withGrid.normal.y)).toBeCloseTo(1);
+              // Agrees with the distance the collision checks use (which stop at 0 inside walls)
+              const center = { x: x + 5, y: y + 5 };
+              expect(detector.getWallDistance(center, center, 1000) - 5).toBeCloseTo(Math.max(withGrid.distance, -5));
+            }
+          }
+        ),
+        { numRuns: 200 }
+      );
+    });
+
     test('should reset collision state', () => {
       // Trigger a collision first
       character.x = 75;
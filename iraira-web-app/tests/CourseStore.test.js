@@ -0,0 +1,80 @@
+/**
+ * CourseStore Tests - レベルエディタのコース保存と書き出しのテスト
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+
+const CourseStore = require('../src/CourseStore');
+const { MemoryStorage } = require('./helpers');
+
+const COURSE = {
+  waypoints: [{ x: 0.0625, y: 0.5 }, { x: 0.5, y: 0.25 }, { x: 0.9375, y: 0.5 }],
+  widths: [60, 40],
+  obstacles: [{ type: 'rotor', x: 0.3, y: 0.4, period: 3, phase: 0.5, side: -1 }]
+};
+
+describe('CourseStore', () => {
+  let storage;
+  let store;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    store = new CourseStore(storage);
+  });
+
+  test('should save courses by name and replace a course with the same name', () => {
+    expect(store.getCourses()).toEqual([]);
+
+    store.saveCourse(' event ', 'hard', { ...COURSE, label: 'ignored' });
+    expect(store.getCourse('event')).toEqual({ name: 'event', difficulty: 'hard', course: COURSE });
+
+    store.saveCourse('training', 'easy', COURSE);
+    store.saveCourse('event', 'medium', { ...COURSE, widths: [80, 80] });
+    expect(store.getCourses().map(entry => entry.name)).toEqual(['training', 'event']);
+    expect(new CourseStore(storage).getCourse('event').course.widths).toEqual([80, 80]);
+
+    expect(store.deleteCourse('event')).toBe(true);
+    expect(store.deleteCourse('event')).toBe(false);
+    expect(store.getCourse('event')).toBe(null);
+  });
+
+  test('should reject invalid names, difficulties and courses and a full store', () => {
+    expect(() => store.saveCourse('', 'easy', COURSE)).toThrow('Course name must be 1-20 characters');
+    expect(() => store.saveCourse('event', 'custom', COURSE)).toThrow('Invalid difficulty: custom');
+    expect(() => store.saveCourse('event', 'easy', { ...COURSE, widths: [60] })).toThrow('Invalid course');
+
+    for (let i = 0; i < CourseStore.MAX_COURSES; i++) {
+      store.saveCourse(`course ${i}`, 'easy', COURSE);
+    }
+    expect(() => store.saveCourse('one more', 'easy', COURSE)).toThrow('At most 20 courses can be saved');
+    expect(() => store.saveCourse('course 0', 'hard', COURSE)).not.toThrow();
+  });
+
+  test('should ignore corrupted or invalid stored data and work without storage', () => {
+    storage.setItem(CourseStore.STORAGE_KEY, JSON.stringify([
+      { name: 'ok', difficulty: 'easy', course: COURSE },
+      { name: 'broken', difficulty: 'easy', course: { waypoints: [] } },
+      null
+    ]));
+    expect(store.getCourses().map(entry => entry.name)).toEqual(['ok']);
+
+    storage.setItem(CourseStore.STORAGE_KEY, 'not json');
+    expect(store.getCourses()).toEqual([]);
+
+    const memoryless = new CourseStore(null);
+    expect(memoryless.saveCourse('event', 'easy', COURSE).course).toEqual(COURSE);
+    expect(memoryless.getCourses()).toEqual([]);
+  });
+
+  test('should export a course to a file and import it again', () => {
+    const text = CourseStore.serialize('event', 'hard', COURSE);
+    expect(JSON.parse(text)).toMatchObject({ format: 'iraira-course', version: 1 });
+    expect(CourseStore.parse(text)).toEqual({ name: 'event', difficulty: 'hard', course: COURSE });
+
+    expect(() => CourseStore.serialize('', 'hard', COURSE)).toThrow('Course name must be 1-20 characters');
+    expect(() => CourseStore.parse('{')).toThrow('Invalid course file: not JSON');
+    expect(() => CourseStore.parse('{"format":"iraira-replay"}')).toThrow('Invalid course file');
+    expect(() => CourseStore.parse(text.replace('"version":1', '"version":2')))
+      .toThrow('Unsupported course file version: 2');
+    expect(() => CourseStore.parse(text.replace('"hard"', '"custom"'))).toThrow('Invalid difficulty: custom');
+  });
+});
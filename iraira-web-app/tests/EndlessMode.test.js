@@ -0,0 +1,156 @@
+/**
+ * Endless Mode Tests - エンドレスモードのテスト
+ *
+ * 実際のLevelGenerator/CollisionDetectorを使い、コースの延長・後方の壁の削除・
+ * 距離スコア・カメラのスクロールを確認する
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+
+const LevelGenerator = require('../src/LevelGenerator');
+const Replay = require('../src/Replay');
+const { installGameGlobals } = require('./helpers');
+
+installGameGlobals();
+
+const GameManager = require('../src/GameManager');
+
+/**
+ * 通路の中心線を追いかけてプレイする（壁に当たりそうなら上下に避ける）
+ */
+function followPath(gameManager, ticks) {
+  const levelGenerator = gameManager.levelGenerator;
+  const character = gameManager.character;
+  const speed = levelGenerator.getCharacterSpeed();
+  const size = character.size;
+  const hits = (x, y) => levelGenerator.getWalls().some(wall =>
+    x < wall.x + wall.width && x + size > wall.x && y < wall.y + wall.height && y + size > wall.y);
+
+  for (let i = 0; i < ticks && gameManager.getCurrentState() === 'playing'; i++) {
+    const centerY = character.y + size / 2;
+    const ahead = levelGenerator.getPath().find(point => point.x >= character.x + size / 2 + speed * 3) || { y: centerY };
+    const vertical = ahead.y < centerY ? 'up' : 'down';
+
+    let direction = 'right';
+    if (hits(character.x + speed * 2, character.y) ||
+        Math.abs(ahead.y - centerY) > levelGenerator.getPathWidthAt(character.x) / 4) {
+      direction = vertical;
+    }
+    const dy = direction === 'up' ? -speed : (direction === 'down' ? speed : 0);
+    if (hits(character.x + (direction === 'right' ? speed : 0), character.y + dy)) {
+      direction = direction === 'right' ? vertical : 'right';
+    }
+
+    if (direction !== character.direction) {
+      character.setDirection(direction);
+      gameManager.recordDirectionChange(direction);
+    }
+    gameManager.step();
+  }
+  return gameManager;
+}
+
+describe('Endless mode', () => {
+  let canvas;
+
+  beforeEach(() => {
+    canvas = document.createElement('canvas');
+    canvas.width = 800;
+    canvas.height = 600;
+  });
+
+  test('should be one of the game modes and reject layouts', () => {
+    expect(GameManager.MODES).toContain('endless');
+    expect(() => new GameManager(canvas, 'easy', { mode: 'endless', layout: [{ x: 0, y: 0 }, { x: 1, y: 1 }] }))
+      .toThrow('Hand-authored layouts are not available in endless mode');
+  });
+
+  test('should keep growing the track and dropping walls behind the character', () => {
+    const gameManager = new GameManager(canvas, 'easy', { seed: 3, mode: 'endless' });
+    gameManager.startGame();
+    expect(gameManager.levelGenerator.getGoalPosition()).toBe(null);
+
+    followPath(gameManager, 2500);
+
+    expect(gameManager.getCurrentState()).toBe('playing');
+    const x = gameManager.character.x;
+    expect(x).toBeGreaterThan(2000);
+    expect(gameManager.collisionDetector.walls).toBe(gameManager.levelGenerator.getWalls());
+    gameManager.levelGenerator.getWalls().forEach(wall => {
+      expect(wall.x).toBeGreaterThan(x - 800 * 1.5 - LevelGenerator.ENDLESS.columnWidth * 2);
+    });
+    expect(gameManager.getDistance()).toBe(Math.floor((x - 50) / 10));
+    gameManager.destroy();
+  });
+
+  test('should score the furthest distance reached when the run ends', () => {
+    const gameManager = new GameManager(canvas, 'medium', { seed: 5, mode: 'endless' });
+    gameManager.startGame();
+    followPath(gameManager, 600);
+    const distance = gameManager.getDistance();
+
+    // 後ろに戻ってから壁に当たっても、スコアは一番遠くまで進んだ距離
+    gameManager.character.setDirection('left');
+    gameManager.recordDirectionChange('left');
+    while (gameManager.getCurrentState() === 'playing') {
+      gameManager.step();
+    }
+
+    expect(gameManager.getCurrentState()).toBe('gameover');
+    expect(distance).toBeGreaterThan(0);
+    expect(gameManager.getCurrentScore()).toBe(distance);
+
+    const replay = Replay.deserialize(gameManager.getReplay().serialize());
+    expect(replay.mode).toBe('endless');
+    expect(replay.result).toBe('gameover');
+    expect(replay.score).toBe(distance);
+    gameManager.destroy();
+  });
+
+  test('should regenerate the same track when the run is restarted', () => {
+    const gameManager = new GameManager(canvas, 'easy', { seed: 9, mode: 'endless' });
+    gameManager.startGame();
+    const walls = gameManager.levelGenerator.getWalls();
+    followPath(gameManager, 1200);
+
+    gameManager.resetRun();
+    expect(gameManager.getDistance()).toBe(0);
+    expect(gameManager.levelGenerator.getWalls()).toEqual(walls);
+    expect(gameManager.collisionDetector.walls).toBe(gameManager.levelGenerator.getWalls());
+    gameManager.destroy();
+  });
+
+  test('should scroll the camera with the character and show the distance', () => {
+    const gameManager = new GameManager(canvas, 'easy', { seed: 3, mode: 'endless' });
+    gameManager.startGame();
+    expect(gameManager.getCameraX()).toBe(0);
+
+    followPath(gameManager, 1000);
+    gameManager.interpolationAlpha = 1;
+    gameManager._render();
+    expect(gameManager.getCameraX()).toBe(gameManager.character.x - 800 / 3);
+    expect(gameManager.renderer.cameraX).toBe(gameManager.getCameraX());
+    expect(gameManager.renderer.lastUIState.distance).toBe(gameManager.getDistance());
+    gameManager.destroy();
+  });
+
+  test('other modes should not scroll or report a distance', () => {
+    const gameManager = new GameManager(canvas, 'easy', { seed: 3 });
+    gameManager.startGame();
+    gameManager._render();
+
+    expect(gameManager.getDistance()).toBe(null);
+    expect(gameManager.renderer.cameraX).toBe(null);
+    gameManager.destroy();
+  });
+
+  test('should not race ghosts', () => {
+    const classic = new GameManager(canvas, 'easy', { seed: 3 });
+    classic.startGame();
+    const gameManager = new GameManager(canvas, 'easy', { seed: 3, mode: 'endless' });
+    gameManager.startGame();
+
+    expect(() => gameManager.addGhost(classic.getReplay(), 'PB')).toThrow('Ghosts are not available in endless mode');
+    classic.destroy();
+    gameManager.destroy();
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * EventEmitter Tests - イベント通知のテスト
+ */
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+
+const EventEmitter = require('../src/EventEmitter');
+
+describe('EventEmitter', () => {
+  let emitter;
+
+  beforeEach(() => {
+    emitter = new EventEmitter(['tick', 'goal']);
+  });
+
+  test('should call listeners in the order they were added', () => {
+    const calls = [];
+    emitter.on('tick', payload => calls.push(['a', payload.tick]));
+    emitter.on('tick', payload => calls.push(['b', payload.tick]));
+
+    emitter.emit('tick', { tick: 1 });
+    emitter.emit('goal', { tick: 1 });
+
+    expect(calls).toEqual([['a', 1], ['b', 1]]);
+  });
+
+  test('should remove listeners with off() or the returned function', () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    emitter.on('tick', first);
+    const unsubscribe = emitter.on('tick', second);
+
+    emitter.off('tick', first);
+    unsubscribe();
+    emitter.emit('tick', {});
+
+    expect(first).not.toHaveBeenCalled();
+    expect(second).not.toHaveBeenCalled();
+    expect(emitter.hasListeners('tick')).toBe(false);
+  });
+
+  test('once() listeners should only be called for the first event', () => {
+    const listener = jest.fn();
+    emitter.once('goal', listener);
+
+    emitter.emit('goal', { time: 1 });
+    emitter.emit('goal', { time: 2 });
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ time: 1 });
+
+    // 呼ばれる前なら元の関数でも解除できる
+    emitter.once('goal', listener);
+    emitter.off('goal', listener);
+    emitter.emit('goal', { time: 3 });
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('a throwing listener should not stop the others', () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const listener = jest.fn();
+    emitter.on('tick', () => {
+      throw new Error('broken widget');
+    });
+    emitter.on('tick', listener);
+
+    emitter.emit('tick', {});
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(errorSpy).toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+
+  test('should reject unknown events and listeners that are not functions', () => {
+    expect(() => emitter.on('tock', () => {})).toThrow('Unknown event: tock');
+    expect(() => emitter.once('tick', null)).toThrow('Event listener must be a function');
+
+    // イベント名の一覧がなければどの名前でも購読できる
+    expect(() => new EventEmitter().on('anything', () => {})).not.toThrow();
+  });
+});
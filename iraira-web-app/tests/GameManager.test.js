@@ -32,13 +32,21 @@ class MockCharacter {
     this.direction = null;
     this.initialX = x;
     this.initialY = y;
+    this.previousX = x;
+    this.previousY = y;
   }
 
   setDirection(direction) {
     this.direction = direction;
   }
 
+  setInertia(inertia) {
+    this.inertia = inertia;
+  }
+
   update(speed) {
+    this.previousX = this.x;
+    this.previousY = this.y;
     if (!this.direction) return;
     
     switch (this.direction) {
@@ -53,6 +61,13 @@ class MockCharacter {
     return { x: this.x, y: this.y };
   }
 
+  getInterpolatedPosition(alpha) {
+    return {
+      x: this.previousX + (this.x - this.previousX) * alpha,
+      y: this.previousY + (this.y - this.previousY) * alpha
+    };
+  }
+
   getBounds() {
     return { x: this.x, y: this.y, width: this.size, height: this.size };
   }
@@ -67,10 +82,14 @@ class MockCharacter {
       this.x = this.initialX;
       this.y = this.initialY;
     }
+    this.previousX = this.x;
+    this.previousY = this.y;
     this.direction = null;
   }
 }
 
+MockCharacter.MOVEMENTS = ['direct', 'inertia'];
+
 class MockLevelGenerator {
   constructor(width, height, difficulty) {
     this.width = width;
@@ -83,10 +102,27 @@ class MockLevelGenerator {
       'super-hard': { pathWidth: 30, characterSpeed: 6 }
     };
     this.settings = this.difficultySettings[difficulty];
+    this.seed = null;
+    this.layout = null;
   }
 
-  generate() {
+  generate(seed, layout = null) {
     // モック実装
+    this.seed = seed !== undefined && seed !== null ? seed : 1234;
+    this.layout = layout;
+    return this.seed;
+  }
+
+  getSeed() {
+    return this.seed;
+  }
+
+  getLayout() {
+    return this.layout;
+  }
+
+  getProfile() {
+    return null;
   }
 
   getWalls() {
@@ -96,6 +132,16 @@ class MockLevelGenerator {
     ];
   }
 
+  getObstacles() {
+    return [];
+  }
+
+  getHazards() {
+    return [];
+  }
+
+  updateObstacles(time) {}
+
   getStartPosition() {
     return { x: 100, y: 300 };
   }
@@ -124,6 +170,7 @@ class MockCollisionDetector {
     this.goal = goal;
     this.forceWallCollision = false;
     this.forceGoalCollision = false;
+    this.forceNearWall = false;
     this.lastCollisionPoint = null;
   }
 
@@ -135,6 +182,10 @@ class MockCollisionDetector {
     return false;
   }
 
+  checkNearWall() {
+    return this.forceNearWall;
+  }
+
   checkGoalCollision() {
     return this.forceGoalCollision;
   }
@@ -151,6 +202,10 @@ class MockCollisionDetector {
     this.goal = goal;
   }
 
+  updateObstacles(obstacles) {}
+
+  updateHazards(hazards) {}
+
   reset() {
     this.lastCollisionPoint = null;
   }
@@ -166,6 +221,8 @@ class MockRenderer {
   drawPath(path, width) {}
   drawCharacter(character) {}
   drawGoal(goal) {}
+  drawObstacles(polygons) {}
+  drawHazards(hazards) {}
   drawTimer(time) {}
   drawUI(state) {}
 }
@@ -197,6 +254,7 @@ class MockAnimationEngine {
   isPlaying() {
     return this.isAnimating;
   }
+  drawEffects() {}
 }
 
 class MockInputHandler {
@@ -627,4 +685,417 @@ describe('GameManager Property Tests', () => {
       gameManager.destroy();
     });
   });
-});
\ No newline at end of file
+
+  // Unit Tests for Fixed Timestep Simulation
+  describe('Fixed Timestep Simulation', () => {
+    /**
+     * 同じ経過時間なら、フレームの刻み方に関係なく同じ結果になることを確認
+     */
+    test('should produce identical results regardless of frame rate', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom('easy', 'medium', 'hard', 'super-hard'),
+          fc.constantFrom(30, 60, 144, 240), // モニターのリフレッシュレート
+          (difficulty, refreshRate) => {
+            const reference = new GameManager(canvas, difficulty);
+            const subject = new GameManager(canvas, difficulty);
+            reference.startGame();
+            subject.startGame();
+            reference.character.setDirection('right');
+            subject.character.setDirection('right');
+
+            // 基準: 1秒分を一度に進める（上限で切り詰められないよう分割）
+            for (let i = 0; i < 4; i++) {
+              reference.update(250);
+            }
+
+            // 対象: 1秒分をリフレッシュレートに応じたフレームで進める
+            const frameTime = 1000 / refreshRate;
+            for (let i = 0; i < refreshRate; i++) {
+              subject.update(frameTime);
+            }
+
+            expect(subject.getTick()).toBe(reference.getTick());
+            expect(subject.currentTime).toBe(reference.currentTime);
+            expect(subject.character.x).toBeCloseTo(reference.character.x, 6);
+
+            reference.destroy();
+            subject.destroy();
+          }
+        ),
+        { numRuns: 20 }
+      );
+    });
+
+    test('should advance one tick per tick duration and keep the remainder', () => {
+      const gameManager = new GameManager(canvas, 'medium');
+      gameManager.startGame();
+      gameManager.character.setDirection('right');
+      const startX = gameManager.character.x;
+
+      gameManager.update(40); // 60Hzで2ティック + 端数
+
+      expect(gameManager.getTick()).toBe(2);
+      expect(gameManager.currentTime).toBe(33);
+      expect(gameManager.character.x).toBe(startX + 6);
+      expect(gameManager.accumulator).toBeCloseTo(40 - 2 * (1000 / 60), 6);
+      expect(gameManager.interpolationAlpha).toBeGreaterThan(0);
+      expect(gameManager.interpolationAlpha).toBeLessThan(1);
+
+      gameManager.destroy();
+    });
+
+    test('should scale movement per tick with a custom tick rate', () => {
+      const gameManager = new GameManager(canvas, 'hard', { tickRate: 120 });
+      gameManager.startGame();
+      gameManager.character.setDirection('down');
+      const startY = gameManager.character.y;
+
+      for (let i = 0; i < 4; i++) {
+        gameManager.update(250);
+      }
+
+      // 120ティック/秒でも1秒あたりの移動量は60ティック/秒と同じ
+      expect(gameManager.getTick()).toBe(120);
+      expect(gameManager.currentTime).toBe(1000);
+      expect(gameManager.character.y).toBeCloseTo(startY + 4 * 60, 6);
+
+      gameManager.destroy();
+    });
+
+    test('should clamp very large frame deltas', () => {
+      const gameManager = new GameManager(canvas, 'easy');
+      gameManager.startGame();
+
+      gameManager.update(10000); // タブ復帰などによる巨大なデルタ
+
+      expect(gameManager.currentTime).toBeLessThanOrEqual(gameManager.maxFrameTime);
+
+      gameManager.destroy();
+    });
+
+    test('should not advance the timer while paused', () => {
+      const gameManager = new GameManager(canvas, 'easy');
+      gameManager.startGame();
+      gameManager.update(100);
+      const timeBeforePause = gameManager.currentTime;
+
+      gameManager.pauseGame();
+      gameManager.update(100);
+      expect(gameManager.currentTime).toBe(timeBeforePause);
+
+      // The resume countdown does not count towards the run either
+      gameManager.resumeGame();
+      gameManager.update(100);
+      expect(gameManager.getCurrentState()).toBe('countdown');
+      expect(gameManager.currentTime).toBe(timeBeforePause);
+
+      for (let elapsed = 100; elapsed < GameManager.RESUME_COUNTDOWN; elapsed += 100) {
+        gameManager.update(100);
+      }
+      expect(gameManager.getCurrentState()).toBe('playing');
+      expect(gameManager.currentTime).toBe(timeBeforePause);
+      gameManager.update(100);
+      expect(gameManager.currentTime).toBeGreaterThan(timeBeforePause);
+
+      gameManager.destroy();
+    });
+
+    test('should stop stepping once the goal is reached within a frame', () => {
+      const gameManager = new GameManager(canvas, 'easy');
+      gameManager.startGame();
+      gameManager.collisionDetector.forceGoalCollision = true;
+
+      gameManager.update(200);
+
+      expect(gameManager.getCurrentState()).toBe('victory');
+      expect(gameManager.getTick()).toBe(1);
+      expect(gameManager.score).toBe(17);
+
+      gameManager.destroy();
+    });
+
+    test('should reject an invalid tick rate', () => {
+      expect(() => new GameManager(canvas, 'easy', { tickRate: 0 })).toThrow('Invalid tick rate');
+      expect(() => new GameManager(canvas, 'easy', { tickRate: 'fast' })).toThrow('Invalid tick rate');
+    });
+  });
+
+  // Unit Tests for Level Seeds
+  describe('Level Seed', () => {
+    test('should expose the seed of the generated level', () => {
+      const gameManager = new GameManager(canvas, 'easy');
+
+      expect(gameManager.getSeed()).toBe(1234);
+
+      gameManager.destroy();
+    });
+
+    test('should generate the level from a fixed seed', () => {
+      const gameManager = new GameManager(canvas, 'medium', { seed: 987654 });
+
+      expect(gameManager.getSeed()).toBe(987654);
+
+      // 再スタートしても同じシードのコースを再生成
+      gameManager.startGame();
+      gameManager.restartGame();
+      expect(gameManager.getSeed()).toBe(987654);
+
+      gameManager.destroy();
+    });
+  });
+
+  // Unit Tests for Replay Recording
+  describe('Replay Recording', () => {
+    test('should start recording a replay of the current level on start', () => {
+      const gameManager = new GameManager(canvas, 'hard', { seed: 55 });
+      expect(gameManager.getReplay()).toBe(null);
+
+      gameManager.startGame();
+      const replay = gameManager.getReplay();
+
+      expect(replay.seed).toBe(55);
+      expect(replay.difficulty).toBe('hard');
+      expect(replay.tickRate).toBe(60);
+      expect(replay.isFinished()).toBe(false);
+
+      gameManager.destroy();
+    });
+
+    test('should record direction changes at the current tick', () => {
+      const gameManager = new GameManager(canvas, 'easy');
+      gameManager.startGame();
+
+      gameManager.recordDirectionChange('right');
+      gameManager.update(100); // 6ティック
+      gameManager.recordDirectionChange('down');
+
+      expect(gameManager.getReplay().inputs).toEqual([
+        { tick: 0, direction: 'right' },
+        { tick: 6, direction: 'down' }
+      ]);
+
+      gameManager.destroy();
+    });
+
+    test('should finish the replay on game over and victory', () => {
+      const gameManager = new GameManager(canvas, 'easy');
+      gameManager.startGame();
+      gameManager.update(100);
+      gameManager.handleGameOver();
+
+      expect(gameManager.getReplay().endTick).toBe(6);
+      expect(gameManager.getReplay().result).toBe('gameover');
+
+      gameManager.startGame();
+      gameManager.collisionDetector.forceGoalCollision = true;
+      gameManager.update(50);
+
+      expect(gameManager.getReplay().endTick).toBe(1);
+      expect(gameManager.getReplay().result).toBe('victory');
+      expect(gameManager.getReplay().score).toBe(gameManager.score);
+
+      gameManager.destroy();
+    });
+
+    test('should apply directions from a scripted input source before each tick', () => {
+      const gameManager = new GameManager(canvas, 'easy');
+      gameManager.resetRun();
+      gameManager.inputSource = {
+        getDirectionForTick: (tick) => (tick === 2 ? 'up' : null)
+      };
+
+      gameManager.step();
+      gameManager.step();
+      expect(gameManager.character.direction).toBe(null);
+
+      gameManager.step();
+      expect(gameManager.character.direction).toBe('up');
+      expect(gameManager.character.y).toBe(300 - 2);
+
+      gameManager.destroy();
+    });
+  });
+  // Unit Tests for the event API
+  describe('Game Events', () => {
+    test('should notify start, pause, resume and restart with their payloads', () => {
+      const gameManager = new GameManager(canvas, 'medium', { seed: 12 });
+      const events = [];
+      ['start', 'pause', 'resume', 'restart'].forEach(name => {
+        gameManager.on(name, payload => events.push({ name, payload }));
+      });
+
+      gameManager.startGame();
+      gameManager.update(100);
+      gameManager.pauseGame();
+      gameManager.resumeGame(0);
+      gameManager.restartGame();
+
+      expect(events).toEqual([
+        { name: 'start', payload: { difficulty: 'medium', mode: 'classic', movement: 'direct', seed: 12, layout: null } },
+        { name: 'pause', payload: { tick: 6, time: 100, reason: 'manual' } },
+        { name: 'resume', payload: { tick: 6, time: 100 } },
+        { name: 'restart', payload: { difficulty: 'medium', mode: 'classic', movement: 'direct', seed: 12, layout: null } }
+      ]);
+
+      gameManager.destroy();
+    });
+
+    test('should count down 3-2-1 before resuming', () => {
+      const gameManager = new GameManager(canvas, 'easy');
+      const events = [];
+      gameManager.on('countdown', payload => events.push(`countdown ${payload.remaining}`));
+      gameManager.on('resume', () => events.push('resume'));
+
+      gameManager.startGame();
+      gameManager.togglePause();
+      expect(gameManager.getCurrentState()).toBe('paused');
+      expect(gameManager.getResumeCountdown()).toBe(null);
+
+      gameManager.togglePause();
+      expect(gameManager.getCurrentState()).toBe('countdown');
+      expect(gameManager.getResumeCountdown()).toBe(3);
+
+      // SPACE during the countdown goes back to paused without a resume
+      gameManager.togglePause();
+      expect(gameManager.getCurrentState()).toBe('paused');
+
+      gameManager.resumeGame();
+      for (let i = 0; i < 30; i++) {
+        gameManager.update(100);
+      }
+
+      expect(events).toEqual(['countdown 3', 'countdown 3', 'countdown 2', 'countdown 1', 'resume']);
+      expect(gameManager.getCurrentState()).toBe('playing');
+      expect(gameManager.getTick()).toBe(0);
+
+      gameManager.destroy();
+    });
+
+    test('should notify every tick with the character position', () => {
+      const gameManager = new GameManager(canvas, 'easy');
+      const ticks = [];
+      gameManager.on('tick', payload => ticks.push(payload));
+
+      gameManager.startGame();
+      gameManager.character.setDirection('right');
+      gameManager.step();
+      gameManager.step();
+
+      expect(ticks).toEqual([
+        { tick: 1, time: 17, x: 102, y: 300, direction: 'right' },
+        { tick: 2, time: 33, x: 104, y: 300, direction: 'right' }
+      ]);
+
+      gameManager.destroy();
+    });
+
+    test('should notify direction changes only when the direction changes', () => {
+      const gameManager = new GameManager(canvas, 'easy');
+      const changes = [];
+      gameManager.on('directionchange', payload => changes.push(payload));
+
+      gameManager.recordDirectionChange('up'); // プレイ開始前は通知しない
+      gameManager.startGame();
+      gameManager.recordDirectionChange('up');
+      gameManager.recordDirectionChange('up');
+      gameManager.step();
+      gameManager.recordDirectionChange('right');
+
+      expect(changes).toEqual([
+        { tick: 0, direction: 'up' },
+        { tick: 1, direction: 'right' }
+      ]);
+
+      gameManager.destroy();
+    });
+
+    test('should notify a near miss once per approach', () => {
+      const gameManager = new GameManager(canvas, 'easy');
+      const nearMisses = jest.fn();
+      gameManager.on('nearmiss', nearMisses);
+      gameManager.startGame();
+
+      gameManager.collisionDetector.forceNearWall = true;
+      gameManager.step();
+      gameManager.step();
+      expect(nearMisses).toHaveBeenCalledTimes(1);
+      expect(nearMisses).toHaveBeenCalledWith({ tick: 1, x: 100, y: 300 });
+
+      gameManager.collisionDetector.forceNearWall = false;
+      gameManager.step();
+      gameManager.collisionDetector.forceNearWall = true;
+      gameManager.step();
+      expect(nearMisses).toHaveBeenCalledTimes(2);
+
+      gameManager.destroy();
+    });
+
+    test('should notify collision and game over after the explosion', async () => {
+      const gameManager = new GameManager(canvas, 'easy', { seed: 3 });
+      const collision = jest.fn();
+      const gameOver = jest.fn();
+      gameManager.on('collision', collision);
+      gameManager.on('gameover', gameOver);
+
+      gameManager.startGame();
+      gameManager.collisionDetector.forceWallCollision = true;
+      gameManager.step();
+
+      expect(collision).toHaveBeenCalledWith({ tick: 1, x: 100, y: 300, respawn: false, lives: null });
+      expect(gameOver).not.toHaveBeenCalled();
+
+      await new Promise(resolve => setTimeout(resolve, 150));
+      expect(gameOver).toHaveBeenCalledWith({ score: 17, difficulty: 'easy', mode: 'classic', seed: 3 });
+
+      gameManager.destroy();
+    });
+
+    test('should notify goal and victory after the animation', async () => {
+      const gameManager = new GameManager(canvas, 'easy', { seed: 3 });
+      const goal = jest.fn();
+      const victory = jest.fn();
+      gameManager.on('goal', goal);
+      gameManager.once('victory', victory);
+
+      gameManager.startGame();
+      gameManager.collisionDetector.forceGoalCollision = true;
+      gameManager.step();
+      expect(goal).toHaveBeenCalledWith({ tick: 1, time: 17 });
+
+      await new Promise(resolve => setTimeout(resolve, 150));
+      expect(victory).toHaveBeenCalledTimes(1);
+      expect(victory).toHaveBeenCalledWith({ score: 17, difficulty: 'easy', mode: 'classic', seed: 3 });
+
+      gameManager.destroy();
+    });
+
+    test('should keep listeners separate per game instance', () => {
+      const first = new GameManager(canvas, 'easy');
+      const second = new GameManager(canvas, 'easy');
+      const firstTicks = jest.fn();
+      const secondTicks = jest.fn();
+      first.on('tick', firstTicks);
+      const unsubscribe = second.on('tick', secondTicks);
+
+      first.startGame();
+      second.startGame();
+      first.step();
+      expect(firstTicks).toHaveBeenCalledTimes(1);
+      expect(secondTicks).not.toHaveBeenCalled();
+
+      unsubscribe();
+      second.step();
+      expect(secondTicks).not.toHaveBeenCalled();
+
+      first.destroy();
+      second.destroy();
+    });
+
+    test('should reject unknown events', () => {
+      const gameManager = new GameManager(canvas, 'easy');
+      expect(() => gameManager.on('gameOver', () => {})).toThrow('Unknown event: gameOver');
+      gameManager.destroy();
+    });
+  });
+});
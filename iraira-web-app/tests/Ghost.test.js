@@ -0,0 +1,255 @@
+/**
+ * Ghost Tests - ゴーストレースのテスト
+ *
+ * 実際のLevelGenerator/Characterで記録したプレイをゴーストとして再現し、
+ * 位置・進行度・タイム差がプレイヤーのシミュレーションと一致することを確認する
+ */
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fc from 'fast-check';
+
+const LevelGenerator = require('../src/LevelGenerator');
+const { installGameGlobals } = require('./helpers');
+
+installGameGlobals();
+
+const GameManager = require('../src/GameManager');
+const Replay = require('../src/Replay');
+const Ghost = require('../src/Ghost');
+
+// easy・シード7・800x600でゴールに到達するプレイ
+const WINNING_SCRIPT = { 0: 'right', 25: 'down', 80: 'right', 189: 'up', 238: 'right', 357: 'up', 404: 'right', 489: 'up' };
+
+describe('Ghost', () => {
+  let canvas;
+  let winningReplay;
+
+  beforeEach(() => {
+    canvas = document.createElement('canvas');
+    canvas.width = 800;
+    canvas.height = 600;
+
+    const recorder = new GameManager(canvas, 'easy', { seed: 7 });
+    recorder.startGame();
+    recorder.run(WINNING_SCRIPT);
+    winningReplay = recorder.getReplay();
+    recorder.destroy();
+  });
+
+  test('recorded fixture run should reach the goal', () => {
+    expect(winningReplay.result).toBe('victory');
+    expect(winningReplay.endTick).toBe(495);
+  });
+
+  describe('Timeline', () => {
+    test('should follow the recorded run tick by tick', () => {
+      const gameManager = new GameManager(canvas, 'easy', { seed: 7 });
+      const ghost = new Ghost(winningReplay, gameManager.levelGenerator);
+      gameManager.startGame();
+
+      let tick = 0;
+      while (gameManager.getCurrentState() === 'playing') {
+        const direction = WINNING_SCRIPT[gameManager.getTick()];
+        if (direction) {
+          gameManager.character.setDirection(direction);
+        }
+        gameManager.step();
+        tick++;
+
+        const state = ghost.getStateAt(tick);
+        expect(state.x).toBe(gameManager.character.x);
+        expect(state.y).toBe(gameManager.character.y);
+        expect(state.direction).toBe(gameManager.character.direction);
+      }
+
+      gameManager.destroy();
+    });
+
+    test('should interpolate between ticks and hold the final position after the run', () => {
+      const generator = new LevelGenerator(800, 600, 'easy');
+      generator.generate(7);
+      const ghost = new Ghost(winningReplay, generator);
+
+      const previous = ghost.getStateAt(9);
+      const current = ghost.getStateAt(10);
+      const halfway = ghost.getStateAt(10, 0.5);
+      expect(halfway.y).toBeCloseTo((previous.y + current.y) / 2);
+
+      const end = ghost.getStateAt(winningReplay.endTick);
+      expect(ghost.getStateAt(winningReplay.endTick + 100, 0)).toEqual(end);
+      expect(ghost.isFinishedAt(winningReplay.endTick)).toBe(true);
+      expect(ghost.isFinishedAt(winningReplay.endTick - 1)).toBe(false);
+    });
+
+    test('progress should never decrease and map back to the first tick reaching it', () => {
+      const generator = new LevelGenerator(800, 600, 'easy');
+      generator.generate(7);
+      const ghost = new Ghost(winningReplay, generator);
+
+      fc.assert(
+        fc.property(fc.integer({ min: 1, max: winningReplay.endTick }), (tick) => {
+          expect(ghost.progress[tick]).toBeGreaterThanOrEqual(ghost.progress[tick - 1]);
+
+          const firstTick = ghost.getTickAtProgress(ghost.progress[tick]);
+          expect(firstTick).toBeLessThanOrEqual(tick);
+          expect(ghost.progress[firstTick]).toBe(ghost.progress[tick]);
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    test('should reject unfinished runs and runs from another level', () => {
+      const generator = new LevelGenerator(800, 600, 'easy');
+      generator.generate(8);
+
+      expect(() => new Ghost(winningReplay, generator))
+        .toThrow('Ghost replay was recorded on a different level');
+
+      const unfinished = new Replay({ seed: 8, difficulty: 'easy', tickRate: 60, width: 800, height: 600 });
+      expect(() => new Ghost(unfinished, generator)).toThrow('Ghost requires a finished replay');
+    });
+  });
+
+  describe('findProgress', () => {
+    test('should only move forward along the path', () => {
+      const path = [];
+      for (let i = 0; i <= 100; i++) {
+        path.push({ x: i * 5, y: 100 });
+      }
+
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 0, max: 100 }),
+          fc.integer({ min: 0, max: 500 }),
+          (from, x) => {
+            const progress = Ghost.findProgress(path, x, 100, from);
+            expect(progress).toBeGreaterThanOrEqual(from);
+            expect(progress).toBe(Math.max(from, Math.round(x / 5)));
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('should handle an empty path', () => {
+      expect(Ghost.findProgress([], 10, 10, 0)).toBe(0);
+    });
+  });
+
+  describe('GameManager integration', () => {
+    /**
+     * 同じ経路を30ティック（500ms）遅れて走るプレイとの比較
+     */
+    function raceDeltas(playerScript, ghostReplay) {
+      const gameManager = new GameManager(canvas, 'easy', { seed: 7 });
+      gameManager.addGhost(ghostReplay, 'PB');
+      gameManager.startGame();
+
+      const deltas = [];
+      while (gameManager.getCurrentState() === 'playing' && gameManager.getTick() < 1000) {
+        const direction = playerScript[gameManager.getTick()];
+        if (direction) {
+          gameManager.character.setDirection(direction);
+        }
+        gameManager.step();
+        deltas.push(gameManager.getGhostDelta());
+      }
+
+      gameManager.destroy();
+      return deltas;
+    }
+
+    const DELAYED_SCRIPT = { 30: 'right', 55: 'down', 110: 'right', 219: 'up', 268: 'right', 387: 'up', 434: 'right', 519: 'up' };
+
+    test('should report no delta while following the ghost exactly', () => {
+      const deltas = raceDeltas(WINNING_SCRIPT, winningReplay);
+      expect(deltas.every(delta => delta === 0)).toBe(true);
+    });
+
+    test('should report a positive delta when behind the ghost', () => {
+      const deltas = raceDeltas(DELAYED_SCRIPT, winningReplay);
+      expect(Math.min(...deltas)).toBe(0);
+      expect(Math.max(...deltas)).toBe(500);
+    });
+
+    test('should report a negative delta when ahead of the ghost', () => {
+      const delayed = new GameManager(canvas, 'easy', { seed: 7 });
+      delayed.startGame();
+      delayed.run(DELAYED_SCRIPT);
+      const delayedReplay = delayed.getReplay();
+      delayed.destroy();
+      expect(delayedReplay.result).toBe('victory');
+
+      // 最初の数ティックはまだスタート地点の通路上の点から離れていない
+      const deltas = raceDeltas(WINNING_SCRIPT, delayedReplay);
+      expect(deltas.slice(0, 2)).toEqual([0, 0]);
+      expect(Math.max(...deltas.slice(2))).toBeLessThan(0);
+      expect(Math.min(...deltas)).toBe(-500);
+    });
+
+    test('should draw ghosts and the delta at the ghost position for the current tick', () => {
+      const gameManager = new GameManager(canvas, 'easy', { seed: 7 });
+      gameManager.addGhost(winningReplay, 'PB');
+      gameManager.startGame();
+      gameManager.update(1000 / 60 * 10.5);
+
+      const drawn = gameManager.renderer.ghosts[gameManager.renderer.ghosts.length - 1];
+      const expected = gameManager.getGhosts()[0].getStateAt(10, 0.5);
+      expect(drawn.label).toBe('PB');
+      expect(drawn.x).toBeCloseTo(expected.x);
+      expect(drawn.y).toBeCloseTo(expected.y);
+      expect(gameManager.renderer.deltas[gameManager.renderer.deltas.length - 1]).toBe(gameManager.getGhostDelta());
+
+      gameManager.destroy();
+    });
+
+    test('ghosts should never collide or end the run', () => {
+      const gameManager = new GameManager(canvas, 'easy', { seed: 7 });
+      gameManager.addGhost(winningReplay, 'PB');
+      gameManager.startGame();
+
+      // プレイヤーは動かない - ゴーストがゴールしてもプレイは続く
+      for (let i = 0; i < winningReplay.endTick + 60; i++) {
+        gameManager.step();
+      }
+
+      expect(gameManager.getCurrentState()).toBe('playing');
+      expect(gameManager.getGhostDelta()).toBeGreaterThan(0);
+
+      gameManager.destroy();
+    });
+
+    test('should reject ghosts from another level', () => {
+      const gameManager = new GameManager(canvas, 'medium', { seed: 7 });
+      expect(() => gameManager.addGhost(winningReplay, 'PB'))
+        .toThrow('Ghost replay does not match the current level');
+      expect(gameManager.getGhosts()).toHaveLength(0);
+      expect(gameManager.getGhostDelta()).toBe(null);
+      gameManager.destroy();
+
+      // 同じシードでも手作りコースでは別のレベル
+      const layout = [{ x: 0.0625, y: 0.5 }, { x: 0.5, y: 0.3 }, { x: 0.9375, y: 0.5 }];
+      const authored = new GameManager(canvas, 'easy', { seed: 7, layout });
+      expect(() => authored.addGhost(winningReplay, 'PB'))
+        .toThrow('Ghost replay does not match the current level');
+      authored.destroy();
+    });
+
+    test('should keep ghosts on restart with a fixed seed and drop them when the course changes', () => {
+      const fixed = new GameManager(canvas, 'easy', { seed: 7 });
+      fixed.addGhost(winningReplay, 'PB');
+      fixed.restartGame();
+      expect(fixed.getGhosts()).toHaveLength(1);
+      fixed.destroy();
+
+      const random = new GameManager(canvas, 'easy', { seed: 7 });
+      random.addGhost(winningReplay, 'PB');
+      random.fixedSeed = null;
+      random.levelGenerator.generate = function () {
+        return LevelGenerator.prototype.generate.call(this, 8);
+      };
+      random.restartGame();
+      expect(random.getGhosts()).toHaveLength(0);
+      random.destroy();
+    });
+  });
+});
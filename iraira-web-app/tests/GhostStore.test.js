@@ -0,0 +1,123 @@
+/**
+ * GhostStore Tests - 自己ベスト保存のテスト
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+
+const GhostStore = require('../src/GhostStore');
+const Replay = require('../src/Replay');
+const LevelGenerator = require('../src/LevelGenerator');
+const { MemoryStorage } = require('./helpers');
+
+function createRun(overrides = {}) {
+  return new Replay({
+    seed: 7,
+    difficulty: 'easy',
+    tickRate: 60,
+    width: 800,
+    height: 600,
+    inputs: [{ tick: 0, direction: 'up' }],
+    endTick: 459,
+    result: 'victory',
+    score: 7650,
+    ...overrides
+  });
+}
+
+describe('GhostStore', () => {
+  let storage;
+  let store;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    store = new GhostStore(storage);
+  });
+
+  test('should return null when no personal best is stored', () => {
+    expect(store.getPersonalBest('easy', 7, 800, 600)).toBe(null);
+  });
+
+  test('should store and restore a personal best for its level', () => {
+    expect(store.savePersonalBest(createRun())).toBe(true);
+
+    const best = store.getPersonalBest('easy', 7, 800, 600);
+    expect(best.toJSON()).toEqual(createRun().toJSON());
+
+    // 別のコースには出さない
+    expect(store.getPersonalBest('easy', 8, 800, 600)).toBe(null);
+    expect(store.getPersonalBest('hard', 7, 800, 600)).toBe(null);
+    expect(store.getPersonalBest('easy', 7, 1024, 768)).toBe(null);
+  });
+
+  test('should only replace the personal best with a faster run', () => {
+    store.savePersonalBest(createRun());
+
+    expect(store.savePersonalBest(createRun({ endTick: 500, score: 8333 }))).toBe(false);
+    expect(store.getPersonalBest('easy', 7, 800, 600).score).toBe(7650);
+
+    expect(store.savePersonalBest(createRun({ endTick: 400, score: 6667 }))).toBe(true);
+    expect(store.getPersonalBest('easy', 7, 800, 600).score).toBe(6667);
+  });
+
+  test('should keep personal bests of each game mode apart', () => {
+    store.savePersonalBest(createRun());
+    expect(store.getPersonalBest('easy', 7, 800, 600, 'lives')).toBe(null);
+
+    // ライフ制のペナルティ込みのタイムはクラシックの記録と比べない
+    expect(store.savePersonalBest(createRun({ mode: 'lives', score: 10650 }))).toBe(true);
+    expect(store.getPersonalBest('easy', 7, 800, 600, 'lives').mode).toBe('lives');
+    expect(store.getPersonalBest('easy', 7, 800, 600).score).toBe(7650);
+  });
+
+  test('should keep personal bests of each movement model apart', () => {
+    store.savePersonalBest(createRun());
+    expect(store.getPersonalBest('easy', 7, 800, 600, 'classic', null, 'inertia')).toBe(null);
+
+    expect(store.savePersonalBest(createRun({ movement: 'inertia', endTick: 503, score: 8383 }))).toBe(true);
+    expect(store.getPersonalBest('easy', 7, 800, 600, 'classic', null, 'inertia').movement).toBe('inertia');
+    expect(store.getPersonalBest('easy', 7, 800, 600).score).toBe(7650);
+    expect(GhostStore.getKey('easy', 7, 800, 600, 'lives', null, 'inertia')).toBe('easy:7:800x600:lives:inertia');
+  });
+
+  test('should keep personal bests of each custom difficulty profile apart', () => {
+    const profile = { pathWidth: 120, characterSpeed: 4, waypointCount: 1, curveJitter: 0, wallThickness: 20 };
+    const otherHash = LevelGenerator.getProfileHash({ ...profile, pathWidth: 100 });
+    const hash = LevelGenerator.getProfileHash(profile);
+
+    expect(store.savePersonalBest(createRun({ difficulty: 'custom', profile, endTick: 174, score: 2900 }))).toBe(true);
+    expect(store.getPersonalBest('custom', 7, 800, 600, 'classic', hash).profile).toEqual(profile);
+    expect(store.getPersonalBest('custom', 7, 800, 600, 'classic', otherHash)).toBe(null);
+  });
+
+  test('should ignore runs that did not reach the goal', () => {
+    expect(store.savePersonalBest(createRun({ result: 'gameover' }))).toBe(false);
+    expect(store.savePersonalBest(null)).toBe(false);
+    expect(store.getPersonalBest('easy', 7, 800, 600)).toBe(null);
+  });
+
+  test('should keep only the most recent levels', () => {
+    for (let seed = 0; seed < GhostStore.MAX_RECORDS + 5; seed++) {
+      store.savePersonalBest(createRun({ seed }));
+    }
+
+    expect(store.getPersonalBest('easy', 0, 800, 600)).toBe(null);
+    expect(store.getPersonalBest('easy', GhostStore.MAX_RECORDS + 4, 800, 600)).not.toBe(null);
+    expect(Object.keys(JSON.parse(storage.getItem(GhostStore.STORAGE_KEY)))).toHaveLength(GhostStore.MAX_RECORDS);
+  });
+
+  test('should tolerate corrupted or unavailable storage', () => {
+    storage.setItem(GhostStore.STORAGE_KEY, '{not json');
+    expect(store.getPersonalBest('easy', 7, 800, 600)).toBe(null);
+
+    storage.setItem(GhostStore.STORAGE_KEY, JSON.stringify({ [GhostStore.getKey('easy', 7, 800, 600)]: 'garbage' }));
+    expect(store.getPersonalBest('easy', 7, 800, 600)).toBe(null);
+
+    const unavailable = new GhostStore(null);
+    expect(unavailable.savePersonalBest(createRun())).toBe(false);
+    expect(unavailable.getPersonalBest('easy', 7, 800, 600)).toBe(null);
+
+    storage.setItem = () => {
+      throw new Error('QuotaExceededError');
+    };
+    expect(store.savePersonalBest(createRun({ seed: 9 }))).toBe(false);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Hazard Tests - 一定周期で危険になるハザードのテスト
+ */
+import { describe, test, expect, jest } from '@jest/globals';
+import fc from 'fast-check';
+import Hazard from '../src/Hazard.js';
+import LevelGenerator from '../src/LevelGenerator.js';
+import CollisionDetector from '../src/CollisionDetector.js';
+import CheckpointTracker from '../src/CheckpointTracker.js';
+import Character from '../src/Character.js';
+
+const GameManager = require('../src/GameManager');
+const Ghost = require('../src/Ghost');
+
+// easy・シード7・800x600でゴールするプレイ（最初に下へ進む直線をハザードが横切る）
+const WINNING_SCRIPT = { 0: 'right', 25: 'down', 80: 'right', 189: 'up', 238: 'right', 357: 'up', 404: 'right', 489: 'up' };
+
+/**
+ * 最初に下へ進む直線（スタートから80px右下）を横切る電撃ハザードを作成
+ * @param {{x: number, y: number}} start - スタート位置
+ * @param {number} phase - 周期の開始位置
+ */
+function createField(start, phase) {
+  return new Hazard({
+    type: 'field', x: start.x + 80, y: start.y + 80, angle: Math.PI / 2,
+    length: 20, width: 150, period: 2, active: 0.5, warning: 0.5, phase
+  });
+}
+
+describe('Hazard', () => {
+  test('should warn and then turn on at the end of each cycle', () => {
+    const hazard = new Hazard({
+      type: 'field', x: 100, y: 100, angle: 0, length: 20, width: 60, period: 2, active: 0.25, warning: 0.5
+    });
+
+    expect(hazard.getPhaseAt(0)).toEqual({ state: 'off', progress: 0 });
+    expect(hazard.getPhaseAt(0.5)).toEqual({ state: 'off', progress: 0.5 });
+    expect(hazard.getPhaseAt(1.25)).toEqual({ state: 'warning', progress: 0.5 });
+    expect(hazard.getPhaseAt(1.75)).toEqual({ state: 'on', progress: 0.5 });
+    expect(hazard.getPhaseAt(2.5)).toEqual(hazard.getPhaseAt(0.5));
+
+    // The area lies along the path: 20 along (x) and 60 across (y)
+    const xs = hazard.getPolygon().map(point => point.x);
+    const ys = hazard.getPolygon().map(point => point.y);
+    expect(Math.max(...xs) - Math.min(...xs)).toBeCloseTo(20);
+    expect(Math.max(...ys) - Math.min(...ys)).toBeCloseTo(60);
+  });
+
+  test('should only switch on update() and reject invalid definitions', () => {
+    const hazard = new Hazard({ type: 'gap', x: 0, y: 0, length: 20, width: 40, period: 1, active: 0.5, phase: 0.25 });
+    expect(hazard.isActive()).toBe(false);
+    expect(hazard.getPhaseAt(0.5).state).toBe('on');
+    expect(hazard.isActive()).toBe(false);
+
+    hazard.update(0.5);
+    expect(hazard.isActive()).toBe(true);
+    expect(new Hazard(hazard.toJSON()).getPhaseAt(0.8)).toEqual(hazard.getPhaseAt(0.8));
+
+    expect(() => new Hazard({ type: 'lava', length: 1, width: 1, period: 1, active: 0.5 })).toThrow('Invalid hazard type');
+    expect(() => new Hazard({ type: 'gap', length: 1, width: 0, period: 1, active: 0.5 })).toThrow('must be positive');
+    expect(() => new Hazard({ type: 'gap', length: 1, width: 1, period: 1, active: 1 })).toThrow('between 0 and 1');
+  });
+
+  test('should only collide while on', () => {
+    fc.assert(
+      fc.property(fc.double({ min: 0, max: 10, noNaN: true }), (time) => {
+        const hazard = new Hazard({ type: 'field', x: 100, y: 100, length: 20, width: 60, period: 2, active: 0.4 });
+        const character = new Character(95, 95, 10);
+        const detector = new CollisionDetector(character, [], null, [], [hazard]);
+
+        hazard.update(time);
+        expect(detector.checkWallCollision()).toBe(hazard.getPhaseAt(time).state === 'on');
+        expect(detector.checkNearWall(4)).toBe(false);
+      }),
+      { numRuns: 100 }
+    );
+  });
+});
+
+describe('Hazards in levels', () => {
+  test('should give more hazards to the harder difficulties, without changing their walls or obstacles', () => {
+    const counts = ['easy', 'medium', 'hard', 'super-hard'].map(difficulty => {
+      const generator = new LevelGenerator(800, 600, difficulty);
+      generator.generate(7);
+      return generator.getHazards().length;
+    });
+    expect(counts).toEqual([0, 1, 2, 3]);
+
+    const withHazards = new LevelGenerator(800, 600, 'super-hard');
+    withHazards.generate(7);
+    const withoutHazards = new LevelGenerator(800, 600, 'super-hard');
+    withoutHazards.difficultySettings['super-hard'].hazardCount = 0;
+    withoutHazards.generate(7);
+    expect(withoutHazards.getHazards()).toEqual([]);
+    expect(withoutHazards.getWalls()).toEqual(withHazards.getWalls());
+    expect(withoutHazards.getObstacles().map(obstacle => obstacle.toJSON()))
+      .toEqual(withHazards.getObstacles().map(obstacle => obstacle.toJSON()));
+  });
+
+  test('should place the same hazards for the same seed, clear of the start, checkpoints and obstacles', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom('medium', 'hard', 'super-hard'),
+        fc.integer({ min: 0, max: 0xffffffff }),
+        (difficulty, seed) => {
+          const generator = new LevelGenerator(800, 600, difficulty);
+          generator.generate(seed);
+          const again = new LevelGenerator(800, 600, difficulty);
+          again.generate(seed);
+          expect(again.getHazards().map(hazard => hazard.toJSON()))
+            .toEqual(generator.getHazards().map(hazard => hazard.toJSON()));
+
+          // Every hazard switched on at once: the start and every respawn point are still safe
+          const hazards = generator.getHazards().map(hazard => new Hazard({ ...hazard.toJSON(), active: 0.99 }));
+          hazards.forEach(hazard => hazard.update(hazard.period * (1 - hazard.phase) - 0.001));
+          const start = generator.getStartPosition();
+          const respawns = [start].concat(CheckpointTracker.placeCheckpoints(generator.getPath(), 4).map(point => ({
+            x: point.x - 5,
+            y: point.y - 5
+          })));
+          respawns.forEach(point => {
+            const detector = new CollisionDetector(new Character(point.x, point.y, 10), [], null, [], hazards);
+            expect(detector.checkWallCollision()).toBe(false);
+          });
+
+          generator.getHazards().forEach(hazard => {
+            generator.getObstacles().forEach(obstacle => {
+              expect(Math.hypot(hazard.x - obstacle.x, hazard.y - obstacle.y)).toBeGreaterThan(obstacle.getReach());
+            });
+          });
+        }
+      ),
+      { numRuns: 30 }
+    );
+  });
+
+  test('should switch hazards with the ticks of a run and only crash while they are on', () => {
+    const crashes = [];
+    [0.75, 0.25].forEach(phase => {
+      const gameManager = new GameManager(null, 'easy', { headless: true, seed: 7 });
+      gameManager.levelGenerator.getHazards().push(createField(gameManager.levelGenerator.getStartPosition(), phase));
+      gameManager.collisionDetector.updateHazards(gameManager.levelGenerator.getHazards());
+      gameManager.startGame();
+      const { result, tick } = gameManager.run(WINNING_SCRIPT);
+      crashes.push([result, tick]);
+      gameManager.destroy();
+    });
+
+    // Off while the character crosses it, then on while it crosses it
+    expect(crashes).toEqual([['victory', 495], ['gameover', 56]]);
+  });
+
+  test('should make ghosts crash into hazards like the player did', () => {
+    // The ghost plays the run again on its own copy of the level, so every generated level gets the field
+    const generate = LevelGenerator.prototype.generate;
+    const generateSpy = jest.spyOn(LevelGenerator.prototype, 'generate').mockImplementation(function (...args) {
+      const result = generate.apply(this, args);
+      this.getHazards().push(createField(this.getStartPosition(), 0.25));
+      return result;
+    });
+
+    const gameManager = new GameManager(null, 'easy', { headless: true, seed: 7, mode: 'lives' });
+    const hazard = gameManager.levelGenerator.getHazards()[gameManager.levelGenerator.getHazards().length - 1];
+    gameManager.startGame();
+    gameManager.run(WINNING_SCRIPT);
+
+    const replay = gameManager.getReplay();
+    const ghost = new Ghost(replay, gameManager.levelGenerator);
+    expect(ghost.penalties[55]).toBe(0);
+    expect(ghost.penalties[56]).toBe(CheckpointTracker.RULES.penalty);
+
+    // The ghost simulation does not switch the level's hazards
+    expect(hazard.time).toBeCloseTo(replay.endTick / 60);
+    gameManager.destroy();
+    generateSpy.mockRestore();
+  });
+});
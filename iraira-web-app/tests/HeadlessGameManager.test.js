@@ -0,0 +1,231 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Headless GameManager Tests - DOMなしでのシミュレーションのテスト
+ *
+ * canvas・document・requestAnimationFrameのないNode.js環境で、実際の
+ * LevelGenerator/Character/CollisionDetectorを使ってプレイを最後まで進める
+ */
+import { describe, test, expect } from '@jest/globals';
+
+const GameManager = require('../src/GameManager');
+const { verifyRun } = require('../lambda/src/handlers/runVerifier');
+
+// easy・シード7・800x600でゴールするプレイ
+const WINNING_SCRIPT = { 0: 'right', 25: 'down', 80: 'right', 189: 'up', 238: 'right', 357: 'up', 404: 'right', 489: 'up' };
+const WINNING_END_TICK = 495;
+
+describe('Headless GameManager', () => {
+  test('should run without a DOM', () => {
+    expect(typeof document).toBe('undefined');
+    expect(typeof requestAnimationFrame).toBe('undefined');
+
+    const gameManager = new GameManager(null, 'easy', { headless: true, seed: 7 });
+    expect(gameManager.canvas).toEqual({ width: 800, height: 600 });
+    expect(gameManager.renderer).toBe(null);
+    expect(gameManager.inputHandler).toBe(null);
+    expect(gameManager.levelGenerator.getWalls().length).toBeGreaterThan(0);
+
+    gameManager.startGame();
+    gameManager.pauseGame();
+    gameManager.resumeGame();
+    expect(gameManager.getCurrentState()).toBe('playing');
+    gameManager.destroy();
+  });
+
+  test('should play a scripted run to the goal and record a verifiable replay', () => {
+    const gameManager = new GameManager(null, 'easy', { headless: true, seed: 7 });
+    gameManager.startGame();
+    const result = gameManager.run(WINNING_SCRIPT);
+
+    expect(result.result).toBe('victory');
+    expect(result.tick).toBe(WINNING_END_TICK);
+    expect(result.score).toBe(Math.round(WINNING_END_TICK * 1000 / 60));
+    expect(result.replay.inputs).toEqual([
+      { tick: 0, direction: 'right' },
+      { tick: 25, direction: 'down' },
+      { tick: 80, direction: 'right' },
+      { tick: 189, direction: 'up' },
+      { tick: 238, direction: 'right' },
+      { tick: 357, direction: 'up' },
+      { tick: 404, direction: 'right' },
+      { tick: 489, direction: 'up' }
+    ]);
+
+    // サーバーの検証にそのまま通る
+    const verified = verifyRun({
+      replay: result.replay.serialize(),
+      score: result.score,
+      difficulty: 'easy',
+      seed: 7
+    });
+    expect(verified.time).toBe(result.score);
+    gameManager.destroy();
+  });
+
+  test('should accept input lists and bot functions as scripts', () => {
+    const fromList = new GameManager(null, 'easy', { headless: true, seed: 7 });
+    fromList.startGame();
+    const listResult = fromList.run([{ tick: 0, direction: 'left' }]);
+    expect(listResult.result).toBe('gameover');
+    expect(listResult.tick).toBe(1);
+
+    // ボットはティックごとにゲームの状態を見て方向を決められる
+    const bot = new GameManager(null, 'easy', { headless: true, seed: 7 });
+    const seen = [];
+    bot.startGame();
+    const botResult = bot.run((tick, gameManager) => {
+      seen.push(gameManager.getTick());
+      return WINNING_SCRIPT[tick];
+    });
+    expect(botResult.result).toBe('victory');
+    expect(seen.slice(0, 3)).toEqual([0, 1, 2]);
+
+    expect(() => bot.run('up')).toThrow('Input script must be');
+    fromList.destroy();
+    bot.destroy();
+  });
+
+  test('should stop at the tick limit', () => {
+    const gameManager = new GameManager(null, 'medium', { headless: true, width: 640, height: 480 });
+    gameManager.startGame();
+    const result = gameManager.run(null, 30);
+
+    expect(result.result).toBe('playing');
+    expect(result.tick).toBe(30);
+    expect(result.score).toBe(500);
+    expect(gameManager.getReplay().width).toBe(640);
+    gameManager.destroy();
+  });
+
+  test('should play the other modes and notify events', () => {
+    const gameManager = new GameManager(null, 'easy', { headless: true, seed: 2, mode: 'endless' });
+    const collisions = [];
+    gameManager.on('collision', payload => collisions.push(payload));
+    gameManager.startGame();
+    const result = gameManager.run({ 0: 'right' });
+
+    expect(result.result).toBe('gameover');
+    expect(result.score).toBe(55);
+    expect(collisions).toHaveLength(1);
+    gameManager.destroy();
+  });
+
+  test('should save a run part-way and continue it to the same result', () => {
+    const original = new GameManager(null, 'easy', { headless: true, seed: 7 });
+    original.startGame();
+    original.run(WINNING_SCRIPT, 200);
+    original.pauseGame();
+    const saveState = JSON.parse(JSON.stringify(original.getSaveState()));
+    expect(saveState.tick).toBe(200);
+    expect(saveState.character.direction).toBe('up');
+
+    // 別のインスタンス（ページの再読み込み後）で再開すると一時停止状態から続けられる
+    const restored = new GameManager(null, 'easy', { headless: true, seed: 7 });
+    const starts = [];
+    restored.on('start', payload => starts.push(payload));
+    restored.restoreRun(saveState);
+    expect(restored.getCurrentState()).toBe('paused');
+    expect(restored.getTick()).toBe(200);
+    expect(restored.getCurrentScore()).toBe(saveState.time);
+    expect(restored.isResumed()).toBe(true);
+    expect(starts).toHaveLength(1);
+
+    restored.resumeGame();
+    const result = restored.run(WINNING_SCRIPT);
+    expect(result.result).toBe('victory');
+    expect(result.tick).toBe(WINNING_END_TICK);
+    expect(result.replay.inputs).toEqual([
+      { tick: 0, direction: 'right' },
+      { tick: 25, direction: 'down' },
+      { tick: 80, direction: 'right' },
+      { tick: 189, direction: 'up' },
+      { tick: 238, direction: 'right' },
+      { tick: 357, direction: 'up' },
+      { tick: 404, direction: 'right' },
+      { tick: 489, direction: 'up' }
+    ]);
+    expect(result.replay.resumed).toBe(true);
+
+    // 再開したプレイはランキングに登録されない
+    expect(() => verifyRun({ replay: result.replay.serialize(), score: result.score, difficulty: 'easy', seed: 7 }))
+      .toThrow('Run verification failed: resumed runs are not ranked');
+    original.destroy();
+    restored.destroy();
+  });
+
+  test('should restore lives and record the same direction again after a respawn', () => {
+    const original = new GameManager(null, 'easy', { headless: true, seed: 7, mode: 'lives' });
+    original.startGame();
+    original.run({ 0: 'left' }, 10);
+    expect(original.getLives()).toBe(2);
+    const saveState = original.getSaveState();
+    expect(saveState.character.direction).toBe(null);
+
+    const restored = new GameManager(null, 'easy', { headless: true, seed: 7, mode: 'lives' });
+    restored.restoreRun(saveState);
+    expect(restored.getLives()).toBe(2);
+    expect(restored.getCurrentScore()).toBe(original.getCurrentScore());
+
+    restored.resumeGame();
+    restored.run({ 10: 'left' }, 12);
+    expect(restored.getReplay().inputs).toEqual([
+      { tick: 0, direction: 'left' },
+      { tick: 10, direction: 'left' }
+    ]);
+    expect(restored.getLives()).toBe(1);
+    original.destroy();
+    restored.destroy();
+  });
+
+  test('should continue an endless run on the same track', () => {
+    const original = new GameManager(null, 'easy', { headless: true, seed: 2, mode: 'endless' });
+    original.startGame();
+    original.run({ 0: 'right' }, 150);
+
+    const restored = new GameManager(null, 'easy', { headless: true, seed: 2, mode: 'endless' });
+    restored.restoreRun(original.getSaveState());
+    expect(restored.getDistance()).toBe(original.getDistance());
+
+    restored.resumeGame();
+    const result = restored.run();
+    expect(result.result).toBe('gameover');
+    expect(result.tick).toBe(276);
+    expect(result.score).toBe(55);
+    original.destroy();
+    restored.destroy();
+  });
+
+  test('should reject saved runs of another level or that the simulation does not reproduce', () => {
+    const original = new GameManager(null, 'easy', { headless: true, seed: 7 });
+    original.startGame();
+    original.run(WINNING_SCRIPT, 100);
+    const saveState = original.getSaveState();
+
+    expect(() => new GameManager(null, 'easy', { headless: true, seed: 8 }).restoreRun(saveState))
+      .toThrow('Saved run does not match the current level');
+    expect(() => new GameManager(null, 'easy', { headless: true, seed: 7, mode: 'lives' }).restoreRun(saveState))
+      .toThrow('Saved run does not match the current level');
+
+    const tampered = { ...saveState, character: { ...saveState.character, x: saveState.character.x + 50 } };
+    const gameManager = new GameManager(null, 'easy', { headless: true, seed: 7 });
+    expect(() => gameManager.restoreRun(tampered)).toThrow('Saved run does not match the simulation');
+    expect(gameManager.getCurrentState()).toBe('menu');
+
+    expect(() => gameManager.restoreRun({ ...saveState, version: 99 })).toThrow('Unsupported saved run format');
+    expect(() => gameManager.restoreRun({ ...saveState, tick: -1 })).toThrow('Invalid saved run: tick');
+
+    // 終了したプレイは保存されない
+    original.run(WINNING_SCRIPT);
+    expect(original.getSaveState()).toBe(null);
+    original.destroy();
+    gameManager.destroy();
+  });
+
+  test('should reject invalid level sizes', () => {
+    expect(() => new GameManager(null, 'easy')).toThrow('Canvas element is required');
+    expect(() => new GameManager(null, 'easy', { headless: true, width: 0 })).toThrow('Invalid level size: 0x600');
+  });
+});
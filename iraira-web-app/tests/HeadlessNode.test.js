@@ -0,0 +1,65 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Headless Node.js Tests - JestやBabelを通さずにNode.jsでゲームを動かすテスト
+ *
+ * パッケージは"type": "module"のため、src/headless.cjsを通して読み込んだときだけ
+ * ゲームのモジュールがNode.jsで動く。Jestのモジュール変換に頼らないよう、別プロセスのnodeで実行する
+ */
+import { describe, test, expect } from '@jest/globals';
+
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+const ENTRY = path.join(__dirname, '..', 'src', 'headless.cjs');
+
+// easy・シード7・800x600でゴールするプレイ（HeadlessGameManager.test.jsと同じ）
+const WINNING_SCRIPT = { 0: 'right', 25: 'down', 80: 'right', 189: 'up', 238: 'right', 357: 'up', 404: 'right', 489: 'up' };
+const WINNING_END_TICK = 495;
+
+/**
+ * nodeでスクリプトを実行し、標準出力のJSONを返す
+ * @param {string} source - 実行するスクリプト
+ * @param {Array<string>} flags - nodeのオプション
+ * @returns {Object} スクリプトが出力したJSON
+ */
+function runNode(source, flags = []) {
+  const output = execFileSync(process.execPath, [...flags, '-e', source], {
+    cwd: path.join(__dirname, '..'),
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  return JSON.parse(output);
+}
+
+const PLAY_WINNING_RUN = `
+  const gameManager = new GameManager(null, 'easy', { headless: true, seed: 7 });
+  gameManager.startGame();
+  const { result, tick, score, replay } = gameManager.run(${JSON.stringify(WINNING_SCRIPT)});
+  console.log(JSON.stringify({ result, tick, score, endTick: Replay.deserialize(replay.serialize()).endTick }));
+`;
+
+describe('Headless mode in plain Node.js', () => {
+  test('should play a scripted run to the goal when required from CommonJS', () => {
+    const output = runNode(`const { GameManager, Replay } = require(${JSON.stringify(ENTRY)});${PLAY_WINNING_RUN}`);
+
+    expect(output).toEqual({
+      result: 'victory',
+      tick: WINNING_END_TICK,
+      score: Math.round(WINNING_END_TICK * 1000 / 60),
+      endTick: WINNING_END_TICK
+    });
+  });
+
+  test('should play the same run when imported from an ES module', () => {
+    const output = runNode(
+      `import headless from ${JSON.stringify(ENTRY)}; const { GameManager, Replay } = headless;${PLAY_WINNING_RUN}`,
+      ['--input-type=module']
+    );
+
+    expect(output.result).toBe('victory');
+    expect(output.tick).toBe(WINNING_END_TICK);
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Inertia Movement Tests - 慣性移動モデルのテスト
+ */
+import { describe, test, expect } from '@jest/globals';
+import fc from 'fast-check';
+import Character from '../src/Character.js';
+import LevelGenerator from '../src/LevelGenerator.js';
+import Replay from '../src/Replay.js';
+
+const GameManager = require('../src/GameManager');
+const Ghost = require('../src/Ghost');
+
+// easy・シード7・800x600でゴールするプレイ（direct移動）
+const DIRECT_SCRIPT = { 0: 'right', 25: 'down', 80: 'right', 189: 'up', 238: 'right', 357: 'up', 404: 'right', 489: 'up' };
+
+// 同じコースを慣性移動でゴールするプレイ（加速と横滑りの分だけ曲がるタイミングがずれる）
+const INERTIA_SCRIPT = { 0: 'right', 31: 'down', 80: 'right', 187: 'up', 248: 'right', 403: 'up', 436: 'right' };
+
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'super-hard'];
+
+describe('Character inertia', () => {
+  test('should build up speed with thrust and never exceed the top speed', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom(...DIFFICULTIES),
+        fc.array(fc.constantFrom('up', 'down', 'left', 'right'), { minLength: 1, maxLength: 60 }),
+        fc.integer({ min: 1, max: 8 }),
+        (difficulty, directions, speed) => {
+          const character = new Character(400, 300, 10);
+          character.setInertia(new LevelGenerator(800, 600, difficulty).getInertia());
+
+          directions.forEach(direction => {
+            character.setDirection(direction);
+            character.update(speed);
+            const velocity = character.getVelocity();
+            expect(Math.hypot(velocity.x, velocity.y)).toBeLessThanOrEqual(speed + 1e-9);
+            expect(character.x - character.previousX).toBeCloseTo(velocity.x);
+            expect(character.y - character.previousY).toBeCloseTo(velocity.y);
+          });
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  test('should keep drifting after a turn and slow down by friction', () => {
+    const inertia = { acceleration: 0.1, friction: 0.08 };
+    const character = new Character(0, 0, 10);
+    character.setInertia(inertia);
+
+    // Accelerates gradually up to the top speed
+    character.setDirection('right');
+    character.update(2);
+    expect(character.x).toBeCloseTo(0.2 * 0.92);
+    for (let i = 0; i < 60; i++) {
+      character.update(2);
+    }
+    expect(character.getVelocity()).toEqual({ x: expect.closeTo(2), y: 0 });
+
+    // Turning up: the sideways velocity fades by friction (and the top speed limit once moving up)
+    character.setDirection('up');
+    const turnX = character.x;
+    character.update(2);
+    expect(character.getVelocity().x).toBeCloseTo(2 * 0.92);
+    for (let i = 0; i < 200; i++) {
+      character.update(2);
+    }
+    expect(character.x - turnX).toBeGreaterThan(20);
+    expect(character.x - turnX).toBeLessThan(2 * 0.92 / 0.08);
+    expect(character.getVelocity()).toEqual({ x: expect.closeTo(0), y: expect.closeTo(-2) });
+  });
+
+  test('should stop on the spot and leave direct movement unchanged', () => {
+    const character = new Character(100, 100, 10);
+    character.setInertia({ acceleration: 0.1, friction: 0.08 });
+    character.setDirection('down');
+    character.update(3);
+    character.update(3);
+
+    character.stop();
+    expect(character.direction).toBe(null);
+    expect(character.getVelocity()).toEqual({ x: 0, y: 0 });
+    character.update(3);
+    expect(character.getPosition()).toEqual({ x: character.previousX, y: character.previousY });
+
+    character.setDirection('left');
+    character.update(3);
+    character.reset();
+    expect(character.getVelocity()).toEqual({ x: 0, y: 0 });
+
+    character.setInertia(null);
+    character.setDirection('left');
+    character.update(3);
+    expect(character.getPosition()).toEqual({ x: 97, y: 100 });
+    expect(character.getVelocity()).toEqual({ x: 0, y: 0 });
+  });
+});
+
+describe('Inertia settings', () => {
+  test('should reach the top speed on every difficulty and drift further compared to the path width on the harder ones', () => {
+    const drifts = DIFFICULTIES.map(difficulty => {
+      const generator = new LevelGenerator(800, 600, difficulty);
+      const { acceleration, friction } = generator.getInertia();
+
+      // Full thrust settles at acceleration * (1 - friction) / friction of the top speed
+      expect(acceleration * (1 - friction) / friction).toBeGreaterThanOrEqual(1);
+
+      // Distance still travelled after turning away at the top speed
+      return generator.getCharacterSpeed() * (1 - friction) / friction / generator.settings.pathWidth;
+    });
+    expect(drifts).toEqual([...drifts].sort((a, b) => a - b));
+
+    const custom = new LevelGenerator(800, 600, 'custom', {
+      pathWidth: 120, characterSpeed: 4, waypointCount: 1, curveJitter: 0, wallThickness: 20
+    });
+    expect(custom.getInertia()).toEqual(LevelGenerator.CUSTOM_INERTIA);
+  });
+
+  test('should convert the settings to the tick rate', () => {
+    const generator = new LevelGenerator(800, 600, 'hard');
+    const perTick = generator.getInertia();
+    const perHalfTick = generator.getInertia(120);
+
+    expect(perTick).toEqual(generator.difficultySettings.hard.inertia);
+    expect(perHalfTick.acceleration).toBeCloseTo(perTick.acceleration / 2);
+    expect(Math.pow(1 - perHalfTick.friction, 2)).toBeCloseTo(1 - perTick.friction);
+
+    // One second of thrust covers about the same distance at either tick rate
+    const distances = [[60, perTick], [120, perHalfTick]].map(([tickRate, inertia]) => {
+      const character = new Character(0, 0, 10);
+      character.setInertia(inertia);
+      character.setDirection('right');
+      for (let tick = 0; tick < tickRate; tick++) {
+        character.update(generator.getCharacterSpeed() * 60 / tickRate);
+      }
+      return character.x;
+    });
+    expect(Math.abs(distances[0] - distances[1])).toBeLessThan(generator.getCharacterSpeed());
+  });
+});
+
+describe('Inertia movement in runs', () => {
+  test('should select the movement model per run and record it in the replay', () => {
+    const results = [['direct', DIRECT_SCRIPT], ['inertia', DIRECT_SCRIPT], ['inertia', INERTIA_SCRIPT]].map(([movement, script]) => {
+      const gameManager = new GameManager(null, 'easy', { headless: true, seed: 7, movement });
+      gameManager.startGame();
+      const { result, tick, replay } = gameManager.run(script);
+      expect(gameManager.getMovement()).toBe(movement);
+      expect(Replay.deserialize(replay.serialize()).movement).toBe(movement);
+      gameManager.destroy();
+      return [result, tick];
+    });
+
+    // The direct route overshoots its first turn once the character drifts
+    expect(results).toEqual([['victory', 495], ['gameover', 190], ['victory', 478]]);
+  });
+
+  test('should be available in every game mode but not in multiplayer races', () => {
+    ['lives', 'powerups'].forEach(mode => {
+      const gameManager = new GameManager(null, 'easy', { headless: true, seed: 7, mode, movement: 'inertia' });
+      gameManager.startGame();
+      expect(gameManager.run(INERTIA_SCRIPT)).toMatchObject({ result: 'victory', tick: 478 });
+      gameManager.destroy();
+    });
+
+    const endless = new GameManager(null, 'easy', { headless: true, seed: 7, mode: 'endless', movement: 'inertia' });
+    endless.startGame();
+    expect(endless.run({ 0: 'right' })).toMatchObject({ result: 'gameover' });
+    expect(endless.character.getVelocity().x).toBeGreaterThan(0);
+    endless.destroy();
+
+    expect(() => new GameManager(null, 'easy', { headless: true, movement: 'hover' })).toThrow('Invalid movement model: hover');
+    expect(() => new GameManager(null, 'easy', { headless: true, players: 2, movement: 'inertia' }))
+      .toThrow('Multiplayer races are only available with direct movement');
+  });
+
+  test('should make ghosts drift like the player did and only follow runs of the same movement model', () => {
+    const gameManager = new GameManager(null, 'easy', { headless: true, seed: 7, movement: 'inertia' });
+    gameManager.startGame();
+    const { replay } = gameManager.run(INERTIA_SCRIPT);
+    const end = gameManager.character.getPosition();
+
+    const ghost = gameManager.addGhost(replay, 'PB');
+    expect(ghost.getStateAt(replay.endTick, 1)).toMatchObject(end);
+    expect(new Ghost(replay, gameManager.levelGenerator).getStateAt(replay.endTick, 1)).toMatchObject(end);
+
+    const direct = new GameManager(null, 'easy', { headless: true, seed: 7 });
+    expect(() => direct.addGhost(replay)).toThrow('Ghost replay does not match the current level');
+    direct.destroy();
+    gameManager.destroy();
+  });
+});
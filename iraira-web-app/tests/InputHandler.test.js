@@ -243,5 +243,177 @@ describe('InputHandler クラス / InputHandler Class', () => {
       inputHandler.currentDirection = 'right';
       expect(inputHandler.getCurrentDirection()).toBe('right');
     });
+
+    test('should report direction changes to the game manager for replays', () => {
+      const recorded = [];
+      mockGameManager.recordDirectionChange = (direction) => recorded.push(direction);
+
+      inputHandler.setDirection('up');
+      inputHandler.setDirection('left');
+
+      expect(recorded).toEqual(['up', 'left']);
+    });
+
+    test('should toggle pause with SPACE while playing or paused', () => {
+      const toggled = [];
+      mockGameManager.togglePause = () => toggled.push(mockGameManager.state);
+      const spaceEvent = () => ({ key: ' ', preventDefault: jest.fn() });
+
+      const playingEvent = spaceEvent();
+      inputHandler.handleKeyDown(playingEvent);
+      expect(playingEvent.preventDefault).toHaveBeenCalled();
+
+      mockGameManager.state = 'paused';
+      inputHandler.handleKeyDown(spaceEvent());
+
+      // Not on the menu or result screens, and SPACE never changes the direction
+      mockGameManager.state = 'menu';
+      const menuEvent = spaceEvent();
+      inputHandler.handleKeyDown(menuEvent);
+      expect(menuEvent.preventDefault).not.toHaveBeenCalled();
+
+      expect(toggled).toEqual(['playing', 'paused']);
+      expect(inputHandler.getCurrentDirection()).toBeNull();
+    });
+  });
+
+  describe('Diagonal input', () => {
+    const press = key => inputHandler.handleKeyDown({ key, preventDefault: jest.fn() });
+    const release = key => inputHandler.handleKeyUp({ key, preventDefault: jest.fn() });
+
+    beforeEach(() => {
+      inputHandler.enable();
+    });
+
+    test('should combine held arrow keys into diagonals and fall back when one is released', () => {
+      const recorded = [];
+      mockGameManager.recordDirectionChange = direction => recorded.push(direction);
+
+      press('ArrowUp');
+      press('ArrowRight');
+      expect(character.direction).toBe('up-right');
+
+      // Key repeat does not change the combination
+      press('ArrowUp');
+      expect(character.direction).toBe('up-right');
+
+      release('ArrowRight');
+      expect(character.direction).toBe('up');
+
+      // Releasing the last key keeps the character moving
+      release('ArrowUp');
+      expect(character.direction).toBe('up');
+
+      expect(recorded).toEqual(['up', 'up-right', 'up-right', 'up']);
+    });
+
+    test('should let the last of two opposite keys win', () => {
+      press('ArrowLeft');
+      press('ArrowDown');
+      press('ArrowRight');
+      expect(character.direction).toBe('down-right');
+
+      release('ArrowRight');
+      expect(character.direction).toBe('down-left');
+      release('ArrowDown');
+      expect(character.direction).toBe('left');
+    });
+
+    test('should remember keys held before the run starts', () => {
+      mockGameManager.state = 'countdown';
+      press('ArrowDown');
+      expect(character.direction).toBeNull();
+
+      mockGameManager.state = 'playing';
+      press('ArrowLeft');
+      expect(character.direction).toBe('down-left');
+
+      // Disabling forgets the held keys (their keyup events are never seen)
+      inputHandler.disable();
+      inputHandler.enable();
+      press('ArrowUp');
+      expect(character.direction).toBe('up');
+    });
+
+    test('should combine any held directions into at most one diagonal', () => {
+      fc.assert(
+        fc.property(fc.array(fc.constantFrom('up', 'down', 'left', 'right'), { maxLength: 6 }), directions => {
+          const combined = InputHandler.combineDirections(directions);
+          if (directions.length === 0) {
+            expect(combined).toBeNull();
+            return;
+          }
+          expect(Character.DIRECTIONS).toContain(combined);
+          expect(combined.split('-')).toContain(directions[directions.length - 1]);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    test('should read two D-pad buttons as a diagonal', () => {
+      const pressed = (...indices) => Array.from({ length: 16 }, (_, button) => ({ pressed: indices.includes(button) }));
+      expect(InputHandler.readGamepadDirection({ buttons: pressed(12, 14), axes: [0, 0] })).toBe('up-left');
+      expect(InputHandler.readGamepadDirection({ buttons: pressed(13, 15), axes: [0, 0] })).toBe('down-right');
+      expect(InputHandler.readGamepadDirection({ buttons: pressed(14), axes: [0, 0] })).toBe('left');
+    });
+  });
+
+  describe('Multiplayer input', () => {
+    let player2Directions;
+    let originalGetGamepads;
+
+    beforeEach(() => {
+      player2Directions = [];
+      mockGameManager.getPlayerCount = () => 2;
+      mockGameManager.setPlayerDirection = (player, direction) => player2Directions.push({ player, direction });
+      originalGetGamepads = navigator.getGamepads;
+      inputHandler.enable();
+    });
+
+    afterEach(() => {
+      navigator.getGamepads = originalGetGamepads;
+    });
+
+    test('should steer player two with WASD in either case', () => {
+      ['w', 'D', 's', 'a'].forEach(key => {
+        inputHandler.handleKeyDown({ key, preventDefault: jest.fn() });
+        inputHandler.handleKeyUp({ key, preventDefault: jest.fn() });
+      });
+      inputHandler.handleKeyDown({ key: 'ArrowUp', preventDefault: jest.fn() });
+
+      expect(player2Directions.map(input => input.direction)).toEqual(['up', 'right', 'down', 'left']);
+      expect(player2Directions.every(input => input.player === 1)).toBe(true);
+      expect(character.direction).toBe('up');
+    });
+
+    test('should ignore WASD in single-player games', () => {
+      mockGameManager.getPlayerCount = () => 1;
+      const event = { key: 'w', preventDefault: jest.fn() };
+      inputHandler.handleKeyDown(event);
+
+      expect(event.preventDefault).not.toHaveBeenCalled();
+      expect(player2Directions).toEqual([]);
+      expect(inputHandler.mapKeyToPlayerInput('ArrowLeft')).toEqual({ player: 0, direction: 'left' });
+    });
+
+    test('should read the D-pad and stick of each gamepad only when the direction changes', () => {
+      const pressed = index => Array.from({ length: 16 }, (_, button) => ({ pressed: button === index }));
+      let gamepads = [
+        { buttons: pressed(15), axes: [0, 0] },
+        { buttons: pressed(-1), axes: [0.1, -0.9] }
+      ];
+      navigator.getGamepads = () => gamepads;
+
+      inputHandler.pollGamepads();
+      inputHandler.pollGamepads();
+      expect(character.direction).toBe('right');
+      expect(player2Directions).toEqual([{ player: 1, direction: 'up' }]);
+
+      // Stick inside the dead zone releases the direction without stopping the character
+      gamepads = [{ buttons: pressed(-1), axes: [0.2, 0.3] }, null];
+      inputHandler.pollGamepads();
+      expect(character.direction).toBe('right');
+      expect(InputHandler.readGamepadDirection({ buttons: [], axes: [-0.8, 0.6] })).toBe('left');
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,158 @@
+/**
+ * LevelEditor Tests - レベルエディタのコース編集とテストプレイのテスト
+ */
+import { describe, test, expect } from '@jest/globals';
+import fc from 'fast-check';
+import LevelEditor from '../src/LevelEditor.js';
+import LevelGenerator from '../src/LevelGenerator.js';
+
+const GameManager = require('../src/GameManager');
+
+describe('LevelEditor', () => {
+  test('should start from a straight course that can be completed', () => {
+    const editor = new LevelEditor(800, 600);
+    expect(editor.getDifficulty()).toBe('medium');
+    expect(editor.getCourse()).toEqual(LevelEditor.createDefaultCourse());
+    expect(editor.getWaypoints()).toEqual([{ x: 50, y: 300 }, { x: 400, y: 300 }, { x: 750, y: 300 }]);
+    expect(editor.validate()).toEqual({ valid: true, reason: null });
+
+    expect(() => new LevelEditor(800, 600, 'custom')).toThrow('Invalid difficulty: custom');
+    expect(() => new LevelEditor(800, 600, 'easy', { waypoints: [] })).toThrow('Invalid course');
+  });
+
+  test('should select and drag handles, or select the segment under the pointer', () => {
+    const editor = new LevelEditor(800, 600);
+
+    // 通路の上を押すと区間を選択し、何もない所では選択を外す
+    expect(editor.startDrag(600, 296)).toEqual({ kind: 'segment', index: 1 });
+    expect(editor.dragTo(600, 200)).toBe(false);
+    expect(editor.startDrag(600, 100)).toBe(null);
+
+    expect(editor.startDrag(403, 296)).toEqual({ kind: 'waypoint', index: 1 });
+    expect(editor.dragTo(400, 150)).toBe(true);
+    editor.endDrag();
+    expect(editor.getCourse().waypoints[1]).toEqual({ x: 0.5, y: 0.25 });
+    expect(editor.getSelected()).toEqual({ kind: 'waypoint', index: 1 });
+
+    // 画面の外へはドラッグできない
+    editor.startDrag(400, 150);
+    editor.dragTo(-50, 900);
+    editor.endDrag();
+    expect(editor.getCourse().waypoints[1]).toEqual({ x: 0, y: 1 });
+  });
+
+  test('should add and remove waypoints, keeping the width of the split segment', () => {
+    const editor = new LevelEditor(800, 600);
+    editor.setSegmentWidth(1, 43.6);
+    expect(editor.getCourse().widths).toEqual([60, 44]);
+    expect(editor.setSegmentWidth(0, 1000)).toBe(LevelGenerator.PROFILE_LIMITS.pathWidth.max);
+
+    expect(editor.addWaypoint(600, 250)).toBe(2);
+    expect(editor.getCourse().widths).toEqual([LevelGenerator.PROFILE_LIMITS.pathWidth.max, 44, 44]);
+    expect(editor.getCourse().waypoints[2]).toEqual({ x: 0.75, y: 0.4167 });
+
+    // スタートとゴールは削除できない
+    expect(editor.removeWaypoint(0)).toBe(false);
+    expect(editor.removeWaypoint(3)).toBe(false);
+    expect(editor.removeWaypoint(1)).toBe(true);
+    expect(editor.getCourse().widths).toEqual([LevelGenerator.PROFILE_LIMITS.pathWidth.max, 44]);
+    expect(() => editor.moveWaypoint(5, 0, 0)).toThrow('Invalid waypoint index: 5');
+
+    while (editor.getCourse().waypoints.length < LevelGenerator.COURSE_LIMITS.waypoints) {
+      editor.addWaypoint(400, 300);
+    }
+    expect(() => editor.addWaypoint(400, 300)).toThrow('A course can have at most 20 waypoints');
+  });
+
+  test('should add, move, change and remove obstacles', () => {
+    const editor = new LevelEditor(800, 600);
+    expect(editor.addObstacle('gate', 200, 300)).toBe(0);
+    expect(editor.hitTest(205, 295)).toEqual({ kind: 'obstacle', index: 0 });
+
+    editor.startDrag(200, 300);
+    editor.dragTo(600, 310);
+    editor.endDrag();
+    editor.updateObstacle(0, { type: 'rotor', side: -1, x: 0 });
+    expect(editor.getCourse().obstacles).toEqual([
+      { type: 'rotor', x: 0.75, y: 0.5167, period: 3, phase: 0, side: -1 }
+    ]);
+    expect(() => editor.updateObstacle(0, { period: 0 })).toThrow('Invalid obstacle');
+    expect(() => editor.addObstacle('saw', 0, 0)).toThrow('Invalid obstacle type: saw');
+
+    expect(editor.createLevel(1).getObstacles()).toHaveLength(1);
+    expect(editor.removeSelected()).toBe(true);
+    expect(editor.getCourse().obstacles).toEqual([]);
+    expect(editor.removeSelected()).toBe(false);
+  });
+
+  test('should always keep a valid course while editing', () => {
+    fc.assert(
+      fc.property(
+        fc.array(fc.tuple(
+          fc.constantFrom('add', 'drag', 'remove', 'width', 'obstacle'),
+          fc.integer({ min: -100, max: 900 }),
+          fc.integer({ min: -100, max: 700 }),
+          fc.integer({ min: 0, max: 200 })
+        ), { maxLength: 30 }),
+        (operations) => {
+          const editor = new LevelEditor(800, 600);
+          operations.forEach(([operation, x, y, value]) => {
+            const waypoints = editor.getWaypoints();
+            const index = value % waypoints.length;
+            try {
+              if (operation === 'add') {
+                editor.addWaypoint(x, y);
+              } else if (operation === 'drag') {
+                editor.startDrag(waypoints[index].x, waypoints[index].y);
+                editor.dragTo(x, y);
+                editor.endDrag();
+              } else if (operation === 'remove') {
+                editor.removeWaypoint(index);
+              } else if (operation === 'width') {
+                editor.setSegmentWidth(index % (waypoints.length - 1), value);
+              } else {
+                editor.addObstacle('slider', x, y);
+              }
+            } catch (error) {
+              expect(error.message).toMatch(/at most/);
+            }
+            expect(LevelGenerator.isValidCourse(editor.getCourse())).toBe(true);
+          });
+        }
+      ),
+      { numRuns: 50 }
+    );
+  });
+});
+
+describe('Test-playing editor courses', () => {
+  test('should play a course in GameManager without a replay or ghosts', () => {
+    const course = LevelEditor.createDefaultCourse();
+    const gameManager = new GameManager(null, 'medium', { headless: true, seed: 1, course });
+    expect(gameManager.getCourse()).toEqual(course);
+    expect(gameManager.getLayout()).toBe(null);
+
+    gameManager.startGame();
+    expect(gameManager.run({ 0: 'right' })).toMatchObject({ result: 'victory', replay: null });
+    expect(() => gameManager.addGhost(null)).toThrow('Ghosts are not available on editor courses');
+    gameManager.destroy();
+
+    // 区間の通路幅と障害物はコースのもの
+    const blocked = new GameManager(null, 'medium', {
+      headless: true,
+      seed: 1,
+      course: { ...course, obstacles: [{ type: 'gate', x: 0.5, y: 0.5, period: 3, phase: 0, side: 1 }] }
+    });
+    blocked.startGame();
+    expect(blocked.run({ 0: 'right' })).toMatchObject({ result: 'gameover' });
+    blocked.destroy();
+  });
+
+  test('should reject courses in endless mode and together with a layout', () => {
+    const course = LevelEditor.createDefaultCourse();
+    expect(() => new GameManager(null, 'medium', { headless: true, mode: 'endless', course }))
+      .toThrow('Courses are not available in endless mode');
+    expect(() => new GameManager(null, 'medium', { headless: true, course, layout: course.waypoints }))
+      .toThrow('A course and a layout cannot be used together');
+  });
+});
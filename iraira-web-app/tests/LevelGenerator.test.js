@@ -1,6 +1,7 @@
 import { describe, test, expect, beforeEach } from '@jest/globals';
 import fc from 'fast-check';
 import LevelGenerator from '../src/LevelGenerator.js';
+import CollisionDetector from '../src/CollisionDetector.js';
 
 describe('LevelGenerator クラス / LevelGenerator Class', () => {
   describe('Property-Based Tests', () => {
@@ -103,6 +104,41 @@ describe('LevelGenerator クラス / LevelGenerator Class', () => {
         { numRuns: 100 }
       );
     });
+
+    test('should line the path with two continuous walls that keep its whole width clear', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom('easy', 'medium', 'hard', 'super-hard'),
+          fc.integer({ min: 0, max: 0xffffffff }),
+          (difficulty, seed) => {
+            const generator = new LevelGenerator(800, 600, difficulty);
+            generator.generate(seed);
+            const { pathWidth, wallThickness } = generator.settings;
+
+            // 画面端の壁以外は通路の両側に沿った折れ線の壁
+            const pathWalls = generator.getWalls().filter(wall => wall.points);
+            expect(pathWalls).toHaveLength(2);
+            pathWalls.forEach(wall => expect(wall.thickness).toBe(wallThickness));
+
+            const path = generator.getPath();
+            const detector = new CollisionDetector({ x: 0, y: 0, size: 10 }, pathWalls);
+            path.forEach(point => {
+              expect(detector.getWallDistance(point, point, pathWidth)).toBeGreaterThanOrEqual(pathWidth / 2 - 1e-6);
+            });
+
+            // 壁はスタートからゴールまで途切れずに続く
+            [path[0], path[path.length - 1]].forEach(end => {
+              pathWalls.forEach(wall => {
+                const distances = [wall.points[0], wall.points[wall.points.length - 1]]
+                  .map(point => Math.hypot(point.x - end.x, point.y - end.y));
+                expect(Math.min(...distances)).toBeCloseTo(pathWidth / 2 + wallThickness / 2);
+              });
+            });
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
   });
 
   describe('Unit Tests', () => {
@@ -146,4 +182,435 @@ describe('LevelGenerator クラス / LevelGenerator Class', () => {
       expect(goal.x).toBeGreaterThan(400); // Right half of 800px canvas
     });
   });
-});
\ No newline at end of file
+
+  describe('Seeded Generation', () => {
+    /**
+     * 同じシード・難易度・キャンバスサイズなら同じレベルが再生成される
+     */
+    test('should regenerate the exact same level from the same seed', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom('easy', 'medium', 'hard', 'super-hard'),
+          fc.integer({ min: 0, max: 0xFFFFFFFF }),
+          (difficulty, seed) => {
+            const a = new LevelGenerator(800, 600, difficulty);
+            const b = new LevelGenerator(800, 600, difficulty);
+            a.generate(seed);
+            b.generate(seed);
+
+            expect(b.getWaypoints()).toEqual(a.getWaypoints());
+            expect(b.getPath()).toEqual(a.getPath());
+            expect(b.getWalls()).toEqual(a.getWalls());
+            expect(b.getStartPosition()).toEqual(a.getStartPosition());
+            expect(b.getGoalPosition()).toEqual(a.getGoalPosition());
+          }
+        ),
+        { numRuns: 20 }
+      );
+    });
+
+    /**
+     * 各区間の制御点は1つだけなので通路は連続した曲線になる
+     * （点ごとに揺らぎを加えると壁が通路内に散らばり、ゴールに到達できなくなる）
+     */
+    test('should generate a continuous path between waypoints', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom('easy', 'medium', 'hard', 'super-hard'),
+          fc.integer({ min: 0, max: 0xFFFFFFFF }),
+          (difficulty, seed) => {
+            const generator = new LevelGenerator(800, 600, difficulty);
+            generator.generate(seed);
+            const path = generator.getPath();
+
+            for (let i = 1; i < path.length; i++) {
+              const gap = Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+              expect(gap).toBeLessThan(10);
+            }
+          }
+        ),
+        { numRuns: 20 }
+      );
+    });
+
+    test('should return and expose the seed used', () => {
+      const generator = new LevelGenerator(800, 600, 'easy');
+      expect(generator.getSeed()).toBe(null);
+
+      expect(generator.generate(42)).toBe(42);
+      expect(generator.getSeed()).toBe(42);
+    });
+
+    test('should pick a random seed when none is given', () => {
+      const generator = new LevelGenerator(800, 600, 'medium');
+      const seed = generator.generate();
+      const path = generator.getPath();
+
+      expect(generator.getSeed()).toBe(seed);
+
+      const replay = new LevelGenerator(800, 600, 'medium');
+      replay.generate(seed);
+      expect(replay.getPath()).toEqual(path);
+    });
+
+    test('should accept string seeds', () => {
+      const a = new LevelGenerator(800, 600, 'hard');
+      const b = new LevelGenerator(800, 600, 'hard');
+
+      expect(a.generate('12345')).toBe(12345);
+      b.generate(12345);
+      expect(b.getPath()).toEqual(a.getPath());
+    });
+  });
+
+  describe('Hand-authored Layouts', () => {
+    const layout = [{ x: 0.0625, y: 0.5 }, { x: 0.3, y: 0.3 }, { x: 0.7, y: 0.7 }, { x: 0.9375, y: 0.5 }];
+
+    test('should use the layout waypoints scaled to the canvas', () => {
+      const generator = new LevelGenerator(800, 600, 'medium');
+      generator.generate(3, layout);
+
+      expect(generator.getWaypoints()).toEqual([
+        { x: 50, y: 300 }, { x: 240, y: 180 }, { x: 560, y: 420 }, { x: 750, y: 300 }
+      ]);
+      expect(generator.getLayout()).toEqual(layout);
+      expect(generator.getSeed()).toBe(3);
+    });
+
+    test('should regenerate the same level from the same layout and seed', () => {
+      const a = new LevelGenerator(800, 600, 'easy');
+      const b = new LevelGenerator(800, 600, 'easy');
+      a.generate(5, layout);
+      b.generate(5, layout);
+      expect(b.getPath()).toEqual(a.getPath());
+      expect(b.getWalls()).toEqual(a.getWalls());
+
+      // レイアウトを指定しなければシードからウェイポイントを生成する
+      b.generate(5);
+      expect(b.getLayout()).toBe(null);
+      expect(b.getPath()).not.toEqual(a.getPath());
+    });
+
+    test('should reject invalid layouts', () => {
+      const generator = new LevelGenerator(800, 600, 'easy');
+      expect(() => generator.generate(1, [{ x: 0.5, y: 0.5 }])).toThrow('Invalid layout');
+      expect(() => generator.generate(1, [{ x: 0, y: 0 }, { x: 1.5, y: 0.5 }])).toThrow('Invalid layout');
+      expect(() => generator.generate(1, [{ x: 0, y: 0 }, { x: '1', y: 0.5 }])).toThrow('Invalid layout');
+    });
+
+    test('should compare layouts by their waypoints', () => {
+      expect(LevelGenerator.isSameLayout(null, null)).toBe(true);
+      expect(LevelGenerator.isSameLayout(layout, null)).toBe(false);
+      expect(LevelGenerator.isSameLayout(layout, layout.map(point => ({ ...point })))).toBe(true);
+      expect(LevelGenerator.isSameLayout(layout, layout.slice(1))).toBe(false);
+    });
+  });
+});
+describe('Endless Tracks', () => {
+  /**
+   * 区間の追加のしかたに関係なく、同じシードならキャラクターの周りは同じコースになる
+   */
+  test('should grow the same track from the same seed however it is updated', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 0xFFFFFFFF }),
+        fc.array(fc.integer({ min: 1, max: 400 }), { minLength: 1, maxLength: 10 }),
+        (seed, steps) => {
+          const a = new LevelGenerator(800, 600, 'medium');
+          const b = new LevelGenerator(800, 600, 'medium');
+          a.generateEndless(seed);
+          b.generateEndless(seed);
+
+          let x = a.getStartPosition().x;
+          steps.forEach(step => {
+            x += step;
+            a.updateEndless(x);
+          });
+          b.updateEndless(x);
+
+          // 後方の区間を削除するタイミングは更新のしかたで変わるので、残っている範囲だけ比べる
+          const behind = x - 800 + LevelGenerator.ENDLESS.columnWidth * 2;
+          const around = items => items.filter(item => item.x >= behind);
+          expect(around(b.getWalls())).toEqual(around(a.getWalls()));
+          expect(around(b.getPath())).toEqual(around(a.getPath()));
+          expect(b.getWaypoints().slice(-1)).toEqual(a.getWaypoints().slice(-1));
+        }
+      ),
+      { numRuns: 30 }
+    );
+  });
+
+  test('should start without a goal and keep a canvas width of track ahead', () => {
+    const generator = new LevelGenerator(800, 600, 'easy');
+    generator.generateEndless(4);
+
+    expect(generator.isEndless()).toBe(true);
+    expect(generator.getGoalPosition()).toBe(null);
+    expect(generator.getStartPosition()).toEqual({ x: 50, y: 300 });
+
+    generator.updateEndless(3000);
+    const waypoints = generator.getWaypoints();
+    expect(waypoints[waypoints.length - 1].x).toBeGreaterThanOrEqual(3800);
+
+    // 通常のレベルを生成するとエンドレスではなくなる
+    generator.generate(4);
+    expect(generator.isEndless()).toBe(false);
+    expect(generator.updateEndless(5000)).toBe(false);
+  });
+
+  test('should keep the path centre open and enclosed by walls in every column', () => {
+    const generator = new LevelGenerator(800, 600, 'hard');
+    generator.generateEndless(11);
+    generator.updateEndless(2000);
+
+    const columnWidth = LevelGenerator.ENDLESS.columnWidth;
+    const path = generator.getPath();
+    path.forEach(point => {
+      const inWall = generator.getWalls().some(wall =>
+        point.x >= wall.x && point.x <= wall.x + wall.width &&
+        point.y > wall.y && point.y < wall.y + wall.height);
+      expect(inWall).toBe(false);
+    });
+
+    // 各列は上下の壁で閉じられている
+    const firstColumn = Math.floor(path[0].x / columnWidth) * columnWidth;
+    const lastColumn = Math.floor(path[path.length - 1].x / columnWidth) * columnWidth;
+    for (let x = firstColumn; x <= lastColumn; x += columnWidth) {
+      const column = generator.getWalls().filter(wall => wall.x === x);
+      expect(column).toHaveLength(2);
+      expect(column[0].y).toBe(0);
+      expect(column[1].y + column[1].height).toBe(600);
+    }
+  });
+
+  test('should drop segments and walls far behind the character', () => {
+    const generator = new LevelGenerator(800, 600, 'easy');
+    generator.generateEndless(2);
+    expect(generator.updateEndless(5000)).toBe(true);
+
+    expect(generator.getPath()[0].x).toBeGreaterThanOrEqual(5000 - 800);
+    generator.getWalls().forEach(wall => {
+      expect(wall.x).toBeGreaterThanOrEqual(5000 - 800 - LevelGenerator.ENDLESS.columnWidth * 2);
+    });
+  });
+
+  test('should narrow the path with the distance travelled', () => {
+    const generator = new LevelGenerator(800, 600, 'easy');
+    generator.generateEndless(1);
+
+    expect(generator.getPathWidthAt(50)).toBe(100);
+    expect(generator.getPathWidthAt(3050)).toBeLessThan(100);
+    expect(generator.getPathWidthAt(50 + LevelGenerator.ENDLESS.rampDistance)).toBe(60);
+    expect(generator.getPathWidthAt(100000)).toBe(60);
+    expect(generator.getEndlessDistance(1050)).toBe(100);
+    expect(generator.getEndlessDistance(0)).toBe(0);
+  });
+});
+
+describe('Custom Difficulty Profiles', () => {
+  const profile = { pathWidth: 120, characterSpeed: 5, waypointCount: 6, curveJitter: 0, wallThickness: 10 };
+
+  test('should build the level from the profile values', () => {
+    const generator = new LevelGenerator(800, 600, 'custom', profile);
+    generator.generate(3);
+
+    expect(generator.getPathWidth()).toBe(120);
+    expect(generator.getCharacterSpeed()).toBe(5);
+    // スタートとゴールの間にプロファイルの数だけウェイポイントを置く
+    expect(generator.getWaypoints()).toHaveLength(6 + 2);
+    // 画面端の壁以外は通路の両側に沿ったプロファイルの太さの壁
+    const pathWalls = generator.getWalls().filter(wall => wall.points);
+    expect(pathWalls).toHaveLength(2);
+    pathWalls.forEach(wall => {
+      expect(wall.thickness).toBe(10);
+    });
+    expect(generator.getProfile()).toEqual(profile);
+  });
+
+  test('should reject missing or out-of-range profiles', () => {
+    expect(() => new LevelGenerator(800, 600, 'custom')).toThrow('Invalid difficulty profile');
+    expect(() => new LevelGenerator(800, 600, 'custom', { ...profile, pathWidth: 10 })).toThrow('Invalid difficulty profile');
+    expect(() => new LevelGenerator(800, 600, 'custom', { ...profile, characterSpeed: 2.5 })).toThrow('Invalid difficulty profile');
+    expect(() => new LevelGenerator(800, 600, 'custom', { ...profile, waypointCount: undefined })).toThrow('Invalid difficulty profile');
+  });
+
+  test('should hash profiles by their values only', () => {
+    const hash = LevelGenerator.getProfileHash(profile);
+    expect(hash).toMatch(/^[0-9a-f]{8}$/);
+    expect(LevelGenerator.getProfileHash({ wallThickness: 10, ...profile, name: 'mine' })).toBe(hash);
+    expect(LevelGenerator.getProfileHash({ ...profile, curveJitter: 1 })).not.toBe(hash);
+    expect(new LevelGenerator(800, 600, 'custom', profile).getProfileHash()).toBe(hash);
+
+    // プリセット難易度にはプロファイルがない
+    expect(LevelGenerator.getProfileHash(null)).toBe(null);
+    expect(new LevelGenerator(800, 600, 'easy').getProfileHash()).toBe(null);
+  });
+
+  test('should generate the same level for the same profile and seed', () => {
+    const a = new LevelGenerator(800, 600, 'custom', profile);
+    const b = new LevelGenerator(800, 600, 'custom', { ...profile });
+    a.generate(9);
+    b.generate(9);
+    expect(b.getPath()).toEqual(a.getPath());
+    expect(b.getWalls()).toEqual(a.getWalls());
+  });
+});
+
+describe('Level Validation', () => {
+  // 通路幅30px・ウェイポイント8個で大きく曲がるプロファイル（シード29の最初のコースはスタート直後が狭すぎる）
+  const winding = { pathWidth: 30, characterSpeed: 4, waypointCount: 8, curveJitter: 120, wallThickness: 20 };
+
+  test('should rasterize the walls exactly where the collision detector says the character touches them', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom('easy', 'medium', 'hard', 'super-hard'),
+        fc.integer({ min: 0, max: 0xffffffff }),
+        fc.array(fc.record({ column: fc.integer({ min: 0, max: 399 }), row: fc.integer({ min: 0, max: 299 }) }), { minLength: 50, maxLength: 50 }),
+        (difficulty, seed, cells) => {
+          const generator = new LevelGenerator(800, 600, difficulty);
+          generator.generate(seed);
+          const grid = LevelGenerator.rasterizeWalls(generator.getWalls(), 800, 600, 5, 2);
+          const detector = new CollisionDetector(null, generator.getWalls(), null);
+
+          cells.forEach(({ column, row }) => {
+            const center = { x: column * 2 + 1, y: row * 2 + 1 };
+            expect(grid.blocked[row * grid.columns + column]).toBe(detector.getWallDistance(center, center, 5) < 5 ? 1 : 0);
+          });
+        }
+      ),
+      { numRuns: 30 }
+    );
+  });
+
+  test('should find the way through generated levels and report where it is blocked', () => {
+    const generator = new LevelGenerator(800, 600, 'easy');
+    generator.generate(7);
+    expect(generator.validate()).toEqual({ valid: true, reason: null });
+    expect(generator.getRejections()).toEqual([]);
+
+    // 通路の途中をふさぐ
+    const middle = generator.getPath()[Math.floor(generator.getPath().length / 2)];
+    generator.getWalls().push({ x: middle.x - 60, y: middle.y - 60, width: 120, height: 120 });
+    expect(generator.validate()).toEqual({
+      valid: false,
+      reason: expect.stringMatching(/^The character cannot get through the path: stuck \d+% of the way at \(\d+, \d+\)$/)
+    });
+
+    // スタート位置に壁を置く
+    generator.getWalls().pop();
+    const start = generator.getStartPosition();
+    generator.getWalls().push({ x: start.x - 10, y: start.y - 10, width: 30, height: 30 });
+    expect(generator.validate()).toEqual({
+      valid: false,
+      reason: expect.stringMatching(/^The character does not fit at the start \(5\d, 30\d\)$/)
+    });
+
+    // キャラクターが通路幅より大きければ通れない
+    generator.getWalls().pop();
+    expect(generator.validate(100).valid).toBe(false);
+  });
+
+  test('should roll the course again from the same seed until the character fits through it', () => {
+    // 画面上端の壁に沿うレイアウトでは、曲がり方によって通路が壁にかかる
+    const layout = [{ x: 0.0625, y: 0.5 }, { x: 0.3, y: 0.12 }, { x: 0.7, y: 0.12 }, { x: 0.9375, y: 0.5 }];
+    const generator = new LevelGenerator(800, 600, 'custom', winding);
+    generator.generate(13, layout);
+    expect(generator.getRejections()).toEqual([expect.stringContaining('The character cannot get through the path')]);
+    expect(generator.validate().valid).toBe(true);
+
+    const again = new LevelGenerator(800, 600, 'custom', winding);
+    again.generate(13, layout);
+    expect(again.getWalls()).toEqual(generator.getWalls());
+    expect(again.getRejections()).toEqual(generator.getRejections());
+
+    // 作り直さずに済んだレベルでは却下理由は残らない
+    generator.generate(30);
+    expect(generator.getRejections()).toEqual([]);
+  });
+
+  test('should centre the character on the path so narrow profiles fit at the start', () => {
+    const narrow = { pathWidth: 20, characterSpeed: 3, waypointCount: 4, curveJitter: 40, wallThickness: 10 };
+    [1, 2, 3, 4, 5].forEach(seed => {
+      const generator = new LevelGenerator(800, 600, 'custom', narrow);
+      generator.generate(seed);
+      expect(generator.getRejections()).toEqual([]);
+
+      const start = generator.getStartPosition();
+      const center = { x: start.x + LevelGenerator.CHARACTER_SIZE / 2, y: start.y + LevelGenerator.CHARACTER_SIZE / 2 };
+      const distance = Math.min(...generator.getPath().map(point => Math.hypot(point.x - center.x, point.y - center.y)));
+      expect(distance).toBeLessThan(1e-9);
+    });
+  });
+
+  test('should give up with the reason when no course of the seed is solvable', () => {
+    const generator = new LevelGenerator(800, 600, 'easy');
+
+    // 画面端の壁の中だけを通るレイアウトは何度作り直しても通れない
+    expect(() => generator.generate(7, [{ x: 0, y: 0.5 }, { x: 0.05, y: 0.5 }]))
+      .toThrow(`Could not generate a solvable level for seed 7 after ${LevelGenerator.MAX_GENERATION_ATTEMPTS} attempts: The character does not fit at the start (0, 300)`);
+    expect(generator.getRejections()).toHaveLength(LevelGenerator.MAX_GENERATION_ATTEMPTS);
+  });
+});
+
+describe('Editor Courses', () => {
+  // 幅80pxの区間の後に幅30pxの区間が続くまっすぐなコース
+  const course = {
+    waypoints: [{ x: 0.0625, y: 0.5 }, { x: 0.5, y: 0.5 }, { x: 0.9375, y: 0.5 }],
+    widths: [80, 30],
+    obstacles: [{ type: 'slider', x: 0.7, y: 0.45, period: 3, phase: 0, side: 1 }]
+  };
+
+  test('should build the walls along each segment at its own width', () => {
+    const generator = new LevelGenerator(800, 600, 'medium');
+    generator.generateCourse(course, 1);
+    const thickness = generator.settings.wallThickness;
+
+    expect(generator.getCourse()).toEqual(course);
+    expect(generator.getPathWidths()).toHaveLength(generator.getPath().length);
+    // キャラクターは画面端の壁にかからない最初の通路上の点に、中心を合わせて置かれる
+    expect(generator.getStartPosition().x).toBeCloseTo(50);
+    expect(generator.getStartPosition().y).toBeCloseTo(295);
+    expect(generator.validate().valid).toBe(true);
+
+    const upperWall = generator.getWalls().find(wall => wall.points && wall.points[0].y < 300);
+    const offsetAt = x => 300 - upperWall.points.find(point => Math.abs(point.x - x) < 5).y;
+    expect(offsetAt(200)).toBeCloseTo(40 + thickness / 2);
+    expect(offsetAt(600)).toBeCloseTo(15 + thickness / 2);
+
+    // 障害物は置いた位置に最も近い通路上の点に、その区間の通路幅で置かれる（ハザードはない）
+    const obstacle = generator.getObstacles()[0].toJSON();
+    expect(obstacle.x).toBeCloseTo(560, 0);
+    expect(obstacle.y).toBeCloseTo(300);
+    expect(obstacle.length).toBeCloseTo(30 * 0.3);
+    expect(generator.getHazards()).toEqual([]);
+
+    // 生成したレベルに戻すとコースは消える
+    generator.generate(1);
+    expect(generator.getCourse()).toBe(null);
+    expect(generator.getPathWidths()).toBe(null);
+  });
+
+  test('should build an unsolvable course anyway and leave it to validate()', () => {
+    const generator = new LevelGenerator(800, 600, 'medium');
+    generator.generateCourse({ ...course, waypoints: [{ x: 0, y: 0.5 }, { x: 0.05, y: 0.5 }], widths: [80] }, 1);
+    expect(generator.validate()).toEqual({ valid: false, reason: 'The character does not fit at the start (0, 300)' });
+    expect(generator.getRejections()).toEqual([]);
+  });
+
+  test('should reject invalid courses', () => {
+    const invalid = [
+      null,
+      { ...course, waypoints: [{ x: 0.5, y: 0.5 }] },
+      { ...course, widths: [80] },
+      { ...course, widths: [80, 500] },
+      { ...course, obstacles: [{ ...course.obstacles[0], type: 'saw' }] },
+      { ...course, obstacles: [{ ...course.obstacles[0], period: 0 }] },
+      { ...course, obstacles: new Array(LevelGenerator.COURSE_LIMITS.obstacles + 1).fill(course.obstacles[0]) }
+    ];
+    invalid.forEach(value => expect(LevelGenerator.isValidCourse(value)).toBe(false));
+    expect(LevelGenerator.isValidCourse(course)).toBe(true);
+
+    expect(() => new LevelGenerator(800, 600, 'medium').generateCourse({ ...course, widths: [] }))
+      .toThrow('Invalid course');
+  });
+});
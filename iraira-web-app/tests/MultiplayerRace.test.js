@@ -0,0 +1,153 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Multiplayer Race Tests - 2人対戦（同じコースで先にゴールした方が勝ち）のテスト
+ *
+ * ヘッドレスのGameManagerでP1をrun()の入力スクリプト、P2をボット関数から
+ * setPlayerDirection()で操作する
+ */
+import { describe, test, expect } from '@jest/globals';
+
+const GameManager = require('../src/GameManager');
+
+// easy・シード7・800x600でゴールするプレイ（HeadlessGameManager.test.jsと同じ）
+const WINNING_SCRIPT = { 0: 'right', 25: 'down', 80: 'right', 189: 'up', 238: 'right', 357: 'up', 404: 'right', 489: 'up' };
+const WINNING_END_TICK = 495;
+
+/**
+ * P1とP2の入力スクリプトから2人対戦のボット関数を作成
+ * @param {Object<number, string>} player1 - P1の { ティック: 方向 }
+ * @param {Object<number, string>} player2 - P2の { ティック: 方向 }
+ * @returns {Function} run()に渡す関数
+ */
+function raceScript(player1, player2) {
+  return (tick, gameManager) => {
+    if (player2[tick]) {
+      gameManager.setPlayerDirection(1, player2[tick]);
+    }
+    return player1[tick] || null;
+  };
+}
+
+function createRace(options = {}) {
+  const gameManager = new GameManager(null, 'easy', { headless: true, seed: 7, players: 2, ...options });
+  gameManager.startGame();
+  return gameManager;
+}
+
+describe('Multiplayer race', () => {
+  test('should start both players on the same course without a replay', () => {
+    const gameManager = createRace();
+
+    expect(gameManager.isRace()).toBe(true);
+    expect(gameManager.getPlayerCount()).toBe(2);
+    expect(gameManager.getReplay()).toBe(null);
+    expect(gameManager.getSaveState()).toBe(null);
+
+    const [first, second] = gameManager.getPlayerStates();
+    const start = gameManager.levelGenerator.getStartPosition();
+    expect(first).toEqual({ player: 0, status: 'racing', x: start.x, y: start.y, direction: null });
+    expect(second).toEqual({ player: 1, status: 'racing', x: start.x, y: start.y, direction: null });
+    gameManager.destroy();
+  });
+
+  test('should let the first player to reach the goal win', () => {
+    const gameManager = createRace();
+    const goals = [];
+    const victories = [];
+    gameManager.on('goal', payload => goals.push(payload));
+    gameManager.on('victory', payload => victories.push(payload));
+
+    const result = gameManager.run(raceScript(WINNING_SCRIPT, {}));
+
+    expect(result.result).toBe('victory');
+    expect(result.tick).toBe(WINNING_END_TICK);
+    expect(gameManager.getWinner()).toBe(0);
+    expect(goals).toEqual([{ tick: WINNING_END_TICK, time: result.score, player: 0 }]);
+    expect(victories[0].winner).toBe(0);
+    expect(gameManager.getPlayerStates().map(player => player.status)).toEqual(['finished', 'racing']);
+    gameManager.destroy();
+  });
+
+  test('should keep racing after one player hits a wall', () => {
+    const gameManager = createRace();
+    const collisions = [];
+    gameManager.on('collision', payload => collisions.push(payload));
+
+    const result = gameManager.run(raceScript({ 0: 'left' }, WINNING_SCRIPT));
+
+    expect(collisions).toHaveLength(1);
+    expect(collisions[0]).toMatchObject({ tick: 1, player: 0, respawn: false, lives: null });
+    expect(result.result).toBe('victory');
+    expect(result.tick).toBe(WINNING_END_TICK);
+    expect(gameManager.getWinner()).toBe(1);
+    expect(gameManager.getPlayerStates().map(player => player.status)).toEqual(['eliminated', 'finished']);
+    gameManager.destroy();
+  });
+
+  test('should ignore directions for eliminated players', () => {
+    const gameManager = createRace();
+    gameManager.run(raceScript({}, { 0: 'left' }), 5);
+
+    const eliminated = gameManager.getPlayerStates()[1];
+    expect(eliminated.status).toBe('eliminated');
+    gameManager.setPlayerDirection(1, 'right');
+    expect(gameManager.getPlayerStates()[1].direction).toBe('left');
+    gameManager.destroy();
+  });
+
+  test('should give a tie at the goal to the lower player number', () => {
+    const gameManager = createRace();
+    const result = gameManager.run(raceScript(WINNING_SCRIPT, WINNING_SCRIPT));
+
+    expect(result.result).toBe('victory');
+    expect(gameManager.getWinner()).toBe(0);
+    expect(gameManager.getPlayerStates().map(player => player.status)).toEqual(['finished', 'racing']);
+    gameManager.destroy();
+  });
+
+  test('should end in a game over without a winner when everyone crashes', () => {
+    const gameManager = createRace();
+    const collisions = [];
+    gameManager.on('collision', payload => collisions.push(payload));
+
+    const result = gameManager.run(raceScript({ 0: 'left' }, { 0: 'left' }));
+
+    expect(result.result).toBe('gameover');
+    expect(result.tick).toBe(1);
+    expect(collisions.map(collision => collision.player)).toEqual([0, 1]);
+    expect(gameManager.getWinner()).toBe(null);
+    gameManager.destroy();
+  });
+
+  test('should reset every player for a rematch', () => {
+    const gameManager = createRace();
+    gameManager.run(raceScript({ 0: 'left' }, WINNING_SCRIPT));
+    gameManager.startGame();
+
+    expect(gameManager.getWinner()).toBe(null);
+    const start = gameManager.levelGenerator.getStartPosition();
+    gameManager.getPlayerStates().forEach(player => {
+      expect(player).toMatchObject({ status: 'racing', x: start.x, y: start.y, direction: null });
+    });
+    gameManager.destroy();
+  });
+
+  test('should reject unsupported player counts, modes and ghosts', () => {
+    expect(() => new GameManager(null, 'easy', { headless: true, players: 3 })).toThrow('Invalid player count: 3');
+    expect(() => new GameManager(null, 'easy', { headless: true, players: 0 })).toThrow('Invalid player count');
+    expect(() => new GameManager(null, 'easy', { headless: true, players: 2, mode: 'lives' }))
+      .toThrow('Multiplayer races are only available in classic mode');
+
+    const single = new GameManager(null, 'easy', { headless: true, seed: 7 });
+    single.startGame();
+    const replay = single.run(WINNING_SCRIPT).replay;
+
+    const gameManager = createRace();
+    expect(() => gameManager.addGhost(replay)).toThrow('Ghosts are not available in multiplayer races');
+    single.destroy();
+    gameManager.destroy();
+  });
+});
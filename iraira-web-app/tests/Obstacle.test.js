@@ -0,0 +1,176 @@
+/**
+ * Obstacle Tests - 動く障害物のテスト
+ */
+import { describe, test, expect } from '@jest/globals';
+import fc from 'fast-check';
+import Obstacle from '../src/Obstacle.js';
+import LevelGenerator from '../src/LevelGenerator.js';
+import CollisionDetector from '../src/CollisionDetector.js';
+import Character from '../src/Character.js';
+
+const GameManager = require('../src/GameManager');
+
+/**
+ * 多角形の中心（頂点の平均）
+ */
+function center(polygon) {
+  return {
+    x: polygon.reduce((sum, point) => sum + point.x, 0) / polygon.length,
+    y: polygon.reduce((sum, point) => sum + point.y, 0) / polygon.length
+  };
+}
+
+describe('Obstacle', () => {
+  test('should slide a block across the path and back', () => {
+    const slider = new Obstacle({ type: 'slider', x: 100, y: 100, angle: 0, length: 16, thickness: 10, period: 2, travel: 12 });
+
+    expect(center(slider.getPolygons()[0]).y).toBeCloseTo(100);
+    expect(center(slider.getPolygonsAt(0.5)[0])).toEqual({ x: expect.closeTo(100), y: expect.closeTo(112) });
+    expect(center(slider.getPolygonsAt(1.5)[0]).y).toBeCloseTo(88);
+
+    // The block is 16 across the path (y) and 10 along it (x)
+    const xs = slider.getPolygons()[0].map(point => point.x);
+    const ys = slider.getPolygons()[0].map(point => point.y);
+    expect(Math.max(...xs) - Math.min(...xs)).toBeCloseTo(10);
+    expect(Math.max(...ys) - Math.min(...ys)).toBeCloseTo(16);
+  });
+
+  test('should spin rotors a full turn per period and swing pendulums from their pivot', () => {
+    const rotor = new Obstacle({ type: 'rotor', x: 0, y: 0, angle: 0, length: 20, thickness: 4, period: 4 });
+    const tip = time => rotor.getPolygonsAt(time)[0][1];
+    expect(tip(0)).toEqual({ x: expect.closeTo(20), y: expect.closeTo(-2) });
+    expect(tip(1)).toEqual({ x: expect.closeTo(2), y: expect.closeTo(20) });
+    expect(tip(4)).toEqual({ x: expect.closeTo(20), y: expect.closeTo(-2) });
+
+    const pendulum = new Obstacle({
+      type: 'pendulum', x: 50, y: 0, angle: Math.PI / 2, length: 20, thickness: 4, period: 4, swing: Math.PI / 3
+    });
+    expect(center(pendulum.getPolygonsAt(0)[0])).toEqual({ x: expect.closeTo(50), y: expect.closeTo(10) });
+    const swung = center(pendulum.getPolygonsAt(1)[0]);
+    expect(swung.x).toBeCloseTo(50 - 10 * Math.sin(Math.PI / 3));
+    expect(swung.y).toBeCloseTo(10 * Math.cos(Math.PI / 3));
+  });
+
+  test('should open and close gates from both edges', () => {
+    const gate = new Obstacle({ type: 'gate', x: 100, y: 100, angle: 0, length: 20, thickness: 6, period: 2, span: 40 });
+
+    expect(gate.getPolygonsAt(0)).toEqual([]);
+
+    const closed = gate.getPolygonsAt(1);
+    expect(closed).toHaveLength(2);
+    expect(center(closed[0])).toEqual({ x: expect.closeTo(100), y: expect.closeTo(110) });
+    expect(center(closed[1])).toEqual({ x: expect.closeTo(100), y: expect.closeTo(90) });
+
+    const half = gate.getPolygonsAt(0.5).map(polygon => polygon.map(point => point.y));
+    expect(Math.min(...half[0])).toBeCloseTo(110);
+    expect(Math.max(...half[1])).toBeCloseTo(90);
+  });
+
+  test('should only move on update() and reject invalid definitions', () => {
+    const rotor = new Obstacle({ type: 'rotor', x: 0, y: 0, angle: 0, length: 20, thickness: 4, period: 4, phase: 0.25 });
+    const start = rotor.getPolygons();
+    expect(rotor.getPolygonsAt(1)).not.toEqual(start);
+    expect(rotor.getPolygons()).toBe(start);
+
+    rotor.update(1);
+    expect(rotor.getPolygons()).toEqual(rotor.getPolygonsAt(1));
+    expect(new Obstacle(rotor.toJSON()).getPolygonsAt(3)).toEqual(rotor.getPolygonsAt(3));
+
+    expect(() => new Obstacle({ type: 'spike', length: 1, thickness: 1, period: 1 })).toThrow('Invalid obstacle type');
+    expect(() => new Obstacle({ type: 'rotor', length: 0, thickness: 1, period: 1 })).toThrow('must be positive');
+  });
+
+  test('should stay within its reach from the anchor', () => {
+    fc.assert(
+      fc.property(fc.constantFrom(...Obstacle.TYPES), fc.double({ min: 0, max: 10, noNaN: true }), (type, time) => {
+        const obstacle = new Obstacle({
+          type, x: 100, y: 100, angle: 0.5, length: 20, thickness: 6, period: 2, travel: 30, swing: Math.PI / 2, span: 40
+        });
+        obstacle.getPolygonsAt(time).forEach(polygon => {
+          polygon.forEach(point => {
+            expect(Math.hypot(point.x - 100, point.y - 100)).toBeLessThanOrEqual(obstacle.getReach() + 1e-9);
+          });
+        });
+      }),
+      { numRuns: 100 }
+    );
+  });
+});
+
+describe('Obstacles in levels', () => {
+  test('should only give the hard difficulties obstacles, without changing their walls', () => {
+    const counts = ['easy', 'medium', 'hard', 'super-hard'].map(difficulty => {
+      const generator = new LevelGenerator(800, 600, difficulty);
+      generator.generate(7);
+      return generator.getObstacles().length;
+    });
+    expect(counts).toEqual([0, 0, 2, 4]);
+
+    const withObstacles = new LevelGenerator(800, 600, 'hard');
+    withObstacles.generate(7);
+    const withoutObstacles = new LevelGenerator(800, 600, 'hard');
+    withoutObstacles.difficultySettings.hard.obstacleCount = 0;
+    withoutObstacles.generate(7);
+    expect(withoutObstacles.getObstacles()).toEqual([]);
+    expect(withoutObstacles.getWalls()).toEqual(withObstacles.getWalls());
+  });
+
+  test('should place the same obstacles for the same seed, on the path and clear of the start', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom('hard', 'super-hard'),
+        fc.integer({ min: 0, max: 0xffffffff }),
+        (difficulty, seed) => {
+          const generator = new LevelGenerator(800, 600, difficulty);
+          generator.generate(seed);
+          const again = new LevelGenerator(800, 600, difficulty);
+          again.generate(seed);
+          expect(again.getObstacles().map(obstacle => obstacle.toJSON()))
+            .toEqual(generator.getObstacles().map(obstacle => obstacle.toJSON()));
+
+          const start = generator.getStartPosition();
+          const character = new Character(start.x, start.y, 10);
+          const detector = new CollisionDetector(character, [], null, generator.getObstacles());
+          for (let time = 0; time < 4; time += 0.25) {
+            generator.updateObstacles(time);
+            expect(detector.checkWallCollision()).toBe(false);
+          }
+
+          generator.getObstacles().forEach(obstacle => {
+            expect(obstacle.x).toBeGreaterThan(0);
+            expect(obstacle.x).toBeLessThan(800);
+            expect(obstacle.y).toBeGreaterThan(0);
+            expect(obstacle.y).toBeLessThan(600);
+          });
+        }
+      ),
+      { numRuns: 30 }
+    );
+  });
+
+  test('should move obstacles with the ticks of a run and crash into them', () => {
+    const gameManager = new GameManager(null, 'super-hard', { headless: true, seed: 7 });
+    const obstacle = gameManager.levelGenerator.getObstacles()[0];
+    gameManager.startGame();
+    expect(obstacle.time).toBe(0);
+
+    gameManager.step();
+    gameManager.step();
+    expect(obstacle.time).toBeCloseTo(2 / 60);
+    expect(gameManager.collisionDetector.obstacles).toBe(gameManager.levelGenerator.getObstacles());
+
+    // Park the character on the obstacle: the next step ends the run
+    const polygon = obstacle.getPolygonsAt(3 / 60)[0];
+    const { x, y } = center(polygon);
+    gameManager.character.reset(x - 5, y - 5);
+    gameManager.step();
+    expect(gameManager.state).toBe('gameover');
+
+    // A new level gets new obstacles at the start of their motion
+    gameManager.restartGame();
+    expect(obstacle.time).toBeCloseTo(3 / 60);
+    expect(gameManager.levelGenerator.getObstacles()[0]).not.toBe(obstacle);
+    expect(gameManager.levelGenerator.getObstacles()[0].time).toBe(0);
+    gameManager.destroy();
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * PowerUpTracker Tests - パワーアップモードのテスト
+ *
+ * アイテムの配置・取得・各効果の計算と、
+ * 実際のLevelGenerator/Characterを使ったGameManagerのパワーアップモードを確認する
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import fc from 'fast-check';
+
+const Character = require('../src/Character');
+const { installGameGlobals, BlockingAnimationEngine, createPath } = require('./helpers');
+
+installGameGlobals({ AnimationEngine: BlockingAnimationEngine });
+
+const GameManager = require('../src/GameManager');
+const PowerUpTracker = require('../src/PowerUpTracker');
+const Ghost = require('../src/Ghost');
+
+// 広い通路のカスタム難易度・シード11: 右に進んで4つのアイテムをすべて取り、2回下にずれてゴールするプレイ
+// （lambda/tests/runVerifier.test.jsと同じ）
+const PROFILE = { pathWidth: 120, characterSpeed: 4, waypointCount: 1, curveJitter: 0, wallThickness: 20 };
+const POWER_UP_SCRIPT = { 0: 'right', 144: 'down', 151: 'right', 221: 'down', 224: 'right' };
+const POWER_UP_END_TICK = 266;
+const POWER_UP_TIME = 933;
+
+describe('PowerUpTracker', () => {
+  describe('Pickup placement', () => {
+    test('should spread one pickup of each type evenly between start and goal', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 2, max: 500 }), fc.integer({ min: 0, max: 0xffffffff }), (length, seed) => {
+          const path = createPath(length);
+          const pickups = new PowerUpTracker(path, seed).getPickups();
+
+          expect(pickups).toHaveLength(PowerUpTracker.RULES.pickups);
+          expect(pickups.map(pickup => pickup.type).sort()).toEqual(PowerUpTracker.TYPES.slice().sort());
+          pickups.forEach((pickup, i) => {
+            const index = Math.round((i + 1) * (length - 1) / (PowerUpTracker.RULES.pickups + 1));
+            expect(pickup).toEqual({ ...path[index], type: pickup.type, collected: false });
+          });
+
+          // 同じシードでは同じ順番
+          expect(new PowerUpTracker(path, seed).getPickups()).toEqual(pickups);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    test('should place no pickups on an empty path', () => {
+      expect(new PowerUpTracker([], 1).getPickups()).toEqual([]);
+      expect(new PowerUpTracker(null, 1).getPickups()).toEqual([]);
+    });
+  });
+
+  describe('Effects', () => {
+    let tracker;
+    let character;
+
+    /**
+     * 指定した種類のアイテムにキャラクターを重ねて取得する
+     */
+    function collectType(type, tick) {
+      const pickup = tracker.getPickups().find(candidate => candidate.type === type);
+      character.reset(pickup.x - character.size / 2, pickup.y - character.size / 2);
+      return tracker.collect(character, tick);
+    }
+
+    beforeEach(() => {
+      tracker = new PowerUpTracker(createPath(50), 3);
+      character = new Character(0, 95, 10);
+    });
+
+    test('should collect a pickup only once and only when touching it', () => {
+      const pickup = tracker.getPickups()[0];
+      character.reset(pickup.x + PowerUpTracker.RULES.radius, pickup.y - 5);
+      expect(tracker.collect(character, 1)).toEqual([]);
+
+      character.reset(pickup.x + PowerUpTracker.RULES.radius - 1, pickup.y - 5);
+      expect(tracker.collect(character, 1)).toEqual([pickup]);
+      expect(pickup.collected).toBe(true);
+      expect(tracker.collect(character, 2)).toEqual([]);
+    });
+
+    test('should slow the game clock down for a few seconds', () => {
+      for (let tick = 1; tick <= 10; tick++) {
+        tracker.advance(tick);
+      }
+      collectType('slow', 10);
+      const slowTicks = PowerUpTracker.RULES.slowDuration * 60 / 1000;
+      expect(tracker.getSpeedFactor(11)).toBe(PowerUpTracker.RULES.slowFactor);
+      expect(tracker.getSpeedFactor(10 + slowTicks)).toBe(PowerUpTracker.RULES.slowFactor);
+      expect(tracker.getSpeedFactor(11 + slowTicks)).toBe(1);
+      expect(tracker.getActiveEffects(11)).toEqual([
+        { type: 'slow', remaining: Math.round((slowTicks - 1) * 1000 / 60), duration: PowerUpTracker.RULES.slowDuration }
+      ]);
+
+      for (let tick = 11; tick <= 10 + slowTicks; tick++) {
+        tracker.advance(tick);
+      }
+      expect(tracker.getClock()).toBe(10 + slowTicks * PowerUpTracker.RULES.slowFactor);
+      expect(tracker.getElapsedTime(1000 / 60)).toBe(Math.round((10 + slowTicks / 2) * 1000 / 60));
+    });
+
+    test('should take the time bonus off the clock without going below zero', () => {
+      tracker.advance(1);
+      collectType('time', 1);
+      expect(tracker.getBonusTime()).toBe(PowerUpTracker.RULES.timeBonus);
+      expect(tracker.getElapsedTime(1000 / 60)).toBe(0);
+
+      for (let tick = 2; tick <= 200; tick++) {
+        tracker.advance(tick);
+      }
+      expect(tracker.getElapsedTime(1000 / 60)).toBe(Math.round(200 * 1000 / 60) - PowerUpTracker.RULES.timeBonus);
+    });
+
+    test('should stop one wall touch with the shield and protect a little longer', () => {
+      expect(tracker.absorbHit(character, 1)).toBe(false);
+
+      collectType('shield', 1);
+      expect(tracker.hasShield()).toBe(true);
+      expect(tracker.getActiveEffects(1)).toEqual([{ type: 'shield', remaining: null, duration: null }]);
+
+      const { x, y } = character;
+      character.setDirection('up');
+      character.update(5);
+      expect(tracker.absorbHit(character, 20)).toBe(true);
+      expect(character).toMatchObject({ x, y, direction: null });
+      expect(tracker.hasShield()).toBe(false);
+
+      const graceTicks = PowerUpTracker.RULES.shieldGrace * 60 / 1000;
+      expect(tracker.absorbHit(character, 20 + graceTicks)).toBe(true);
+      expect(tracker.absorbHit(character, 21 + graceTicks)).toBe(false);
+    });
+
+    test('should shrink the character around its centre and grow back only where there is room', () => {
+      const before = { x: character.x, y: character.y };
+      collectType('shrink', 1);
+      const pickup = tracker.getPickups().find(candidate => candidate.type === 'shrink');
+      expect(character.size).toBe(PowerUpTracker.RULES.shrinkSize);
+      expect(character.x + character.size / 2).toBe(pickup.x);
+      expect(character.y + character.size / 2).toBe(pickup.y);
+      expect(before).not.toEqual({ x: character.x, y: character.y });
+
+      const shrinkTicks = PowerUpTracker.RULES.shrinkDuration * 60 / 1000;
+      tracker.update(character, 1 + shrinkTicks, null);
+      expect(character.size).toBe(PowerUpTracker.RULES.shrinkSize);
+
+      // 通常の大きさでは壁に触れる場所では縮小が続く
+      const touching = { checkWallCollision: () => character.size > PowerUpTracker.RULES.shrinkSize, reset() {} };
+      tracker.update(character, 2 + shrinkTicks, touching);
+      expect(character.size).toBe(PowerUpTracker.RULES.shrinkSize);
+      expect(tracker.getActiveEffects(2 + shrinkTicks)).toEqual([
+        { type: 'shrink', remaining: 0, duration: PowerUpTracker.RULES.shrinkDuration }
+      ]);
+
+      tracker.update(character, 3 + shrinkTicks, { checkWallCollision: () => false, reset() {} });
+      expect(character.size).toBe(10);
+      expect(character.x + 5).toBe(pickup.x);
+      expect(tracker.getActiveEffects(3 + shrinkTicks)).toEqual([]);
+    });
+
+    test('should put the pickups back and end every effect on reset', () => {
+      tracker.getPickups().forEach((pickup, i) => collectType(pickup.type, i + 1));
+      tracker.advance(5);
+      expect(character.size).toBe(PowerUpTracker.RULES.shrinkSize);
+
+      tracker.reset(character);
+      expect(character.size).toBe(10);
+      expect(tracker.getPickups().every(pickup => !pickup.collected)).toBe(true);
+      expect(tracker.getActiveEffects(5)).toEqual([]);
+      expect(tracker.getClock()).toBe(0);
+      expect(tracker.getBonusTime()).toBe(0);
+    });
+  });
+
+  describe('GameManager power-ups mode', () => {
+    let canvas;
+
+    beforeEach(() => {
+      canvas = document.createElement('canvas');
+      canvas.width = 800;
+      canvas.height = 600;
+    });
+
+    function createGame() {
+      return new GameManager(canvas, 'custom', { seed: 11, mode: 'powerups', profile: PROFILE });
+    }
+
+    test('should only place pickups in power-ups mode', () => {
+      const classic = new GameManager(canvas, 'custom', { seed: 11, profile: PROFILE });
+      expect(classic.powerUps).toBe(null);
+      expect(classic.getActivePowerUps()).toBe(null);
+      classic.destroy();
+
+      const gameManager = createGame();
+      expect(gameManager.getMode()).toBe('powerups');
+      expect(gameManager.powerUps.getPickups()).toEqual(
+        new PowerUpTracker(gameManager.levelGenerator.getPath(), 11).getPickups()
+      );
+      gameManager.destroy();
+    });
+
+    test('should collect the pickups along the path and time the run with their effects', () => {
+      const gameManager = createGame();
+      const collected = [];
+      gameManager.on('powerup', event => collected.push([event.tick, event.type]));
+      gameManager.startGame();
+      gameManager.run(POWER_UP_SCRIPT);
+
+      expect(collected).toEqual([[31, 'slow'], [102, 'time'], [178, 'shield'], [233, 'shrink']]);
+      expect(gameManager.animationEngine.effects.map(effect => effect.label)).toEqual(
+        ['Slow motion', 'Time bonus', 'Shield', 'Shrink']
+      );
+      expect(gameManager.animationEngine.effects[0].color).toBe('slow');
+      expect(gameManager.getCurrentState()).toBe('victory');
+      expect(gameManager.getTick()).toBe(POWER_UP_END_TICK);
+      expect(gameManager.getCurrentScore()).toBe(POWER_UP_TIME);
+      expect(gameManager.character.size).toBe(PowerUpTracker.RULES.shrinkSize);
+      expect(gameManager.getActivePowerUps().map(effect => effect.type)).toEqual(['shrink', 'shield']);
+
+      // ゴーストも同じアイテムを取り、同じタイマーのずれで同じ位置にゴールする
+      const replay = gameManager.getReplay();
+      expect(replay.mode).toBe('powerups');
+      const ghost = new Ghost(replay, gameManager.levelGenerator);
+      expect(ghost.penalties[POWER_UP_END_TICK]).toBe(POWER_UP_TIME - Math.round(POWER_UP_END_TICK * 1000 / 60));
+      expect(ghost.getStateAt(POWER_UP_END_TICK)).toMatchObject({
+        x: gameManager.character.x,
+        y: gameManager.character.y,
+        size: PowerUpTracker.RULES.shrinkSize
+      });
+
+      // 新しいプレイではアイテムと大きさが元に戻る
+      gameManager.restartGame();
+      expect(gameManager.character.size).toBe(10);
+      expect(gameManager.powerUps.getPickups().every(pickup => !pickup.collected)).toBe(true);
+      gameManager.destroy();
+    });
+
+    test('should race a ghost of the same run without any time difference', () => {
+      const recorder = createGame();
+      recorder.startGame();
+      recorder.run(POWER_UP_SCRIPT);
+      const replay = recorder.getReplay();
+      recorder.destroy();
+
+      const gameManager = createGame();
+      gameManager.addGhost(replay, 'PB');
+      gameManager.startGame();
+      const deltas = [];
+      while (gameManager.getCurrentState() === 'playing') {
+        const direction = POWER_UP_SCRIPT[gameManager.getTick()];
+        if (direction) {
+          gameManager.character.setDirection(direction);
+          gameManager.recordDirectionChange(direction);
+        }
+        gameManager.step();
+        deltas.push(gameManager.getGhostDelta());
+      }
+      expect(deltas.every(delta => delta === 0)).toBe(true);
+      gameManager.destroy();
+    });
+
+    test('should let the shield stop one wall touch instead of ending the run', () => {
+      const gameManager = createGame();
+      const shields = [];
+      gameManager.on('shield', event => shields.push(event.tick));
+      gameManager.startGame();
+      gameManager.run({ 0: 'right', 144: 'down', 151: 'right', 190: 'down' }, 300);
+
+      expect(shields).toHaveLength(1);
+      expect(gameManager.getCurrentState()).toBe('playing');
+      expect(gameManager.character.direction).toBe(null);
+      expect(gameManager.powerUps.hasShield()).toBe(false);
+      expect(gameManager.animationEngine.effects.map(effect => effect.label)).toContain('Shield!');
+
+      // 保護時間が過ぎた後の接触ではゲームオーバー
+      gameManager.run({ 300: 'down' });
+      expect(gameManager.getCurrentState()).toBe('gameover');
+      gameManager.destroy();
+    });
+  });
+});
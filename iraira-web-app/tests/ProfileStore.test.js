@@ -0,0 +1,76 @@
+/**
+ * ProfileStore Tests - カスタム難易度プロファイル保存のテスト
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+
+const ProfileStore = require('../src/ProfileStore');
+const { MemoryStorage } = require('./helpers');
+
+const PROFILE = { pathWidth: 120, characterSpeed: 4, waypointCount: 1, curveJitter: 0, wallThickness: 20 };
+
+describe('ProfileStore', () => {
+  let storage;
+  let store;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    store = new ProfileStore(storage);
+  });
+
+  test('should start without profiles', () => {
+    expect(store.getProfiles()).toEqual([]);
+    expect(store.getProfile('wide')).toBe(null);
+  });
+
+  test('should save profiles by name and replace a profile with the same name', () => {
+    store.saveProfile(' wide ', { ...PROFILE, label: 'ignored' });
+    expect(store.getProfile('wide')).toEqual(PROFILE);
+
+    store.saveProfile('fast', { ...PROFILE, characterSpeed: 8 });
+    store.saveProfile('wide', { ...PROFILE, pathWidth: 150 });
+
+    expect(store.getProfiles().map(entry => entry.name)).toEqual(['fast', 'wide']);
+    expect(store.getProfile('wide').pathWidth).toBe(150);
+
+    // 別のインスタンスからも読める
+    expect(new ProfileStore(storage).getProfile('fast').characterSpeed).toBe(8);
+  });
+
+  test('should delete a profile', () => {
+    store.saveProfile('wide', PROFILE);
+    expect(store.deleteProfile('wide')).toBe(true);
+    expect(store.deleteProfile('wide')).toBe(false);
+    expect(store.getProfiles()).toEqual([]);
+  });
+
+  test('should reject invalid names, invalid profiles and a full store', () => {
+    expect(() => store.saveProfile('  ', PROFILE)).toThrow('Profile name must be 1-20 characters');
+    expect(() => store.saveProfile('x'.repeat(21), PROFILE)).toThrow('Profile name must be 1-20 characters');
+    expect(() => store.saveProfile('wide', { ...PROFILE, pathWidth: 500 })).toThrow('Invalid difficulty profile');
+
+    for (let i = 0; i < ProfileStore.MAX_PROFILES; i++) {
+      store.saveProfile(`profile ${i}`, PROFILE);
+    }
+    expect(() => store.saveProfile('one more', PROFILE)).toThrow('At most 20 profiles can be saved');
+    // 既存のプロファイルの上書きはできる
+    expect(() => store.saveProfile('profile 0', ProfileStore.DEFAULT_PROFILE)).not.toThrow();
+  });
+
+  test('should ignore corrupted or invalid stored data', () => {
+    storage.setItem(ProfileStore.STORAGE_KEY, 'not json');
+    expect(store.getProfiles()).toEqual([]);
+
+    storage.setItem(ProfileStore.STORAGE_KEY, JSON.stringify([
+      { name: 'ok', profile: PROFILE },
+      { name: 'broken', profile: { pathWidth: 1 } },
+      null
+    ]));
+    expect(store.getProfiles().map(entry => entry.name)).toEqual(['ok']);
+  });
+
+  test('should work without storage', () => {
+    const memoryless = new ProfileStore(null);
+    expect(memoryless.saveProfile('wide', PROFILE).profile).toEqual(PROFILE);
+    expect(memoryless.getProfiles()).toEqual([]);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * RaceClient Tests - オンライン対戦の通信のテスト
+ *
+ * 実際の部屋サーバー（RaceRoomServer）をローカルのポートで起動し、
+ * ヘッドレスのGameManagerで2人のプレイヤーを走らせる
+ */
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import http from 'http';
+import WebSocket from 'ws';
+import RaceRoomServer from '../server/RaceRoomServer.js';
+
+const RaceClient = require('../src/RaceClient');
+const GameManager = require('../src/GameManager');
+
+// easy・シード7・800x600でゴールするプレイ（HeadlessGameManager.test.jsと同じ）
+const WINNING_SCRIPT = { 0: 'right', 25: 'down', 80: 'right', 189: 'up', 238: 'right', 357: 'up', 404: 'right', 489: 'up' };
+const WINNING_END_TICK = 495;
+
+/**
+ * 次のイベントを待つ
+ * @param {RaceClient} client - 接続
+ * @param {string} eventName - イベント名
+ * @param {Function} predicate - 待つメッセージの条件（オプション）
+ * @returns {Promise<Object>} メッセージ
+ */
+function nextEvent(client, eventName, predicate = () => true) {
+  return new Promise(resolve => {
+    const unsubscribe = client.on(eventName, message => {
+      if (predicate(message)) {
+        unsubscribe();
+        resolve(message);
+      }
+    });
+  });
+}
+
+describe('RaceClient', () => {
+  let httpServer;
+  let roomServer;
+  let url;
+  let clients;
+  // 部屋の時計（ミリ秒）。ヘッドレスのゲームは実時間より速く進むため、ゲームのティックに合わせて進める
+  let raceClock;
+
+  beforeEach(async () => {
+    raceClock = 0;
+    httpServer = http.createServer();
+    roomServer = new RaceRoomServer({
+      server: httpServer,
+      roomOptions: {
+        // カウントダウンは待たずに進め、シード値は7に固定
+        setTimeout: (callback, delay) => setTimeout(callback, delay === 1000 ? 0 : delay),
+        random: () => 7 / 0x100000000,
+        now: () => raceClock
+      }
+    });
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${httpServer.address().port}/race`;
+    clients = [];
+  });
+
+  afterEach(async () => {
+    clients.forEach(client => client.close());
+    roomServer.close();
+    await new Promise(resolve => httpServer.close(resolve));
+  });
+
+  async function joinClient(name) {
+    const client = new RaceClient(url, WebSocket);
+    clients.push(client);
+    await client.connect();
+    const joined = nextEvent(client, 'joined');
+    client.join('lunch', name);
+    await joined;
+    return client;
+  }
+
+  /**
+   * 'go'を受け取ったらヘッドレスのゲームを開始してスクリプトで最後まで走らせる
+   */
+  function raceWhenStarted(client, script) {
+    let race = null;
+    client.on('race', message => {
+      race = message;
+    });
+    return nextEvent(client, 'go').then(() => {
+      const gameManager = new GameManager(null, race.difficulty, { headless: true, seed: race.seed });
+      client.attachGame(gameManager);
+      gameManager.on('tick', ({ tick }) => {
+        raceClock = Math.max(raceClock, tick * 1000 / 60);
+      });
+      gameManager.startGame();
+      return gameManager.run(script);
+    });
+  }
+
+  test('should race two players in the same room and rank them', async () => {
+    const alice = await joinClient('alice');
+    const bob = await joinClient('bob');
+    expect(alice.getRoom()).toBe('LUNCH');
+    expect(bob.getPlayerId()).not.toBe(alice.getPlayerId());
+
+    const aliceSawBob = nextEvent(alice, 'state', message => message.playerId === bob.getPlayerId());
+    const results = nextEvent(alice, 'results');
+    const aliceRun = raceWhenStarted(alice, WINNING_SCRIPT);
+    const bobRun = raceWhenStarted(bob, { 0: 'left' });
+    alice.startRace('easy');
+
+    const [aliceResult, bobResult] = await Promise.all([aliceRun, bobRun]);
+    expect(aliceResult.result).toBe('victory');
+    expect(aliceResult.tick).toBe(WINNING_END_TICK);
+    expect(bobResult.result).toBe('gameover');
+
+    // 他のプレイヤーの状態スナップショットが届く
+    const snapshot = await aliceSawBob;
+    expect(snapshot).toMatchObject({ type: 'state', tick: 0, direction: 'left' });
+
+    const { results: ranking } = await results;
+    expect(ranking).toEqual([
+      { rank: 1, id: alice.getPlayerId(), name: 'alice', status: 'finished', time: aliceResult.score },
+      { rank: 2, id: bob.getPlayerId(), name: 'bob', status: 'crashed', time: null }
+    ]);
+  });
+
+  test('should report server errors and disconnects', async () => {
+    const alice = await joinClient('alice');
+
+    const error = nextEvent(alice, 'error');
+    alice.startRace('easy');
+    expect((await error).message).toBe('At least 2 players are needed to race');
+
+    const closed = nextEvent(alice, 'close');
+    roomServer.close();
+    await closed;
+    expect(alice.isConnected()).toBe(false);
+    expect(alice.getRoom()).toBe(null);
+  });
+
+  test('should reject when the server cannot be reached', async () => {
+    const client = new RaceClient('ws://127.0.0.1:1/race', WebSocket);
+    await expect(client.connect()).rejects.toThrow('Could not connect to the race server');
+    await expect(new RaceClient(url, null).connect()).rejects.toThrow('WebSockets are not supported');
+  });
+});
+
+describe('GameManager remote players', () => {
+  test('should keep the latest snapshot of each remote player', () => {
+    const gameManager = new GameManager(null, 'easy', { headless: true, seed: 7 });
+    gameManager.setRemotePlayer(5, { name: 'bob', status: 'racing' });
+    gameManager.setRemotePlayer(9, { name: 'carol' });
+    gameManager.setRemotePlayer(5, { x: 10, y: 20, direction: 'up' });
+
+    expect(gameManager.getRemotePlayers().get(5)).toEqual({
+      name: 'bob', status: 'racing', x: 10, y: 20, direction: 'up', colorIndex: 1
+    });
+    expect(gameManager.getRemotePlayers().get(9).colorIndex).toBe(2);
+
+    gameManager.removeRemotePlayer(5);
+    expect([...gameManager.getRemotePlayers().keys()]).toEqual([9]);
+    gameManager.destroy();
+    expect(gameManager.getRemotePlayers().size).toBe(0);
+  });
+});
+
+describe('Online race runs', () => {
+  test('should not pause a run that cannot be paused', () => {
+    const gameManager = new GameManager(null, 'easy', { headless: true, seed: 7, pausable: false });
+    const pauses = [];
+    gameManager.on('pause', event => pauses.push(event));
+    gameManager.startGame();
+    gameManager.run(WINNING_SCRIPT, 10);
+
+    gameManager.pauseGame('blur');
+    gameManager.togglePause();
+    expect(gameManager.getCurrentState()).toBe('playing');
+    expect(pauses).toEqual([]);
+
+    // 途中で止められないので、ティック数が部屋に送られるタイムと一致する
+    expect(gameManager.run(WINNING_SCRIPT)).toMatchObject({ result: 'victory', tick: WINNING_END_TICK });
+    gameManager.destroy();
+  });
+});
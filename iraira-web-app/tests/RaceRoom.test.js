@@ -0,0 +1,283 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * RaceRoom / RaceRoomServer Tests - オンライン対戦の部屋サーバーのテスト
+ *
+ * タイマーは手動で進め、接続はsend()とイベントだけを持つ偽のソケットで代用する
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { EventEmitter } from 'events';
+import RaceRoom from '../server/RaceRoom.js';
+import RaceRoomServer from '../server/RaceRoomServer.js';
+
+/**
+ * 手動で進めるタイマーと時計（タイマーを実行すると時計もその分進む）
+ */
+function createTimers() {
+  const pending = [];
+  let time = 0;
+  return {
+    pending,
+    now: () => time,
+    advance: ms => {
+      time += ms;
+    },
+    setTimeout: (callback, delay) => {
+      const timer = { callback, delay };
+      pending.push(timer);
+      return timer;
+    },
+    clearTimeout: timer => {
+      const index = pending.indexOf(timer);
+      if (index !== -1) {
+        pending.splice(index, 1);
+      }
+    },
+    runNext: () => {
+      const timer = pending.shift();
+      time += timer.delay;
+      timer.callback();
+    }
+  };
+}
+
+/**
+ * 受信したメッセージを記録する参加者
+ */
+function createPlayer(room, id, name) {
+  const messages = [];
+  room.addPlayer(id, name, message => messages.push(message));
+  return {
+    messages,
+    last: type => messages.filter(message => message.type === type).pop()
+  };
+}
+
+describe('RaceRoom', () => {
+  let timers;
+  let room;
+  let alice;
+  let bob;
+
+  beforeEach(() => {
+    timers = createTimers();
+    room = new RaceRoom('LUNCH', { ...timers, random: () => 0.5 });
+    alice = createPlayer(room, 1, 'alice');
+    bob = createPlayer(room, 2, 'bob');
+  });
+
+  function startAndGo() {
+    room.handleMessage(1, { type: 'start', difficulty: 'easy' });
+    for (let i = 0; i < RaceRoom.COUNTDOWN_SECONDS; i++) {
+      timers.runNext();
+    }
+  }
+
+  test('should make the first player the host and tell everyone who joined', () => {
+    expect(alice.messages[0]).toMatchObject({ type: 'joined', room: 'LUNCH', playerId: 1 });
+    expect(alice.last('players').players).toEqual([
+      { id: 1, name: 'alice', host: true, status: 'waiting', time: null },
+      { id: 2, name: 'bob', host: false, status: 'waiting', time: null }
+    ]);
+  });
+
+  test('should give everyone the same seed and a shared countdown', () => {
+    room.handleMessage(1, { type: 'start', difficulty: 'hard' });
+
+    [alice, bob].forEach(player => {
+      expect(player.last('race')).toMatchObject({ seed: 0x80000000, difficulty: 'hard', countdown: 3 });
+      expect(player.last('countdown').remaining).toBe(3);
+    });
+    expect(room.state).toBe('countdown');
+
+    timers.runNext();
+    timers.runNext();
+    expect(bob.last('countdown').remaining).toBe(1);
+    expect(bob.last('go')).toBeUndefined();
+
+    timers.runNext();
+    expect(alice.last('go')).toEqual({ type: 'go' });
+    expect(bob.last('go')).toEqual({ type: 'go' });
+    expect(room.state).toBe('racing');
+  });
+
+  test('should only let the host start a race with enough players', () => {
+    expect(() => room.handleMessage(2, { type: 'start', difficulty: 'easy' })).toThrow('Only the host');
+    expect(() => room.handleMessage(1, { type: 'start', difficulty: 'custom' })).toThrow('Difficulty must be one of');
+
+    room.removePlayer(2);
+    expect(() => room.handleMessage(1, { type: 'start', difficulty: 'easy' })).toThrow('At least 2 players');
+  });
+
+  test('should relay state snapshots to the other players only while racing', () => {
+    room.handleMessage(1, { type: 'state', tick: 0, x: 1, y: 2, direction: 'up' });
+    expect(bob.last('state')).toBeUndefined();
+
+    startAndGo();
+    timers.advance(200);
+    room.handleMessage(1, { type: 'state', tick: 6, x: 10, y: 20, direction: 'right' });
+    expect(bob.last('state')).toEqual({ type: 'state', playerId: 1, tick: 6, x: 10, y: 20, direction: 'right' });
+    expect(alice.last('state')).toBeUndefined();
+    room.handleMessage(1, { type: 'state', tick: 7, x: 12, y: 18, direction: 'up-right' });
+    expect(bob.last('state').direction).toBe('up-right');
+
+    expect(() => room.handleMessage(1, { type: 'state', tick: 7, x: 'a', y: 0, direction: null }))
+      .toThrow('Invalid state snapshot');
+    expect(() => room.handleMessage(1, { type: 'state', tick: 8, x: 0, y: 0, direction: 'up-down' }))
+      .toThrow('Invalid state snapshot');
+  });
+
+  test('should rank finishers by time, then crashes by how long they lasted', () => {
+    const carol = createPlayer(room, 3, 'carol');
+    const dave = createPlayer(room, 4, 'dave');
+    startAndGo();
+    timers.advance(10000);
+
+    room.handleMessage(2, { type: 'crash', tick: 40 });
+    room.handleMessage(4, { type: 'crash', tick: 90 });
+    room.handleMessage(3, { type: 'finish', tick: 600, time: 10000 });
+    expect(alice.last('results')).toBeUndefined();
+    expect(alice.last('players').players[2]).toMatchObject({ status: 'finished', time: 10000 });
+
+    room.handleMessage(1, { type: 'finish', tick: 459, time: 7650 });
+    const { results } = carol.last('results');
+    expect(results.map(result => [result.rank, result.name, result.status])).toEqual([
+      [1, 'alice', 'finished'],
+      [2, 'carol', 'finished'],
+      [3, 'dave', 'crashed'],
+      [4, 'bob', 'crashed']
+    ]);
+    expect(dave.last('results')).toEqual({ type: 'results', results });
+    expect(room.state).toBe('results');
+    expect(timers.pending).toHaveLength(0);
+  });
+
+  test('should reject finish times that do not match the finish tick', () => {
+    startAndGo();
+    expect(() => room.handleMessage(1, { type: 'finish', tick: 459, time: 10 }))
+      .toThrow('Finish time does not match the finish tick');
+  });
+
+  test('should reject ticks the race clock has not reached yet', () => {
+    startAndGo();
+    timers.advance(10000);
+
+    // 10秒で600ティック、タイマーの誤差として0.5秒（30ティック）先まで、報告の遅れとして5秒前まで許す
+    expect(() => room.handleMessage(1, { type: 'finish', tick: 299, time: 4983 }))
+      .toThrow('Finish tick is behind the race clock');
+    expect(() => room.handleMessage(1, { type: 'finish', tick: 631, time: 10517 }))
+      .toThrow('Tick is ahead of the race clock');
+    expect(() => room.handleMessage(2, { type: 'crash', tick: 700 }))
+      .toThrow('Tick is ahead of the race clock');
+    expect(() => room.handleMessage(2, { type: 'state', tick: 700, x: 0, y: 0, direction: null }))
+      .toThrow('Tick is ahead of the race clock');
+    expect(room.getPlayerList().map(player => player.status)).toEqual(['racing', 'racing']);
+
+    room.handleMessage(1, { type: 'finish', tick: 630, time: 10500 });
+    expect(alice.last('players').players[0]).toMatchObject({ status: 'finished', time: 10500 });
+  });
+
+  test('should reject finish and crash ticks before the last state snapshot', () => {
+    startAndGo();
+    timers.advance(20000);
+    room.handleMessage(1, { type: 'state', tick: 900, x: 400, y: 300, direction: 'right' });
+    room.handleMessage(2, { type: 'state', tick: 1000, x: 400, y: 300, direction: 'right' });
+
+    expect(() => room.handleMessage(1, { type: 'finish', tick: 899, time: 14983 }))
+      .toThrow('Tick is behind the last state snapshot');
+    expect(() => room.handleMessage(2, { type: 'crash', tick: 999 }))
+      .toThrow('Tick is behind the last state snapshot');
+    expect(() => room.handleMessage(2, { type: 'state', tick: 998, x: 0, y: 0, direction: null }))
+      .toThrow('Tick is behind the last state snapshot');
+
+    room.handleMessage(2, { type: 'crash', tick: 1000 });
+    expect(alice.last('players').players[1].status).toBe('crashed');
+  });
+
+  test('should end the race when the last runner leaves or the time is up', () => {
+    startAndGo();
+    timers.advance(1000);
+    room.handleMessage(1, { type: 'finish', tick: 60, time: 1000 });
+    room.removePlayer(2);
+    expect(alice.last('results').results).toEqual([
+      { rank: 1, id: 1, name: 'alice', status: 'finished', time: 1000 }
+    ]);
+
+    // 再戦で誰もゴールしないまま時間切れ
+    createPlayer(room, 5, 'eve');
+    startAndGo();
+    expect(timers.pending[0].delay).toBe(RaceRoom.MAX_RACE_TIME);
+    timers.runNext();
+    expect(alice.last('results').results.map(result => result.status)).toEqual(['dnf', 'dnf']);
+  });
+
+  test('should not let players join a race in progress and cancel a countdown nobody can race', () => {
+    room.handleMessage(1, { type: 'start', difficulty: 'easy' });
+    expect(() => createPlayer(room, 3, 'carol')).toThrow('Race already in progress');
+
+    room.removePlayer(2);
+    expect(room.state).toBe('lobby');
+    expect(timers.pending).toHaveLength(0);
+  });
+
+  test('should validate room codes and player names', () => {
+    expect(RaceRoom.normalizeCode(' lunch1 ')).toBe('LUNCH1');
+    expect(() => RaceRoom.normalizeCode('ab')).toThrow('Room code must be');
+    expect(() => RaceRoom.normalizeCode('room-1')).toThrow('Room code must be');
+    expect(RaceRoom.sanitizeName(' <b>bob</b> ')).toBe('bbobb');
+    expect(() => RaceRoom.sanitizeName('!!!')).toThrow('Name must be 1-20 characters');
+  });
+});
+
+describe('RaceRoomServer', () => {
+  /**
+   * 偽のWebSocket接続（受信はemit('message')、送信内容はsentに記録）
+   */
+  function connect(server) {
+    const socket = new EventEmitter();
+    socket.readyState = 1;
+    socket.sent = [];
+    socket.send = data => socket.sent.push(JSON.parse(data));
+    socket.receive = message => socket.emit('message', Buffer.from(JSON.stringify(message)));
+    server.handleConnection(socket);
+    return socket;
+  }
+
+  test('should put connections with the same room code in the same room', () => {
+    const server = new RaceRoomServer({ roomOptions: createTimers() });
+    const first = connect(server);
+    const second = connect(server);
+
+    first.receive({ type: 'join', room: 'lunch', name: 'alice' });
+    second.receive({ type: 'join', room: 'LUNCH', name: 'bob' });
+
+    expect(server.getRoom('LUNCH').getPlayerList().map(player => player.name)).toEqual(['alice', 'bob']);
+    expect(second.sent[0]).toMatchObject({ type: 'joined', room: 'LUNCH', playerId: 2 });
+
+    second.receive({ type: 'start', difficulty: 'easy' });
+    expect(second.sent.pop()).toEqual({ type: 'error', message: 'Only the host can start the race' });
+    server.close();
+  });
+
+  test('should report invalid messages and delete rooms once everyone has left', () => {
+    const server = new RaceRoomServer({ roomOptions: createTimers() });
+    const socket = connect(server);
+
+    socket.emit('message', Buffer.from('not json'));
+    socket.receive({ type: 'state', tick: 0, x: 0, y: 0, direction: null });
+    socket.receive({ type: 'join', room: 'x', name: 'alice' });
+    expect(socket.sent.map(message => message.message)).toEqual([
+      'Message must be valid JSON',
+      'Join a room first',
+      'Room code must be 4-8 letters or digits'
+    ]);
+
+    socket.receive({ type: 'join', room: 'ABCD', name: 'alice' });
+    expect(server.getRoom('ABCD')).not.toBe(null);
+    socket.emit('close');
+    expect(server.getRoom('ABCD')).toBe(null);
+    server.close();
+  });
+});
@@ -231,6 +231,13 @@ describe('Renderer', () => {
       // Should draw with default width (radius = 30)
       expect(canvas.context.calls.arc[0].radius).toBe(30);
     });
+
+    test('should draw each point of a course with its own width', () => {
+      renderer.drawPath([{ x: 100, y: 100 }, { x: 200, y: 100 }, { x: 300, y: 100 }], [60, 60, 30]);
+
+      expect(canvas.context.calls.arc.map(arc => arc.radius)).toEqual([30, 30, 15, 30, 30, 15]);
+      expect(canvas.context.calls.fillRect.map(rect => rect.height)).toEqual([60, 60]);
+    });
   });
 
   describe('drawCharacter()', () => {
@@ -307,6 +314,230 @@ describe('Renderer', () => {
     });
   });
 
+  describe('drawCheckpoints()', () => {
+    test('should draw a ring for every checkpoint and dim the ones already passed', () => {
+      renderer.drawCheckpoints([{ x: 100, y: 100 }, { x: 200, y: 150 }], 0);
+
+      expect(canvas.context.calls.arc).toEqual([
+        { x: 100, y: 100, radius: 12, startAngle: 0, endAngle: Math.PI * 2 },
+        { x: 200, y: 150, radius: 12, startAngle: 0, endAngle: Math.PI * 2 }
+      ]);
+      expect(canvas.context.calls.stroke).toBe(2);
+      // 最後に描いたのは未通過のチェックポイント
+      expect(canvas.context.strokeStyle).toBe('#00cec9');
+      expect(canvas.context.globalAlpha).toBe(0.9);
+    });
+
+    test('should handle invalid checkpoints', () => {
+      renderer.drawCheckpoints(null);
+      renderer.drawCheckpoints([null, { x: 'a', y: 1 }]);
+      expect(canvas.context.calls.arc).toHaveLength(0);
+    });
+  });
+
+  describe('drawGhost()', () => {
+    test('should draw a translucent character with a label', () => {
+      renderer.drawGhost({ x: 100, y: 150, size: 10, direction: 'up' }, 'PB');
+
+      expect(canvas.context.calls.arc).toContainEqual({
+        x: 105, y: 155, radius: 5, startAngle: 0, endAngle: Math.PI * 2
+      });
+      expect(canvas.context.globalAlpha).toBe(0.4);
+      expect(canvas.context.calls.fillText).toContainEqual({ text: 'PB', x: 105, y: 146 });
+    });
+
+    test('should handle invalid ghost state', () => {
+      renderer.drawGhost(null, 'PB');
+      expect(canvas.context.calls.arc).toHaveLength(0);
+    });
+  });
+
+  describe('drawObstacles()', () => {
+    test('should fill each obstacle polygon', () => {
+      const bar = [{ x: 10, y: 10 }, { x: 30, y: 10 }, { x: 30, y: 16 }, { x: 10, y: 16 }];
+      const triangle = [{ x: 50, y: 50 }, { x: 60, y: 50 }, { x: 55, y: 58 }];
+      renderer.drawObstacles([bar, triangle, [{ x: 0, y: 0 }]]);
+
+      expect(canvas.context.calls.moveTo).toEqual([{ x: 10, y: 10 }, { x: 50, y: 50 }]);
+      expect(canvas.context.calls.lineTo).toHaveLength(5);
+      expect(canvas.context.calls.closePath).toBe(2);
+      expect(canvas.context.calls.fill).toBe(2);
+      expect(canvas.context.fillStyle).toBe(renderer.colors.obstacle);
+    });
+
+    test('should handle missing obstacles', () => {
+      renderer.drawObstacles(null);
+      renderer.drawObstacles([]);
+      expect(canvas.context.calls.fill).toBe(0);
+    });
+  });
+
+  describe('drawHazards()', () => {
+    const area = [{ x: 10, y: 10 }, { x: 30, y: 10 }, { x: 30, y: 50 }, { x: 10, y: 50 }];
+
+    test('should only outline hazards that are off and fill them while warning or on', () => {
+      renderer.drawHazards([{ type: 'field', polygon: area, state: 'off', progress: 0.5 }]);
+      expect(canvas.context.calls.stroke).toBe(1);
+      expect(canvas.context.calls.fill).toBe(0);
+
+      renderer.drawHazards([{ type: 'field', polygon: area, state: 'on', progress: 0 }]);
+      expect(canvas.context.calls.fill).toBe(1);
+      expect(canvas.context.fillStyle).toBe(renderer.colors.hazard);
+
+      // Gaps open down to the background
+      renderer.drawHazards([{ type: 'gap', polygon: area, state: 'on', progress: 0 }]);
+      expect(canvas.context.fillStyle).toBe(renderer.colors.background);
+    });
+
+    test('should flash while warning', () => {
+      const alphas = [0, 0.1, 0.2, 0.65, 0.7].map(progress => {
+        renderer.drawHazards([{ type: 'field', polygon: area, state: 'warning', progress }]);
+        return canvas.context.globalAlpha;
+      });
+      expect(canvas.context.fillStyle).toBe(renderer.colors.hazardWarning);
+      expect(alphas).toEqual([0.6, 0.6, 0.15, 0.6, 0.15]);
+    });
+
+    test('should handle invalid hazards', () => {
+      renderer.drawHazards(null);
+      renderer.drawHazards([null, { type: 'field', polygon: [{ x: 0, y: 0 }], state: 'on' }]);
+      expect(canvas.context.calls.beginPath).toBe(0);
+    });
+  });
+
+  describe('drawPickups()', () => {
+    test('should draw the pickups not collected yet in the color of their type', () => {
+      renderer.drawPickups([
+        { x: 100, y: 100, type: 'slow', collected: true },
+        { x: 200, y: 150, type: 'time', collected: false }
+      ], 8);
+
+      expect(canvas.context.calls.arc).toEqual([
+        { x: 200, y: 150, radius: 8, startAngle: 0, endAngle: Math.PI * 2 }
+      ]);
+      expect(canvas.context.calls.fillText).toEqual([{ text: '+', x: 200, y: 150 }]);
+      expect(renderer.getPowerUpColor('time')).toBe(renderer.colors.powerUps.time);
+      expect(renderer.getPowerUpColor('unknown')).toBe(renderer.colors.ui);
+    });
+
+    test('should handle invalid pickups', () => {
+      renderer.drawPickups(null);
+      renderer.drawPickups([null, { x: 'a', y: 1, type: 'slow' }]);
+      expect(canvas.context.calls.arc).toHaveLength(0);
+    });
+  });
+
+  describe('drawEditorOverlay()', () => {
+    test('should draw the waypoint and obstacle handles and the width of each segment', () => {
+      renderer.drawEditorOverlay({
+        waypoints: [{ x: 50, y: 300 }, { x: 400, y: 300 }, { x: 750, y: 300 }],
+        widths: [60, 40],
+        obstacles: [{ type: 'gate', x: 200, y: 300 }],
+        selected: { kind: 'segment', index: 1 }
+      }, 8);
+
+      expect(canvas.context.calls.moveTo).toEqual([{ x: 50, y: 300 }]);
+      expect(canvas.context.calls.lineTo).toEqual([{ x: 400, y: 300 }, { x: 750, y: 300 }]);
+      expect(canvas.context.calls.arc.map(arc => [arc.x, arc.radius])).toEqual([[50, 8], [400, 8], [750, 8]]);
+      expect(canvas.context.calls.fillRect).toEqual([{ x: 192, y: 292, width: 16, height: 16 }]);
+      expect(canvas.context.calls.fillText.map(text => text.text)).toEqual(['60px', '40px', 'G', 'S', 'G']);
+      expect(canvas.context.calls.save).toBe(canvas.context.calls.restore);
+    });
+
+    test('should handle a missing overlay', () => {
+      renderer.drawEditorOverlay(null);
+      renderer.drawEditorOverlay({ waypoints: [] });
+      expect(canvas.context.calls.arc).toHaveLength(0);
+    });
+  });
+
+  describe('drawShield()', () => {
+    test('should draw a ring around the character and fade it once the shield broke', () => {
+      renderer.drawShield({ x: 100, y: 150, size: 10 });
+      expect(canvas.context.calls.arc).toEqual([
+        { x: 105, y: 155, radius: 9, startAngle: 0, endAngle: Math.PI * 2 }
+      ]);
+      expect(canvas.context.strokeStyle).toBe(renderer.colors.powerUps.shield);
+      expect(canvas.context.globalAlpha).toBe(0.9);
+
+      renderer.drawShield({ x: 100, y: 150, size: 10 }, false);
+      expect(canvas.context.globalAlpha).toBe(0.4);
+
+      renderer.drawShield(null);
+      expect(canvas.context.calls.arc).toHaveLength(2);
+    });
+  });
+
+  describe('drawPlayer()', () => {
+    test('should draw each race player in its own color with a number', () => {
+      renderer.drawPlayer({ x: 100, y: 150, size: 10, direction: 'up' }, 1);
+
+      expect(canvas.context.calls.fillText).toContainEqual({ text: 'P2', x: 105, y: 146 });
+      expect(canvas.context.fillStyle).toBe(renderer.getPlayerColor(1));
+      expect(renderer.getPlayerColor(1)).not.toBe(renderer.getPlayerColor(0));
+    });
+
+    test('should fade out eliminated players', () => {
+      renderer.drawPlayer({ x: 100, y: 150, size: 10 }, 0, 'eliminated');
+      expect(canvas.context.globalAlpha).toBe(0.3);
+    });
+  });
+
+  describe('drawTimerDelta()', () => {
+    test('should show time ahead of the ghost in the ahead color', () => {
+      renderer.drawTimerDelta(-1234);
+
+      expect(canvas.context.calls.fillText).toContainEqual({ text: '-1.23s', x: 170, y: 30 });
+      expect(canvas.context.fillStyle).toBe(renderer.colors.ahead);
+    });
+
+    test('should show time behind the ghost in the behind color', () => {
+      renderer.drawTimerDelta(500);
+
+      expect(canvas.context.calls.fillText).toContainEqual({ text: '+0.50s', x: 170, y: 30 });
+      expect(canvas.context.fillStyle).toBe(renderer.colors.behind);
+    });
+
+    test('should show an even race', () => {
+      renderer.drawTimerDelta(0);
+      expect(canvas.context.calls.fillText).toContainEqual({ text: '±0.00s', x: 170, y: 30 });
+    });
+
+    test('should handle invalid delta', () => {
+      renderer.drawTimerDelta(null);
+      renderer.drawTimerDelta(NaN);
+      expect(canvas.context.calls.fillText).toHaveLength(0);
+    });
+  });
+
+  describe('drawReplayUI()', () => {
+    test('should draw progress, time and speed', () => {
+      renderer.drawReplayUI({ tick: 300, endTick: 600, tickRate: 60, speed: 2, paused: false });
+
+      expect(canvas.context.calls.fillText.some(call =>
+        call.text === 'REPLAY PLAYING  5.00s / 10.00s  x2'
+      )).toBe(true);
+      // Progress bar filled to half of the bar width
+      expect(canvas.context.calls.fillRect).toContainEqual({
+        x: 20, y: renderer.height - 20, width: (renderer.width - 40) / 2, height: 6
+      });
+    });
+
+    test('should show paused status', () => {
+      renderer.drawReplayUI({ tick: 0, endTick: 600, tickRate: 60, speed: 1, paused: true });
+
+      expect(canvas.context.calls.fillText.some(call =>
+        call.text.startsWith('REPLAY PAUSED')
+      )).toBe(true);
+    });
+
+    test('should handle invalid replay state', () => {
+      renderer.drawReplayUI(null);
+      renderer.drawReplayUI({ tick: 'a' });
+      expect(canvas.context.calls.fillText).toHaveLength(0);
+    });
+  });
+
   describe('drawTimer()', () => {
     test('should draw timer with background and text', () => {
       renderer.drawTimer(12345); // 12.345 seconds
@@ -359,6 +590,68 @@ describe('Renderer', () => {
       )).toBe(true);
     });
 
+    test('should draw level seed during gameplay when provided', () => {
+      renderer.drawUI({ status: 'playing', difficulty: 'easy', seed: 12345 });
+
+      expect(canvas.context.calls.fillText.some(call =>
+        call.text === 'Seed: 12345'
+      )).toBe(true);
+    });
+
+    test('should draw remaining lives in the lives mode only', () => {
+      renderer.drawUI({ status: 'playing', difficulty: 'easy', lives: 2 });
+      expect(canvas.context.calls.fillText.some(call => call.text === 'Lives: ♥♥')).toBe(true);
+
+      canvas.context.calls.fillText = [];
+      renderer.drawUI({ status: 'playing', difficulty: 'easy', lives: null });
+      expect(canvas.context.calls.fillText.some(call => call.text.startsWith('Lives'))).toBe(false);
+    });
+
+    test('should draw the race status and both players\' controls in a race', () => {
+      renderer.drawUI({
+        status: 'playing',
+        difficulty: 'easy',
+        players: [{ player: 0, status: 'eliminated' }, { player: 1, status: 'racing' }]
+      });
+      const texts = canvas.context.calls.fillText.map(call => call.text);
+      expect(texts).toContain('P1: Out');
+      expect(texts).toContain('P2: Racing');
+      expect(texts).toContain('P1: Arrow Keys / P2: W A S D');
+
+      canvas.context.calls.fillText = [];
+      renderer.drawUI({ status: 'playing', difficulty: 'easy', players: null });
+      expect(canvas.context.calls.fillText.map(call => call.text)).toContain('Use Arrow Keys to Move');
+    });
+
+    test('should draw the distance in the endless mode only', () => {
+      renderer.drawUI({ status: 'playing', difficulty: 'easy', distance: 120 });
+      expect(canvas.context.calls.fillText.some(call => call.text === 'Distance: 120m')).toBe(true);
+
+      canvas.context.calls.fillText = [];
+      renderer.drawUI({ status: 'playing', difficulty: 'easy', distance: null });
+      expect(canvas.context.calls.fillText.some(call => call.text.startsWith('Distance'))).toBe(false);
+    });
+
+    test('should draw the running power-up effects in the power-ups mode only', () => {
+      renderer.drawUI({
+        status: 'playing',
+        difficulty: 'easy',
+        powerUps: [
+          { type: 'slow', remaining: 1500, duration: 3000 },
+          { type: 'shield', remaining: null, duration: null }
+        ]
+      });
+      const texts = canvas.context.calls.fillText.map(call => call.text);
+      expect(texts).toContain('Slow 1.5s');
+      expect(texts).toContain('Shield');
+      // 残り時間のバーは時間のある効果だけ（背景と残りの2本）
+      expect(canvas.context.calls.fillRect.filter(call => call.height === 3).map(call => call.width)).toEqual([100, 50]);
+
+      canvas.context.calls.fillText = [];
+      renderer.drawUI({ status: 'playing', difficulty: 'easy', powerUps: null });
+      expect(canvas.context.calls.fillText.some(call => call.text.startsWith('Slow'))).toBe(false);
+    });
+
     test('should draw paused UI for paused state', () => {
       const state = { status: 'paused' };
 
@@ -369,6 +662,12 @@ describe('Renderer', () => {
       )).toBe(true);
     });
 
+    test('should draw the resume countdown for countdown state', () => {
+      renderer.drawUI({ status: 'countdown', countdown: 2 });
+
+      expect(canvas.context.calls.fillText.some(call => call.text === '2')).toBe(true);
+    });
+
     test('should handle null state parameter', () => {
       renderer.drawUI(null);
       // Should not throw error
@@ -382,6 +681,17 @@ describe('Renderer', () => {
     });
   });
 
+  describe('Camera', () => {
+    test('should shift the world left by the camera position until endCamera()', () => {
+      renderer.beginCamera(250);
+      expect(canvas.context.calls.save).toBe(1);
+      expect(canvas.context.calls.translate).toEqual([{ x: -250, y: 0 }]);
+
+      renderer.endCamera();
+      expect(canvas.context.calls.restore).toBe(1);
+    });
+  });
+
   describe('Utility methods', () => {
     test('getContext() should return canvas context', () => {
       expect(renderer.getContext()).toBe(canvas.context);
@@ -0,0 +1,212 @@
+import { describe, test, expect } from '@jest/globals';
+import fc from 'fast-check';
+import Replay from '../src/Replay.js';
+
+const createReplay = () => new Replay({
+  seed: 12345,
+  difficulty: 'medium',
+  tickRate: 60,
+  width: 800,
+  height: 600
+});
+
+describe('Replay クラス / Replay Class', () => {
+  describe('Property-Based Tests', () => {
+    /**
+     * シリアライズ→デシリアライズでリプレイの内容が失われない
+     */
+    test('serialize/deserialize round trip（シリアライズの往復）', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 0, max: 0xFFFFFFFF }),
+          fc.constantFrom('easy', 'medium', 'hard', 'super-hard'),
+          fc.array(
+            fc.record({
+              gap: fc.integer({ min: 1, max: 500 }),
+              direction: fc.constantFrom(...Replay.DIRECTIONS)
+            }),
+            { maxLength: 50 }
+          ),
+          fc.constantFrom('gameover', 'victory'),
+          (seed, difficulty, steps, result) => {
+            const replay = new Replay({ seed, difficulty, tickRate: 60, width: 800, height: 600 });
+            let tick = 0;
+            steps.forEach(step => {
+              tick += step.gap;
+              replay.recordInput(tick, step.direction);
+            });
+            replay.finish(tick + 10, result, Math.round((tick + 10) * 1000 / 60));
+
+            const restored = Replay.deserialize(replay.serialize());
+
+            expect(restored.seed).toBe(seed);
+            expect(restored.difficulty).toBe(difficulty);
+            expect(restored.tickRate).toBe(60);
+            expect(restored.width).toBe(800);
+            expect(restored.height).toBe(600);
+            expect(restored.inputs).toEqual(replay.inputs);
+            expect(restored.endTick).toBe(replay.endTick);
+            expect(restored.result).toBe(result);
+            expect(restored.score).toBe(replay.score);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Unit Tests', () => {
+    test('should record direction changes with their tick', () => {
+      const replay = createReplay();
+      replay.recordInput(0, 'right');
+      replay.recordInput(30, 'down');
+
+      expect(replay.inputs).toEqual([
+        { tick: 0, direction: 'right' },
+        { tick: 30, direction: 'down' }
+      ]);
+    });
+
+    test('should keep only the last direction set within the same tick', () => {
+      const replay = createReplay();
+      replay.recordInput(10, 'up');
+      replay.recordInput(10, 'left');
+
+      expect(replay.inputs).toEqual([{ tick: 10, direction: 'left' }]);
+    });
+
+    test('should ignore repeated presses of the current direction', () => {
+      const replay = createReplay();
+      replay.recordInput(10, 'up');
+      replay.recordInput(20, 'up');
+
+      expect(replay.inputs).toHaveLength(1);
+    });
+
+    test('should record the previous direction again after the character was stopped', () => {
+      const replay = createReplay();
+      replay.recordInput(10, 'up');
+      replay.recordStop();
+      replay.recordInput(20, 'up');
+      replay.recordInput(30, 'up');
+
+      expect(replay.inputs).toEqual([{ tick: 10, direction: 'up' }, { tick: 20, direction: 'up' }]);
+    });
+
+    test('should keep the game mode and leave it out of classic replays', () => {
+      const classic = createReplay();
+      expect(classic.mode).toBe('classic');
+      expect(classic.toJSON()).not.toHaveProperty('m');
+      expect(Replay.deserialize(classic.serialize()).mode).toBe('classic');
+
+      const lives = new Replay({ seed: 1, difficulty: 'easy', tickRate: 60, width: 800, height: 600, mode: 'lives' });
+      expect(lives.toJSON().m).toBe('lives');
+      expect(Replay.deserialize(lives.serialize()).mode).toBe('lives');
+
+      expect(() => Replay.fromJSON({ ...lives.toJSON(), m: 3 })).toThrow('Invalid replay data: mode');
+    });
+
+    test('should keep the movement model and leave it out of direct replays', () => {
+      const direct = createReplay();
+      expect(direct.movement).toBe('direct');
+      expect(direct.toJSON()).not.toHaveProperty('n');
+      expect(Replay.deserialize(direct.serialize()).movement).toBe('direct');
+
+      const inertia = new Replay({ seed: 1, difficulty: 'easy', tickRate: 60, width: 800, height: 600, movement: 'inertia' });
+      expect(inertia.toJSON().n).toBe('inertia');
+      expect(Replay.deserialize(inertia.serialize()).movement).toBe('inertia');
+
+      expect(() => Replay.fromJSON({ ...inertia.toJSON(), n: 1 })).toThrow('Invalid replay data: movement');
+    });
+
+    test('should keep a hand-authored layout and leave it out of generated levels', () => {
+      expect(createReplay().toJSON()).not.toHaveProperty('l');
+
+      const layout = [{ x: 0.1, y: 0.5 }, { x: 0.5, y: 0.25 }, { x: 0.9, y: 0.5 }];
+      const replay = new Replay({ seed: 1, difficulty: 'easy', tickRate: 60, width: 800, height: 600, layout });
+      expect(replay.toJSON().l).toEqual([0.1, 0.5, 0.5, 0.25, 0.9, 0.5]);
+      expect(Replay.deserialize(replay.serialize()).layout).toEqual(layout);
+
+      expect(() => Replay.fromJSON({ ...replay.toJSON(), l: [0.1] })).toThrow('Invalid replay data: layout');
+      expect(() => Replay.fromJSON({ ...replay.toJSON(), l: 'zigzag' })).toThrow('Invalid replay data: layout');
+    });
+
+    test('should flag runs continued from a saved state', () => {
+      expect(createReplay().toJSON()).not.toHaveProperty('c');
+
+      const replay = new Replay({ seed: 1, difficulty: 'easy', tickRate: 60, width: 800, height: 600, resumed: true });
+      expect(replay.toJSON().c).toBe(1);
+      expect(Replay.deserialize(replay.serialize()).resumed).toBe(true);
+      expect(Replay.deserialize(createReplay().serialize()).resumed).toBe(false);
+
+      expect(() => Replay.fromJSON({ ...replay.toJSON(), c: 'yes' })).toThrow('Invalid replay data: resumed');
+    });
+
+    test('should keep a custom difficulty profile and leave it out of preset replays', () => {
+      expect(createReplay().toJSON()).not.toHaveProperty('p');
+
+      const profile = { pathWidth: 120, characterSpeed: 4, waypointCount: 1, curveJitter: 0, wallThickness: 20 };
+      const replay = new Replay({ seed: 1, difficulty: 'custom', tickRate: 60, width: 800, height: 600, profile });
+      expect(replay.toJSON().p).toEqual([120, 4, 1, 0, 20]);
+      expect(Replay.deserialize(replay.serialize()).profile).toEqual(profile);
+
+      expect(() => Replay.fromJSON({ ...replay.toJSON(), p: [120, 4] })).toThrow('Invalid replay data: profile');
+      expect(() => Replay.fromJSON({ ...replay.toJSON(), p: 'hard' })).toThrow('Invalid replay data: profile');
+    });
+
+    test('should ignore invalid directions and inputs after finishing', () => {
+      const replay = createReplay();
+      replay.recordInput(5, 'sideways');
+      replay.finish(100, 'victory', 1667);
+      replay.recordInput(101, 'up');
+
+      expect(replay.inputs).toHaveLength(0);
+      expect(replay.isFinished()).toBe(true);
+    });
+
+    test('should look up the direction change for a tick', () => {
+      const replay = createReplay();
+      replay.recordInput(0, 'right');
+      replay.recordInput(45, 'up');
+
+      expect(replay.getDirectionAt(0)).toBe('right');
+      expect(replay.getDirectionAt(44)).toBe(null);
+      expect(replay.getDirectionAt(45)).toBe('up');
+    });
+
+    test('should store inputs as compact tick deltas', () => {
+      const replay = createReplay();
+      replay.recordInput(10, 'right');
+      replay.recordInput(25, 'down');
+
+      expect(replay.toJSON().i).toEqual([10, 3, 15, 1]);
+    });
+
+    test('should give diagonals new direction codes after the original four', () => {
+      const replay = createReplay();
+      replay.recordInput(10, 'up-right');
+      replay.recordInput(20, 'up');
+      replay.recordInput(30, 'down-left');
+
+      expect(replay.toJSON().i).toEqual([10, 5, 10, 0, 10, 6]);
+      expect(Replay.deserialize(replay.serialize()).inputs.map(input => input.direction))
+        .toEqual(['up-right', 'up', 'down-left']);
+    });
+
+    test('should reject data that is not a replay', () => {
+      expect(() => Replay.deserialize('not base64 json')).toThrow('Invalid replay data');
+      expect(() => Replay.fromJSON({ v: 99 })).toThrow('Unsupported replay format');
+      expect(() => Replay.fromJSON({ v: Replay.FORMAT_VERSION, i: [1] })).toThrow('Invalid replay data: inputs');
+      expect(() => Replay.fromJSON({ v: Replay.FORMAT_VERSION, i: [1, 9] })).toThrow('Invalid replay data: inputs');
+    });
+
+    test('should reject replays recorded by an earlier version of the simulation', () => {
+      const data = createReplay().toJSON();
+      expect(data.v).toBe(3);
+      // Before the character started centred on the path
+      expect(() => Replay.fromJSON({ ...data, v: 1 })).toThrow('Unsupported replay format');
+      // Before obstacles and hazards were tested over the character's whole move
+      expect(() => Replay.fromJSON({ ...data, v: 2 })).toThrow('Unsupported replay format');
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * ReplayPlayer Tests - リプレイ再生のテスト
+ *
+ * 実際のLevelGenerator/Character/CollisionDetectorでプレイを記録し、
+ * 再生結果が元のプレイと一致することを確認する
+ */
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+
+const { installGameGlobals } = require('./helpers');
+
+installGameGlobals();
+
+const GameManager = require('../src/GameManager');
+const Replay = require('../src/Replay');
+const ReplayPlayer = require('../src/ReplayPlayer');
+
+/**
+ * 方向を切り替えながら壁に当たるまでプレイしてリプレイを記録する
+ */
+function recordRun(canvas, seed) {
+  const gameManager = new GameManager(canvas, 'easy', { seed });
+  gameManager.startGame();
+
+  const script = { 0: 'right', 50: 'up', 53: 'right' };
+  while (gameManager.getCurrentState() === 'playing' && gameManager.getTick() < 5000) {
+    const direction = script[gameManager.getTick()];
+    if (direction) {
+      gameManager.character.setDirection(direction);
+      gameManager.recordDirectionChange(direction);
+    }
+    gameManager.step();
+  }
+
+  return gameManager;
+}
+
+describe('ReplayPlayer', () => {
+  let canvas;
+  let recorded;
+  let replay;
+  let player;
+
+  beforeEach(() => {
+    canvas = document.createElement('canvas');
+    canvas.width = 800;
+    canvas.height = 600;
+
+    recorded = recordRun(canvas, 39);
+    replay = Replay.deserialize(recorded.getReplay().serialize());
+  });
+
+  afterEach(() => {
+    if (player) {
+      player.destroy();
+      player = null;
+    }
+  });
+
+  const createPlayer = () => {
+    const gameManager = new GameManager(canvas, replay.difficulty, {
+      seed: replay.seed,
+      tickRate: replay.tickRate
+    });
+    player = new ReplayPlayer(gameManager, replay);
+    return player;
+  };
+
+  test('should record a finished run', () => {
+    expect(replay.isFinished()).toBe(true);
+    expect(replay.endTick).toBe(recorded.getTick());
+    expect(replay.result).toBe(recorded.getCurrentState());
+    expect(replay.inputs).toEqual([
+      { tick: 0, direction: 'right' },
+      { tick: 50, direction: 'up' },
+      { tick: 53, direction: 'right' }
+    ]);
+  });
+
+  test('should reproduce the recorded run exactly', () => {
+    createPlayer();
+    player.play();
+
+    while (!player.isFinished()) {
+      player.update(1000 / 60);
+    }
+
+    const gameManager = player.gameManager;
+    expect(gameManager.getTick()).toBe(recorded.getTick());
+    expect(gameManager.getCurrentState()).toBe(recorded.getCurrentState());
+    expect(gameManager.character.x).toBe(recorded.character.x);
+    expect(gameManager.character.y).toBe(recorded.character.y);
+    expect(player.paused).toBe(true);
+  });
+
+  test('should play back faster or slower with the speed setting', () => {
+    createPlayer();
+    player.setSpeed(2);
+    player.play();
+    player.update(100);
+    expect(player.gameManager.getTick()).toBe(12);
+
+    player.setSpeed(0.5);
+    player.update(100);
+    expect(player.gameManager.getTick()).toBe(15);
+  });
+
+  test('should clamp speed to the 0.5x-4x range', () => {
+    createPlayer();
+    player.setSpeed(10);
+    expect(player.speed).toBe(4);
+    player.setSpeed(0.1);
+    expect(player.speed).toBe(0.5);
+  });
+
+  test('should not advance while paused', () => {
+    createPlayer();
+    player.play();
+    player.update(100);
+    const tick = player.gameManager.getTick();
+
+    player.pause();
+    player.update(100);
+
+    expect(player.gameManager.getTick()).toBe(tick);
+  });
+
+  test('should seek forwards and backwards to the same state as playing through', () => {
+    createPlayer();
+    const target = Math.floor(replay.endTick / 2);
+
+    player.seek(target);
+    const seekedPosition = player.gameManager.character.getPosition();
+    expect(player.gameManager.getTick()).toBe(target);
+
+    // 最後までシークしてから巻き戻す
+    player.seek(replay.endTick);
+    expect(player.isFinished()).toBe(true);
+    player.seek(target);
+
+    expect(player.gameManager.getTick()).toBe(target);
+    expect(player.gameManager.character.getPosition()).toEqual(seekedPosition);
+    expect(player.gameManager.getCurrentState()).toBe('playing');
+  });
+
+  test('should draw the replay overlay', () => {
+    createPlayer();
+    player.seek(10);
+
+    const renderer = player.gameManager.renderer;
+    const lastState = renderer.replayStates[renderer.replayStates.length - 1];
+    expect(lastState).toEqual({
+      tick: 10,
+      endTick: replay.endTick,
+      tickRate: 60,
+      speed: 1,
+      paused: true
+    });
+  });
+
+  test('should reject a replay for a different level or an unfinished run', () => {
+    const otherLevel = new GameManager(canvas, replay.difficulty, { seed: replay.seed + 1 });
+    expect(() => new ReplayPlayer(otherLevel, replay)).toThrow('does not match');
+
+    const unfinished = new Replay({ seed: replay.seed, difficulty: 'easy', tickRate: 60, width: 800, height: 600 });
+    const gameManager = new GameManager(canvas, 'easy', { seed: replay.seed });
+    expect(() => new ReplayPlayer(gameManager, unfinished)).toThrow('Only finished runs');
+  });
+});
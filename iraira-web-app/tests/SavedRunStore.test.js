@@ -0,0 +1,67 @@
+/**
+ * SavedRunStore Tests - 途中のプレイの保存のテスト
+ */
+import { describe, test, expect, beforeEach } from '@jest/globals';
+
+const SavedRunStore = require('../src/SavedRunStore');
+const GameManager = require('../src/GameManager');
+const { MemoryStorage } = require('./helpers');
+
+describe('SavedRunStore', () => {
+  let storage;
+  let store;
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    store = new SavedRunStore(storage);
+  });
+
+  test('should return null when no run is saved', () => {
+    expect(store.load()).toBe(null);
+    expect(store.hasSavedRun()).toBe(false);
+  });
+
+  test('should keep only the latest run and restore it in another game', () => {
+    const gameManager = new GameManager(null, 'easy', { headless: true, seed: 7 });
+    gameManager.startGame();
+    gameManager.run({ 0: 'up' }, 30);
+    expect(store.save(gameManager.getSaveState())).toBe(true);
+
+    gameManager.run({ 0: 'up' }, 60);
+    store.save(gameManager.getSaveState(), { firstStageIndex: 0, currentStageIndex: 0, splits: [] });
+
+    // 再読み込み後の別のインスタンスからも読める
+    const saved = new SavedRunStore(storage).load();
+    expect(saved.run.tick).toBe(60);
+    expect(saved.campaign.currentStageIndex).toBe(0);
+
+    const restored = new GameManager(null, 'easy', { headless: true, seed: 7 });
+    restored.restoreRun(saved.run);
+    expect(restored.getTick()).toBe(60);
+    gameManager.destroy();
+    restored.destroy();
+  });
+
+  test('should forget the run once cleared', () => {
+    store.save({ version: 1, tick: 5 });
+    store.clear();
+    expect(store.load()).toBe(null);
+  });
+
+  test('should ignore corrupted data and missing runs', () => {
+    storage.setItem(SavedRunStore.STORAGE_KEY, 'not json');
+    expect(store.load()).toBe(null);
+
+    storage.setItem(SavedRunStore.STORAGE_KEY, JSON.stringify({ campaign: null }));
+    expect(store.load()).toBe(null);
+
+    expect(store.save(null)).toBe(false);
+  });
+
+  test('should work without storage', () => {
+    const memoryless = new SavedRunStore(null);
+    expect(memoryless.save({ version: 1 })).toBe(false);
+    expect(memoryless.load()).toBe(null);
+    expect(() => memoryless.clear()).not.toThrow();
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, test, expect } from '@jest/globals';
+import fc from 'fast-check';
+import SeededRandom from '../src/SeededRandom.js';
+
+describe('SeededRandom クラス / SeededRandom Class', () => {
+  describe('Property-Based Tests', () => {
+    /**
+     * 同じシードからは常に同じ乱数列が生成される
+     */
+    test('same seed produces the same sequence（同じシードは同じ乱数列）', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 0, max: 0xFFFFFFFF }),
+          (seed) => {
+            const a = new SeededRandom(seed);
+            const b = new SeededRandom(seed);
+
+            for (let i = 0; i < 20; i++) {
+              expect(a.next()).toBe(b.next());
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    /**
+     * next()はMath.random()と同じく[0, 1)の範囲を返す
+     */
+    test('values stay within [0, 1)（値は[0, 1)の範囲）', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 0, max: 0xFFFFFFFF }),
+          (seed) => {
+            const random = new SeededRandom(seed);
+
+            for (let i = 0; i < 50; i++) {
+              const value = random.next();
+              expect(value).toBeGreaterThanOrEqual(0);
+              expect(value).toBeLessThan(1);
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Unit Tests', () => {
+    test('should produce different sequences for different seeds', () => {
+      const a = new SeededRandom(1);
+      const b = new SeededRandom(2);
+
+      expect(a.next()).not.toBe(b.next());
+    });
+
+    test('should treat numeric strings the same as numbers', () => {
+      expect(SeededRandom.normalizeSeed('12345')).toBe(12345);
+      expect(new SeededRandom('12345').next()).toBe(new SeededRandom(12345).next());
+    });
+
+    test('should hash non-numeric strings into a 32-bit seed', () => {
+      const seed = SeededRandom.normalizeSeed('lunch-race');
+
+      expect(Number.isInteger(seed)).toBe(true);
+      expect(seed).toBeGreaterThanOrEqual(0);
+      expect(seed).toBeLessThanOrEqual(0xFFFFFFFF);
+      expect(SeededRandom.normalizeSeed('lunch-race')).toBe(seed);
+    });
+
+    test('should reject invalid seeds', () => {
+      expect(() => SeededRandom.normalizeSeed('')).toThrow('Invalid seed');
+      expect(() => SeededRandom.normalizeSeed(NaN)).toThrow('Invalid seed');
+      expect(() => SeededRandom.normalizeSeed(undefined)).toThrow('Invalid seed');
+    });
+
+    test('should generate valid seeds', () => {
+      const seed = SeededRandom.generateSeed();
+
+      expect(Number.isInteger(seed)).toBe(true);
+      expect(seed).toBeGreaterThanOrEqual(0);
+      expect(seed).toBeLessThanOrEqual(0xFFFFFFFF);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Test helpers - テスト共通のヘルパー
+ *
+ * 実際のLevelGenerator/Character/CollisionDetectorを使ってGameManagerを動かす
+ * テストのための描画・アニメーション・入力のモックと、ストアのテスト用のメモリストレージ
+ */
+const Character = require('../../src/Character');
+const LevelGenerator = require('../../src/LevelGenerator');
+const CollisionDetector = require('../../src/CollisionDetector');
+
+/**
+ * Renderer mock - 何も描画せず、テストで確認する描画内容だけを記録する
+ */
+class MockRenderer {
+  constructor() {
+    this.cameraX = null;
+    this.lastUIState = null;
+    this.ghosts = [];
+    this.deltas = [];
+    this.replayStates = [];
+  }
+
+  clear() {}
+
+  beginCamera(cameraX) {
+    this.cameraX = cameraX;
+  }
+
+  endCamera() {}
+  drawWalls() {}
+  drawPath() {}
+  drawCharacter() {}
+  drawGoal() {}
+  drawObstacles() {}
+  drawHazards() {}
+  drawCheckpoints() {}
+  drawPickups() {}
+  drawShield() {}
+  drawTimer() {}
+
+  drawGhost(ghost, label) {
+    this.ghosts.push({ ...ghost, label });
+  }
+
+  drawTimerDelta(delta) {
+    this.deltas.push(delta);
+  }
+
+  drawUI(state) {
+    this.lastUIState = state;
+  }
+
+  drawReplayUI(state) {
+    this.replayStates.push(state);
+  }
+
+  getPowerUpColor(type) {
+    return type;
+  }
+}
+
+/**
+ * AnimationEngine mock - アニメーションは再生せず、爆発とエフェクトを記録する
+ */
+class MockAnimationEngine {
+  constructor() {
+    this.isAnimating = false;
+    this.explosions = [];
+    this.effects = [];
+  }
+
+  playExplosion(x, y, callback) {
+    this.explosions.push({ x, y });
+  }
+
+  playPowerUp(x, y, color, label) {
+    this.effects.push({ x, y, color, label });
+  }
+
+  playVictory(x, y, callback) {}
+  update() {}
+  drawEffects() {}
+
+  isPlaying() {
+    return this.isAnimating;
+  }
+}
+
+/**
+ * AnimationEngine mock whose explosions keep playing until isAnimating is reset
+ * 爆発アニメーションがisAnimatingを戻すまで終わらないモック（復帰中はゲームが進まない）
+ */
+class BlockingAnimationEngine extends MockAnimationEngine {
+  playExplosion(x, y, callback) {
+    super.playExplosion(x, y, callback);
+    this.isAnimating = true;
+  }
+}
+
+class MockInputHandler {
+  enable() {}
+  disable() {}
+  reset() {}
+}
+
+/**
+ * localStorage互換のメモリストレージ
+ */
+class MemoryStorage {
+  constructor() {
+    this.items = {};
+  }
+
+  getItem(key) {
+    return key in this.items ? this.items[key] : null;
+  }
+
+  setItem(key, value) {
+    this.items[key] = String(value);
+  }
+
+  removeItem(key) {
+    delete this.items[key];
+  }
+}
+
+/**
+ * GameManagerが使うクラスをグローバルに設定する（GameManagerをrequireする前に呼ぶ）
+ * @param {Object} options - Classes to use instead of the mocks
+ * @param {Function} options.AnimationEngine - AnimationEngine class (defaults to MockAnimationEngine)
+ */
+function installGameGlobals({ AnimationEngine = MockAnimationEngine } = {}) {
+  global.Character = Character;
+  global.LevelGenerator = LevelGenerator;
+  global.CollisionDetector = CollisionDetector;
+  global.Renderer = MockRenderer;
+  global.AnimationEngine = AnimationEngine;
+  global.InputHandler = MockInputHandler;
+  global.requestAnimationFrame = () => 1;
+  global.cancelAnimationFrame = () => {};
+}
+
+/**
+ * 10px間隔のまっすぐな通路を作成
+ * @param {number} length - Number of path points
+ * @returns {Array<{x: number, y: number}>} Path
+ */
+function createPath(length) {
+  const path = [];
+  for (let i = 0; i < length; i++) {
+    path.push({ x: i * 10, y: 100 });
+  }
+  return path;
+}
+
+module.exports = {
+  MockRenderer,
+  MockAnimationEngine,
+  BlockingAnimationEngine,
+  MockInputHandler,
+  MemoryStorage,
+  installGameGlobals,
+  createPath
+};